@@ -0,0 +1,38 @@
+// ── Faux client Anthropic : même forme que messages.create (avec ou sans stream),
+// ── réponses locales et déterministes. AI_CLIENT=fake pour travailler hors ligne.
+
+function approxTokens(text) {
+  return Math.max(1, Math.ceil(String(text || '').length / 4));
+}
+
+function createFakeAnthropic({ reply } = {}) {
+  const answer = reply || ((params) => {
+    const last = params.messages[params.messages.length - 1];
+    const prompt = typeof last.content === 'string' ? last.content : JSON.stringify(last.content);
+    return `[réponse simulée] ${prompt.split('\n')[0].slice(0, 120)}`;
+  });
+
+  async function create(params) {
+    const text = answer(params);
+    const usage = {
+      input_tokens: approxTokens(params.system) + params.messages.reduce((n, m) => n + approxTokens(typeof m.content === 'string' ? m.content : JSON.stringify(m.content)), 0),
+      output_tokens: approxTokens(text),
+    };
+    if (!params.stream) {
+      return { id: 'msg_fake_' + Date.now(), model: params.model, role: 'assistant', content: [{ type: 'text', text }], usage };
+    }
+    // Flux d'événements au format de l'API (message_start → deltas → message_delta)
+    return (async function* () {
+      yield { type: 'message_start', message: { model: params.model, usage: { input_tokens: usage.input_tokens, output_tokens: 0 } } };
+      for (const chunk of text.match(/.{1,24}/gs) || []) {
+        yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: chunk } };
+      }
+      yield { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: usage.output_tokens } };
+      yield { type: 'message_stop' };
+    })();
+  }
+
+  return { messages: { create } };
+}
+
+module.exports = { createFakeAnthropic };
@@ -0,0 +1,36 @@
+// ════════════════════════════════════════
+// ── OUTILS IA — catalogue, client injectable et exécution en flux
+// ── AI_CLIENT=anthropic (défaut) → le client Anthropic passé par server.js
+// ── AI_CLIENT=fake               → ai/fake.js, hors ligne
+// ════════════════════════════════════════
+
+const { AI_TOOLS, LANGS, validateInput, buildRequest, describeTools } = require('./tools');
+const { createFakeAnthropic } = require('./fake');
+
+const AI_MODEL = process.env.AI_MODEL || 'claude-opus-4-6';
+
+function createAIClient(env = process.env, { anthropic } = {}) {
+  const mode = (env.AI_CLIENT || 'anthropic').toLowerCase();
+  if (mode === 'fake') return createFakeAnthropic();
+  if (mode !== 'anthropic') throw new Error(`AI_CLIENT inconnu : ${mode}`);
+  if (!anthropic) throw new Error('AI_CLIENT=anthropic sans client Anthropic');
+  return anthropic;
+}
+
+// Appel en flux : onDelta(texte) à chaque morceau → { text, usage: { inputTokens, outputTokens } }
+async function streamCompletion(client, params, onDelta = () => {}) {
+  const events = await client.messages.create({ model: AI_MODEL, ...params, stream: true });
+  let text = '';
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  for await (const event of events) {
+    if (event.type === 'message_start') usage.inputTokens = event.message.usage?.input_tokens || 0;
+    if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+      text += event.delta.text;
+      onDelta(event.delta.text);
+    }
+    if (event.type === 'message_delta') usage.outputTokens = event.usage?.output_tokens || usage.outputTokens;
+  }
+  return { text: text.trim(), usage };
+}
+
+module.exports = { AI_MODEL, AI_TOOLS, LANGS, validateInput, buildRequest, describeTools, createAIClient, streamCompletion };
@@ -0,0 +1,115 @@
+// ── Outils IA : chaque outil a un schéma d'entrée validé et un gabarit de prompt
+// ── détenu par le serveur. Le navigateur n'envoie plus jamais de prompt brut.
+
+// Schéma : { champ: { type: 'string', required, max, enum, default } }
+const LANGS = { en: 'English', fr: 'French', es: 'Spanish', de: 'German', pt: 'Portuguese', it: 'Italian' };
+
+const common = {
+  lang: { type: 'string', enum: Object.keys(LANGS), default: 'en' },
+};
+
+const BOOST_VARIANTS = {
+  social:   (i) => `TikTok/Instagram growth hacking expert. Strategy for:\n- Project: ${i.name}\n- Target: ${i.target}\n- Description: ${i.description}\n- Goal: ${i.goal}\n\nProvide: 5 viral video scripts, 20 hashtags, 30-day calendar, best posting times.`,
+  seo:      (i) => `SEO expert. Plan for:\n- Project: ${i.name}\n- Target: ${i.target}\n- Description: ${i.description}\n\nProvide: 20 keywords, 5 article topics, backlink strategy, on-page checklist.`,
+  ads:      (i) => `Ad copywriting expert. Create for:\n- Project: ${i.name}\n- Target: ${i.target}\n\nProvide: 3 Facebook Ads, 3 TikTok Ads scripts (30s), 3 Google ads, 5 Instagram hooks.`,
+  email:    (i) => `Email marketing expert. Sequence for:\n- Project: ${i.name}\n- Target: ${i.target}\n\nProvide: 5 complete emails (welcome D0, value D3, proof D7, promo D14, follow-up D30).`,
+  strategy: (i) => `Digital strategy consultant. 90-day plan for:\n- Project: ${i.name}\n- Target: ${i.target}\n- Goal: ${i.goal}\n\nProvide: SWOT analysis, SMART goals, month 1/2/3 actions, estimated budget.`,
+  coach:    (i) => `You are an expert marketing coach. Give personalized advice for:\n- Project: ${i.name}\n- Description: ${i.description}\n- Goal: ${i.goal}\n\nConcrete, actionable, prioritized advice.`,
+  project:  (i) => `You are a digital marketing expert. Generate a promotion strategy for:\n- Project: ${i.name}\n- Target: ${i.target}\n- Description: ${i.description}\n\nProvide: TikTok hashtags, 2-week content calendar, 3 viral post ideas, 5 SEO keywords.`,
+};
+
+const AI_TOOLS = {
+  boost_strategy: {
+    label: 'Stratégie de promotion',
+    maxTokens: 2000,
+    schema: {
+      variant:     { type: 'string', enum: Object.keys(BOOST_VARIANTS), default: 'social' },
+      name:        { type: 'string', required: true, max: 120 },
+      target:      { type: 'string', max: 200, default: 'General public' },
+      description: { type: 'string', max: 2000, default: '' },
+      goal:        { type: 'string', max: 300, default: 'Grow' },
+      ...common,
+    },
+    prompt: (i) => BOOST_VARIANTS[i.variant](i),
+  },
+  ab_test: {
+    label: 'Test A/B de publicité',
+    maxTokens: 1200,
+    schema: {
+      versionA: { type: 'string', required: true, max: 3000 },
+      versionB: { type: 'string', required: true, max: 3000 },
+      goal:     { type: 'string', max: 100, default: 'conversions' },
+      ...common,
+    },
+    prompt: (i) => `Analyze these two ad versions for the goal "${i.goal}".\n\nVERSION A:\n${i.versionA}\n\nVERSION B:\n${i.versionB}\n\n`
+      + `Provide: 1) which version is better and why, 2) estimated conversion score for each (out of 100), 3) 3 strengths and 1 weakness of each. Be concise and direct.`,
+  },
+  post_rewrite: {
+    label: 'Réécriture de post',
+    maxTokens: 800,
+    schema: {
+      text:     { type: 'string', required: true, max: 3000 },
+      tone:     { type: 'string', enum: ['punchy', 'professional', 'friendly', 'funny', 'storytelling'], default: 'punchy' },
+      platform: { type: 'string', enum: ['tiktok', 'instagram', 'x', 'linkedin', 'facebook', 'viralboost'], default: 'viralboost' },
+      ...common,
+    },
+    prompt: (i) => `Rewrite this social media post for ${i.platform} with a ${i.tone} tone. Keep the meaning, strengthen the hook and end with a clear call to action. `
+      + `Return only the rewritten post.\n\nPOST:\n${i.text}`,
+  },
+  hashtags: {
+    label: 'Génération de hashtags',
+    maxTokens: 400,
+    schema: {
+      topic:    { type: 'string', required: true, max: 1000 },
+      platform: { type: 'string', enum: ['tiktok', 'instagram', 'x', 'linkedin', 'youtube'], default: 'tiktok' },
+      count:    { type: 'number', min: 5, max: 30, default: 15 },
+      ...common,
+    },
+    prompt: (i) => `Generate ${i.count} relevant hashtags for ${i.platform} about: ${i.topic}\n\nMix high-volume and niche hashtags. Return them on one line, separated by spaces, nothing else.`,
+  },
+};
+
+const SYSTEM_PROMPT = 'You are the ViralBoost marketing assistant for independent creators. Answers are concrete, actionable and ready to use.';
+
+// → { value, errors } ; les champs hors schéma sont ignorés
+function validateInput(schema, body = {}) {
+  const value = {};
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    let v = body[field];
+    if (v === undefined || v === null || v === '') {
+      if (rule.required) errors.push(`${field} requis`);
+      else value[field] = rule.default;
+      continue;
+    }
+    if (rule.type === 'number') {
+      v = Number(v);
+      if (!Number.isFinite(v)) { errors.push(`${field} doit être un nombre`); continue; }
+      if (rule.min !== undefined && v < rule.min) { errors.push(`${field} ≥ ${rule.min}`); continue; }
+      if (rule.max !== undefined && v > rule.max) { errors.push(`${field} ≤ ${rule.max}`); continue; }
+    } else {
+      if (typeof v !== 'string') { errors.push(`${field} doit être une chaîne`); continue; }
+      v = v.trim();
+      if (rule.max && v.length > rule.max) { errors.push(`${field} : ${rule.max} caractères max.`); continue; }
+    }
+    if (rule.enum && !rule.enum.includes(v)) { errors.push(`${field} doit valoir ${rule.enum.join(' | ')}`); continue; }
+    value[field] = v;
+  }
+  return { value, errors };
+}
+
+// Paramètres de messages.create pour un outil et une entrée déjà validée
+function buildRequest(tool, input) {
+  return {
+    max_tokens: tool.maxTokens,
+    system: `${SYSTEM_PROMPT} Always answer in ${LANGS[input.lang] || 'English'}.`,
+    messages: [{ role: 'user', content: tool.prompt(input) }],
+  };
+}
+
+// Vue publique du catalogue (GET /api/ai/tools)
+function describeTools() {
+  return Object.entries(AI_TOOLS).map(([id, t]) => ({ id, label: t.label, maxTokens: t.maxTokens, schema: t.schema }));
+}
+
+module.exports = { AI_TOOLS, LANGS, validateInput, buildRequest, describeTools };
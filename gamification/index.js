@@ -0,0 +1,198 @@
+// ════════════════════════════════════════
+// ── GAMIFICATION — boutique, missions du jour, badges et niveaux (XP)
+// ── Catalogue déclaratif : server.js compte les événements (db.dailyProgress,
+// ── db.gameProfiles), tient le grand livre des crédits et applique ces règles.
+// ── Ce module ne touche jamais à `db`.
+// ════════════════════════════════════════
+
+const WELCOME_CREDITS = 50;
+
+// Articles de la boutique (prix en crédits) — `kind` dit ce que l'achat accorde :
+//   boost    → publication mise en avant pendant `hours` (push : annoncée au fil)
+//   cosmetic → objet permanent, un seul exemplaire par compte
+//   ai       → tokens IA en plus pour le mois en cours
+//   plan     → plan payant pendant 30 jours
+const SHOP_ITEMS = {
+  'top-feed':     { kind: 'boost',    cost: 10,   hours: 2,   label: 'Top du fil (2 h)' },
+  'showcase-24h': { kind: 'boost',    cost: 25,   hours: 24,  label: 'Mise en avant 24 h' },
+  'notif-push':   { kind: 'boost',    cost: 50,   hours: 1,   push: true, label: 'Annonce à la communauté' },
+  'boost-7j':     { kind: 'boost',    cost: 80,   hours: 168, label: 'Boost 7 jours' },
+  'cadre-or':     { kind: 'cosmetic', cost: 30,   label: 'Cadre doré' },
+  'badge-feu':    { kind: 'cosmetic', cost: 45,   label: 'Badge feu' },
+  'emoji-pack':   { kind: 'cosmetic', cost: 20,   label: 'Pack Emojis+' },
+  'title-vip':    { kind: 'cosmetic', cost: 60,   label: 'Titre VIP' },
+  'ia-hashtags':  { kind: 'ai',       cost: 10,   tokens: 10000, label: 'Hashtags IA' },
+  'ia-analysis':  { kind: 'ai',       cost: 15,   tokens: 20000, label: 'Analyse IA' },
+  'ia-strategie': { kind: 'ai',       cost: 35,   tokens: 50000, label: 'Stratégie IA 30 jours' },
+  'plan-starter': { kind: 'plan',     cost: 800,  plan: 'starter', label: 'Plan Starter (1 mois)' },
+  'plan-pro':     { kind: 'plan',     cost: 3500, plan: 'pro',     label: 'Plan Pro (1 mois)' },
+  'plan-elite':   { kind: 'plan',     cost: 9000, plan: 'elite',   label: 'Plan Elite (1 mois)' },
+};
+
+// Packs de crédits payés par Stripe (prix en centimes, comme PLANS)
+const CREDIT_PACKS = {
+  credits_50:  { credits: 50,  price: 499 },
+  credits_150: { credits: 150, price: 1299 },
+  credits_400: { credits: 400, price: 2999 },
+};
+
+// XP par événement compté (une fois par cible et par jour, voir recordEvent)
+const XP_PER_EVENT = {
+  login: 10, post: 50, project: 50, comment: 10, like: 2, reaction: 2, vote: 7, follow: 5,
+  dm: 3, chat: 2, share: 10, group_join: 10, group_message: 2, ai_run: 15, collab_request: 40,
+};
+const XP_DAILY_CAP = 1000; // XP d'événements par jour ; les missions réclamées s'y ajoutent
+
+// Niveau n atteint à 50·n·(n−1) XP : 0, 100, 300, 600, 1000…
+function xpForLevel(level) {
+  return 50 * level * (level - 1);
+}
+
+function levelProgress(xp) {
+  let level = 1;
+  while (xp >= xpForLevel(level + 1)) level++;
+  return { level, xp, levelXp: xpForLevel(level), nextLevelXp: xpForLevel(level + 1) };
+}
+
+// Missions du jour (UTC) : `counter` doit atteindre `max` ; `premium` = plan minimum.
+// Les compteurs viennent du serveur — streak et credits sont ajoutés par server.js.
+const MISSIONS = [
+  { id: 'login',        counter: 'login',           max: 1,  reward: 5 },
+  { id: 'pub1',         counter: 'post',            max: 1,  reward: 8 },
+  { id: 'pub3',         counter: 'post',            max: 3,  reward: 20 },
+  { id: 'pub5',         counter: 'post',            max: 5,  reward: 35 },
+  { id: 'pub_desc',     counter: 'post_long',       max: 1,  reward: 10 },
+  { id: 'pub_img',      counter: 'post_image',      max: 1,  reward: 14 },
+  { id: 'pub_img3',     counter: 'post_image',      max: 3,  reward: 28 },
+  { id: 'pub_video',    counter: 'post_video',      max: 1,  reward: 20 },
+  { id: 'showcase1',    counter: 'project',         max: 1,  reward: 12 },
+  { id: 'showcase_img', counter: 'project_visual',  max: 1,  reward: 20 },
+  { id: 'like3',        counter: 'like',            max: 3,  reward: 6 },
+  { id: 'like10',       counter: 'like',            max: 10, reward: 15 },
+  { id: 'react5',       counter: 'reaction',        max: 5,  reward: 10 },
+  { id: 'react_all',    counter: 'reaction_type',   max: 4,  reward: 18 },
+  { id: 'react_rocket', counter: 'reaction_rocket', max: 3,  reward: 15, premium: 'starter' },
+  { id: 'react_crown',  counter: 'reaction_crown',  max: 3,  reward: 20, premium: 'pro' },
+  { id: 'react_gem',    counter: 'reaction_gem',    max: 5,  reward: 18, premium: 'pro' },
+  { id: 'react_star',   counter: 'reaction_star',   max: 5,  reward: 25, premium: 'elite' },
+  { id: 'comment2',     counter: 'comment',         max: 2,  reward: 8 },
+  { id: 'vote3',        counter: 'vote',            max: 3,  reward: 8 },
+  { id: 'share1',       counter: 'share',           max: 1,  reward: 7 },
+  { id: 'follow1',      counter: 'follow',          max: 1,  reward: 5 },
+  { id: 'follow5',      counter: 'follow',          max: 5,  reward: 15 },
+  { id: 'dm1',          counter: 'dm',              max: 1,  reward: 5 },
+  { id: 'dm3',          counter: 'dm',              max: 3,  reward: 12 },
+  { id: 'chat5',        counter: 'chat',            max: 5,  reward: 10 },
+  { id: 'chat10',       counter: 'chat',            max: 10, reward: 20 },
+  { id: 'group1',       counter: 'group_join',      max: 1,  reward: 10 },
+  { id: 'iaboost1',     counter: 'ai_run',          max: 1,  reward: 18 },
+  { id: 'collab1',      counter: 'collab_request',  max: 1,  reward: 20 },
+  { id: 'ava_emoji',    counter: 'avatar_change',   max: 1,  reward: 8 },
+  { id: 'ava_photo',    counter: 'avatar_photo',    max: 1,  reward: 25 },
+  { id: 'profile',      counter: 'profile_bio',     max: 1,  reward: 15 },
+  { id: 'streak3',      counter: 'streak',          max: 3,  reward: 30 },
+  { id: 'credits50',    counter: 'credits',         max: 50, reward: 25 },
+];
+
+function missionProgress(mission, values) {
+  return Math.min(values[mission.counter] || 0, mission.max);
+}
+
+// Badges : `rule(stats)` évaluée par le serveur après chaque événement ; `credits` accordés une fois.
+// stats : posts, projects, votesReceived, comments, following, followers, totals (compteurs à vie),
+//         creditsEarned, streak, plan, memberDays, createdAt, bio
+const RICH_PLANS = ['starter', 'pro', 'elite'];
+const total = (s, counter) => s.totals[counter] || 0;
+
+const BADGES = [
+  // Publications
+  { id: 'first_post',     credits: 5,   rule: s => s.posts >= 1 },
+  { id: 'post5',          credits: 10,  rule: s => s.posts >= 5 },
+  { id: 'post20',         credits: 20,  rule: s => s.posts >= 20 },
+  { id: 'post50',         credits: 35,  rule: s => s.posts >= 50 },
+  { id: 'post100',        credits: 60,  rule: s => s.posts >= 100 },
+  { id: 'post500',        credits: 150, rule: s => s.posts >= 500 },
+  // Votes reçus
+  { id: 'first_vote',     credits: 5,   rule: s => s.votesReceived >= 1 },
+  { id: 'votes10',        credits: 15,  rule: s => s.votesReceived >= 10 },
+  { id: 'votes50',        credits: 30,  rule: s => s.votesReceived >= 50 },
+  { id: 'votes100',       credits: 50,  rule: s => s.votesReceived >= 100 },
+  { id: 'votes500',       credits: 100, rule: s => s.votesReceived >= 500 },
+  { id: 'votes1000',      credits: 200, rule: s => s.votesReceived >= 1000 },
+  // Profil & réseau
+  { id: 'bio',            credits: 10,  rule: s => (s.bio || '').length > 10 },
+  { id: 'follow1',        credits: 5,   rule: s => s.following >= 1 },
+  { id: 'follow10',       credits: 15,  rule: s => s.following >= 10 },
+  { id: 'follow50',       credits: 30,  rule: s => s.following >= 50 },
+  { id: 'follow100',      credits: 50,  rule: s => s.following >= 100 },
+  { id: 'followers10',    credits: 15,  rule: s => s.followers >= 10 },
+  { id: 'followers50',    credits: 35,  rule: s => s.followers >= 50 },
+  { id: 'followers100',   credits: 60,  rule: s => s.followers >= 100 },
+  // Messages & communauté
+  { id: 'dm_king',        credits: 15,  rule: s => RICH_PLANS.includes(s.plan) && total(s, 'dm') >= 5 },
+  { id: 'dm_master',      credits: 40,  rule: s => total(s, 'dm') >= 50 },
+  { id: 'chat_pioneer',   credits: 10,  rule: s => total(s, 'chat') >= 20 },
+  { id: 'chat_legend',    credits: 30,  rule: s => total(s, 'chat') >= 200 },
+  { id: 'group_member',   credits: 10,  rule: s => total(s, 'group_join') >= 1 },
+  { id: 'group_chatter',  credits: 25,  rule: s => total(s, 'group_message') >= 50 },
+  { id: 'group_founder',  credits: 40,  rule: s => s.plan === 'elite' && total(s, 'group_create') >= 1 },
+  // IA
+  { id: 'ia_first',       credits: 10,  rule: s => total(s, 'ai_run') >= 1 },
+  { id: 'ia_master',      credits: 30,  rule: s => ['pro', 'elite'].includes(s.plan) && total(s, 'ai_run') >= 10 },
+  { id: 'ia_addict',      credits: 75,  rule: s => total(s, 'ai_run') >= 50 },
+  // Vitrine
+  { id: 'first_showcase', credits: 12,  rule: s => s.projects >= 1 },
+  { id: 'showcase5',      credits: 25,  rule: s => s.projects >= 5 },
+  { id: 'showcase10',     credits: 50,  rule: s => s.projects >= 10 },
+  // Crédits & boutique
+  { id: 'credits50',      credits: 15,  rule: s => s.creditsEarned >= 50 },
+  { id: 'credits200',     credits: 30,  rule: s => s.creditsEarned >= 200 },
+  { id: 'credits1000',    credits: 100, rule: s => s.creditsEarned >= 1000 },
+  { id: 'shop_first',     credits: 10,  rule: s => total(s, 'shop_purchase') >= 1 },
+  { id: 'shop_power',     credits: 30,  rule: s => total(s, 'shop_purchase') >= 10 },
+  { id: 'plan_credits',   credits: 30,  rule: s => total(s, 'plan_purchase') >= 1 },
+  // Collabs
+  { id: 'first_collab',   credits: 15,  rule: s => total(s, 'collab_request') >= 1 },
+  { id: 'collab5',        credits: 35,  rule: s => total(s, 'collab_request') >= 5 },
+  { id: 'collab_master',  credits: 80,  rule: s => total(s, 'collab_request') >= 10 },
+  // Réactions, likes, commentaires, partages
+  { id: 'first_react',    credits: 5,   rule: s => total(s, 'reaction') >= 1 },
+  { id: 'react50',        credits: 20,  rule: s => total(s, 'reaction') >= 50 },
+  { id: 'react200',       credits: 50,  rule: s => total(s, 'reaction') >= 200 },
+  { id: 'like10',         credits: 8,   rule: s => total(s, 'like') >= 10 },
+  { id: 'like100',        credits: 25,  rule: s => total(s, 'like') >= 100 },
+  { id: 'like500',        credits: 60,  rule: s => total(s, 'like') >= 500 },
+  { id: 'comment5',       credits: 10,  rule: s => s.comments >= 5 },
+  { id: 'comment20',      credits: 30,  rule: s => s.comments >= 20 },
+  { id: 'share5',         credits: 10,  rule: s => total(s, 'share') >= 5 },
+  { id: 'share20',        credits: 30,  rule: s => total(s, 'share') >= 20 },
+  // Ancienneté & assiduité
+  { id: 'early',          credits: 20,  rule: s => !!s.createdAt && s.createdAt < '2026-06-01' },
+  { id: 'week1',          credits: 10,  rule: s => s.memberDays >= 7 },
+  { id: 'month1',         credits: 25,  rule: s => s.memberDays >= 30 },
+  { id: 'month6',         credits: 60,  rule: s => s.memberDays >= 180 },
+  { id: 'year1',          credits: 150, rule: s => s.memberDays >= 365 },
+  { id: 'mission5',       credits: 20,  rule: s => total(s, 'mission_claim') >= 5 },
+  { id: 'mission20',      credits: 60,  rule: s => total(s, 'mission_claim') >= 20 },
+  { id: 'streak3',        credits: 15,  rule: s => s.streak >= 3 },
+  { id: 'streak7',        credits: 35,  rule: s => s.streak >= 7 },
+  { id: 'streak30',       credits: 100, rule: s => s.streak >= 30 },
+  // Plans
+  { id: 'starter_badge',  credits: 20,  rule: s => RICH_PLANS.includes(s.plan) },
+  { id: 'pro_badge',      credits: 50,  rule: s => ['pro', 'elite'].includes(s.plan) },
+  { id: 'affiliate',      credits: 25,  rule: s => ['pro', 'elite'].includes(s.plan) },
+  { id: 'elite_badge',    credits: 100, rule: s => s.plan === 'elite' },
+  { id: 'legend',         credits: 150, rule: s => s.plan === 'elite' && s.votesReceived >= 100 && s.posts >= 20 },
+  { id: 'king',           credits: 200, rule: s => s.plan === 'elite' && s.votesReceived >= 200 },
+  { id: 'god',            credits: 500, rule: s => s.plan === 'elite' && s.votesReceived >= 1000 && s.posts >= 500 },
+];
+
+// Badges que `stats` débloque et qui ne sont pas encore dans `earned` ({ id: date })
+function newBadges(stats, earned = {}) {
+  return BADGES.filter(b => !earned[b.id] && b.rule(stats));
+}
+
+module.exports = {
+  WELCOME_CREDITS, SHOP_ITEMS, CREDIT_PACKS, XP_PER_EVENT, XP_DAILY_CAP, MISSIONS, BADGES,
+  xpForLevel, levelProgress, missionProgress, newBadges,
+};
@@ -0,0 +1,181 @@
+// ════════════════════════════════════════
+// ── TÂCHES PLANIFIÉES — file persistante dans db.jobs, reprise au redémarrage
+// ── Job : { id, type, key, payload, runAt, every, status, attempts, lastError }
+// ── schedule(type, runAt, payload, { key }) → exécuté une fois puis retiré
+// ── define(type, handler, { every })       → récurrent, replanifié après chaque passage
+// ── `key` identifie un job métier (« post:<id> ») : le replanifier ou l'annuler sans son id.
+// ── Un échec est retenté (attente doublée à chaque fois) jusqu'à maxAttempts, puis
+// ── le job reste en « failed » pour examen pendant failedRetentionMs, puis est purgé. Un job « running » trouvé au démarrage
+// ── (arrêt en plein travail) repart aussitôt : les handlers doivent être rejouables.
+// ── Plusieurs instances sur la même file : seule celle pour qui isActive() est vrai
+// ── (titulaire du bail « jobs ») exécute ; les autres se contentent de planifier.
+// ════════════════════════════════════════
+
+const crypto = require('crypto');
+
+const MAX_SLEEP_MS = 60 * 1000; // réveil au moins une fois par minute quoi qu'il arrive
+const RETRY_BASE_MS = 30 * 1000;
+const MAX_ATTEMPTS = 5;
+const FAILED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+function createScheduler({ db, save, isActive = () => true, maxAttempts = MAX_ATTEMPTS, retryBaseMs = RETRY_BASE_MS, failedRetentionMs = FAILED_RETENTION_MS }) {
+  const handlers = new Map(); // type → async (payload, job)
+  const recurring = new Map(); // type → intervalle (ms), planifiés par start()
+  const running = new Set();  // ids en cours d'exécution
+  let timer = null;
+  let started = false;
+
+  function define(type, handler, { every: intervalMs = null } = {}) {
+    handlers.set(type, handler);
+    if (intervalMs) recurring.set(type, intervalMs);
+  }
+
+  // Le job en attente d'abord : une clé peut avoir un passage en cours et le suivant déjà planifié
+  function byKey(key) {
+    return db.jobs.find(j => j.key === key && j.status === 'pending')
+      || db.jobs.find(j => j.key === key && j.status === 'running')
+      || null;
+  }
+
+  // Crée le job, ou replanifie celui qui porte déjà cette clé (s'il n'est pas en cours)
+  function schedule(type, runAt, payload = {}, { key = null } = {}) {
+    const now = new Date().toISOString();
+    const at = new Date(runAt).toISOString();
+    let job = key && byKey(key);
+    if (job && job.status === 'pending') {
+      Object.assign(job, { type, payload, runAt: at, attempts: 0, lastError: null, updatedAt: now });
+    } else {
+      job = {
+        id: 'job_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+        type,
+        key,
+        payload,
+        runAt: at,
+        every: null,
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      db.jobs.push(job);
+    }
+    save();
+    arm();
+    return job;
+  }
+
+  // Un seul job récurrent par type ; l'intervalle du code l'emporte sur celui enregistré
+  function every(type, intervalMs) {
+    const key = 'every:' + type;
+    const job = byKey(key);
+    if (!job) return Object.assign(schedule(type, Date.now() + intervalMs, {}, { key }), { every: intervalMs });
+    const latest = Date.now() + intervalMs;
+    job.every = intervalMs;
+    if (job.status === 'pending' && Date.parse(job.runAt) > latest) job.runAt = new Date(latest).toISOString();
+    arm();
+    return job;
+  }
+
+  // Retire le job en attente de cette clé → true s'il existait
+  function cancel(key) {
+    const job = byKey(key);
+    if (!job || job.status !== 'pending') return false;
+    db.jobs = db.jobs.filter(j => j !== job);
+    save();
+    arm();
+    return true;
+  }
+
+  function get(key) {
+    return byKey(key);
+  }
+
+  async function run(job) {
+    const handler = handlers.get(job.type);
+    running.add(job.id);
+    Object.assign(job, { status: 'running', attempts: job.attempts + 1, startedAt: new Date().toISOString() });
+    save();
+    try {
+      if (!handler) throw new Error(`Aucun handler pour « ${job.type} »`);
+      await handler(job.payload, job);
+      if (job.every) Object.assign(job, { status: 'pending', runAt: new Date(Date.now() + job.every).toISOString(), attempts: 0, lastError: null });
+      else db.jobs = db.jobs.filter(j => j !== job);
+    } catch(e) {
+      console.error(`❌ Job ${job.type} (${job.key || job.id}) :`, e.message);
+      job.lastError = String(e.message).slice(0, 300);
+      if (job.every) Object.assign(job, { status: 'pending', runAt: new Date(Date.now() + job.every).toISOString() });
+      else if (job.attempts >= maxAttempts) Object.assign(job, { status: 'failed', failedAt: new Date().toISOString() });
+      else Object.assign(job, { status: 'pending', runAt: new Date(Date.now() + retryBaseMs * 2 ** (job.attempts - 1)).toISOString() });
+    } finally {
+      job.updatedAt = new Date().toISOString();
+      running.delete(job.id);
+      save();
+      arm();
+    }
+  }
+
+  // Jobs en échec gardés pour examen, puis retirés de la file
+  function prune(now) {
+    const kept = db.jobs.filter(j => j.status !== 'failed' || now - Date.parse(j.failedAt || j.updatedAt) < failedRetentionMs);
+    if (kept.length === db.jobs.length) return;
+    db.jobs = kept;
+    save();
+  }
+
+  function tick() {
+    timer = null;
+    if (!started) return;
+    if (!isActive()) return arm();
+    const now = Date.now();
+    prune(now);
+    // « running » sans passage en cours ici : laissé par l'instance qui tenait le bail avant nous
+    db.jobs
+      .filter(j => (j.status === 'running' || j.status === 'pending' && Date.parse(j.runAt) <= now) && !running.has(j.id))
+      .forEach(run);
+    arm();
+  }
+
+  // Un seul minuteur, calé sur la prochaine échéance
+  function arm() {
+    if (!started) return;
+    clearTimeout(timer);
+    const next = db.jobs.reduce((min, j) => (j.status === 'pending' && !running.has(j.id) ? Math.min(min, Date.parse(j.runAt)) : min), Infinity);
+    timer = setTimeout(tick, Math.max(0, Math.min(next - Date.now(), MAX_SLEEP_MS)));
+    timer.unref();
+  }
+
+  // Après le chargement de `db` : les échéances enregistrées sont reprises telles quelles
+  // (un travail périodique retiré du code disparaît de la file)
+  function start() {
+    db.jobs = db.jobs.filter(j => !j.every || recurring.has(j.type));
+    if (isActive()) db.jobs.forEach(j => { if (j.status === 'running') j.status = 'pending'; });
+    recurring.forEach((intervalMs, type) => every(type, intervalMs));
+    started = true;
+    arm();
+  }
+
+  function stop() {
+    started = false;
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  function stats() {
+    const count = status => db.jobs.filter(j => j.status === status).length;
+    return { pending: count('pending'), running: running.size, failed: count('failed') };
+  }
+
+  return {
+    define,
+    schedule,
+    cancel,
+    get,
+    start,
+    stop,
+    stats,
+    describe: () => { const s = stats(); return `${s.pending} en attente · ${s.failed} en échec`; },
+  };
+}
+
+module.exports = { MAX_ATTEMPTS, FAILED_RETENTION_MS, createScheduler };
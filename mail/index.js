@@ -0,0 +1,125 @@
+// ════════════════════════════════════════
+// ── EMAIL — transport interchangeable + composition des messages
+// ── MAIL_TRANSPORT=console (défaut) → résumé dans la console, rien ne part
+// ── MAIL_TRANSPORT=file             → un fichier .eml par message dans MAIL_DIR (outbox/)
+// ── MAIL_TRANSPORT=smtp             → SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+// ── Forme commune : { name, send({ envelope, raw, messageId }), describe }
+// ── Les gabarits (campagnes, double opt-in) et le CSV sont dans templates.js.
+// ════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createSmtpTransport } = require('./smtp');
+const { escapeHtml, extractLinks, renderCampaign, optInMessage, verifyEmailMessage, parseCsv } = require('./templates');
+
+const DEFAULT_FROM = 'ViralBoost <no-reply@viralboost.app>';
+
+// « Nom <adresse> » → { name, address }
+function parseAddress(value) {
+  const m = String(value || '').match(/^\s*(?:"?([^"<]*?)"?\s*)?<([^>]+)>\s*$/);
+  return m ? { name: (m[1] || '').trim(), address: m[2].trim() } : { name: '', address: String(value || '').trim() };
+}
+
+// En-tête non ASCII → mot encodé (RFC 2047)
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : '=?UTF-8?B?' + Buffer.from(value, 'utf8').toString('base64') + '?=';
+}
+
+function formatAddress({ name, address }) {
+  if (!name) return `<${address}>`;
+  const safe = name.replace(/["\\\r\n]/g, '');
+  return `${/^[\x20-\x7e]*$/.test(safe) ? `"${safe}"` : encodeHeader(safe)} <${address}>`;
+}
+
+function base64Lines(text) {
+  return Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// { from, to, replyTo, subject, text, html, headers } → message prêt pour un transport
+function buildMessage({ from, to, replyTo, subject, text, html, headers = {} }) {
+  const sender = typeof from === 'string' ? parseAddress(from) : from;
+  const recipient = typeof to === 'string' ? parseAddress(to) : to;
+  const domain = sender.address.split('@')[1] || 'viralboost.app';
+  const messageId = `<${Date.now().toString(36)}.${crypto.randomBytes(6).toString('hex')}@${domain}>`;
+  const boundary = 'vb_' + crypto.randomBytes(12).toString('hex');
+  const head = {
+    'From': formatAddress(sender),
+    'To': formatAddress(recipient),
+    ...(replyTo ? { 'Reply-To': formatAddress(typeof replyTo === 'string' ? parseAddress(replyTo) : replyTo) } : {}),
+    'Subject': encodeHeader(String(subject || '').replace(/[\r\n]+/g, ' ')),
+    'Date': new Date().toUTCString().replace('GMT', '+0000'),
+    'Message-ID': messageId,
+    'MIME-Version': '1.0',
+    ...headers,
+    'Content-Type': `multipart/alternative; boundary="${boundary}"`,
+  };
+  const part = (type, body) => [`--${boundary}`, `Content-Type: ${type}; charset=utf-8`, 'Content-Transfer-Encoding: base64', '', base64Lines(body)].join('\r\n');
+  const raw = [
+    ...Object.entries(head).map(([k, v]) => `${k}: ${v}`),
+    '',
+    part('text/plain', text || ''),
+    part('text/html', html || ''),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+  return { envelope: { from: sender.address, to: recipient.address }, to: recipient.address, subject, raw, messageId };
+}
+
+// Rien ne part : une ligne par message (développement)
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`📧 ${message.to} — ${message.subject} (${message.messageId})`);
+      return { messageId: message.messageId };
+    },
+    describe: () => 'console (aucun envoi réel)',
+  };
+}
+
+// Un .eml par message, lisible par n'importe quel client mail (tests, préproduction)
+function createFileTransport({ dir }) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(3).toString('hex')}.eml`);
+      await fs.promises.writeFile(file, message.raw);
+      return { messageId: message.messageId, file };
+    },
+    describe: () => `fichiers (${dir})`,
+  };
+}
+
+function createTransportFromEnv(env = process.env) {
+  const mode = (env.MAIL_TRANSPORT || 'console').toLowerCase();
+  if (mode === 'console') return createConsoleTransport();
+  if (mode === 'file') return createFileTransport({ dir: env.MAIL_DIR || path.join(__dirname, '..', 'outbox') });
+  if (mode === 'smtp') {
+    return createSmtpTransport({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : undefined,
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+    });
+  }
+  throw new Error(`MAIL_TRANSPORT inconnu : ${mode}`);
+}
+
+module.exports = {
+  DEFAULT_FROM,
+  parseAddress,
+  buildMessage,
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  createTransportFromEnv,
+  extractLinks,
+  renderCampaign,
+  optInMessage,
+  verifyEmailMessage,
+  parseCsv,
+  escapeHtml,
+};
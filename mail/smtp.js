@@ -0,0 +1,121 @@
+// ── Client SMTP minimal (net/tls, sans dépendance) : une connexion par message.
+// ── EHLO → STARTTLS si proposé (port 587) → AUTH PLAIN → MAIL FROM → RCPT TO → DATA.
+// ── SMTP_SECURE=true (ou port 465) : TLS dès la connexion.
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+const TIMEOUT_MS = 20000;
+
+// Lit les réponses du serveur (multi-lignes « 250-… » jusqu'à « 250 … »)
+function createReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const queue = [];
+  const waiters = [];
+
+  function onData(chunk) {
+    buffer += chunk.toString('utf8');
+    let i;
+    while ((i = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, i);
+      buffer = buffer.slice(i + 2);
+      lines.push(line);
+      if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines: lines.map(l => l.slice(4)) };
+        lines = [];
+        const waiter = waiters.shift();
+        if (waiter) waiter.resolve(reply); else queue.push(reply);
+      }
+    }
+  }
+
+  function onError(e) { waiters.splice(0).forEach(w => w.reject(e)); }
+  function onClose() { onError(new Error('Connexion SMTP fermée')); }
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next() {
+      if (queue.length) return Promise.resolve(queue.shift());
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    },
+  };
+}
+
+function createSmtpTransport({ host, port = 587, secure = Number(port) === 465, user, pass, hostname = os.hostname(), timeoutMs = TIMEOUT_MS }) {
+  if (!host) throw new Error('SMTP_HOST requis avec MAIL_TRANSPORT=smtp');
+
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const socket = secure
+        ? tls.connect({ host, port: Number(port), servername: host }, () => resolve(socket))
+        : net.connect({ host, port: Number(port) }, () => resolve(socket));
+      socket.once('error', reject);
+      socket.setTimeout(timeoutMs, () => socket.destroy(new Error('Délai SMTP dépassé')));
+    });
+  }
+
+  function upgrade(socket) {
+    return new Promise((resolve, reject) => {
+      const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+      secured.once('error', reject);
+      secured.setTimeout(timeoutMs, () => secured.destroy(new Error('Délai SMTP dépassé')));
+    });
+  }
+
+  // { from, to, raw } → { messageId, response }
+  async function send({ envelope, raw, messageId }) {
+    let socket = await connect();
+    let reader = createReader(socket);
+    const command = async (line, expected) => {
+      if (line !== null) socket.write(line + '\r\n');
+      const reply = await reader.next();
+      if (!expected.includes(reply.code)) {
+        const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+        throw new Error(`SMTP ${reply.code} après « ${shown || 'connexion'} » : ${reply.lines.join(' ')}`);
+      }
+      return reply;
+    };
+    try {
+      await command(null, [220]);
+      const ehlo = await command('EHLO ' + hostname, [250]);
+      if (!secure && ehlo.lines.some(l => /^STARTTLS\b/i.test(l))) {
+        await command('STARTTLS', [220]);
+        reader.detach();
+        socket = await upgrade(socket);
+        reader = createReader(socket);
+        await command('EHLO ' + hostname, [250]);
+      }
+      if (user) await command('AUTH PLAIN ' + Buffer.from(`\0${user}\0${pass || ''}`).toString('base64'), [235]);
+      await command(`MAIL FROM:<${envelope.from}>`, [250]);
+      await command(`RCPT TO:<${envelope.to}>`, [250, 251]);
+      await command('DATA', [354]);
+      // « dot-stuffing » : une ligne qui commence par « . » est doublée
+      const body = raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+      const reply = await command(body + '\r\n.', [250]);
+      socket.write('QUIT\r\n');
+      return { messageId, response: reply.lines.join(' ') };
+    } finally {
+      reader.detach();
+      socket.on('error', () => {}); // fermeture : plus rien à signaler
+      socket.end();
+    }
+  }
+
+  return {
+    name: 'smtp',
+    send,
+    describe: () => `SMTP ${host}:${port}${secure ? ' (TLS)' : ''}`,
+  };
+}
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,122 @@
+// ── Gabarits d'emails (campagnes, confirmation d'inscription) et lecture des CSV importés.
+// ── Une campagne est écrite en texte brut : paragraphes séparés par une ligne vide,
+// ── liens http(s) repérés tels quels, placeholders {name} et {email}.
+
+const LINK_RE = /https?:\/\/[^\s<>"')\]]+/g;
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// La ponctuation finale d'une phrase ne fait pas partie du lien
+function trimLink(url) {
+  return url.replace(/[.,;:!?]+$/, '');
+}
+
+// Liens distincts du corps, dans l'ordre d'apparition : leur index sert au suivi des clics
+function extractLinks(body) {
+  return [...new Set((String(body || '').match(LINK_RE) || []).map(trimLink))];
+}
+
+function personalize(text, vars) {
+  return String(text || '').replace(/\{(name|email)\}/g, (_, key) => vars[key] || '');
+}
+
+// Remplace chaque lien par celui que renvoie rewrite(url, index)
+function mapLinks(text, links, rewrite) {
+  return text.replace(LINK_RE, match => {
+    const url = trimLink(match);
+    const index = links.indexOf(url);
+    return (index === -1 ? url : rewrite(url, index)) + match.slice(url.length);
+  });
+}
+
+function layout(inner) {
+  return '<!doctype html><html><body style="margin:0;padding:24px;background:#f4f5f7;font-family:Helvetica,Arial,sans-serif;color:#1f2430">'
+    + '<div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:10px;padding:28px 32px;font-size:15px;line-height:1.6">'
+    + inner + '</div></body></html>';
+}
+
+// { subject, body, fromName } + { vars, links, linkUrl(index), pixelUrl, unsubscribeUrl } → { subject, text, html }
+function renderCampaign({ subject, body, fromName }, { vars = {}, links = [], linkUrl = null, pixelUrl = null, unsubscribeUrl = null }) {
+  const content = personalize(body, vars);
+  const track = (url, index) => (linkUrl ? linkUrl(index) : url);
+  const footerText = `You receive this email because you subscribed to ${fromName}'s list.`;
+
+  const text = mapLinks(content, links, track)
+    + `\n\n—\n${footerText}` + (unsubscribeUrl ? `\nUnsubscribe: ${unsubscribeUrl}` : '');
+
+  const paragraphs = content.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean).map(p => {
+    const html = mapLinks(escapeHtml(p), links.map(escapeHtml), (shown, index) => `<a href="${escapeHtml(track(links[index], index))}" style="color:#0284c7">${shown}</a>`);
+    return `<p style="margin:0 0 14px">${html.replace(/\n/g, '<br>')}</p>`;
+  });
+  const html = layout(
+    paragraphs.join('')
+    + `<hr style="border:none;border-top:1px solid #e5e7eb;margin:24px 0 12px">`
+    + `<p style="margin:0;font-size:12px;color:#6b7280">${escapeHtml(footerText)}`
+    + (unsubscribeUrl ? ` <a href="${escapeHtml(unsubscribeUrl)}" style="color:#6b7280">Unsubscribe</a>` : '') + '</p>'
+    + (pixelUrl ? `<img src="${escapeHtml(pixelUrl)}" width="1" height="1" alt="" style="display:block;border:0">` : '')
+  );
+  return { subject: personalize(subject, vars), text, html };
+}
+
+// Double opt-in : l'inscription n'est active qu'après le clic sur confirmUrl
+function optInMessage({ creatorName, confirmUrl }) {
+  const subject = `Confirm your subscription to ${creatorName}`;
+  const text = `Hi,\n\nPlease confirm that you want to receive emails from ${creatorName} on ViralBoost:\n${confirmUrl}\n\n`
+    + `If you did not ask for this, ignore this email: you will not be subscribed.`;
+  const html = layout(
+    `<p style="margin:0 0 14px">Hi,</p>`
+    + `<p style="margin:0 0 20px">Please confirm that you want to receive emails from <strong>${escapeHtml(creatorName)}</strong> on ViralBoost.</p>`
+    + `<p style="margin:0 0 20px"><a href="${escapeHtml(confirmUrl)}" style="display:inline-block;background:#0284c7;color:#fff;text-decoration:none;padding:11px 22px;border-radius:8px;font-weight:bold">Confirm my subscription</a></p>`
+    + `<p style="margin:0;font-size:12px;color:#6b7280">If you did not ask for this, ignore this email: you will not be subscribed.</p>`
+  );
+  return { subject, text, html };
+}
+
+// Vérification de l'adresse d'un compte ; `claim` : ancien compte sans mot de passe, choisi via le lien
+function verifyEmailMessage({ name, verifyUrl, claim = false }) {
+  const subject = claim ? 'Confirm it is you to access your ViralBoost account' : 'Confirm your email on ViralBoost';
+  const intro = claim
+    ? 'Someone asked to access the ViralBoost account linked to this address. If it was you, open this link to choose your password:'
+    : 'Please confirm your email address to secure your ViralBoost account:';
+  const text = `Hi ${name},\n\n${intro}\n${verifyUrl}\n\nThis link expires in 24 hours. If you did not ask for this, ignore this email: nothing will change.`;
+  const html = layout(
+    `<p style="margin:0 0 14px">Hi ${escapeHtml(name)},</p>`
+    + `<p style="margin:0 0 20px">${escapeHtml(intro)}</p>`
+    + `<p style="margin:0 0 20px"><a href="${escapeHtml(verifyUrl)}" style="display:inline-block;background:#0284c7;color:#fff;text-decoration:none;padding:11px 22px;border-radius:8px;font-weight:bold">${claim ? 'Choose my password' : 'Confirm my email'}</a></p>`
+    + `<p style="margin:0;font-size:12px;color:#6b7280">This link expires in 24 hours. If you did not ask for this, ignore this email: nothing will change.</p>`
+  );
+  return { subject, text, html };
+}
+
+// CSV (séparateur « , » ou « ; » deviné sur la 1re ligne, guillemets doublés, BOM) → lignes
+function parseCsv(input) {
+  const text = String(input || '').replace(/^﻿/, '');
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const sep = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"' && cell === '') quoted = true;
+    else if (c === sep) { row.push(cell); cell = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); cell = '';
+      if (row.some(v => v.trim())) rows.push(row);
+      row = [];
+    } else cell += c;
+  }
+  row.push(cell);
+  if (row.some(v => v.trim())) rows.push(row);
+  return rows.map(r => r.map(v => v.trim()));
+}
+
+module.exports = { escapeHtml, extractLinks, personalize, renderCampaign, optInMessage, verifyEmailMessage, parseCsv };
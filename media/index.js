@@ -0,0 +1,156 @@
+// ════════════════════════════════════════
+// ── PIPELINE MÉDIA — validation, métadonnées retirées, variantes, affiche vidéo
+// ── Fichiers rangés par empreinte SHA-256 : <hash>.<ext>, <hash>_w720.webp, <hash>_poster.webp
+// ── FFMPEG_PATH (défaut : ffmpeg du système) pour les vidéos ; sans ffmpeg la vidéo
+// ── est gardée telle quelle, sans affiche
+// ════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const sharp = require('sharp');
+const { ALLOWED, HEADER_BYTES, sniff } = require('./sniff');
+
+const IMAGE_WIDTHS = [320, 720, 1280];
+const FFMPEG_TIMEOUT_MS = 60000;
+
+function createMediaPipeline({ dir, publicPath = '/uploads', ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg' }) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  let ffmpegAvailable = null;
+
+  const fileOf = name => path.join(dir, name);
+  const urlOf = name => `${publicPath}/${name}`;
+
+  function runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+      const proc = spawn(ffmpegPath, ['-hide_banner', '-loglevel', 'error', ...args]);
+      let stderr = '';
+      const timer = setTimeout(() => proc.kill('SIGKILL'), FFMPEG_TIMEOUT_MS);
+      proc.stderr.on('data', d => { stderr += d; });
+      proc.on('error', e => { clearTimeout(timer); reject(e); });
+      proc.on('close', code => {
+        clearTimeout(timer);
+        code === 0 ? resolve() : reject(new Error(`ffmpeg (${code}) : ${stderr.trim().slice(0, 300)}`));
+      });
+    });
+  }
+
+  async function hasFfmpeg() {
+    if (ffmpegAvailable === null) {
+      ffmpegAvailable = await runFfmpeg(['-version']).then(() => true, () => false);
+      if (!ffmpegAvailable) console.log('⚠️  ffmpeg introuvable — vidéos gardées telles quelles, sans affiche');
+    }
+    return ffmpegAvailable;
+  }
+
+  async function readHeader(file) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_BYTES), 0, HEADER_BYTES, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  function hashFile(file) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(file).on('data', d => hash.update(d)).on('end', () => resolve(hash.digest('hex'))).on('error', reject);
+    });
+  }
+
+  async function webpVariants(input, hash, width) {
+    const variants = [];
+    for (const w of IMAGE_WIDTHS.filter(w => w < width)) {
+      const name = `${hash}_w${w}.webp`;
+      await sharp(input).rotate().resize({ width: w }).webp({ quality: 80 }).toFile(fileOf(name));
+      variants.push({ width: w, url: urlOf(name), name });
+    }
+    return variants;
+  }
+
+  // L'image est ré-encodée : sharp ne recopie aucune métadonnée (EXIF, GPS, XMP)
+  // sauf l'orientation, appliquée aux pixels par rotate()
+  async function processImage(tmp, type, hash) {
+    const name = `${hash}.${type.ext}`;
+    const animated = type.format === 'gif' || type.format === 'webp';
+    const meta = await sharp(tmp, { animated }).metadata();
+    if (type.format === 'gif') await fs.promises.copyFile(tmp, fileOf(name)); // pas d'EXIF dans un GIF
+    else await (animated ? sharp(tmp, { animated }) : sharp(tmp).rotate()).toFormat(type.format, type.format === 'png' ? {} : { quality: 90 }).toFile(fileOf(name));
+    const info = await sharp(fileOf(name)).metadata();
+    const width = info.width || meta.width;
+    return {
+      name,
+      width,
+      height: info.pageHeight || info.height || meta.height,
+      variants: await webpVariants(fileOf(name), hash, width),
+      poster: null,
+      metadataStripped: true,
+    };
+  }
+
+  async function processVideo(tmp, type, hash) {
+    const name = `${hash}.${type.ext}`;
+    if (!(await hasFfmpeg())) {
+      await fs.promises.copyFile(tmp, fileOf(name));
+      return { name, width: null, height: null, variants: [], poster: null, metadataStripped: false };
+    }
+    // Copie des flux sans ré-encodage, métadonnées globales (GPS, appareil…) retirées
+    await runFfmpeg(['-y', '-i', tmp, '-map', '0', '-map_metadata', '-1', '-c', 'copy', fileOf(name)]);
+    const frame = fileOf(`${hash}_frame.png`);
+    try {
+      await runFfmpeg(['-y', '-ss', '1', '-i', fileOf(name), '-frames:v', '1', frame])
+        .catch(() => runFfmpeg(['-y', '-i', fileOf(name), '-frames:v', '1', frame])); // vidéo de moins d'1 s
+      const posterName = `${hash}_poster.webp`;
+      await sharp(frame).webp({ quality: 80 }).toFile(fileOf(posterName));
+      const { width, height } = await sharp(frame).metadata();
+      return {
+        name,
+        width,
+        height,
+        variants: await webpVariants(frame, hash, width),
+        poster: { url: urlOf(posterName), name: posterName },
+        metadataStripped: true,
+      };
+    } finally {
+      await fs.promises.rm(frame, { force: true });
+    }
+  }
+
+  // Fichier temporaire (multer) → fichiers finaux. Le temporaire est toujours supprimé.
+  // `known(hash)` renvoie un traitement déjà fait pour ce contenu : rien n'est refait.
+  async function ingest(tmp, { known } = {}) {
+    try {
+      const type = sniff(await readHeader(tmp));
+      if (!type) {
+        const err = new Error('Type de fichier non autorisé (' + Object.values(ALLOWED).map(t => t.ext).join(', ') + ')');
+        err.code = 'media_type_rejected';
+        throw err;
+      }
+      const hash = await hashFile(tmp);
+      const previous = known && known(hash);
+      if (previous && fs.existsSync(fileOf(previous.name))) return { ...previous, deduplicated: true };
+      const result = type.kind === 'image' ? await processImage(tmp, type, hash) : await processVideo(tmp, type, hash);
+      const files = [result.name, ...result.variants.map(v => v.name), ...(result.poster ? [result.poster.name] : [])];
+      let bytes = 0;
+      for (const f of files) bytes += (await fs.promises.stat(fileOf(f))).size;
+      return { hash, kind: type.kind, mime: type.mime, url: urlOf(result.name), bytes, files, ...result, deduplicated: false };
+    } finally {
+      await fs.promises.rm(tmp, { force: true });
+    }
+  }
+
+  async function remove(files) {
+    await Promise.all(files.map(f => fs.promises.rm(fileOf(path.basename(f)), { force: true })));
+  }
+
+  function describe() {
+    return ffmpegAvailable === false ? 'images (sharp), vidéos sans ffmpeg' : 'images (sharp) + vidéos (ffmpeg)';
+  }
+
+  return { ingest, remove, describe, hasFfmpeg };
+}
+
+module.exports = { IMAGE_WIDTHS, createMediaPipeline, sniff };
@@ -0,0 +1,37 @@
+// ── Détection du vrai type d'un fichier par ses premiers octets (« magic bytes »).
+// ── Le nom et le Content-Type envoyés par le navigateur ne sont jamais crus.
+
+const ALLOWED = {
+  jpeg: { kind: 'image', mime: 'image/jpeg', ext: 'jpg' },
+  png:  { kind: 'image', mime: 'image/png',  ext: 'png' },
+  gif:  { kind: 'image', mime: 'image/gif',  ext: 'gif' },
+  webp: { kind: 'image', mime: 'image/webp', ext: 'webp' },
+  mp4:  { kind: 'video', mime: 'video/mp4',  ext: 'mp4' },
+  mov:  { kind: 'video', mime: 'video/quicktime', ext: 'mov' },
+  webm: { kind: 'video', mime: 'video/webm', ext: 'webm' },
+};
+
+const HEADER_BYTES = 64;
+
+function startsWith(buf, bytes, offset = 0) {
+  return bytes.every((b, i) => buf[offset + i] === b);
+}
+
+// → { format, kind, mime, ext } ou null si le type n'est pas autorisé
+function sniff(buf) {
+  let format = null;
+  if (startsWith(buf, [0xFF, 0xD8, 0xFF])) format = 'jpeg';
+  else if (startsWith(buf, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) format = 'png';
+  else if (buf.toString('ascii', 0, 6) === 'GIF87a' || buf.toString('ascii', 0, 6) === 'GIF89a') format = 'gif';
+  else if (buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') format = 'webp';
+  else if (startsWith(buf, [0x1A, 0x45, 0xDF, 0xA3])) format = 'webm';
+  else if (buf.toString('ascii', 4, 8) === 'ftyp') {
+    // ISO BMFF : la marque dit s'il s'agit d'un MP4 ou d'un MOV (les HEIC/AVIF sont refusés)
+    const brand = buf.toString('ascii', 8, 12);
+    if (brand === 'qt  ') format = 'mov';
+    else if (['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash', '3gp4', '3gp5'].includes(brand)) format = 'mp4';
+  }
+  return format ? { format, ...ALLOWED[format] } : null;
+}
+
+module.exports = { ALLOWED, HEADER_BYTES, sniff };
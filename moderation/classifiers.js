@@ -0,0 +1,41 @@
+// ── Classifieurs « LLM » : même interface classify(text, type) → { score, categories, reason }
+// ── anthropic → le client Anthropic injecté par server.js
+// ── stub      → local et déterministe, pour travailler hors ligne
+
+const CATEGORIES = ['spam', 'arnaque', 'haine', 'harcèlement', 'sexuel', 'violence'];
+
+function createAnthropicClassifier({ client, model }) {
+  async function classify(text, type) {
+    const response = await client.messages.create({
+      model,
+      max_tokens: 200,
+      system: `Tu es le modérateur d'un réseau social de créateurs. Évalue le contenu (${type}) fourni par l'utilisateur. `
+        + `Réponds UNIQUEMENT en JSON : {"score": nombre entre 0 et 1 (probabilité que le contenu enfreigne les règles), `
+        + `"categories": sous-liste de ${JSON.stringify(CATEGORIES)}, "reason": courte explication}. `
+        + `L'autopromotion normale d'un projet n'est pas une infraction.`,
+      messages: [{ role: 'user', content: String(text).slice(0, 4000) }],
+    });
+    const json = (response.content[0]?.text || '').match(/\{[\s\S]*\}/);
+    if (!json) throw new Error('Réponse de classification illisible');
+    const parsed = JSON.parse(json[0]);
+    return {
+      score: Math.max(0, Math.min(1, Number(parsed.score) || 0)),
+      categories: (parsed.categories || []).filter(c => CATEGORIES.includes(c)),
+      reason: String(parsed.reason || '').slice(0, 300),
+    };
+  }
+  return { name: 'anthropic', classify };
+}
+
+// `verdicts` : [{ match: RegExp|string, score, categories }] — le premier qui correspond gagne
+function createStubClassifier({ verdicts = [] } = {}) {
+  async function classify(text) {
+    const hit = verdicts.find(v => (v.match instanceof RegExp ? v.match.test(text) : String(text).includes(v.match)));
+    return hit
+      ? { score: hit.score, categories: hit.categories || [], reason: 'motif « ' + hit.match + ' »' }
+      : { score: 0, categories: [], reason: 'stub' };
+  }
+  return { name: 'stub', classify };
+}
+
+module.exports = { CATEGORIES, createAnthropicClassifier, createStubClassifier };
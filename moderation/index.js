@@ -0,0 +1,85 @@
+// ════════════════════════════════════════
+// ── MODÉRATION AUTOMATIQUE — règles locales puis classification LLM facultative
+// ── MODERATION_CLASSIFIER=anthropic  → client Anthropic (défaut si ANTHROPIC_API_KEY)
+// ── MODERATION_CLASSIFIER=stub       → local, hors ligne (MODERATION_STUB_WORDS)
+// ── MODERATION_CLASSIFIER=off        → règles locales seules
+// ════════════════════════════════════════
+
+const { DEFAULT_BANNED_WORDS, bannedWordsRule, linksRule, spamRule, createRepeatDetector } = require('./rules');
+const { createAnthropicClassifier, createStubClassifier } = require('./classifiers');
+
+// Seuils par type de contenu : score ≥ hold → retenu pour revue, score ≥ hide → masqué d'office.
+// `llm: false` garde le type hors du classifieur (le chat doit rester instantané).
+const DEFAULT_THRESHOLDS = {
+  post:          { hold: 0.5, hide: 0.85, maxLinks: 3,  maxRepeats: 2, llm: true },
+  project:       { hold: 0.6, hide: 0.9,  maxLinks: 5,  maxRepeats: 1, llm: true },
+  comment:       { hold: 0.5, hide: 0.85, maxLinks: 2,  maxRepeats: 3, llm: true },
+  story:         { hold: 0.5, hide: 0.85, maxLinks: 1,  maxRepeats: 2, llm: true },
+  chat:          { hold: 0.6, hide: 0.85, maxLinks: 1,  maxRepeats: 3, llm: false },
+  group_message: { hold: 0.6, hide: 0.85, maxLinks: 2,  maxRepeats: 3, llm: false },
+};
+
+function createModerator({ classifier = null, thresholds = {}, bannedWords = DEFAULT_BANNED_WORDS } = {}) {
+  const config = {};
+  for (const type of Object.keys(DEFAULT_THRESHOLDS)) config[type] = { ...DEFAULT_THRESHOLDS[type], ...thresholds[type] };
+  const repeatRule = createRepeatDetector();
+
+  // → { action: allow|hold|hide, score, reasons, source, categories }
+  async function screen(type, text, { userId } = {}) {
+    const rules = config[type];
+    if (!rules) throw new Error('Type de contenu inconnu : ' + type);
+    const hits = [
+      bannedWordsRule(text, bannedWords),
+      linksRule(text, rules),
+      spamRule(text),
+      repeatRule(text, { userId, maxRepeats: rules.maxRepeats }),
+    ].filter(Boolean);
+    let score = Math.max(0, ...hits.map(h => h.score));
+    const reasons = hits.map(h => h.label);
+    let source = 'rules';
+    let categories = [];
+
+    // Le LLM n'est consulté que si les règles n'ont pas déjà tranché
+    if (classifier && rules.llm && score < rules.hide && String(text || '').trim()) {
+      try {
+        const verdict = await classifier.classify(text, type);
+        if (verdict.score > score) { score = verdict.score; source = classifier.name; }
+        categories = verdict.categories;
+        if (verdict.score >= rules.hold) reasons.push(`${classifier.name} : ${verdict.reason || categories.join(', ')}`);
+      } catch(e) {
+        console.log(`⚠️  Classification ${classifier.name} indisponible : ${e.message}`);
+      }
+    }
+
+    const action = score >= rules.hide ? 'hide' : score >= rules.hold ? 'hold' : 'allow';
+    return { action, score: Math.round(score * 100) / 100, reasons, source, categories };
+  }
+
+  function describe() {
+    return classifier ? `règles + ${classifier.name}` : 'règles locales';
+  }
+
+  return { screen, describe, thresholds: config };
+}
+
+function createModeratorFromEnv(env = process.env, { anthropic } = {}) {
+  const mode = (env.MODERATION_CLASSIFIER || (env.ANTHROPIC_API_KEY ? 'anthropic' : 'off')).toLowerCase();
+  let classifier = null;
+  if (mode === 'anthropic') {
+    if (!anthropic) throw new Error('MODERATION_CLASSIFIER=anthropic sans client Anthropic');
+    classifier = createAnthropicClassifier({ client: anthropic, model: env.MODERATION_MODEL || 'claude-opus-4-6' });
+  } else if (mode === 'stub') {
+    const words = (env.MODERATION_STUB_WORDS || '').split(',').map(w => w.trim()).filter(Boolean);
+    classifier = createStubClassifier({ verdicts: words.map(match => ({ match, score: 0.95, categories: ['spam'] })) });
+  } else if (mode !== 'off') {
+    throw new Error(`MODERATION_CLASSIFIER inconnu : ${mode}`);
+  }
+  const extraWords = (env.MODERATION_BANNED_WORDS || '').split(',').map(w => w.trim()).filter(Boolean);
+  return createModerator({
+    classifier,
+    thresholds: env.MODERATION_THRESHOLDS ? JSON.parse(env.MODERATION_THRESHOLDS) : {},
+    bannedWords: [...DEFAULT_BANNED_WORDS, ...extraWords],
+  });
+}
+
+module.exports = { DEFAULT_THRESHOLDS, createModerator, createModeratorFromEnv, createAnthropicClassifier, createStubClassifier };
@@ -0,0 +1,59 @@
+// ── Règles locales : rapides, sans réseau. Chaque règle renvoie un score
+// ── entre 0 et 1 (0 = rien à signaler) et une étiquette lisible par l'admin.
+
+const crypto = require('crypto');
+
+const DEFAULT_BANNED_WORDS = [
+  'arnaque garantie', 'argent facile', 'double ton argent', 'free money', 'get rich quick',
+  'casino en ligne', 'viagra', 'escort', 'onlyfans leak', 'achat de followers', 'buy followers',
+];
+
+const LINK_RE = /\bhttps?:\/\/[^\s]+|\bwww\.[^\s]+/gi;
+const SHORTENERS = ['bit.ly', 'tinyurl.com', 'goo.gl', 't.co', 'cutt.ly', 'is.gd', 'shorturl.at'];
+
+const REPEAT_WINDOW_MS = 10 * 60 * 1000;
+
+function normalize(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function bannedWordsRule(text, bannedWords) {
+  const clean = normalize(text);
+  const hits = bannedWords.filter(w => clean.includes(normalize(w)));
+  return hits.length ? { score: 0.9, label: 'mots interdits : ' + hits.join(', ') } : null;
+}
+
+function linksRule(text, { maxLinks }) {
+  const links = String(text || '').match(LINK_RE) || [];
+  const hosts = links.map(l => l.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split(/[/?#]/)[0]);
+  if (hosts.some(h => SHORTENERS.includes(h))) return { score: 0.6, label: 'lien raccourci' };
+  if (links.length > maxLinks) return { score: 0.5 + Math.min(0.4, (links.length - maxLinks) * 0.1), label: `${links.length} liens` };
+  return null;
+}
+
+function spamRule(text) {
+  const raw = String(text || '');
+  const letters = raw.replace(/[^a-zA-Z]/g, '');
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.8) return { score: 0.4, label: 'majuscules' };
+  if (/(.)\1{9,}/.test(raw)) return { score: 0.4, label: 'caractères répétés' };
+  if ((raw.match(/[#@]\w+/g) || []).length > 15) return { score: 0.5, label: 'trop de hashtags/mentions' };
+  return null;
+}
+
+// Même texte envoyé plusieurs fois par le même user dans la fenêtre
+function createRepeatDetector({ windowMs = REPEAT_WINDOW_MS } = {}) {
+  const recent = new Map(); // userId → [{ hash, at }]
+
+  return function repeatRule(text, { userId, maxRepeats }) {
+    if (!userId) return null;
+    const now = Date.now();
+    const hash = crypto.createHash('sha1').update(normalize(text)).digest('hex');
+    const list = (recent.get(userId) || []).filter(e => now - e.at < windowMs);
+    list.push({ hash, at: now });
+    recent.set(userId, list);
+    const count = list.filter(e => e.hash === hash).length;
+    return count > maxRepeats ? { score: Math.min(1, 0.5 + (count - maxRepeats) * 0.2), label: `message répété ${count}×` } : null;
+  };
+}
+
+module.exports = { DEFAULT_BANNED_WORDS, normalize, bannedWordsRule, linksRule, spamRule, createRepeatDetector };
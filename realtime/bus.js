@@ -0,0 +1,99 @@
+// ── Bus de messages entre instances : ce qu'une instance publie est rejoué par les autres.
+// ── REALTIME_BUS=memory (défaut) → une seule instance, rien ne sort du processus
+// ── REALTIME_BUS=mongo           → collection plafonnée MongoDB lue en continu
+// ──                                (MONGODB_URI, REALTIME_BUS_DB ou MONGODB_DB) ;
+// ──                                exige aussi STORAGE_DRIVER=mongo (données partagées)
+// ── Forme commune : { start, publish(message), subscribe(handler), close, describe }
+
+const BUS_COLLECTION = 'realtimeBus';
+const BUS_SIZE_BYTES = 16 * 1024 * 1024;
+const RETRY_MS = 1000;
+
+// Une seule instance : les messages restent dans le processus
+function createMemoryBus() {
+  const handlers = new Set();
+  return {
+    name: 'memory',
+    async start() {},
+    publish(message) { setImmediate(() => handlers.forEach(h => h(message))); },
+    subscribe(handler) { handlers.add(handler); return () => handlers.delete(handler); },
+    async close() { handlers.clear(); },
+    describe: () => 'mémoire (instance unique)',
+  };
+}
+
+// Collection plafonnée + curseur « tailable » : fonctionne sur un mongod seul, sans replica set.
+// Chaque instance part du dernier document présent au démarrage : pas d'historique rejoué.
+function createMongoBus({ uri, dbName, collection = BUS_COLLECTION, sizeBytes = BUS_SIZE_BYTES }) {
+  const { MongoClient } = require('mongodb');
+  const client = new MongoClient(uri);
+  const handlers = new Set();
+  let coll = null;
+  let lastId = null;
+  let closed = false;
+  let cursor = null;
+
+  async function start() {
+    await client.connect();
+    const database = client.db(dbName);
+    try {
+      await database.createCollection(collection, { capped: true, size: sizeBytes });
+      // Un curseur tailable meurt sur une collection vide : premier document de service
+      await database.collection(collection).insertOne({ kind: 'init', at: new Date() });
+    } catch(e) {
+      if (e.codeName !== 'NamespaceExists' && e.code !== 48) throw e;
+    }
+    coll = database.collection(collection);
+    const last = await coll.find({}).sort({ $natural: -1 }).limit(1).next();
+    lastId = last ? last._id : null;
+    tail();
+  }
+
+  async function tail() {
+    while (!closed) {
+      try {
+        cursor = coll.find(lastId ? { _id: { $gt: lastId } } : {}, { tailable: true, awaitData: true, maxAwaitTimeMS: 1000 });
+        for await (const doc of cursor) {
+          lastId = doc._id;
+          if (doc.kind === 'message') handlers.forEach(h => h(doc.message));
+        }
+      } catch(e) {
+        if (!closed) console.error('❌ Bus temps réel (MongoDB) :', e.message);
+      }
+      if (!closed) await new Promise(r => setTimeout(r, RETRY_MS));
+    }
+  }
+
+  function publish(message) {
+    if (!coll) return;
+    coll.insertOne({ kind: 'message', message, at: new Date() })
+      .catch(e => console.error('❌ Bus temps réel (MongoDB) :', e.message));
+  }
+
+  async function close() {
+    closed = true;
+    await cursor?.close().catch(() => {});
+    await client.close();
+  }
+
+  return {
+    name: 'mongo',
+    start,
+    publish,
+    subscribe(handler) { handlers.add(handler); return () => handlers.delete(handler); },
+    close,
+    describe: () => `MongoDB (${dbName}.${collection})`,
+  };
+}
+
+function createBusFromEnv(env = process.env) {
+  const mode = (env.REALTIME_BUS || 'memory').toLowerCase();
+  if (mode === 'memory') return createMemoryBus();
+  if (mode === 'mongo' || mode === 'mongodb') {
+    if (!env.MONGODB_URI) throw new Error('MONGODB_URI requis avec REALTIME_BUS=mongo');
+    return createMongoBus({ uri: env.MONGODB_URI, dbName: env.REALTIME_BUS_DB || env.MONGODB_DB || 'viralboost' });
+  }
+  throw new Error(`REALTIME_BUS inconnu : ${mode}`);
+}
+
+module.exports = { createMemoryBus, createMongoBus, createBusFromEnv };
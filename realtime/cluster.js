@@ -0,0 +1,120 @@
+// ── Plusieurs instances derrière un répartiteur : chaque publication locale part aussi
+// ── sur le bus, et les publications des autres instances sont servies aux sockets locaux.
+// ── La présence d'un sujet est l'union des annonces de toutes les instances ; une
+// ── instance qui se tait plus de PRESENCE_TTL_MS (crash) n'est plus comptée. Idem pour
+// ── les comptes connectés : isOnline(userId) vaut pour toutes les instances.
+// ── Les données passent par le stockage partagé (STORAGE_DRIVER=mongo) : après chaque
+// ── sauvegarde, publishChanges() annonce les documents écrits, relus par les autres.
+
+const crypto = require('crypto');
+
+const PRESENCE_TTL_MS = 90 * 1000;
+
+function createCluster({ hub, bus, deliverToUser, onRemotePresence = () => {}, onRemoteChanges = () => {}, announceEveryMs = 30000 }) {
+  const instanceId = 'inst_' + crypto.randomBytes(4).toString('hex');
+  const localPresence = new Map();  // sujet → [{ id, name, plan, avatar }]
+  const localUsers = new Set();     // comptes ayant au moins un socket ici
+  const remotePresence = new Map(); // instance → { at, topics: Map<sujet, users>, users: Set<userId> }
+
+  function remoteEntry(origin) {
+    if (!remotePresence.has(origin)) remotePresence.set(origin, { at: 0, topics: new Map(), users: new Set() });
+    const entry = remotePresence.get(origin);
+    entry.at = Date.now();
+    return entry;
+  }
+
+  // Instances muettes depuis plus de PRESENCE_TTL_MS : oubliées
+  function liveRemotes() {
+    const now = Date.now();
+    remotePresence.forEach((entry, origin) => { if (now - entry.at > PRESENCE_TTL_MS) remotePresence.delete(origin); });
+    return [...remotePresence.values()];
+  }
+
+  bus.subscribe(message => {
+    if (!message || message.origin === instanceId) return;
+    switch (message.kind) {
+      case 'topic':
+        hub.publish(message.topic, message.data, message.options);
+        break;
+      case 'user':
+        deliverToUser(message.userId, message.data);
+        break;
+      case 'presence': {
+        const entry = remoteEntry(message.origin);
+        Object.entries(message.topics).forEach(([topic, users]) => {
+          if (users.length) entry.topics.set(topic, users);
+          else entry.topics.delete(topic);
+        });
+        if (message.users) entry.users = new Set(message.users);
+        Object.keys(message.topics).forEach(onRemotePresence);
+        break;
+      }
+      case 'online': {
+        const entry = remoteEntry(message.origin);
+        if (message.online) entry.users.add(message.userId);
+        else entry.users.delete(message.userId);
+        break;
+      }
+      case 'changes':
+        onRemoteChanges(message.changes);
+        break;
+    }
+  });
+
+  function publish(topic, data, options) {
+    const sent = hub.publish(topic, data, options);
+    bus.publish({ origin: instanceId, kind: 'topic', topic, data, options });
+    return sent;
+  }
+
+  function sendToUser(userId, data) {
+    deliverToUser(userId, data);
+    bus.publish({ origin: instanceId, kind: 'user', userId, data });
+  }
+
+  // Présence locale d'un sujet → annoncée aux autres ; renvoie l'union (sans doublon)
+  function presence(topic, localUsers) {
+    localPresence.set(topic, localUsers);
+    bus.publish({ origin: instanceId, kind: 'presence', topics: { [topic]: localUsers } });
+    if (!localUsers.length) localPresence.delete(topic);
+    return union(topic);
+  }
+
+  function union(topic) {
+    const users = new Map((localPresence.get(topic) || []).map(u => [u.id, u]));
+    liveRemotes().forEach(entry => {
+      (entry.topics.get(topic) || []).forEach(u => { if (!users.has(u.id)) users.set(u.id, u); });
+    });
+    return [...users.values()];
+  }
+
+  // Premier socket ouvert / dernier fermé d'un compte sur cette instance
+  function userOnline(userId, online) {
+    if (online === localUsers.has(userId)) return;
+    if (online) localUsers.add(userId);
+    else localUsers.delete(userId);
+    bus.publish({ origin: instanceId, kind: 'online', userId, online });
+  }
+
+  // Connecté ici ou sur une autre instance
+  function isOnline(userId) {
+    return localUsers.has(userId) || liveRemotes().some(entry => entry.users.has(userId));
+  }
+
+  // Documents écrits par cette instance ({ collection: [id] }) : les autres les relisent
+  function publishChanges(changes) {
+    if (Object.values(changes).some(ids => ids.length)) bus.publish({ origin: instanceId, kind: 'changes', changes });
+  }
+
+  // Ré-annonce périodique : les autres instances savent qu'on est toujours là
+  const timer = setInterval(() => {
+    if (localPresence.size || localUsers.size) {
+      bus.publish({ origin: instanceId, kind: 'presence', topics: Object.fromEntries(localPresence), users: [...localUsers] });
+    }
+  }, announceEveryMs);
+  timer.unref();
+
+  return { instanceId, publish, sendToUser, presence, union, userOnline, isOnline, publishChanges };
+}
+
+module.exports = { PRESENCE_TTL_MS, createCluster };
@@ -0,0 +1,184 @@
+// ════════════════════════════════════════
+// ── TEMPS RÉEL — abonnements par sujet (pub/sub) au-dessus de `wss`
+// ── Un client ne reçoit que les sujets auxquels il est abonné :
+// ── chat, feed, projects, groups, group:<id>, post:<id>, notifications:<userId>
+// ── Chaque message publié porte { topic, seq } : seq croît de 1 par sujet, et les
+// ── REPLAY_SIZE derniers messages d'un sujet sont gardés pour la reprise (resume).
+// ── Les droits d'accès et l'historique restent dans server.js (TOPICS).
+// ── Plusieurs instances : cluster.js relaie publications, envois et présence par bus.js.
+// ════════════════════════════════════════
+
+const crypto = require('crypto');
+const { MAX_FRAME_BYTES, WS_SCHEMAS, parseFrame } = require('./protocol');
+const { createBusFromEnv } = require('./bus');
+const { createCluster } = require('./cluster');
+
+const OPEN = 1; // WebSocket.OPEN
+const REPLAY_SIZE = 100;            // messages gardés par sujet
+const REPLAY_TOPICS = 1000;         // sujets gardés (les moins récents sont oubliés)
+const MAX_BUFFERED_BYTES = 1 << 20; // au-delà : les messages sont sautés pour ce socket
+const KILL_BUFFERED_BYTES = 4 << 20; // au-delà : le socket est coupé (client trop lent)
+
+function createHub() {
+  const topics = new Map();   // sujet → Set<ws>
+  const sockets = new Map();  // ws → { userId, topics: Set<sujet>, dropped }
+  const journal = new Map();  // sujet → { seq, frames: [{ seq, msg }] } — ordre = ancienneté
+  // Change à chaque démarrage : un seq d'une autre « époque » ne veut plus rien dire
+  const epoch = Date.now().toString(36) + crypto.randomBytes(3).toString('hex');
+
+  // Envoi avec contrôle de la file d'attente du socket → true si envoyé
+  function send(ws, msg) {
+    if (ws.readyState !== OPEN) return false;
+    if (ws.bufferedAmount > KILL_BUFFERED_BYTES) { ws.terminate(); return false; }
+    if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+      const meta = sockets.get(ws);
+      if (meta) meta.dropped++;
+      return false;
+    }
+    ws.send(msg);
+    return true;
+  }
+
+  function register(ws, userId) {
+    if (!sockets.has(ws)) sockets.set(ws, { userId, topics: new Set(), dropped: 0 });
+    else sockets.get(ws).userId = userId;
+  }
+
+  // → true si l'abonnement est nouveau
+  function subscribe(ws, topic) {
+    const meta = sockets.get(ws);
+    if (!meta || meta.topics.has(topic)) return false;
+    if (!topics.has(topic)) topics.set(topic, new Set());
+    topics.get(topic).add(ws);
+    meta.topics.add(topic);
+    return true;
+  }
+
+  function unsubscribe(ws, topic) {
+    const meta = sockets.get(ws);
+    if (!meta || !meta.topics.delete(topic)) return false;
+    const subs = topics.get(topic);
+    subs.delete(ws);
+    if (!subs.size) topics.delete(topic);
+    return true;
+  }
+
+  // Socket fermé → sujets quittés (pour recalculer la présence)
+  function unregister(ws) {
+    const meta = sockets.get(ws);
+    if (!meta) return [];
+    const left = [...meta.topics];
+    left.forEach(topic => unsubscribe(ws, topic));
+    sockets.delete(ws);
+    return left;
+  }
+
+  // Retire d'un sujet tous les sockets des utilisateurs qui ne passent plus `keep(userId)`
+  function evict(topic, keep) {
+    const evicted = [];
+    for (const ws of [...(topics.get(topic) || [])]) {
+      const { userId } = sockets.get(ws);
+      if (!keep(userId) && unsubscribe(ws, topic)) evicted.push(ws);
+    }
+    return evicted;
+  }
+
+  function record(topic, data) {
+    const entry = journal.get(topic) || { seq: 0, frames: [] };
+    journal.delete(topic); // réinséré en dernier : le plus récent
+    journal.set(topic, entry);
+    if (journal.size > REPLAY_TOPICS) journal.delete(journal.keys().next().value);
+    const seq = ++entry.seq;
+    const msg = JSON.stringify({ ...data, topic, seq });
+    entry.frames.push({ seq, msg });
+    if (entry.frames.length > REPLAY_SIZE) entry.frames.shift();
+    return msg;
+  }
+
+  // Sérialisé une seule fois, { topic, seq } ajoutés → nombre de sockets servis.
+  // `ephemeral` (indicateur de saisie…) : ni seq ni journal, jamais rejoué.
+  function publish(topic, data, { ephemeral = false } = {}) {
+    const msg = ephemeral ? JSON.stringify({ ...data, topic }) : record(topic, data);
+    let sent = 0;
+    (topics.get(topic) || []).forEach(ws => { if (send(ws, msg)) sent++; });
+    return sent;
+  }
+
+  function lastSeq(topic) {
+    return journal.get(topic)?.seq || 0;
+  }
+
+  // Messages d'un sujet après `after` → tableau de trames, ou null si le trou
+  // n'est plus comblable (journal oublié, redémarrage) : le client doit tout recharger
+  function replay(topic, after) {
+    const entry = journal.get(topic);
+    if (!entry) return after === 0 ? [] : null;
+    if (after > entry.seq) return null;
+    const missed = entry.frames.filter(f => f.seq > after);
+    if (missed.length !== entry.seq - after) return null;
+    return missed.map(f => f.msg);
+  }
+
+  // Utilisateurs distincts abonnés à un sujet
+  function presence(topic) {
+    return [...new Set([...(topics.get(topic) || [])].map(ws => sockets.get(ws).userId))];
+  }
+
+  function topicsOf(ws) {
+    return [...(sockets.get(ws)?.topics || [])];
+  }
+
+  function stats() {
+    let dropped = 0;
+    sockets.forEach(meta => { dropped += meta.dropped; });
+    return { sockets: sockets.size, topics: topics.size, journaled: journal.size, dropped };
+  }
+
+  return { epoch, send, register, unregister, subscribe, unsubscribe, evict, publish, lastSeq, replay, presence, topicsOf, stats };
+}
+
+// ── Vivacité : ping toutes les intervalMs, un socket muet au ping suivant est coupé
+function startHeartbeat(wss, { intervalMs = 30000 } = {}) {
+  wss.on('connection', ws => {
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+  });
+  const timer = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) return ws.terminate(); // 'close' fait le ménage (userSockets, présence)
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, intervalMs);
+  timer.unref();
+  wss.on('close', () => clearInterval(timer));
+  return timer;
+}
+
+// ── Débit par connexion (seau à jetons) : `rate` messages/s, rafale de `burst`.
+// ── Au-delà de `maxStrikes` messages refusés en une minute, la connexion est à couper.
+function createRateLimiter({ rate = 10, burst = 30, maxStrikes = 50 } = {}) {
+  let tokens = burst;
+  let last = Date.now();
+  let strikes = [];
+
+  // → 'ok' | 'drop' | 'kick'
+  function take() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - last) / 1000 * rate);
+    last = now;
+    if (tokens >= 1) { tokens--; return 'ok'; }
+    return strike(now);
+  }
+
+  // Message invalide : compte comme un abus sans consommer de jeton
+  function strike(now = Date.now()) {
+    strikes = strikes.filter(t => now - t < 60000);
+    strikes.push(now);
+    return strikes.length > maxStrikes ? 'kick' : 'drop';
+  }
+
+  return { take, strike };
+}
+
+module.exports = { MAX_FRAME_BYTES, WS_SCHEMAS, createHub, startHeartbeat, createRateLimiter, parseFrame, createBusFromEnv, createCluster };
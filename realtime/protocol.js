@@ -0,0 +1,56 @@
+// ── Protocole WebSocket : schéma de chaque `data.type` reçu d'un client.
+// ── Les champs hors schéma sont retirés ; un message invalide n'atteint jamais le handler.
+
+const MAX_FRAME_BYTES = 64 * 1024;
+const MAX_TOPICS_PER_FRAME = 20;
+
+const topicList = { type: 'array', items: 'string', max: MAX_TOPICS_PER_FRAME };
+
+// { champ: { type: string|number|boolean|array|object, required, max } }
+const WS_SCHEMAS = {
+  join:           { token: { type: 'string', max: 200 } },
+  subscribe:      { topic: { type: 'string', max: 120 }, topics: topicList },
+  unsubscribe:    { topic: { type: 'string', max: 120 }, topics: topicList },
+  resume:         { epoch: { type: 'string', required: true, max: 40 }, topics: { type: 'object', required: true, max: MAX_TOPICS_PER_FRAME } },
+  message:        { text: { type: 'string', required: true, max: 500 } },
+  dm:             { toId: { type: 'string', required: true, max: 200 }, text: { type: 'string', required: true, max: 500 }, clientId: { type: 'string', max: 64 } },
+  get_dm_history: { withId: { type: 'string', required: true, max: 200 }, before: { type: 'string', max: 64 }, limit: { type: 'number', max: 200 } },
+  get_dm_inbox:   {},
+  dm_read:        { withId: { type: 'string', required: true, max: 200 }, upTo: { type: 'string', max: 64 } },
+  ai_run:         { tool: { type: 'string', required: true, max: 40 }, input: { type: 'object', max: 20 }, requestId: { type: 'string', max: 64 } },
+  typing:         { topic: { type: 'string', max: 120 }, isTyping: { type: 'boolean' } },
+};
+
+function typeOf(v) {
+  if (Array.isArray(v)) return 'array';
+  return v === null ? 'null' : typeof v;
+}
+
+// Trame brute → { data } ou { error, code }
+function parseFrame(raw) {
+  if (raw.length > MAX_FRAME_BYTES) return { code: 'ws_frame_too_large', error: 'Message trop volumineux' };
+  let data;
+  try { data = JSON.parse(raw); } catch(e) { return { code: 'ws_invalid_json', error: 'JSON invalide' }; }
+  if (typeOf(data) !== 'object' || typeof data.type !== 'string') return { code: 'ws_invalid_message', error: 'Champ type manquant' };
+  const schema = WS_SCHEMAS[data.type];
+  if (!schema) return { code: 'ws_unknown_type', error: `Type de message inconnu : ${String(data.type).slice(0, 40)}` };
+  const value = { type: data.type };
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    const v = data[field];
+    if (v === undefined || v === null || v === '') {
+      if (rule.required) errors.push(`${field} requis`);
+      continue;
+    }
+    if (typeOf(v) !== rule.type) { errors.push(`${field} doit être de type ${rule.type}`); continue; }
+    if (rule.type === 'string' && v.length > rule.max) { errors.push(`${field} : ${rule.max} caractères max.`); continue; }
+    if (rule.type === 'number' && (!Number.isFinite(v) || v > rule.max)) { errors.push(`${field} ≤ ${rule.max}`); continue; }
+    if (rule.type === 'array' && (v.length > rule.max || v.some(x => typeOf(x) !== rule.items))) { errors.push(`${field} : ${rule.max} éléments ${rule.items} max.`); continue; }
+    if (rule.type === 'object' && Object.keys(v).length > rule.max) { errors.push(`${field} : ${rule.max} clés max.`); continue; }
+    value[field] = v;
+  }
+  if (errors.length) return { code: 'ws_invalid_message', error: errors.join(', '), messageType: data.type };
+  return { data: value };
+}
+
+module.exports = { MAX_FRAME_BYTES, WS_SCHEMAS, parseFrame };
@@ -0,0 +1,37 @@
+// ════════════════════════════════════════
+// ── Importe un data.json existant dans MongoDB
+// ── Usage : MONGODB_URI=mongodb://… node scripts/migrate-json-to-mongo.js [chemin/data.json]
+// ── Les documents déjà présents avec le même _id sont remplacés
+// ════════════════════════════════════════
+
+const path = require('path');
+const { COLLECTIONS, hydrate, snapshot, createJsonDriver, createMongoDriver } = require('../storage');
+
+async function migrate() {
+  const file = path.resolve(process.argv[2] || process.env.DATA_FILE || path.join(__dirname, '..', 'data.json'));
+  if (!process.env.MONGODB_URI) throw new Error('MONGODB_URI requis');
+
+  // hydrate → snapshot : même normalisation qu'au démarrage du serveur
+  const raw = snapshot(hydrate(await createJsonDriver({ file }).load()));
+  const mongo = createMongoDriver({ uri: process.env.MONGODB_URI, dbName: process.env.MONGODB_DB || 'viralboost', collections: COLLECTIONS });
+
+  try {
+    // load() d'abord : les documents déjà en base qui ne sont plus dans le fichier sont supprimés
+    await mongo.load();
+    await mongo.save(raw);
+  } finally {
+    await mongo.close();
+  }
+
+  for (const name of Object.keys(COLLECTIONS)) {
+    const value = raw[name];
+    const count = Array.isArray(value) ? value.length : Object.keys(value).length;
+    console.log(`  ${name.padEnd(14)} ${count}`);
+  }
+  console.log(`✅ ${path.basename(file)} importé dans ${mongo.describe()}`);
+}
+
+migrate().catch(e => {
+  console.error('❌ Migration impossible :', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,171 @@
+// ════════════════════════════════════════
+// ── Deux instances locales reliées par le bus temps réel (REALTIME_BUS=mongo) :
+// ── un DM envoyé par un socket de l'instance A doit arriver sur un socket de l'instance B.
+// ── Usage : MONGODB_URI=mongodb://localhost:27017 node scripts/realtime-two-instances.js
+// ── Les deux instances partagent un même stockage (STORAGE_DRIVER=mongo, base dédiée) :
+// ── un compte créé sur A sert sur B sans rien recopier. Le bus a sa propre base ;
+// ── les deux sont supprimées à la fin. Code de sortie 0 = OK.
+// ════════════════════════════════════════
+
+const path = require('path');
+const { spawn } = require('child_process');
+const { WebSocket } = require('ws');
+const { MongoClient } = require('mongodb');
+
+const uri = process.env.MONGODB_URI;
+if (!uri) {
+  console.error('Usage : MONGODB_URI=mongodb://… node scripts/realtime-two-instances.js');
+  process.exit(1);
+}
+
+const BASE_PORT = Number(process.env.HARNESS_PORT) || 4101;
+const TIMEOUT_MS = 10000;
+const dataDb = 'viralboost_data_harness_' + Date.now();
+const busDb = 'viralboost_bus_harness_' + Date.now();
+const children = [];
+
+const wait = ms => new Promise(r => setTimeout(r, ms));
+
+function startInstance(name, port) {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      STORAGE_DRIVER: 'mongo',
+      MONGODB_DB: dataDb,
+      REALTIME_BUS: 'mongo',
+      REALTIME_BUS_DB: busDb,
+      AI_CLIENT: 'fake',
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  child.stdout.on('data', d => process.env.HARNESS_VERBOSE && process.stdout.write(`[${name}] ${d}`));
+  child.stderr.on('data', d => process.stderr.write(`[${name}] ${d}`));
+  children.push(child);
+  const base = `http://127.0.0.1:${port}`;
+  return { name, base, ws: `ws://127.0.0.1:${port}`, ready: waitForHealth(base) };
+}
+
+async function waitForHealth(base) {
+  const deadline = Date.now() + TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    try {
+      const r = await fetch(base + '/health');
+      if (r.ok) return r.json();
+    } catch(e) { /* pas encore prêt */ }
+    await wait(200);
+  }
+  throw new Error(`${base} ne répond pas`);
+}
+
+async function api(instance, route, body, token) {
+  const headers = { 'Content-Type': 'application/json', ...(token ? { Authorization: 'Bearer ' + token } : {}) };
+  const r = await fetch(instance.base + route, body ? { method: 'POST', headers, body: JSON.stringify(body) } : { headers });
+  const data = await r.json();
+  if (!r.ok) throw new Error(`${route} (${instance.name}) : ${data.error}`);
+  return data;
+}
+
+// Les écritures d'une instance arrivent chez l'autre après sa sauvegarde groupée (~500 ms)
+async function eventually(fn, label) {
+  const deadline = Date.now() + TIMEOUT_MS;
+  for (;;) {
+    try {
+      return await fn();
+    } catch(e) {
+      if (Date.now() > deadline) throw new Error(`${label} : ${e.message}`);
+    }
+    await wait(200);
+  }
+}
+
+// Socket authentifié ; next(predicate) attend le premier message qui correspond
+function connect(instance, token) {
+  const ws = new WebSocket(`${instance.ws}/?token=${encodeURIComponent(token)}`);
+  const received = [];
+  const waiters = [];
+  ws.on('message', raw => {
+    const data = JSON.parse(raw);
+    received.push(data);
+    waiters.filter(w => w.match(data)).forEach(w => { waiters.splice(waiters.indexOf(w), 1); w.resolve(data); });
+  });
+  const next = (match, label) => new Promise((resolve, reject) => {
+    const found = received.find(match);
+    if (found) return resolve(found);
+    waiters.push({ match, resolve });
+    setTimeout(() => reject(new Error(`${label} : rien reçu après ${TIMEOUT_MS} ms`)), TIMEOUT_MS).unref();
+  });
+  const opened = new Promise((resolve, reject) => { ws.on('open', resolve); ws.on('error', reject); });
+  return { ws, next, send: data => ws.send(JSON.stringify(data)), opened };
+}
+
+async function run() {
+  const a = startInstance('A', BASE_PORT);
+  const b = startInstance('B', BASE_PORT + 1);
+  const [healthA, healthB] = await Promise.all([a.ready, b.ready]);
+  console.log(`▶ Instances ${healthA.instance} (:${BASE_PORT}) et ${healthB.instance} (:${BASE_PORT + 1})`);
+
+  // Comptes créés sur A, instances déjà lancées : B les voit par le stockage partagé
+  const stamp = Date.now();
+  const alice = await api(a, '/api/auth/signup', { email: `alice_${stamp}@harness.test`, password: 'harness-pass-1', name: 'Alice' });
+  const bob = await api(a, '/api/auth/signup', { email: `bob_${stamp}@harness.test`, password: 'harness-pass-1', name: 'Bob' });
+  const bobOnB = await eventually(() => api(b, '/api/auth/login', { email: bob.user.email, password: 'harness-pass-1' }), 'compte de A connu de B');
+  console.log('✅ Compte créé sur A utilisable sur B');
+
+  const sa = connect(a, alice.token);
+  const sb = connect(b, bobOnB.token);
+  await Promise.all([sa.opened, sb.opened]);
+  sa.send({ type: 'join' });
+  sb.send({ type: 'join' });
+  await Promise.all([sa.next(d => d.type === 'joined', 'join A'), sb.next(d => d.type === 'joined', 'join B')]);
+  sa.send({ type: 'subscribe', topics: ['chat'] });
+  sb.send({ type: 'subscribe', topics: ['chat'] });
+
+  // Bus ordonné : la présence de Bob vue depuis A vient après l'annonce de sa connexion
+  await sa.next(d => d.type === 'presence' && d.topic === 'chat' && d.users.length === 2, 'présence sur A');
+
+  // 1. DM : Alice (A) → Bob (B)
+  const text = 'ping inter-instances ' + stamp;
+  sa.send({ type: 'dm', toId: bob.user.email, text });
+  const dm = await sb.next(d => d.type === 'dm' && d.message.text === text, 'DM sur B');
+  console.log('✅ DM envoyé sur A reçu sur B');
+  await sa.next(d => d.type === 'dm_receipt' && d.status === 'delivered' && d.messageIds.includes(dm.message.id), 'accusé sur A');
+  console.log('✅ Accusé « délivré » sur A (Bob présent sur B)');
+  await eventually(async () => {
+    const page = await api(b, `/api/dms/${encodeURIComponent(alice.user.email)}`, null, bobOnB.token);
+    if (!page.messages.some(m => m.id === dm.message.id)) throw new Error('absent');
+  }, 'fil du DM sur B');
+  console.log('✅ DM enregistré par A relu par B');
+
+  // 2. Sujet : message du chat global publié sur A, servi aux abonnés de B
+  sa.send({ type: 'message', text: 'hello ' + stamp });
+  await sb.next(d => d.type === 'message' && d.message.text === 'hello ' + stamp, 'chat sur B');
+  console.log('✅ Chat publié sur A reçu sur B');
+
+  // 3. Présence : l'union des deux instances
+  await sb.next(d => d.type === 'presence' && d.topic === 'chat' && d.users.length === 2, 'présence sur B');
+  console.log('✅ Présence du chat partagée (2 utilisateurs vus depuis B)');
+
+  sa.ws.close();
+  sb.ws.close();
+}
+
+async function cleanup() {
+  children.forEach(child => child.kill('SIGTERM'));
+  await Promise.all(children.map(child => child.exitCode === null ? new Promise(r => child.on('exit', r)) : null));
+  const client = new MongoClient(uri);
+  try {
+    await client.connect();
+    await client.db(busDb).dropDatabase();
+    await client.db(dataDb).dropDatabase();
+  } finally {
+    await client.close();
+  }
+}
+
+run()
+  .then(() => cleanup().then(() => process.exit(0)))
+  .catch(e => {
+    console.error('❌ ' + e.message);
+    cleanup().finally(() => process.exit(1));
+  });
@@ -0,0 +1,49 @@
+// ════════════════════════════════════════
+// ── Envoie un faux événement Stripe signé au webhook local
+// ── Usage : STRIPE_WEBHOOK_SECRET=whsec_test node scripts/stripe-fake-event.js <type> <email> [plan|pack]
+// ── Un pack de crédits (credits_50, credits_150…) n'a de sens qu'avec payment_intent.succeeded
+// ── Types : payment_intent.succeeded · invoice.paid · invoice.payment_failed
+// ──         customer.subscription.updated · customer.subscription.deleted
+// ════════════════════════════════════════
+
+const Stripe = require('stripe');
+const { CREDIT_PACKS } = require('../gamification');
+
+const [type, email, plan = 'pro'] = process.argv.slice(2);
+const secret = process.env.STRIPE_WEBHOOK_SECRET;
+const url = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/stripe/webhook`;
+
+if (!type || !email || !secret) {
+  console.error('Usage : STRIPE_WEBHOOK_SECRET=whsec_… node scripts/stripe-fake-event.js <type> <email> [plan|pack]');
+  process.exit(1);
+}
+
+const now = Math.floor(Date.now() / 1000);
+const pack = CREDIT_PACKS[plan] ? plan : null;
+const metadata = pack ? { service: 'viralboost', pack, userId: email } : { service: 'viralboost', plan, userId: email };
+const amount = pack ? CREDIT_PACKS[pack].price : { starter: 300, pro: 1499, elite: 3999 }[plan] || 0;
+const subId = 'sub_fake_' + email.replace(/[^a-z0-9]/gi, '');
+
+const objects = {
+  'payment_intent.succeeded': { id: 'pi_fake_' + now, object: 'payment_intent', amount, amount_received: amount, currency: 'eur', status: 'succeeded', invoice: null, metadata },
+  'invoice.paid': {
+    id: 'in_fake_' + now, object: 'invoice', amount_paid: amount, currency: 'eur', billing_reason: 'subscription_cycle', subscription: subId,
+    subscription_details: { metadata },
+    lines: { data: [{ metadata, period: { start: now, end: now + 30 * 86400 } }] },
+  },
+  'invoice.payment_failed': { id: 'in_fake_' + now, object: 'invoice', amount_due: amount, currency: 'eur', subscription: subId, subscription_details: { metadata }, lines: { data: [{ metadata }] } },
+  'customer.subscription.updated': { id: subId, object: 'subscription', status: 'active', cancel_at_period_end: true, current_period_end: now + 30 * 86400, metadata },
+  'customer.subscription.deleted': { id: subId, object: 'subscription', status: 'canceled', metadata },
+};
+
+if (!objects[type]) {
+  console.error('Type inconnu : ' + type);
+  process.exit(1);
+}
+
+const payload = JSON.stringify({ id: 'evt_fake_' + now, object: 'event', type, created: now, data: { object: objects[type] } });
+const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature }, body: payload })
+  .then(async r => { console.log(r.status, await r.text()); process.exit(r.ok ? 0 : 1); })
+  .catch(e => { console.error('❌ ' + e.message); process.exit(1); });
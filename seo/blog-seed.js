@@ -0,0 +1,506 @@
+// ── Articles de départ du blog (repris de l'ancien blog.html), insérés au premier démarrage.
+// ── Ensuite, tout passe par le CMS admin (/api/admin/blog).
+
+module.exports = [
+  {
+    slug: 'how-to-find-content-creator-collaborations',
+    title: 'How to Find Content Creator Collaborations in 2026',
+    excerpt: 'Collaborations are the #1 shortcut to growing faster. Here are 5 free methods to find the right creator partner in your niche.',
+    emoji: '🤝',
+    tags: ['collaboration'],
+    body: `If you're a creator looking to grow faster, collaborations are the #1 shortcut. But finding the right partner — someone in your niche, with a similar audience size — used to take weeks of cold DMs and spreadsheets.
+
+Not anymore.
+
+## Why Collaborations Work So Well
+
+When two creators collaborate, they each get exposed to a brand-new audience that already trusts the other person. This is called **"audience lending"** — and it's one of the most powerful growth strategies available to independent creators in 2026.
+
+A single collaboration can bring you:
+
+- 500 to 5,000 new followers in 24 hours
+- Long-term cross-promotion deals
+- Shared revenue opportunities
+
+## 5 Free Ways to Find Creator Collaborations
+
+### 1. Use a Dedicated Creator Platform
+
+The fastest method is using a platform built specifically for this. **[ViralBoost](/)** lets you publish your profile and ad in under 30 seconds, then browse other creators looking for exactly the same thing. Filter by niche, audience size, and collaboration type.
+
+### 2. Search Hashtags on Instagram and TikTok
+
+Look for hashtags like **#creatorcollab**, **#contentcreatorswanted**, or **#collabwithme**. Many creators post actively looking for partners.
+
+### 3. Join Creator Discord Communities
+
+There are hundreds of active Discord servers for YouTube creators, podcasters, and newsletter writers. Servers like "Creator Economy" or "The Pod Network" have dedicated **#collab** channels.
+
+### 4. Reply to YouTube Videos in Your Niche
+
+Find creators with 1,000–50,000 subscribers in your niche and leave a thoughtful comment on their latest video. Then send a DM. The conversion rate is surprisingly high.
+
+### 5. Post on Reddit
+
+Subreddits like r/YoutubeCollabs, r/PodcastCollaboration, and r/ContentCreators have weekly collab threads. Post your niche, audience size, and what you're looking for.
+
+## What to Say in Your First Collab Message
+
+Keep it short. Here's a template that works:
+
+> "Hey [Name], I've been watching your content on [topic] — really enjoyed [specific video]. I run a [type] channel focused on [niche] with [X] subscribers. I think our audiences would overlap well. Would you be open to a quick 15-min call to explore a potential collab?"`,
+  },
+  {
+    slug: 'best-free-platforms-promote-newsletter',
+    title: '7 Best Free Platforms to Promote Your Newsletter in 2026',
+    excerpt: 'Growing a newsletter from 0 to 1,000 subscribers is the hardest part. Here are the 7 best free platforms to get your newsletter discovered.',
+    emoji: '📧',
+    tags: ['newsletter'],
+    body: `Growing a newsletter from 0 to 1,000 subscribers is the hardest part. After that, word-of-mouth takes over. But how do you get those first 1,000?
+
+Here are the 7 best free platforms to get your newsletter in front of new readers.
+
+## 1. ViralBoost
+
+[ViralBoost](/) has a dedicated Newsletter Hub where you can publish your newsletter profile, showcase your subscriber count, open rate, and niche — and get discovered by readers and potential cross-promotion partners. It's free and takes 30 seconds to set up.
+
+## 2. Substack Recommendations
+
+If you're on Substack, use the Recommendations feature. When you recommend another newsletter, they often recommend you back — it's a built-in growth loop.
+
+## 3. The Sample
+
+The Sample (thesampl.com) matches readers with newsletters based on their interests. Submit your newsletter and they'll send a sample issue to interested subscribers.
+
+## 4. Paved
+
+Paved.com is a newsletter sponsorship marketplace, but it also has a discovery section. Being listed there increases visibility among engaged readers.
+
+## 5. Reddit Newsletter Communities
+
+r/newsletters and r/emailmarketing have weekly "Share Your Newsletter" threads. Post yours every week.
+
+## 6. Twitter/X Newsletter Threads
+
+Every time you send an issue, post a thread summarizing the top 3 points. End with **"Full issue in the newsletter — link in bio."** This converts readers into subscribers consistently.
+
+## 7. Product Hunt
+
+You can submit your newsletter as a product on Product Hunt. A well-timed launch can bring 200–500 new subscribers in one day.
+
+## The Bottom Line
+
+Don't wait for people to find your newsletter. Put it in front of them on platforms where they're already looking. Start with ViralBoost and Substack Recommendations — they're the fastest to set up and the most targeted.`,
+  },
+  {
+    slug: 'how-to-grow-audience-as-creator-2026',
+    title: 'How to Grow Your Audience as a Creator in 2026',
+    excerpt: 'The creators who build sustainable, engaged audiences do it the same way — consistency, collaboration, and smart distribution. Here\'s the full playbook.',
+    emoji: '📈',
+    tags: ['growth'],
+    body: `Everyone wants more followers. But the creators who actually build sustainable, engaged audiences do it the same way — through consistency, collaboration, and smart distribution.
+
+Here's the complete playbook.
+
+## Step 1: Pick One Platform and Go Deep
+
+Trying to be everywhere at once is the #1 mistake new creators make. Pick one platform where your target audience already spends time:
+
+- **TikTok** → Gen Z, lifestyle, entertainment
+- **YouTube** → Tutorials, long-form, education
+- **Twitter/X** → Tech, finance, news commentary
+- **Newsletter** → Deep dives, professional topics
+
+Master one before expanding.
+
+## Step 2: Publish Consistently (Not Just Frequently)
+
+The algorithm doesn't care how often you post. It cares how **consistently** you post. Three videos a week for 3 months beats 10 videos in January and nothing in February.
+
+Set a pace you can maintain for 12 months. Then stick to it.
+
+## Step 3: Collaborate With Creators at Your Level
+
+Cross-promotions between creators of similar sizes consistently outperform paid advertising. Find 5 creators in your niche with a similar audience size and propose a collab.
+
+Use [ViralBoost](/) to find creators actively looking for collaboration right now.
+
+## Step 4: Repurpose Everything
+
+Every piece of content you create should live in at least 3 places:
+
+- A long YouTube video becomes 5 TikTok clips
+- A podcast episode becomes a newsletter
+- A Twitter thread becomes a LinkedIn post
+
+This multiplies your reach without multiplying your work.
+
+## Step 5: Build an Email List From Day One
+
+Social platforms can change their algorithm overnight. Your email list can't be taken away. Even if you only have 100 subscribers, start building it today.
+
+## Step 6: Optimize Your Titles and Thumbnails
+
+80% of your growth comes from 20% of your content. Study your best-performing content and double down on what works. Better titles = more clicks = faster growth.
+
+## The Creator's Growth Formula
+
+**Consistency + Collaboration + Distribution = Audience Growth**`,
+  },
+  {
+    slug: 'how-to-get-podcast-sponsors',
+    title: 'How to Get Podcast Sponsors in 2026 (Even With a Small Audience)',
+    excerpt: 'You don\'t need 100,000 downloads per episode to land a podcast sponsor. Here\'s exactly how to attract brands to your show.',
+    emoji: '🎙️',
+    tags: ['podcast'],
+    body: `You don't need 100,000 downloads per episode to land a podcast sponsor. Brands are increasingly targeting micro-podcasts with highly engaged, niche audiences.
+
+Here's exactly how to do it.
+
+## What Sponsors Actually Want
+
+Sponsors don't just pay for downloads. They pay for:
+
+- **Niche relevance** — a B2B software podcast with 2,000 listeners is more valuable to a SaaS company than a general show with 50,000
+- **Engaged audience** — high open rates, social shares, and listener responses
+- **Trust** — hosts that listeners actually listen to and trust
+
+## How to Find Your First Sponsor
+
+### Method 1: List on Creator Marketplaces
+
+Platforms like [ViralBoost](/) have a Podcast Hub where you can publish your show details, listener count, and what type of sponsorships you're looking for. Brands and advertisers actively browse these.
+
+### Method 2: Reach Out Directly
+
+Find products you already use and love. Send the founder a short email:
+
+> "I host [Podcast Name], a show about [topic] with [X] listeners/episode. I use [their product] and genuinely love it. I'd love to do a sponsored segment — here's my media kit: [link]."
+
+### Method 3: Join Podcast Ad Networks
+
+- Podcorn (podcorn.com) — connects podcasters with brands
+- Anchor/Spotify Audience Network
+- Advertise Cast
+
+## What to Charge
+
+A simple benchmark: **$20–$25 per 1,000 downloads (CPM)** for a host-read mid-roll ad. If you get 1,000 downloads per episode, you can charge $20–$25 per sponsor per episode.
+
+## Build Your Media Kit
+
+Before approaching sponsors, create a simple 1-page PDF with:
+
+- Show name, description, and niche
+- Download numbers (per episode and monthly)
+- Audience demographics if available
+- Ad placement options and pricing
+- A few testimonial quotes from listeners`,
+  },
+  {
+    slug: 'creator-economy-platforms-2026',
+    title: 'The 12 Best Creator Economy Platforms in 2026',
+    excerpt: 'The creator economy is worth over $250 billion. Whether you\'re a YouTuber, podcaster, or entrepreneur — these are the platforms you should be on.',
+    emoji: '🌐',
+    tags: ['platforms'],
+    body: `The creator economy is worth over $250 billion — and it's still growing. Whether you're a YouTuber, podcaster, newsletter writer, or entrepreneur, these are the platforms you should be on in 2026.
+
+## Platforms for Monetization
+
+- **Substack** — Best for newsletter writers who want to charge subscribers. Takes 10% of revenue.
+- **Patreon** — Best for creators with a loyal fanbase who want recurring revenue.
+- **Gumroad** — Best for selling digital products (ebooks, templates, courses) with low fees.
+- **Ko-fi** — Best for creators who want donations + small product sales with 0% fees on donations.
+
+## Platforms for Discovery & Collaboration
+
+- **[ViralBoost](/)** — Best for creators looking to find collaborations, promote newsletters and podcasts, and grow their audience. Free to use.
+- **Product Hunt** — Best for launching new creator tools or products and getting early traction.
+- **Paved** — Best for newsletter creators looking for brand sponsorships.
+
+## Platforms for Content Distribution
+
+- **YouTube** — Still the best long-form video platform with the highest revenue potential.
+- **TikTok** — Best for short-form viral content and fast audience growth.
+- **Twitter/X** — Best for real-time commentary, thought leadership, and newsletter growth.
+- **LinkedIn** — Underrated for B2B creators and professionals.
+- **Spotify** — Essential for podcasters.
+
+## Which Platforms Should You Focus On?
+
+For pure audience growth in 2026: **TikTok + ViralBoost (for collabs) + an email list.**
+
+For monetization: Substack or Gumroad.
+
+For visibility: Product Hunt + Reddit.`,
+  },
+  {
+    slug: 'how-to-promote-your-business-online-free',
+    title: 'How to Promote Your Business Online for Free in 2026',
+    excerpt: 'Paid ads are getting more expensive. The good news: organic promotion still works. Here are 12 methods that drive real traffic without spending a dollar.',
+    emoji: '💡',
+    tags: ['marketing'],
+    body: `Paid ads are getting more expensive. The good news: organic promotion still works — and it's free. Here are 12 methods that actually drive traffic and customers without spending a dollar.
+
+## 1. Create a Google Business Profile
+
+If you have any local component, a Google Business Profile is the highest-ROI free marketing tool available. Set it up at business.google.com.
+
+## 2. Optimize Your Website for SEO
+
+Make sure your website has proper title tags, meta descriptions, and schema markup. Google Search Console (free) will tell you exactly what to fix.
+
+## 3. List on Free Directories
+
+Submit your business to Google Business, Bing Places, Yelp, Crunchbase, and [ViralBoost](/) for creator businesses. Each listing = a backlink = better Google rankings.
+
+## 4. Post on Reddit
+
+Reddit has 1.5 billion monthly visitors. Find subreddits where your target customers hang out and provide genuine value. Contribute first, then mention your product when relevant.
+
+## 5. Launch on Product Hunt
+
+Product Hunt gets millions of visits per month from early adopters. A well-executed launch can bring thousands of visitors in a single day.
+
+## 6. Create YouTube Videos
+
+YouTube is the world's second-largest search engine. One video answering a common question in your niche can drive free traffic for years.
+
+## 7. Build an Email List
+
+Email marketing has an average ROI of 4,200%. Use a free tool like Mailchimp or Brevo to start building your list today.
+
+## 8. Partner With Other Businesses
+
+Find complementary businesses (not competitors) and cross-promote each other. Use [ViralBoost](/) to find the right partners.
+
+## 9. Be Active on Twitter/X
+
+Twitter is where journalists, investors, and early adopters hang out. Build in public — share your progress, wins, and learnings.
+
+## 10. Guest Post on Other Blogs
+
+Write a high-quality article for a blog in your niche. You get a backlink, their audience, and credibility.
+
+## 11. Answer Questions on Quora
+
+Find questions about your topic on Quora and write detailed, helpful answers. Include a link to your site where relevant.
+
+## 12. Use TikTok
+
+TikTok's algorithm still gives significant organic reach to new accounts. Even a business account can go viral with the right content.`,
+  },
+  {
+    slug: 'how-to-grow-instagram-without-buying-followers',
+    title: 'How to Grow Instagram in 2026 Without Buying Followers',
+    excerpt: 'Bought followers hurt your reach and don\'t buy anything. Here are the real strategies that actually grow an engaged Instagram audience.',
+    emoji: '📱',
+    tags: ['instagram'],
+    body: `Bought followers don't engage, don't buy, and actually hurt your reach by tanking your engagement rate. Here's how to grow a real, engaged Instagram audience in 2026.
+
+## Understand How the Instagram Algorithm Works
+
+Instagram's algorithm in 2026 prioritizes:
+
+1. **Reels** — still the highest organic reach format
+2. **Saves and shares** — more important than likes
+3. **Comments** — especially longer, meaningful ones
+4. **Story interactions** — polls, questions, sliders
+
+Create content that triggers saves and shares. Ask yourself: *"Would someone screenshot this?"*
+
+## The 5 Growth Strategies That Actually Work
+
+### 1. Post Reels 4–5x Per Week
+
+Reels get 3–5x more reach than static posts. Even simple, low-production Reels work if the content is valuable or entertaining.
+
+### 2. Collaborate With Creators in Your Niche
+
+Instagram Collabs (the dual-author post feature) is one of the most underused growth tools. When you collab with another account, the post appears on both profiles — doubling your reach instantly.
+
+Find collaboration partners on [ViralBoost](/).
+
+### 3. Use 3–5 Targeted Hashtags (Not 30)
+
+The 30-hashtag strategy is dead. Instagram now recommends 3–5 highly relevant hashtags. Focus on mid-size hashtags (50k–500k posts) where you can actually be discovered.
+
+### 4. Engage for 30 Minutes Before and After Posting
+
+Spend 15 minutes commenting on posts in your niche before you post, and 15 minutes responding to all comments after. This signals to the algorithm that your account is active and engaged.
+
+### 5. Cross-Promote Your Instagram Everywhere
+
+Add your Instagram link to your email signature, YouTube description, podcast show notes, and newsletter. Use [ViralBoost](/) to find cross-promotion partners.
+
+## The One Thing That Accelerates Everything
+
+Collaboration. Every major creator you see today got their big break through a collaboration. Don't do this alone.`,
+  },
+  {
+    slug: 'how-to-make-money-as-content-creator',
+    title: 'How to Make Money as a Content Creator in 2026',
+    excerpt: 'Content creation is a real business. Here are 10 revenue streams available to creators in 2026 — from the easiest to the most lucrative.',
+    emoji: '💰',
+    tags: ['monetization'],
+    body: `Content creation is a real business. Here's every revenue stream available to creators in 2026 — from the easiest to the most lucrative.
+
+## Revenue Stream 1: Brand Sponsorships
+
+The most common creator revenue stream. Brands pay you to mention or review their product. Rates vary from $50 (micro-influencer) to $500,000+ per post (mega-influencer).
+
+**How to get started:** List your profile on creator platforms like [ViralBoost](/) to get discovered by brands.
+
+## Revenue Stream 2: Affiliate Marketing
+
+Promote other people's products and earn a commission on every sale. Amazon Associates, ShareASale, and Impact are good starting points.
+
+**Best for:** Bloggers, YouTubers, and newsletter writers with high-trust audiences.
+
+## Revenue Stream 3: Digital Products
+
+Sell ebooks, templates, presets, or courses. The profit margin is 95%+ since there's no inventory or shipping. Best platforms: Gumroad, Teachable, Podia.
+
+## Revenue Stream 4: Paid Newsletter
+
+Charge $5–$15/month for premium content. Substack makes this easy to set up in minutes.
+
+## Revenue Stream 5: Memberships
+
+Offer a paid community (Discord, Circle, or Patreon) with exclusive content, live calls, or early access.
+
+## Revenue Stream 6: Coaching and Consulting
+
+If you have expertise, sell your time. A 1-hour coaching call can be worth $100–$1,000 depending on your niche.
+
+## Revenue Stream 7: YouTube AdSense
+
+Once you hit 1,000 subscribers and 4,000 watch hours, you can monetize your YouTube channel with ads.
+
+## Revenue Stream 8: Speaking Gigs
+
+Established creators get paid $1,000–$50,000+ to speak at events and conferences.
+
+## Revenue Stream 9: Licensing Your Content
+
+Photos, videos, and music can be licensed to brands and media companies.
+
+## Revenue Stream 10: Co-Created Products
+
+Partner with a brand to co-create a product line. This is the highest-revenue model for creators with large audiences.
+
+## The Fastest Path to Your First $1,000
+
+Start with affiliate marketing (set up in a day) + brand partnerships (use ViralBoost to find them). Focus on one niche, build trust, and the revenue follows.`,
+  },
+  {
+    slug: 'best-tools-for-entrepreneurs-2026',
+    title: '20 Best Free Tools for Entrepreneurs in 2026',
+    excerpt: 'You don\'t need to spend thousands on software to run a successful online business. Here are the 20 best free tools every entrepreneur should know.',
+    emoji: '🛠️',
+    tags: ['tools'],
+    body: `You don't need to spend thousands on software to run a successful online business. Here are the 20 best free (or freemium) tools every entrepreneur should know about in 2026.
+
+## Marketing & Growth
+
+- **[ViralBoost](/)** — Find collaborators, promote your newsletter or podcast, and grow your audience. Free.
+- **Google Search Console** — Track your website's Google rankings and fix SEO issues. Completely free.
+- **Mailchimp** — Email marketing up to 500 subscribers free. Perfect for early-stage businesses.
+- **Buffer** — Schedule social media posts across multiple platforms. Free plan available.
+- **Canva** — Design graphics, presentations, and social media posts. Free tier is excellent.
+
+## Analytics
+
+- **Google Analytics 4** — The standard for website traffic analysis. Free.
+- **Hotjar** — See how users interact with your website through heatmaps. Free plan available.
+- **Umami** — Privacy-friendly analytics alternative to Google Analytics. Free and open-source.
+
+## Productivity
+
+- **Notion** — All-in-one workspace for notes, projects, and wikis. Free for individuals.
+- **Trello** — Visual project management. Free plan is very generous.
+- **Calendly** — Schedule meetings without back-and-forth emails. Free tier available.
+
+## Communication
+
+- **Slack** — Team messaging. Free for small teams.
+- **Loom** — Record your screen and camera to send async video messages. Free up to 25 videos.
+
+## Finance
+
+- **Wave** — Free accounting software for small businesses.
+- **Stripe** — Accept payments online. No monthly fee, pay only per transaction.
+
+## Sales & CRM
+
+- **HubSpot CRM** — Track leads and customers. Free forever plan.
+- **Apollo.io** — Find business emails and leads. Free tier available.
+
+## Development
+
+- **GitHub** — Host your code and collaborate with developers. Free for public repos.
+- **Vercel** — Deploy websites and apps for free.
+- **Supabase** — Free open-source Firebase alternative.
+
+These tools can run an entire online business at near-zero cost. Start with [ViralBoost](/) to connect with other entrepreneurs and grow your audience.`,
+  },
+  {
+    slug: 'how-to-launch-product-online',
+    title: 'How to Launch a Product Online in 2026 (Step-by-Step)',
+    excerpt: 'Most product launches fail not because the product is bad, but because the strategy was wrong. Here\'s the complete playbook for a successful launch.',
+    emoji: '🚀',
+    tags: ['launch'],
+    body: `Most product launches fail not because the product is bad, but because the launch strategy was wrong. Here's the complete playbook for launching an online product in 2026.
+
+## Phase 1: Pre-Launch (4–6 Weeks Before)
+
+### Build an Audience Before You Launch
+
+The biggest mistake is waiting until launch day to start marketing. Build your audience first:
+
+- Start a Twitter/X account and post about what you're building
+- Launch a waitlist landing page
+- Join creator communities and share your journey
+- List yourself on [ViralBoost](/) to find partners and collaborators early
+
+### Identify Your Launch Partners
+
+Find creators, newsletters, and podcasters who reach your target audience. Offer them early access or an affiliate commission in exchange for mentioning your launch. Use [ViralBoost](/) to find the right partners in your niche.
+
+## Phase 2: Launch Week
+
+### Day 1: Product Hunt
+
+Submit your product to Product Hunt. Have your supporters ready to upvote on launch day. A #1 Product of the Day can bring 2,000–10,000 visitors.
+
+### Day 2: Reddit
+
+Post in relevant subreddits: r/Entrepreneur, r/SideProject, r/IMadeThis. Be genuine — tell your story, not just your product.
+
+### Day 3: Email Your List
+
+Send a launch email to everyone who joined your waitlist. Include a limited-time offer or early-bird discount.
+
+### Day 4–7: Creator Outreach
+
+Have your launch partners post their reviews and features. Coordinate timing for maximum impact.
+
+## Phase 3: Post-Launch
+
+### Collect Testimonials
+
+Reach out to early customers and ask for feedback. Good testimonials are worth more than any ad.
+
+### Double Down on What's Working
+
+Check your analytics after launch week. Which channel brought the most signups? Invest more there.
+
+### Keep the Momentum
+
+Launch is the beginning, not the end. Continue publishing content, doing collabs, and building in public.
+
+## The #1 Launch Secret
+
+Your launch will be as big as your audience. **Start building relationships and partnerships today** — before you need them.`,
+  },
+];
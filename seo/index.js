@@ -0,0 +1,224 @@
+// ════════════════════════════════════════
+// ── PAGES SEO — HTML rendu côté serveur pour les robots et les aperçus de liens
+// ── Chaque page : <title>, description, canonical, Open Graph, Twitter card et JSON-LD.
+// ── Projet vitrine → /project/:id · profil public → /u/:username · blog → /blog, /blog/:slug
+// ── Le contenu arrive déjà filtré par server.js (visible, publié) ; ici on ne fait qu'afficher.
+// ── Forme commune : createSeoPages({ publicUrl }) → { projectPage, profilePage, …, sitemap, robots }
+// ════════════════════════════════════════
+
+const { escapeHtml } = require('../mail/templates');
+const { renderMarkdown, plainText, safeUrl } = require('./markdown');
+const BLOG_SEED = require('./blog-seed');
+
+const SITE_NAME = 'ViralBoost';
+const DEFAULT_IMAGE = 'https://placehold.co/1200x630/22c55e/ffffff?text=ViralBoost+%E2%80%94+Grow+Your+Audience';
+const DESCRIPTION_MAX = 160;
+
+const STYLE = `:root{--bg:#05040f;--s1:#0e0c1e;--s2:#131128;--g3:#818cf8;--g4:#a5b4fc;--white:#f0f0ff;--muted:#8b87b3;--border:rgba(129,140,248,0.18)}
+*{box-sizing:border-box}body{margin:0;background:var(--bg);color:var(--white);font-family:'Plus Jakarta Sans',Helvetica,Arial,sans-serif;line-height:1.7}
+a{color:var(--g4)}nav{display:flex;align-items:center;justify-content:space-between;padding:16px 5%;border-bottom:1px solid var(--border)}
+.logo{font-weight:800;letter-spacing:3px;text-decoration:none;color:var(--white)}.logo span{color:var(--g3)}
+.cta{background:var(--g3);color:#05040f;padding:9px 18px;border-radius:8px;font-weight:700;text-decoration:none;font-size:14px}
+main{max-width:760px;margin:0 auto;padding:40px 24px 80px}h1{font-size:clamp(30px,5vw,46px);line-height:1.15;margin:0 0 12px}
+.kicker{font-family:monospace;font-size:11px;letter-spacing:2px;text-transform:uppercase;color:var(--g3)}
+.meta{color:var(--muted);font-size:13px;margin-bottom:28px}.tags a,.tag{display:inline-block;font-size:12px;margin:0 6px 6px 0;padding:2px 10px;border:1px solid var(--border);border-radius:20px;text-decoration:none}
+.card{display:block;background:var(--s1);border:1px solid var(--border);border-radius:14px;padding:18px 20px;margin-bottom:14px;color:inherit;text-decoration:none}
+.card:hover{border-color:var(--g3)}.card h2{font-size:18px;margin:0 0 6px}.card p{margin:0;color:var(--muted);font-size:14px}
+.stats{display:flex;gap:22px;margin:20px 0;font-family:monospace;color:var(--muted)}.stats b{color:var(--white);font-size:18px;display:block}
+.avatar{width:72px;height:72px;border-radius:50%;background:var(--s2);display:flex;align-items:center;justify-content:center;font-size:34px;margin-bottom:14px}
+article h2{margin-top:36px}article blockquote{margin:20px 0;padding:10px 18px;border-left:3px solid var(--g3);background:var(--s1);border-radius:0 8px 8px 0}
+article img{max-width:100%;border-radius:10px}article pre{background:var(--s1);padding:14px;border-radius:8px;overflow:auto}
+.hero-img{width:100%;max-height:380px;object-fit:cover;border-radius:14px;margin-bottom:24px}footer{text-align:center;color:var(--muted);font-size:12px;padding:30px}`;
+
+// Texte libre → meta description (une ligne, coupée au mot)
+function summarize(text, max = DESCRIPTION_MAX) {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  if (s.length <= max) return s;
+  return s.slice(0, max - 1).replace(/\s+\S*$/, '') + '…';
+}
+
+// Données JSON-LD dans un <script> : « < » échappé pour ne jamais fermer la balise
+function jsonLdTag(data) {
+  return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+}
+
+function paragraphs(text) {
+  return String(text || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)
+    .map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`).join('');
+}
+
+function createSeoPages({ publicUrl, siteName = SITE_NAME, twitterSite = '@viralboost', defaultImage = DEFAULT_IMAGE }) {
+  const base = String(publicUrl).replace(/\/+$/, '');
+  const abs = path => (/^https?:\/\//i.test(path) ? path : base + path);
+  // Image d'aperçu : média du site ou URL https, sinon l'image par défaut (jamais de data:)
+  const imageOf = url => (safeUrl(url) && !/^mailto:/i.test(url) ? abs(url) : defaultImage);
+
+  function page({ title, description, path, image = defaultImage, type = 'website', jsonLd = [], body, noindex = false }) {
+    const fullTitle = title ? `${title} · ${siteName}` : siteName;
+    const desc = summarize(description);
+    const url = abs(path);
+    const meta = [
+      `<meta name="description" content="${escapeHtml(desc)}">`,
+      `<meta name="robots" content="${noindex ? 'noindex' : 'index, follow'}">`,
+      `<link rel="canonical" href="${escapeHtml(url)}">`,
+      `<meta property="og:type" content="${type}">`,
+      `<meta property="og:site_name" content="${escapeHtml(siteName)}">`,
+      `<meta property="og:url" content="${escapeHtml(url)}">`,
+      `<meta property="og:title" content="${escapeHtml(title || siteName)}">`,
+      `<meta property="og:description" content="${escapeHtml(desc)}">`,
+      `<meta property="og:image" content="${escapeHtml(image)}">`,
+      `<meta name="twitter:card" content="summary_large_image">`,
+      `<meta name="twitter:site" content="${escapeHtml(twitterSite)}">`,
+      `<meta name="twitter:title" content="${escapeHtml(title || siteName)}">`,
+      `<meta name="twitter:description" content="${escapeHtml(desc)}">`,
+      `<meta name="twitter:image" content="${escapeHtml(image)}">`,
+    ];
+    return '<!doctype html><html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">'
+      + `<title>${escapeHtml(fullTitle)}</title>${meta.join('')}${[].concat(jsonLd).map(jsonLdTag).join('')}<style>${STYLE}</style></head><body>`
+      + `<nav><a class="logo" href="/">VIRAL<span>BOOST</span></a><div><a href="/blog" style="margin-right:18px">Blog</a><a class="cta" href="/">Join free</a></div></nav>`
+      + `<main>${body}</main><footer>© ${new Date().getFullYear()} <a href="/">${escapeHtml(siteName)}</a> — The free platform for creators & entrepreneurs.</footer></body></html>`;
+  }
+
+  function notFoundPage(message = 'This page does not exist or is no longer online.') {
+    return page({
+      title: 'Not found',
+      description: message,
+      path: '/',
+      noindex: true,
+      body: `<h1>Not found</h1><p class="meta">${escapeHtml(message)}</p><p><a class="cta" href="/">Discover ${escapeHtml(siteName)}</a></p>`,
+    });
+  }
+
+  // project + author (profil public ou null)
+  function projectPage(project, author) {
+    const path = '/project/' + encodeURIComponent(project.id);
+    const name = project.name || project.title || 'Project';
+    const description = project.hook || project.desc || project.description || `${name} on ${siteName}`;
+    const authorUrl = author?.username ? '/u/' + encodeURIComponent(author.username) : null;
+    const link = safeUrl(project.url) && /^https?:/i.test(project.url) ? project.url : null;
+    const tags = (Array.isArray(project.tags) ? project.tags : []).slice(0, 10);
+    const jsonLd = {
+      '@context': 'https://schema.org',
+      '@type': 'CreativeWork',
+      name,
+      description: summarize(project.desc || description, 500),
+      url: abs(path),
+      image: imageOf(project.mediaUrl),
+      dateCreated: project.createdAt,
+      ...(link ? { sameAs: link } : {}),
+      ...(tags.length ? { keywords: tags.join(', ') } : {}),
+      author: { '@type': 'Person', name: project.author || author?.name || siteName, ...(authorUrl ? { url: abs(authorUrl) } : {}) },
+      interactionStatistic: [
+        { '@type': 'InteractionCounter', interactionType: 'https://schema.org/LikeAction', userInteractionCount: project.votes || 0 },
+        { '@type': 'InteractionCounter', interactionType: 'https://schema.org/ViewAction', userInteractionCount: project.views || 0 },
+      ],
+    };
+    const body = `<div class="kicker">${escapeHtml(project.emoji || '🚀')} ${escapeHtml(project.type || project.cat || 'Project')}</div>`
+      + `<h1>${escapeHtml(name)}</h1>`
+      + `<div class="meta">by ${authorUrl ? `<a href="${authorUrl}">${escapeHtml(project.author || author.name)}</a>` : escapeHtml(project.author || 'a creator')}</div>`
+      + (imageOf(project.mediaUrl) !== defaultImage ? `<img class="hero-img" src="${escapeHtml(project.mediaUrl)}" alt="${escapeHtml(name)}">` : '')
+      + (project.hook ? `<p><strong>${escapeHtml(project.hook)}</strong></p>` : '')
+      + paragraphs(project.desc || project.description)
+      + (tags.length ? `<div class="tags">${tags.map(t => `<span class="tag">#${escapeHtml(t)}</span>`).join('')}</div>` : '')
+      + `<div class="stats"><div><b>${project.votes || 0}</b>votes</div><div><b>${project.views || 0}</b>views</div></div>`
+      + (link ? `<p><a class="cta" href="${escapeHtml(link)}" rel="nofollow ugc noopener" target="_blank">Visit ${escapeHtml(name)} ↗</a></p>` : '')
+      + `<p class="meta">Vote for this project and share yours on <a href="/">${escapeHtml(siteName)}</a>.</p>`;
+    return page({ title: name, description, path, image: imageOf(project.mediaUrl), type: 'article', jsonLd, body });
+  }
+
+  // user (carte publique) + { bio, followersCount, projects, posts }
+  function profilePage(user, { bio = '', followersCount = 0, projects = [], posts = [] } = {}) {
+    const path = '/u/' + encodeURIComponent(user.username);
+    const description = bio || `${user.name} (@${user.username}) on ${siteName} — projects and posts.`;
+    const jsonLd = {
+      '@context': 'https://schema.org',
+      '@type': 'ProfilePage',
+      url: abs(path),
+      mainEntity: {
+        '@type': 'Person',
+        name: user.name,
+        alternateName: '@' + user.username,
+        ...(bio ? { description: summarize(bio, 500) } : {}),
+        interactionStatistic: { '@type': 'InteractionCounter', interactionType: 'https://schema.org/FollowAction', userInteractionCount: followersCount },
+      },
+    };
+    const body = `<div class="avatar">${escapeHtml(user.avatar || (user.name || '?')[0])}</div>`
+      + `<h1>${escapeHtml(user.name)}</h1><div class="meta">@${escapeHtml(user.username)} · ${escapeHtml((user.plan || 'free').toUpperCase())} · ${followersCount} followers</div>`
+      + paragraphs(bio)
+      + (projects.length ? `<h2>Projects</h2>${projects.map(p => `<a class="card" href="/project/${encodeURIComponent(p.id)}"><h2>${escapeHtml(p.emoji || '🚀')} ${escapeHtml(p.name || p.title || 'Project')}</h2><p>${escapeHtml(summarize(p.hook || p.desc, 180))}</p></a>`).join('')}` : '')
+      + (posts.length ? `<h2>Latest posts</h2>${posts.map(p => `<div class="card"><p style="color:var(--white)">${escapeHtml(summarize(p.content || p.text, 280))}</p><p style="margin-top:6px;font-size:12px">${escapeHtml(String(p.createdAt || '').slice(0, 10))}</p></div>`).join('')}` : '');
+    return page({ title: `${user.name} (@${user.username})`, description, path, type: 'profile', jsonLd, body });
+  }
+
+  function postCard(post) {
+    return `<a class="card" href="/blog/${encodeURIComponent(post.slug)}"><h2>${escapeHtml(post.emoji ? post.emoji + ' ' : '')}${escapeHtml(post.title)}</h2>`
+      + `<p>${escapeHtml(post.excerpt || summarize(plainText(post.body), 180))}</p>`
+      + `<p style="margin-top:8px;font-size:12px">${escapeHtml(String(post.publishAt).slice(0, 10))}${(post.tags || []).length ? ' · ' + post.tags.map(escapeHtml).join(', ') : ''}</p></a>`;
+  }
+
+  // posts : articles publiés, les plus récents d'abord · tag : filtre affiché
+  function blogIndexPage(posts, { tag = null, tags = [] } = {}) {
+    const path = tag ? '/blog?tag=' + encodeURIComponent(tag) : '/blog';
+    const description = 'Free guides for creators and entrepreneurs. Learn how to grow your audience, find collaborations, monetize your content and promote your business online.';
+    const jsonLd = {
+      '@context': 'https://schema.org',
+      '@type': 'Blog',
+      name: `${siteName} Blog`,
+      url: abs('/blog'),
+      blogPost: posts.slice(0, 20).map(p => ({ '@type': 'BlogPosting', headline: p.title, url: abs('/blog/' + encodeURIComponent(p.slug)), datePublished: p.publishAt })),
+    };
+    const body = `<div class="kicker">📚 ${escapeHtml(siteName)} Blog</div><h1>${tag ? '#' + escapeHtml(tag) : 'Creator growth guides'}</h1>`
+      + `<p class="meta">${escapeHtml(description)}</p>`
+      + (tags.length ? `<div class="tags" style="margin-bottom:24px">${tag ? '<a href="/blog">All</a>' : ''}${tags.map(t => `<a href="/blog?tag=${encodeURIComponent(t)}">#${escapeHtml(t)}</a>`).join('')}</div>` : '')
+      + (posts.length ? posts.map(postCard).join('') : '<p class="meta">No article yet.</p>');
+    return page({ title: tag ? `#${tag} — Blog` : 'Blog — Creator Growth Guides & Tips', description, path, jsonLd, body, noindex: !!tag });
+  }
+
+  // post publié + related : autres articles (mêmes tags d'abord)
+  function blogPostPage(post, { related = [] } = {}) {
+    const path = '/blog/' + encodeURIComponent(post.slug);
+    const description = post.excerpt || plainText(post.body);
+    const image = imageOf(post.coverUrl);
+    const jsonLd = {
+      '@context': 'https://schema.org',
+      '@type': 'BlogPosting',
+      headline: post.title,
+      description: summarize(description, 300),
+      url: abs(path),
+      mainEntityOfPage: abs(path),
+      image,
+      datePublished: post.publishAt,
+      dateModified: post.updatedAt || post.publishAt,
+      author: { '@type': 'Person', name: post.authorName || siteName },
+      publisher: { '@type': 'Organization', name: siteName, url: abs('/') },
+      ...((post.tags || []).length ? { keywords: post.tags.join(', ') } : {}),
+    };
+    const body = `<article><div class="kicker">${escapeHtml(post.emoji || '📚')} Blog</div><h1>${escapeHtml(post.title)}</h1>`
+      + `<div class="meta">📅 ${escapeHtml(String(post.publishAt).slice(0, 10))}${post.authorName ? ' · ' + escapeHtml(post.authorName) : ''}</div>`
+      + (image !== defaultImage ? `<img class="hero-img" src="${escapeHtml(post.coverUrl)}" alt="${escapeHtml(post.title)}">` : '')
+      + renderMarkdown(post.body)
+      + ((post.tags || []).length ? `<div class="tags" style="margin-top:28px">${post.tags.map(t => `<a href="/blog?tag=${encodeURIComponent(t)}">#${escapeHtml(t)}</a>`).join('')}</div>` : '')
+      + `</article><div class="card" style="margin-top:36px"><h2>🚀 Grow faster on ${escapeHtml(siteName)}</h2><p>Publish your project in 30 seconds, find collaborations and get votes from the community — free.</p><p style="margin-top:12px"><a class="cta" href="/">Join free</a></p></div>`
+      + (related.length ? `<h2>Related articles</h2>${related.map(postCard).join('')}` : '');
+    return page({ title: post.title, description, path, image, type: 'article', jsonLd, body });
+  }
+
+  // entries : [{ path, lastmod, changefreq, priority }]
+  function sitemap(entries) {
+    const urls = entries.map(e => '  <url>'
+      + `<loc>${escapeHtml(abs(e.path))}</loc>`
+      + (e.lastmod ? `<lastmod>${String(e.lastmod).slice(0, 10)}</lastmod>` : '')
+      + (e.changefreq ? `<changefreq>${e.changefreq}</changefreq>` : '')
+      + (e.priority !== undefined ? `<priority>${e.priority.toFixed(1)}</priority>` : '')
+      + '</url>');
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.join('\n')}\n</urlset>\n`;
+  }
+
+  function robots() {
+    return ['User-agent: *', 'Allow: /', 'Disallow: /admin', 'Disallow: /api/', '', `Sitemap: ${abs('/sitemap.xml')}`, ''].join('\n');
+  }
+
+  return { projectPage, profilePage, blogIndexPage, blogPostPage, notFoundPage, sitemap, robots };
+}
+
+module.exports = { BLOG_SEED, createSeoPages, renderMarkdown, plainText, summarize };
@@ -0,0 +1,91 @@
+// ── Markdown des articles du blog → HTML. Sous-ensemble volontairement réduit :
+// ── titres (#, ##, ###), paragraphes, listes (- ou 1.), citations (>), blocs de code (```),
+// ── ligne horizontale (---), **gras**, *italique*, `code`, [lien](url) et ![image](url).
+// ── Tout le texte est échappé : le HTML brut écrit dans un article ne passe pas.
+
+const { escapeHtml } = require('../mail/templates');
+
+// Liens et images : http(s), mailto ou chemin du site — jamais javascript:
+function safeUrl(url) {
+  const u = String(url || '').trim();
+  return /^(https?:\/\/|mailto:|\/(?!\/))/i.test(u) ? u : null;
+}
+
+function inline(text) {
+  const codes = [];
+  let s = escapeHtml(text).replace(/`([^`]+)`/g, (_, code) => `\u0000${codes.push(code) - 1}\u0000`);
+  s = s
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (m, alt, url) => {
+      const src = safeUrl(url.replace(/&amp;/g, '&'));
+      return src ? `<img src="${escapeHtml(src)}" alt="${alt}" loading="lazy">` : alt;
+    })
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, url) => {
+      const href = safeUrl(url.replace(/&amp;/g, '&'));
+      if (!href) return label;
+      const external = /^https?:\/\//i.test(href);
+      return `<a href="${escapeHtml(href)}"${external ? ' rel="noopener" target="_blank"' : ''}>${label}</a>`;
+    })
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+    .replace(/ {2}$/gm, '<br>');
+  return s.replace(/\u0000(\d+)\u0000/g, (_, i) => `<code>${codes[i]}</code>`);
+}
+
+function renderMarkdown(md) {
+  const lines = String(md || '').replace(/\r\n?/g, '\n').split('\n');
+  const out = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) { i++; continue; }
+    if (/^```/.test(line)) {
+      const code = [];
+      for (i++; i < lines.length && !/^```/.test(lines[i]); i++) code.push(lines[i]);
+      i++;
+      out.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    if (heading) {
+      // Le titre de l'article est le seul <h1> de la page : « # » devient un <h2>
+      const level = Math.max(2, heading[1].length);
+      out.push(`<h${level}>${inline(heading[2].trim())}</h${level}>`);
+      i++;
+      continue;
+    }
+    if (/^(-{3,}|\*{3,})\s*$/.test(line)) { out.push('<hr>'); i++; continue; }
+    if (/^>\s?/.test(line)) {
+      const quote = [];
+      for (; i < lines.length && /^>\s?/.test(lines[i]); i++) quote.push(lines[i].replace(/^>\s?/, ''));
+      out.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+      continue;
+    }
+    const list = line.match(/^(\s*)([-*]|\d+\.)\s+/);
+    if (list) {
+      const ordered = /\d/.test(list[2]);
+      const items = [];
+      for (; i < lines.length && /^\s*([-*]|\d+\.)\s+/.test(lines[i]); i++) items.push(lines[i].replace(/^\s*([-*]|\d+\.)\s+/, ''));
+      const tag = ordered ? 'ol' : 'ul';
+      out.push(`<${tag}>${items.map(item => `<li>${inline(item)}</li>`).join('')}</${tag}>`);
+      continue;
+    }
+    const para = [];
+    for (; i < lines.length && lines[i].trim() && !/^(#{1,3}\s|```|>|\s*([-*]|\d+\.)\s+|(-{3,}|\*{3,})\s*$)/.test(lines[i]); i++) para.push(lines[i]);
+    out.push(`<p>${inline(para.join('\n'))}</p>`);
+  }
+  return out.join('\n');
+}
+
+// Texte brut (extraits, meta description) : sans balisage ni URL
+function plainText(md) {
+  return String(md || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*]|\d+\.)\s+/gm, '')
+    .replace(/[*`_]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = { renderMarkdown, plainText, safeUrl };
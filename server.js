@@ -5,195 +5,1005 @@ const Stripe = require('stripe');
 const path = require('path');
 const fs = require('fs');
 const http = require('http');
-const { WebSocketServer, WebSocket } = require('ws');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { createStorage, hydrate, snapshot, applyEntries } = require('./storage');
+const { createModeratorFromEnv } = require('./moderation');
+const { createMediaPipeline } = require('./media');
+const { MAX_FRAME_BYTES, createHub, startHeartbeat, createRateLimiter, parseFrame, createBusFromEnv, createCluster } = require('./realtime');
+const { AI_TOOLS, LANGS, validateInput, buildRequest, describeTools, createAIClient, streamCompletion } = require('./ai');
+const { WELCOME_CREDITS, SHOP_ITEMS, CREDIT_PACKS, XP_PER_EVENT, XP_DAILY_CAP, MISSIONS, levelProgress, missionProgress, newBadges } = require('./gamification');
+const { DEFAULT_FROM, parseAddress, buildMessage, createTransportFromEnv, extractLinks, renderCampaign, optInMessage, verifyEmailMessage, parseCsv, escapeHtml } = require('./mail');
+const { createScheduler } = require('./jobs');
+const { BLOG_SEED, createSeoPages, renderMarkdown } = require('./seo');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({ server, maxPayload: MAX_FRAME_BYTES });
 
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.static(path.join(__dirname, '.')));
+app.use(cors({ origin: true, credentials: true }));
+// Corps brut conservé pour vérifier la signature des webhooks Stripe
+app.use(express.json({ limit: '10mb', verify: (req, res, buf) => { if (req.originalUrl.startsWith('/api/stripe/webhook')) req.rawBody = buf; } }));
+// Pas de statique sur la racine du dépôt (data.json, outbox/, sources…) : seules ces pages
+// sont servies telles quelles, les médias ont leur propre dossier (/uploads, plus bas)
+const PUBLIC_FILES = { '/index.html': 'index.html', '/admin.html': 'admin.html' };
+app.get(Object.keys(PUBLIC_FILES), (req, res) => res.sendFile(path.join(__dirname, PUBLIC_FILES[req.path])));
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || 'pk_test_51T2LGAJRrVNvN9TSGu2IB37Rn1Ib8J65TQ159AM7BGwmAhBQRwoT6dNxPVeY8CTSZzqMmso1XMJx6LNYFCVSn4q000pEM01MTS');
 const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY || 'sk-ant-REDACTED' });
+// Client réellement utilisé par l'app (AI_CLIENT=fake → faux client local, voir ai/)
+const aiClient = createAIClient(process.env, { anthropic });
 
 // ════════════════════════════════════════
-// ── PERSISTANCE FICHIER JSON (sans MongoDB)
-// ── Toutes les données sont sauvegardées dans data.json
-// ── Au redémarrage du serveur, tout est rechargé automatiquement
+// ── PERSISTANCE — driver choisi par STORAGE_DRIVER (voir storage/)
+// ── json  (défaut) : data.json, écriture atomique (fichier temporaire + rename)
+// ── mongo         : MongoDB, seuls les documents modifiés sont écrits ; seul driver
+// ──                 accepté à plusieurs instances (REALTIME_BUS=mongo), qui s'annoncent
+// ──                 leurs écritures et relisent celles des autres (reloadData)
+// ── `db` reste l'état de travail en mémoire ; saveData() planifie l'écriture
+// ── Travaux différés ou périodiques : `scheduler` (jobs/), lancé par start()
 // ════════════════════════════════════════
 
-const DATA_FILE = path.join(__dirname, 'data.json');
+const dataStore = createStorage();
+const db = hydrate({}); // rempli par start() avant l'ouverture du port
 
-function loadData() {
-  try {
-    if (fs.existsSync(DATA_FILE)) {
-      const raw = fs.readFileSync(DATA_FILE, 'utf8');
-      return JSON.parse(raw);
-    }
-  } catch(e) {
-    console.log('⚠️  data.json illisible, on repart de zéro');
-  }
-  return { users: {}, posts: [], projects: [], groups: {}, groupMessages: {}, reports: [], adminDMs: [], chatMessages: [], votes: {} };
-}
+let saveTimer = null;
+let saving = null;
 
+// Regroupe les écritures rapprochées en une seule sauvegarde (~500 ms)
 function saveData() {
+  if (!saveTimer) saveTimer = setTimeout(flushData, 500);
+}
+
+async function flushData() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  while (saving) await saving;
+  saving = dataStore.save(snapshot(db))
+    .then(result => {
+      if (!result) return;
+      cluster.publishChanges(result.changed);
+      applyStored(result.conflicts, 'conflit d\'écriture, version de la base reprise');
+    })
+    .catch(e => console.error(`❌ Erreur sauvegarde (${dataStore.describe()}):`, e.message))
+    .finally(() => { saving = null; });
+  return saving;
+}
+
+// Documents écrits par une autre instance : nos écritures en attente partent d'abord
+// (un conflit s'y règle), puis la version de la base remplace la nôtre en mémoire
+async function reloadData(changes) {
+  await flushData();
+  while (saving) await saving;
+  saving = dataStore.reload(changes)
+    .then(entries => applyStored(entries))
+    .catch(e => console.error(`❌ Relecture (${dataStore.describe()}):`, e.message))
+    .finally(() => { saving = null; });
+  return saving;
+}
+
+function applyStored(entries, reason = null) {
+  const names = applyEntries(db, entries);
+  if (names.includes('ledger')) rebuildBalances();
+  if (reason && names.length) console.log(`⚠️  ${reason} : ${names.map(n => `${n} (${Object.keys(entries[n]).length})`).join(', ')}`);
+}
+
+// Jobs : exécutés par une seule instance, titulaire du bail « jobs » (toujours elle-même
+// avec data.json) ; renouvelé au tiers de sa durée, repris par une autre s'il expire
+const JOBS_LEASE_MS = 60 * 1000;
+let jobsLeader = false;
+
+async function renewJobsLease() {
   try {
-    const snapshot = {
-      users:        Object.fromEntries(db.users),
-      posts:        db.posts,
-      projects:     db.projects,
-      groups:       Object.fromEntries(db.groups),
-      groupMessages:Object.fromEntries(db.groupMessages),
-      reports:      db.reports,
-      adminDMs:     db.adminDMs,
-      chatMessages: db.chatMessages.slice(-200), // garder les 200 derniers
-      votes:        Object.fromEntries(
-                      [...db.votes].map(([k,v]) => [k, [...v]])
-                    ),
-    };
-    fs.writeFileSync(DATA_FILE, JSON.stringify(snapshot, null, 2));
+    jobsLeader = await dataStore.acquireLease('jobs', cluster.instanceId, JOBS_LEASE_MS);
   } catch(e) {
-    console.error('❌ Erreur sauvegarde data.json:', e.message);
+    jobsLeader = false;
+    console.error('❌ Bail des jobs :', e.message);
   }
 }
 
+const scheduler = createScheduler({ db, save: saveData, isActive: () => jobsLeader });
+
 // Sauvegarde auto toutes les 30 secondes
-setInterval(saveData, 30000);
+scheduler.define('data.save', saveData, { every: 30 * 1000 });
 
 // Sauvegarde propre à l'arrêt du serveur
-process.on('SIGTERM', () => { saveData(); process.exit(0); });
-process.on('SIGINT',  () => { saveData(); process.exit(0); });
-
-// ── Charger les données au démarrage ──
-const raw = loadData();
-const db = {
-  users:        new Map(Object.entries(raw.users || {})),
-  posts:        raw.posts || [],
-  projects:     raw.projects || [],
-  groups:       new Map(Object.entries(raw.groups || {})),
-  groupMessages:new Map(Object.entries(raw.groupMessages || {})),
-  reports:      raw.reports || [],
-  adminDMs:     raw.adminDMs || [],
-  chatMessages: raw.chatMessages || [],
-  votes:        new Map(Object.entries(raw.votes || {}).map(([k,v]) => [k, new Set(v)])),
-};
-
-console.log(`✅ Données chargées : ${db.users.size} users · ${db.posts.length} posts · ${db.projects.length} projets · ${db.chatMessages.length} msgs chat`);
+async function shutdown() {
+  scheduler.stop();
+  await flushData();
+  await dataStore.close();
+  await realtimeBus.close();
+  process.exit(0);
+}
+process.on('SIGTERM', shutdown);
+process.on('SIGINT',  shutdown);
 
 // ── PLANS ──
 const PLANS = {
-  free:    { name: 'FREE',    price: 0,    limits: { pubsPerHour: 1,   chatMsgs: 3,   vitrineHours: 1       } },
-  starter: { name: 'STARTER', price: 300,  limits: { pubsPerDay: 3,    chatMsgs: 10,  vitrineHours: 168     } },
-  pro:     { name: 'PRO',     price: 1499, limits: { pubsPerDay: 999,  chatMsgs: 999, vitrineHours: 720     } },
-  elite:   { name: 'ELITE',   price: 3999, limits: { pubsPerDay: 999,  chatMsgs: 999, vitrineHours: 9999999 } },
+  free:    { name: 'FREE',    price: 0,    limits: { pubsPerHour: 1,   chatMsgs: 3,   vitrineHours: 1,       aiTokensPerMonth: 20000,   storageMB: 100   } },
+  starter: { name: 'STARTER', price: 300,  limits: { pubsPerDay: 3,    chatMsgs: 10,  vitrineHours: 168,     aiTokensPerMonth: 200000,  storageMB: 1024  } },
+  pro:     { name: 'PRO',     price: 1499, limits: { pubsPerDay: 999,  chatMsgs: 999, vitrineHours: 720,     aiTokensPerMonth: 1000000, storageMB: 10240 } },
+  elite:   { name: 'ELITE',   price: 3999, limits: { pubsPerDay: 999,  chatMsgs: 999, vitrineHours: 9999999, aiTokensPerMonth: 5000000, storageMB: 51200 } },
+};
+
+// ════════════════════════════════════════
+// ── AUTHENTIFICATION — comptes & sessions
+// ── Mots de passe hachés (scrypt), jetons de session signés (HMAC)
+// ── L'identité vient TOUJOURS de la session, jamais du corps de la requête
+// ════════════════════════════════════════
+
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_COOKIE = 'vb_session';
+const SESSION_TTL_MS = 30 * 24 * 3600 * 1000; // 30 jours
+const ADMIN_EMAIL    = process.env.ADMIN_EMAIL || 'soug759@gmail.com';
+const EMAIL_VERIFY_TTL_MS    = 24 * 3600 * 1000;
+const EMAIL_VERIFY_RESEND_MS = 10 * 60 * 1000; // un email de vérification au plus toutes les 10 min par compte
+
+if (!process.env.SESSION_SECRET) console.log('⚠️  SESSION_SECRET absent — les sessions ne survivront pas au redémarrage');
+
+function normalizeEmail(email) { return String(email || '').trim().toLowerCase(); }
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  if (!stored) return false;
+  const [algo, salt, hash] = stored.split('$');
+  if (algo !== 'scrypt' || !salt || !hash) return false;
+  const candidate = crypto.scryptSync(password, salt, 64);
+  const expected  = Buffer.from(hash, 'hex');
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
+
+function signSessionId(sid) {
+  return sid + '.' + crypto.createHmac('sha256', SESSION_SECRET).update(sid).digest('base64url');
+}
+
+function unsignSessionToken(token) {
+  if (typeof token !== 'string') return null;
+  const dot = token.lastIndexOf('.');
+  if (dot <= 0) return null;
+  const sid = token.slice(0, dot);
+  const expected = Buffer.from(signSessionId(sid));
+  const given    = Buffer.from(token);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  return sid;
+}
+
+function createSession(email) {
+  const sid = crypto.randomBytes(24).toString('base64url');
+  db.sessions.set(sid, { email, createdAt: Date.now(), expiresAt: Date.now() + SESSION_TTL_MS });
+  return signSessionId(sid);
+}
+
+function destroySession(token) {
+  const sid = unsignSessionToken(token);
+  if (sid) db.sessions.delete(sid);
+}
+
+function getSessionUser(token) {
+  const sid = unsignSessionToken(token);
+  if (!sid) return null;
+  const session = db.sessions.get(sid);
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) { db.sessions.delete(sid); return null; }
+  return db.users.get(session.email) || null;
+}
+
+function parseCookies(header) {
+  const out = {};
+  (header || '').split(';').forEach(part => {
+    const i = part.indexOf('=');
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  });
+  return out;
+}
+
+// Jeton lu dans "Authorization: Bearer …" ou dans le cookie de session
+function readSessionToken(req) {
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+function setSessionCookie(res, token) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_TTL_MS / 1000}${process.env.NODE_ENV === 'production' ? '; Secure' : ''}`);
+}
+
+function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+}
+
+// Ce qu'on renvoie au propriétaire du compte (jamais le hash du mot de passe)
+function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash, emailVerification, ...rest } = user;
+  return rest;
+}
+
+// ── Comptes staff : le rôle est porté par le compte (user.staffRole) ──
+// owner     → tout, y compris le revenu, les crédits et la gestion de l'équipe
+// moderator → signalements, sanctions, contenus, blog ; pas le revenu ni les messages
+// support   → utilisateurs, messages à l'équipe et notifications ; aucune sanction
+const STAFF_ROLES = ['owner', 'moderator', 'support'];
+const STAFF_PERMISSIONS = {
+  'dashboard':        ['owner', 'moderator', 'support'],
+  'users.read':       ['owner', 'moderator', 'support'],
+  'users.sanction':   ['owner', 'moderator'],
+  'reports.read':     ['owner', 'moderator', 'support'],
+  'reports.manage':   ['owner', 'moderator'],
+  'content.moderate': ['owner', 'moderator'],
+  'messages':         ['owner', 'support'],
+  'analytics':        ['owner', 'moderator', 'support'],
+  'revenue':          ['owner'],
+  'credits':          ['owner'],
+  'audit.read':       ['owner', 'moderator'],
+  'blog':             ['owner', 'moderator'],
+  'staff.manage':     ['owner'],
+};
+
+function staffRole(user) { return user && STAFF_ROLES.includes(user.staffRole) ? user.staffRole : null; }
+
+function hasStaffPermission(user, permission) {
+  const role = staffRole(user);
+  return !!role && STAFF_PERMISSIONS[permission].includes(role);
+}
+
+function staffPermissions(user) {
+  return Object.keys(STAFF_PERMISSIONS).filter(p => hasStaffPermission(user, p));
+}
+
+function isAdminUser(user) { return staffRole(user) === 'owner'; }
+
+// Premier owner : le compte ADMIN_EMAIL, tant qu'aucun owner n'existe, et seulement une
+// fois l'adresse vérifiée (lien reçu par email) — une simple inscription ne suffit pas
+function bootstrapStaffOwner(user) {
+  if (!user || user.email !== ADMIN_EMAIL || !user.emailVerifiedAt || staffRole(user)) return;
+  if ([...db.users.values()].some(u => staffRole(u) === 'owner')) return;
+  Object.assign(user, { staffRole: 'owner', staffSince: new Date().toISOString() });
+  console.log(`👑 ${user.email} → owner (ADMIN_EMAIL)`);
+}
+
+// Middleware global : req.user = compte de la session (ou null)
+function authenticate(req, res, next) {
+  req.user = getSessionUser(readSessionToken(req));
+  next();
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Authentification requise', code: 'auth_required' });
+  next();
+}
+
+// Routes staff : session d'un compte dont le rôle donne `permission`
+function requireStaff(permission) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Authentification requise', code: 'auth_required' });
+    if (!hasStaffPermission(req.user, permission)) return res.status(403).json({ error: 'Accès refusé', code: 'staff_forbidden', permission });
+    next();
+  };
+}
+
+app.use(authenticate);
+app.use(enforceAccountStatus);
+
+// ════════════════════════════════════════
+// ── MODÉRATION : SANCTIONS, CONTENUS & JOURNAL
+// ── Un compte banni ou suspendu est bloqué sur toutes les routes /api et sur le socket
+// ════════════════════════════════════════
+
+const REPORT_STATUSES = ['pending', 'reviewing', 'actioned', 'dismissed'];
+const REPORT_TARGETS  = ['user', 'post', 'project', 'comment', 'message', 'story'];
+
+// Routes encore ouvertes à un compte sanctionné : savoir pourquoi, se déconnecter
+const RESTRICTED_ALLOWED = ['/api/auth/me', '/api/auth/logout'];
+
+// Sanction en cours (null si aucune) ; une suspension échue est levée au passage
+function accountRestriction(user) {
+  if (!user) return null;
+  if (user.banned) return { code: 'account_banned', error: 'Ton compte a été banni.', reason: user.banReason || null, until: null };
+  if (user.suspendedUntil) {
+    if (new Date(user.suspendedUntil).getTime() > Date.now()) {
+      return { code: 'account_suspended', error: 'Ton compte est suspendu.', reason: user.suspensionReason || null, until: user.suspendedUntil };
+    }
+    user.suspendedUntil = null;
+    user.suspensionReason = null;
+    saveData();
+  }
+  return null;
+}
+
+function enforceAccountStatus(req, res, next) {
+  const restriction = accountRestriction(req.user);
+  if (!restriction || !req.path.startsWith('/api/') || RESTRICTED_ALLOWED.includes(req.path)) return next();
+  res.status(403).json(restriction);
+}
+
+// Prévient le compte puis ferme tous ses sockets
+function disconnectUser(userId, restriction) {
+  sendToUser(userId, { type: 'banned', message: restriction.error, ...restriction });
+  (userSockets.get(userId) || new Set()).forEach(ws => ws.close(4003, restriction.code));
+}
+
+// Journal en ajout seul : chaque entrée scelle la précédente (prevHash → hash).
+// Une entrée modifiée ou retirée casse la chaîne, ce que verifyAuditChain() signale.
+function auditHash(entry) {
+  const fields = [entry.id, entry.moderator, entry.role, entry.action, entry.targetType, entry.targetId, entry.createdAt, JSON.stringify(entry.details), entry.prevHash];
+  return crypto.createHash('sha256').update(fields.map(f => f ?? '').join('|')).digest('hex');
+}
+
+function verifyAuditChain() {
+  let prev = null;
+  let checked = 0;
+  for (const entry of db.moderationLog) {
+    if (!entry.hash) continue; // entrées antérieures au chaînage
+    if ((prev && entry.prevHash !== prev) || auditHash(entry) !== entry.hash) return { intact: false, checked, brokenAt: entry.id };
+    prev = entry.hash;
+    checked++;
+  }
+  return { intact: true, checked, brokenAt: null };
+}
+
+function audit(moderator, action, target = {}, details = {}) {
+  const previous = db.moderationLog.findLast(e => e.hash);
+  const entry = {
+    id: 'mod_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+    moderator,
+    role: staffRole(db.users.get(moderator)),
+    action,
+    targetType: target.type || null,
+    targetId: target.id || null,
+    reportId: details.reportId || null,
+    reason: details.reason || null,
+    details: JSON.parse(JSON.stringify(details)),
+    createdAt: new Date().toISOString(),
+    prevHash: previous?.hash || null,
+  };
+  entry.hash = auditHash(entry);
+  db.moderationLog.push(entry);
+  saveData();
+  console.log(`🛡️ MODÉRATION: ${moderator} → ${action} ${entry.targetType || ''} ${entry.targetId || ''}`);
+  return entry;
+}
+
+// action : suspend (hours) | ban | unban
+function sanctionUser(user, action, { hours, reason } = {}) {
+  const now = new Date().toISOString();
+  if (action === 'ban') {
+    Object.assign(user, { banned: true, bannedAt: now, banReason: reason || null });
+    [...db.sessions.entries()].forEach(([sid, s]) => { if (s.email === user.email) db.sessions.delete(sid); });
+  } else if (action === 'suspend') {
+    const ms = Math.max(1, Number(hours) || 24) * HOUR_MS;
+    Object.assign(user, { suspendedUntil: new Date(Date.now() + ms).toISOString(), suspendedAt: now, suspensionReason: reason || null });
+  } else if (action === 'unban') {
+    Object.assign(user, { banned: false, bannedAt: null, banReason: null, suspendedUntil: null, suspensionReason: null });
+  } else {
+    throw new Error('Action inconnue : ' + action);
+  }
+  user.updatedAt = now;
+  const restriction = accountRestriction(user);
+  if (restriction) disconnectUser(user.email, restriction);
+  saveData();
+  return restriction;
+}
+
+// Rang dans l'équipe : owner > moderator > support > compte ordinaire
+const STAFF_RANK = { owner: 3, moderator: 2, support: 1 };
+function staffRank(user) { return STAFF_RANK[staffRole(user)] || 0; }
+
+// Refus éventuel d'une sanction → { status, body } ; jamais le dernier owner actif, jamais un
+// membre de l'équipe de rang égal ou supérieur (ni soi-même). Lever une sanction reste possible.
+function sanctionBlocker(moderator, user, action) {
+  if (action === 'unban') return null;
+  if (staffRole(user) === 'owner' && ![...db.users.values()].some(u => u !== user && staffRole(u) === 'owner' && !accountRestriction(u))) {
+    return { status: 409, body: { error: 'Impossible de sanctionner le dernier owner', code: 'last_owner' } };
+  }
+  if (staffRank(user) && staffRank(user) >= staffRank(moderator)) {
+    return { status: 403, body: { error: 'Impossible de sanctionner un membre de l\'équipe de rang égal ou supérieur', code: 'staff_rank' } };
+  }
+  return null;
+}
+
+function findContent(type, id) {
+  switch (type) {
+    case 'post':    return db.posts.find(p => p.id === id);
+    case 'project': return db.projects.find(p => p.id === id);
+    case 'comment': return db.comments.find(c => c.id === id);
+    case 'story':   return db.stories.find(s => s.id === id);
+    case 'message': return db.chatMessages.find(m => m.id === id) || [...db.groupMessages.values()].flat().find(m => m.id === id);
+    default:        return null;
+  }
+}
+
+// Retire le contenu des clients connectés (masquage ou suppression)
+function broadcastContentRemoval(type, item) {
+  if (type === 'post')    ['feed', 'post:' + item.id].forEach(topic => publish(topic, { type: 'post_deleted', postId: item.id, reason: 'moderation' }));
+  if (type === 'project') publish('projects', { type: 'project_deleted', projectId: item.id, reason: 'moderation' });
+  if (type === 'comment') publish('post:' + item.postId, { type: 'comment_deleted', postId: item.postId, commentId: item.id });
+  if (type === 'story')   publish('stories', { type: 'story_deleted', storyId: item.id, username: item.username, reason: 'moderation' });
+  if (type === 'message') publish(item.groupId ? 'group:' + item.groupId : 'chat', { type: 'message_deleted', messageId: item.id, groupId: item.groupId || null });
+}
+
+// action : hide | unhide | delete
+function moderateContent(type, item, action, reason) {
+  if (action === 'hide' || action === 'unhide') {
+    const hidden = action === 'hide';
+    Object.assign(item, { hidden, hiddenAt: hidden ? new Date().toISOString() : null, hiddenReason: hidden ? reason || null : null });
+    if (item.moderation) item.moderation.status = hidden ? 'hidden' : 'approved';
+    if (hidden) broadcastContentRemoval(type, item);
+  } else if (action === 'delete') {
+    if (type === 'post') removePost(item.id);
+    else if (type === 'comment') removeComment(item);
+    else if (type === 'story') removeStory(item);
+    else if (type === 'project') {
+      db.projects = db.projects.filter(p => p.id !== item.id);
+      forgetProject(item.id);
+      releaseMedia('project', item.id);
+    } else if (type === 'message') {
+      db.chatMessages = db.chatMessages.filter(m => m.id !== item.id);
+      db.groupMessages.forEach((list, groupId) => db.groupMessages.set(groupId, list.filter(m => m.id !== item.id)));
+      releaseMedia('group_message', item.id);
+    }
+    if (type !== 'comment') broadcastContentRemoval(type, item);
+  } else {
+    throw new Error('Action inconnue : ' + action);
+  }
+  saveData();
+}
+
+function isVisible(item) { return !item.hidden; }
+
+// ── Modération automatique (moderation/) : règles locales puis classifieur ──
+const moderator = createModeratorFromEnv(process.env, { anthropic: aiClient });
+
+// Champs texte examinés pour chaque type de contenu
+const MODERATED_FIELDS = {
+  post:          ['text', 'content', 'projName', 'postUrl'],
+  project:       ['name', 'title', 'desc', 'description', 'hook', 'url', 'tags'],
+  comment:       ['text'],
+  story:         ['text'],
+  chat:          ['text'],
+  group_message: ['text'],
 };
 
+function textOf(type, item) {
+  return MODERATED_FIELDS[type].map(f => Array.isArray(item[f]) ? item[f].join(' ') : item[f]).filter(v => typeof v === 'string' && v).join('\n');
+}
+
+// Examine le contenu avant publication. S'il est signalé : masqué (retenu pour revue
+// ou masqué d'office), signalement automatique dans db.reports, entrée au journal.
+// → true si le contenu ne doit pas être diffusé
+async function autoModerate(type, item, authorId) {
+  const verdict = await moderator.screen(type, textOf(type, item), { userId: authorId });
+  if (verdict.action === 'allow') return false;
+  const now = new Date().toISOString();
+  const targetType = type === 'chat' || type === 'group_message' ? 'message' : type;
+  item.hidden = true;
+  item.hiddenAt = now;
+  item.hiddenReason = 'automod';
+  item.moderation = { status: verdict.action === 'hide' ? 'hidden' : 'held', score: verdict.score, reasons: verdict.reasons, source: verdict.source };
+  const report = {
+    id: 'rep_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+    targetType,
+    targetId: item.id,
+    contentType: type,
+    reportedId: authorId,
+    reportedName: db.users.get(authorId)?.name || null,
+    reporterId: 'automod',
+    reporterName: 'AutoMod',
+    reason: verdict.reasons.join(' · ') || verdict.source,
+    source: 'auto',
+    score: verdict.score,
+    categories: verdict.categories,
+    autoAction: verdict.action,
+    // Masqué d'office = déjà traité ; retenu = en attente d'un modérateur
+    status: verdict.action === 'hide' ? 'actioned' : 'pending',
+    notes: [],
+    createdAt: now,
+    updatedAt: null,
+  };
+  db.reports.push(report);
+  audit('automod', 'auto_' + verdict.action + '_' + targetType, { type: targetType, id: item.id }, { score: verdict.score, reasons: verdict.reasons, source: verdict.source, reportId: report.id });
+  return true;
+}
+
+// Réponse standard à l'auteur d'un contenu retenu
+function heldPayload(item) {
+  return { held: true, code: 'content_held', moderation: { status: item.moderation.status }, message: 'Ton contenu est en attente de vérification par la modération.' };
+}
+
+// ════════════════════════════════════════
+// ── QUOTAS PAR PLAN — fenêtres glissantes
+// ── pub  : publications (posts + projets vitrine) → pubsPerHour / pubsPerDay
+// ── chat : messages du chat mondial               → chatMsgs par 24h
+// ════════════════════════════════════════
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS  = 24 * HOUR_MS;
+
+function planLimits(user) { return (PLANS[user?.plan] || PLANS.free).limits; }
+
+// { max, windowMs } pour un type d'usage, ou null si le plan ne le limite pas
+function quotaRule(user, kind) {
+  const limits = planLimits(user);
+  if (kind === 'pub')  return limits.pubsPerHour ? { max: limits.pubsPerHour, windowMs: HOUR_MS } : { max: limits.pubsPerDay, windowMs: DAY_MS };
+  if (kind === 'chat') return { max: limits.chatMsgs, windowMs: DAY_MS };
+  return null;
+}
+
+// Horodatages encore dans la fenêtre (les plus anciens sont purgés au passage)
+function usageInWindow(userId, kind, windowMs, now) {
+  if (!db.usage.has(userId)) db.usage.set(userId, {});
+  const usage = db.usage.get(userId);
+  usage[kind] = (usage[kind] || []).filter(ts => ts > now - windowMs);
+  return usage[kind];
+}
+
+function checkQuota(user, kind, now = Date.now()) {
+  const rule = quotaRule(user, kind);
+  if (!rule || isAdminUser(user)) return { ok: true };
+  const used = usageInWindow(user.email, kind, rule.windowMs, now);
+  const remaining = Math.max(0, rule.max - used.length);
+  const resetsAt = new Date((used[0] || now) + rule.windowMs).toISOString();
+  return { ok: remaining > 0, kind, limit: rule.max, used: used.length, remaining, windowMs: rule.windowMs, resetsAt };
+}
+
+function consumeQuota(user, kind, now = Date.now()) {
+  const rule = quotaRule(user, kind);
+  if (!rule) return;
+  usageInWindow(user.email, kind, rule.windowMs, now).push(now);
+}
+
+function quotaErrorPayload(q) {
+  return { error: `Limite de ton plan atteinte (${q.limit} par ${q.windowMs === HOUR_MS ? 'heure' : '24h'})`, code: 'quota_exceeded', kind: q.kind, limit: q.limit, resetsAt: q.resetsAt };
+}
+
+// Middleware REST : refuse d'emblée la requête si le quota est épuisé. Le handler consomme
+// avec req.chargeQuota() une fois le corps validé (une requête refusée ne coûte rien), et
+// avant tout await : revérifié au même tour de boucle, le dernier crédit ne sert qu'une fois.
+// → false (réponse 429 déjà envoyée) si le quota s'est épuisé entre-temps
+function enforceQuota(kind) {
+  return (req, res, next) => {
+    const q = checkQuota(req.user, kind);
+    if (!q.ok) return res.status(429).json(quotaErrorPayload(q));
+    req.chargeQuota = () => {
+      const again = checkQuota(req.user, kind);
+      if (!again.ok) { res.status(429).json(quotaErrorPayload(again)); return false; }
+      consumeQuota(req.user, kind);
+      return true;
+    };
+    next();
+  };
+}
+
+// ── Durée vitrine : un projet disparaît après vitrineHours de son plan ──
+function vitrineExpiry(user, from = Date.now()) {
+  return new Date(from + planLimits(user).vitrineHours * HOUR_MS).toISOString();
+}
+
+function isProjectLive(proj, now = Date.now()) {
+  return !proj.expiresAt || new Date(proj.expiresAt).getTime() > now;
+}
+
+function expireVitrineProjects() {
+  const now = Date.now();
+  const expired = db.projects.filter(p => !isProjectLive(p, now));
+  if (!expired.length) return;
+  db.projects = db.projects.filter(p => isProjectLive(p, now));
+  expired.forEach(p => {
+    forgetProject(p.id);
+    releaseMedia('project', p.id);
+    publish('projects', { type: 'project_deleted', projectId: p.id, reason: 'expired' });
+  });
+  saveData();
+}
+
+// Les projets publiés avant les quotas reçoivent l'échéance de leur plan
+function backfillVitrineExpiry() {
+  db.projects.forEach(p => { if (!p.expiresAt) p.expiresAt = vitrineExpiry({ plan: p.plan }, new Date(p.createdAt).getTime() || Date.now()); });
+}
+
+scheduler.define('projects.expire', expireVitrineProjects, { every: 60 * 1000 });
+
 // ════════════════════════════════════════
 // ── WEBSOCKET — TEMPS RÉEL
 // ════════════════════════════════════════
 
 const userSockets = new Map();   // userId -> Set<ws>
 const onlineUsers = new Map();   // userId -> { name, plan, avatar }
-const dmThreads   = new Map();   // "userA:userB" -> [msgs]
+const hub = createHub();
+const WS_HEARTBEAT_MS = Number(process.env.WS_HEARTBEAT_MS) || 30000;
 
-function broadcastToAll(data) {
-  const msg = JSON.stringify(data);
-  wss.clients.forEach(ws => { if (ws.readyState === WebSocket.OPEN) ws.send(msg); });
+startHeartbeat(wss, { intervalMs: WS_HEARTBEAT_MS });
+
+// Publications, envois directs et présence passent par le bus (REALTIME_BUS) :
+// un client connecté à une autre instance les reçoit aussi
+const realtimeBus = createBusFromEnv(process.env);
+const cluster = createCluster({
+  hub,
+  bus: realtimeBus,
+  deliverToUser: deliverLocally,
+  onRemotePresence: topic => hub.publish(topic, { type: 'presence', users: cluster.union(topic) }),
+  onRemoteChanges: reloadData,
+  announceEveryMs: WS_HEARTBEAT_MS,
+});
+
+function publish(topic, data, options) {
+  return cluster.publish(topic, data, options);
+}
+
+function sendJSON(ws, data) {
+  return hub.send(ws, JSON.stringify(data));
+}
+
+// Sujets ouverts aux clients : { pattern, allow(user, match), history(user, match), presence }
+// `notifications` désigne toujours les notifications de l'utilisateur connecté.
+const TOPICS = [
+  { pattern: /^chat$/, presence: true,
+    history: () => ({ type: 'history', messages: db.chatMessages.filter(isVisible).slice(-50) }) },
+  { pattern: /^feed$/,
+    history: user => ({ type: 'posts_history', posts: db.posts.filter(isVisible).slice(0, 50).map(p => postView(p, user?.email)) }) },
+  { pattern: /^projects$/,
+    history: user => ({ type: 'projects_history', projects: db.projects.filter(p => isProjectLive(p) && isVisible(p)).sort((a,b)=>(b.votes||0)-(a.votes||0)).slice(0,50).map(p => projectView(p, user?.email)) }) },
+  { pattern: /^stories$/,
+    history: (user) => ({ type: 'stories_history', stories: liveStories().map(s => storyView(s, user?.email)) }) },
+  { pattern: /^groups$/ },
+  { pattern: /^group:(.+)$/, presence: true,
+    allow: (user, [, id]) => db.groups.has(id) && canReadGroup(db.groups.get(id), user),
+    history: (user, [, id]) => ({ type: 'group_history', groupId: id, messages: (db.groupMessages.get(id) || []).filter(isVisible).slice(-50) }) },
+  { pattern: /^post:(.+)$/,
+    allow: (user, [, id]) => db.posts.some(p => p.id === id && isVisible(p)),
+    history: (user, [, id]) => ({ type: 'comments_history', postId: id, comments: visibleCommentTree(id) }) },
+  { pattern: /^notifications:(.+)$/,
+    allow: (user, [, id]) => id === user.email,
+    history: (user) => {
+      const items = notificationsOf(user.email);
+      return { type: 'notifications_history', items: items.slice(-20).reverse(), unreadCount: items.filter(n => !n.read).length };
+    } },
+];
+
+function resolveTopic(topic, userId) {
+  const name = topic === 'notifications' ? 'notifications:' + userId : String(topic || '');
+  for (const def of TOPICS) {
+    const match = name.match(def.pattern);
+    if (match) return { name, def, match };
+  }
+  return null;
+}
+
+// Présence locale annoncée aux autres instances, union servie aux abonnés locaux
+function publishPresence(topic) {
+  const local = hub.presence(topic).map(id => onlineUsers.get(id)).filter(Boolean);
+  hub.publish(topic, { type: 'presence', users: cluster.presence(topic, local) });
+}
+
+// → null si l'abonnement est accepté, sinon le message d'erreur.
+// `since` (reprise) : dernier seq vu par le client → seuls les messages manqués sont renvoyés,
+// ou l'historique complet (resync: true) si le journal ne couvre plus le trou.
+function subscribeTopic(ws, user, topic, since) {
+  const resolved = resolveTopic(topic, user.email);
+  if (!resolved) return { type: 'error', code: 'topic_unknown', topic, error: 'Sujet inconnu' };
+  const { name, def, match } = resolved;
+  if (def.allow && !def.allow(user, match)) return { type: 'error', code: 'topic_forbidden', topic: name, error: 'Abonnement refusé' };
+  const fresh = hub.subscribe(ws, name);
+  if (!fresh && since === undefined) return null;
+  if (fresh) sendJSON(ws, { type: 'subscribed', topic: name });
+  const missed = since === undefined ? null : hub.replay(name, since);
+  if (missed) {
+    sendJSON(ws, { type: 'resumed', topic: name, from: since, missed: missed.length });
+    missed.forEach(msg => hub.send(ws, msg));
+  } else if (def.history) {
+    sendJSON(ws, { ...def.history(user, match), topic: name, seq: hub.lastSeq(name), resync: since !== undefined });
+  }
+  if (fresh && def.presence) publishPresence(name);
+  return null;
+}
+
+function unsubscribeTopic(ws, userId, topic) {
+  const resolved = resolveTopic(topic, userId);
+  if (!resolved || !hub.unsubscribe(ws, resolved.name)) return;
+  sendJSON(ws, { type: 'unsubscribed', topic: resolved.name });
+  if (resolved.def.presence) publishPresence(resolved.name);
+}
+
+// Droits retirés (exclusion, groupe passé en privé…) : les sockets concernés sont désabonnés
+function evictFromTopic(topic, keep) {
+  const evicted = hub.evict(topic, keep);
+  evicted.forEach(ws => sendJSON(ws, { type: 'unsubscribed', topic, reason: 'forbidden' }));
+  if (evicted.length && resolveTopic(topic)?.def.presence) publishPresence(topic);
 }
 
 function sendToUser(userId, data) {
+  cluster.sendToUser(userId, data);
+}
+
+// Sockets de cette instance uniquement (appelé aussi pour les envois venus du bus)
+function deliverLocally(userId, data) {
   const sockets = userSockets.get(userId);
   if (!sockets) return;
   const msg = JSON.stringify(data);
-  sockets.forEach(ws => { if (ws.readyState === WebSocket.OPEN) ws.send(msg); });
+  sockets.forEach(ws => hub.send(ws, msg));
 }
 
 function getDMKey(a, b) { return [a, b].sort().join(':'); }
 
-wss.on('connection', (ws) => {
+// ── MESSAGES PRIVÉS — fils persistés dans db.dmThreads ("userA:userB" -> [msgs]) ──
+const DM_PAGE_SIZE = 30;
+const DM_PAGE_MAX  = 100;
+
+function dmPeerOf(key, userId) {
+  const [a, b] = key.split(':');
+  return a === userId ? b : a;
+}
+
+// Interlocuteur désigné par email ou par @username (les vues publiques ne donnent que le second)
+function dmPeerId(handle) {
+  return findUserByHandle(handle)?.email || String(handle || '');
+}
+
+// Page de l'historique, du plus récent au plus ancien : `before` = id du plus ancien message déjà reçu
+function getDMPage(userId, withId, { before, limit } = {}) {
+  const thread = db.dmThreads.get(getDMKey(userId, withId)) || [];
+  const size = Math.min(Math.max(parseInt(limit) || DM_PAGE_SIZE, 1), DM_PAGE_MAX);
+  let end = thread.length;
+  if (before) {
+    const idx = thread.findIndex(m => m.id === before);
+    if (idx !== -1) end = idx;
+  }
+  const start = Math.max(0, end - size);
+  const messages = thread.slice(start, end);
+  return { withId, before: before || null, messages, hasMore: start > 0, nextCursor: start > 0 ? messages[0]?.id : null };
+}
+
+// Boîte de réception : un résumé par conversation, la plus récente d'abord
+function getDMInbox(userId) {
+  const inbox = [];
+  for (const [key, thread] of db.dmThreads) {
+    if (!thread.length || !key.split(':').includes(userId)) continue;
+    const withId = dmPeerOf(key, userId);
+    const peer = db.users.get(withId) || {};
+    const last = thread[thread.length - 1];
+    inbox.push({
+      withId,
+      withName: peer.name || withId,
+      withPlan: peer.plan || 'free',
+      withAvatar: peer.avatar || '👤',
+      lastMessage: last,
+      unread: thread.filter(m => m.toId === userId && !m.readAt).length,
+      updatedAt: last.timestamp,
+    });
+  }
+  return inbox.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+// Accusés de réception : regroupés par expéditeur puis poussés sur ses sockets
+function pushDMReceipts(messages, status) {
+  const bySender = new Map();
+  messages.forEach(m => {
+    if (!bySender.has(m.fromId)) bySender.set(m.fromId, []);
+    bySender.get(m.fromId).push(m.id);
+  });
+  bySender.forEach((messageIds, fromId) => {
+    const sample = messages.find(m => m.fromId === fromId);
+    sendToUser(fromId, { type: 'dm_receipt', status, withId: sample.toId, messageIds, at: status === 'read' ? sample.readAt : sample.deliveredAt });
+  });
+}
+
+function markDMsDelivered(messages) {
+  const now = new Date().toISOString();
+  const fresh = messages.filter(m => !m.deliveredAt);
+  fresh.forEach(m => { m.deliveredAt = now; });
+  if (fresh.length) pushDMReceipts(fresh, 'delivered');
+  return fresh;
+}
+
+// Marque comme lus les messages reçus de withId (jusqu'à upTo inclus si fourni)
+function markDMsRead(userId, withId, upTo) {
+  const thread = db.dmThreads.get(getDMKey(userId, withId)) || [];
+  const limit = upTo ? thread.findIndex(m => m.id === upTo) : thread.length - 1;
+  const now = new Date().toISOString();
+  const read = thread.slice(0, (limit === -1 ? thread.length - 1 : limit) + 1).filter(m => m.toId === userId && !m.readAt);
+  read.forEach(m => { m.readAt = now; if (!m.deliveredAt) m.deliveredAt = now; });
+  if (read.length) { pushDMReceipts(read, 'read'); saveData(); }
+  return read.length;
+}
+
+// Messages reçus hors ligne : livrés au prochain `join`
+function undeliveredDMsFor(userId) {
+  const pending = [];
+  for (const [key, thread] of db.dmThreads) {
+    if (!key.split(':').includes(userId)) continue;
+    thread.forEach(m => { if (m.toId === userId && !m.deliveredAt) pending.push(m); });
+  }
+  return pending.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+wss.on('connection', (ws, req) => {
   let connectedUserId = null;
+  // Identité du handshake : cookie de session ou ?token=… dans l'URL
+  const handshakeToken = readSessionToken(req) || new URL(req.url, 'http://localhost').searchParams.get('token');
+
+  const limiter = createRateLimiter();
 
   ws.on('message', (raw) => {
-    let data;
-    try { data = JSON.parse(raw); } catch(e) { return; }
+    // Débit : au-delà du seau le message est refusé, un abus répété coupe la connexion
+    let verdict = limiter.take();
+    const parsed = verdict === 'ok' ? parseFrame(raw) : null;
+    if (parsed?.error) verdict = limiter.strike();
+    if (verdict === 'kick') return ws.close(1008, 'rate_limited');
+    if (verdict === 'drop' && !parsed) return sendJSON(ws, { type: 'error', code: 'rate_limited', error: 'Trop de messages, ralentis' });
+    if (parsed.error) return sendJSON(ws, { type: 'error', code: parsed.code, error: parsed.error, messageType: parsed.messageType });
+    const { data } = parsed;
+
+    // Sanction prononcée pendant la connexion : plus rien ne passe
+    const restriction = connectedUserId && accountRestriction(db.users.get(connectedUserId));
+    if (restriction) return disconnectUser(connectedUserId, restriction);
 
     switch(data.type) {
 
       case 'join': {
-        connectedUserId = data.userId;
-        if (!userSockets.has(data.userId)) userSockets.set(data.userId, new Set());
-        userSockets.get(data.userId).add(ws);
-        onlineUsers.set(data.userId, { id: data.userId, name: data.name || 'Anonyme', plan: data.plan || 'free', avatar: data.avatar || '👤' });
-
-        // Envoyer l'historique chat (50 derniers messages)
-        ws.send(JSON.stringify({ type: 'history', messages: db.chatMessages.slice(-50) }));
+        const user = getSessionUser(handshakeToken) || getSessionUser(data.token);
+        if (!user) {
+          sendJSON(ws, { type: 'error', code: 'auth_required', error: 'Authentification requise' });
+          return;
+        }
+        const joinRestriction = accountRestriction(user);
+        if (joinRestriction) {
+          sendJSON(ws, { type: 'banned', message: joinRestriction.error, ...joinRestriction });
+          ws.close(4003, joinRestriction.code);
+          return;
+        }
+        connectedUserId = user.email;
+        if (!userSockets.has(connectedUserId)) userSockets.set(connectedUserId, new Set());
+        userSockets.get(connectedUserId).add(ws);
+        cluster.userOnline(connectedUserId, true);
+        onlineUsers.set(connectedUserId, { id: connectedUserId, name: user.name || 'Anonyme', plan: user.plan || 'free', avatar: user.avatar || '👤' });
+        hub.register(ws, connectedUserId);
+        trackActivity(user);
+        recordLogin(user);
+        sendJSON(ws, { type: 'joined', userId: connectedUserId, epoch: hub.epoch, heartbeatMs: WS_HEARTBEAT_MS });
 
-        // Envoyer les projets existants
-        ws.send(JSON.stringify({ type: 'projects_history', projects: [...db.projects].sort((a,b)=>(b.votes||0)-(a.votes||0)).slice(0,50) }));
+        // L'historique n'est plus poussé ici : il arrive à l'abonnement de chaque sujet
+        // DMs reçus pendant l'absence
+        const pendingDMs = undeliveredDMsFor(connectedUserId);
+        if (pendingDMs.length) {
+          sendJSON(ws, { type: 'dm_unread', messages: pendingDMs });
+          markDMsDelivered(pendingDMs);
+          saveData();
+        }
+        break;
+      }
 
-        // Envoyer les posts existants
-        ws.send(JSON.stringify({ type: 'posts_history', posts: db.posts.slice(0, 50) }));
+      // { topics: [...] } ou { topic } — ex. chat, feed, group:<id>, post:<id>, notifications
+      case 'subscribe':
+      case 'unsubscribe': {
+        if (!connectedUserId) return;
+        const user = db.users.get(connectedUserId);
+        const list = (Array.isArray(data.topics) ? data.topics : [data.topic]).slice(0, 20);
+        list.forEach(topic => {
+          if (data.type === 'unsubscribe') return unsubscribeTopic(ws, connectedUserId, topic);
+          const refused = subscribeTopic(ws, user, topic);
+          if (refused) sendJSON(ws, refused);
+        });
+        break;
+      }
 
-        broadcastToAll({ type: 'online_users', users: Array.from(onlineUsers.values()) });
+      // Reprise après reconnexion : { epoch, topics: { sujet: dernier seq vu } }
+      // Autre époque (redémarrage) → historique complet de chaque sujet
+      case 'resume': {
+        if (!connectedUserId) return;
+        const user = db.users.get(connectedUserId);
+        const sameEpoch = data.epoch === hub.epoch;
+        Object.entries(data.topics).forEach(([topic, seq]) => {
+          const since = sameEpoch && Number.isInteger(seq) && seq >= 0 ? seq : -1;
+          const refused = subscribeTopic(ws, user, topic, since);
+          if (refused) sendJSON(ws, refused);
+        });
         break;
       }
 
       case 'message': {
         if (!connectedUserId) return;
+        const sender = db.users.get(connectedUserId) || {};
+        const q = checkQuota(sender, 'chat');
+        if (!q.ok) { sendJSON(ws, { type: 'error', ...quotaErrorPayload(q) }); return; }
+        consumeQuota(sender, 'chat');
         const msg = {
-          id: 'msg_' + Date.now(),
+          id: 'msg_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
           userId: connectedUserId,
-          name: data.name || 'Anonyme',
-          plan: data.plan || 'free',
-          text: (data.text || '').slice(0, 500),
+          name: sender.name || 'Anonyme',
+          plan: sender.plan || 'free',
+          text: data.text,
           timestamp: new Date().toISOString(),
-          isAdmin: data.isAdmin || false,
+          isAdmin: isAdminUser(sender),
         };
-        db.chatMessages.push(msg);
-        if (db.chatMessages.length > 200) db.chatMessages.shift();
-        broadcastToAll({ type: 'message', message: msg });
+        autoModerate('chat', msg, msg.userId).then(held => {
+          db.chatMessages.push(msg);
+          if (db.chatMessages.length > 200) db.chatMessages.shift();
+          trackDaily('chatMessages');
+          if (held) return sendJSON(ws, { type: 'error', ...heldPayload(msg), error: heldPayload(msg).message });
+          publish('chat', { type: 'message', message: msg });
+          recordEvent(db.users.get(msg.userId), 'chat');
+        }).catch(e => console.log('❌ Modération chat :', e.message));
         break;
       }
 
       case 'dm': {
         if (!connectedUserId) return;
-        const toId = data.toId;
+        const toId = data.toId && dmPeerId(data.toId);
         if (!toId || toId === connectedUserId) return;
+        if (!db.users.has(toId)) { sendJSON(ws, { type: 'error', code: 'dm_unknown_user', error: 'Destinataire introuvable' }); return; }
+        const sender = db.users.get(connectedUserId) || {};
         const dmMsg = {
-          id: 'dm_' + Date.now(),
+          id: 'dm_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+          clientId: data.clientId || null,
           fromId: connectedUserId,
-          fromName: data.fromName || 'Anonyme',
-          fromPlan: data.fromPlan || 'free',
+          fromName: sender.name || 'Anonyme',
+          fromPlan: sender.plan || 'free',
           toId,
           text: (data.text || '').slice(0, 500),
           timestamp: new Date().toISOString(),
+          deliveredAt: null,
+          readAt: null,
         };
         const key = getDMKey(connectedUserId, toId);
-        if (!dmThreads.has(key)) dmThreads.set(key, []);
-        dmThreads.get(key).push(dmMsg);
-        sendToUser(toId, { type: 'dm', message: dmMsg });
+        if (!db.dmThreads.has(key)) db.dmThreads.set(key, []);
+        db.dmThreads.get(key).push(dmMsg);
         sendToUser(connectedUserId, { type: 'dm_sent', message: dmMsg });
+        // Le destinataire peut être connecté à une autre instance : l'envoi passe par le bus,
+        // et l'accusé « délivré » suit la présence de toutes les instances
+        sendToUser(toId, { type: 'dm', message: dmMsg });
+        if (cluster.isOnline(toId)) markDMsDelivered([dmMsg]);
+        recordEvent(db.users.get(connectedUserId), 'dm', toId);
+        saveData();
         break;
       }
 
       case 'get_dm_history': {
+        if (!connectedUserId || !data.withId) return;
+        // `handle` : ce que le client a demandé, pour rattacher le fil ouvert par @username
+        sendJSON(ws, { type: 'dm_history', ...getDMPage(connectedUserId, dmPeerId(data.withId), data), handle: data.withId });
+        break;
+      }
+
+      case 'get_dm_inbox': {
+        if (!connectedUserId) return;
+        sendJSON(ws, { type: 'dm_inbox', threads: getDMInbox(connectedUserId) });
+        break;
+      }
+
+      case 'dm_read': {
+        if (!connectedUserId || !data.withId) return;
+        markDMsRead(connectedUserId, dmPeerId(data.withId), data.upTo);
+        break;
+      }
+
+      // Outil IA en flux : ai_delta… puis ai_done (ou ai_error), corrélés par requestId
+      case 'ai_run': {
         if (!connectedUserId) return;
-        const key = getDMKey(connectedUserId, data.withId);
-        ws.send(JSON.stringify({ type: 'dm_history', withId: data.withId, messages: dmThreads.get(key) || [] }));
+        const reply = (payload) => sendJSON(ws, { requestId: data.requestId || null, ...payload });
+        runAITool(db.users.get(connectedUserId), data.tool, data.input || {}, text => reply({ type: 'ai_delta', text }))
+          .then(result => reply({ type: 'ai_done', ...result }))
+          .catch(e => reply({ type: 'ai_error', ...(e.payload || { error: e.message }) }));
         break;
       }
 
+      // Indicateur de saisie : limité au salon (chat, group:<id>) auquel le socket est abonné
       case 'typing': {
         if (!connectedUserId) return;
-        broadcastToAll({ type: 'typing', userId: connectedUserId, name: data.name, isTyping: data.isTyping });
+        const topic = data.topic || 'chat';
+        if (!hub.topicsOf(ws).includes(topic) || !resolveTopic(topic)?.def.presence) return;
+        publish(topic, { type: 'typing', userId: connectedUserId, name: db.users.get(connectedUserId)?.name, isTyping: !!data.isTyping }, { ephemeral: true });
         break;
       }
     }
   });
 
   ws.on('close', () => {
+    const left = hub.unregister(ws);
     if (connectedUserId) {
       const sockets = userSockets.get(connectedUserId);
       if (sockets) {
@@ -201,10 +1011,11 @@ wss.on('connection', (ws) => {
         if (sockets.size === 0) {
           userSockets.delete(connectedUserId);
           onlineUsers.delete(connectedUserId);
-          broadcastToAll({ type: 'online_users', users: Array.from(onlineUsers.values()) });
+          cluster.userOnline(connectedUserId, false);
         }
       }
     }
+    left.filter(topic => resolveTopic(topic)?.def.presence).forEach(publishPresence);
   });
 });
 
@@ -214,461 +1025,4314 @@ wss.on('connection', (ws) => {
 
 app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
 
-// ── USERS ──
-app.post('/api/register-user', (req, res) => {
-  try {
-    const { name, email, plan, username, avatar, createdAt } = req.body;
-    if (!email) return res.status(400).json({ error: 'Email requis' });
-    const existing = db.users.get(email) || {};
-    db.users.set(email, {
-      ...existing,
-      name, email, username, plan: plan || 'free', avatar,
-      projectsCount: existing.projectsCount || 0,
-      createdAt: existing.createdAt || createdAt || new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    });
-    saveData();
-    res.json({ ok: true });
-  } catch(e) { res.status(500).json({ error: e.message }); }
-});
+// ── AUTH ──
+// Lien de vérification : user.emailVerification = { token, expiresAt, sentAt }.
+// Un ancien compte sans mot de passe choisit le sien sur la page du lien, jamais à l'inscription.
+function requestEmailVerification(user) {
+  const pending = user.emailVerification;
+  if (pending && Date.parse(pending.sentAt) > Date.now() - EMAIL_VERIFY_RESEND_MS) return false;
+  const now = Date.now();
+  user.emailVerification = { token: mailToken(), expiresAt: new Date(now + EMAIL_VERIFY_TTL_MS).toISOString(), sentAt: new Date(now).toISOString() };
+  saveData();
+  const verifyUrl = `${PUBLIC_URL}/api/auth/verify/${user.emailVerification.token}`;
+  sendMail(user.email, verifyEmailMessage({ name: user.name || user.email.split('@')[0], verifyUrl, claim: !user.passwordHash }))
+    .catch(e => console.error('❌ Email de vérification :', e.message));
+  return true;
+}
 
-app.get('/api/user/:email', (req, res) => {
-  const user = db.users.get(req.params.email);
-  if (!user) return res.status(404).json({ error: 'Utilisateur non trouvé' });
-  res.json(user);
-});
+function findVerification(token) {
+  const user = [...db.users.values()].find(u => u.emailVerification?.token === token);
+  return user && Date.parse(user.emailVerification.expiresAt) > Date.now() ? user : null;
+}
 
-// ── POSTS (fil d'actualité) ──
-app.get('/api/posts', (req, res) => {
-  res.json(db.posts.slice(0, 100));
-});
+function markEmailVerified(user) {
+  delete user.emailVerification;
+  Object.assign(user, { emailVerifiedAt: new Date().toISOString(), updatedAt: new Date().toISOString() });
+  bootstrapStaffOwner(user);
+}
 
-app.post('/api/posts', (req, res) => {
+app.post('/api/auth/signup', (req, res) => {
   try {
-    const post = { ...req.body, createdAt: new Date().toISOString(), id: req.body.id || ('post_' + Date.now()) };
-    db.posts.unshift(post);
-    if (db.posts.length > 500) db.posts.pop();
+    const email = normalizeEmail(req.body.email);
+    const { password, name, username, avatar } = req.body;
+    if (!email || !email.includes('@')) return res.status(400).json({ error: 'Email invalide' });
+    if (typeof password !== 'string' || password.length < 8) return res.status(400).json({ error: 'Mot de passe trop court (8 caractères min.)' });
+    const existing = db.users.get(email);
+    if (existing && existing.passwordHash) return res.status(409).json({ error: 'Un compte existe déjà avec cet email', code: 'email_taken' });
+    // Un compte créé avant l'auth (sans mot de passe) ne se réclame que depuis sa boîte mail :
+    // le mot de passe se choisit sur la page du lien reçu, aucune session d'ici là
+    if (existing) {
+      requestEmailVerification(existing);
+      return res.status(202).json({ ok: true, pending: true, code: 'verify_email', message: 'Un lien de confirmation a été envoyé à cette adresse' });
+    }
+    const user = {
+      name: name || email.split('@')[0],
+      email,
+      username: uniqueUsername(username || email.split('@')[0], email),
+      plan: 'free',
+      avatar,
+      passwordHash: hashPassword(password),
+      emailVerifiedAt: null,
+      projectsCount: 0,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    db.users.set(email, user);
+    requestEmailVerification(user);
+    grantCredits(email, WELCOME_CREDITS, 'welcome', { reason: 'welcome', ref: 'welcome:' + email });
+    const token = createSession(email);
     saveData();
-    broadcastToAll({ type: 'new_post', post });
-    res.json({ ok: true, post });
+    setSessionCookie(res, token);
+    res.json({ ok: true, token, user: publicUser(user) });
   } catch(e) { res.status(500).json({ error: e.message }); }
 });
 
-app.post('/api/posts/:id/like', (req, res) => {
+app.post('/api/auth/login', (req, res) => {
   try {
-    const post = db.posts.find(p => p.id === req.params.id);
-    if (post) {
-      post.likes = (post.likes || 0) + 1;
-      broadcastToAll({ type: 'like_update', postId: req.params.id, likes: post.likes });
-      saveData();
+    const email = normalizeEmail(req.body.email);
+    const user = db.users.get(email);
+    if (!user || !verifyPassword(String(req.body.password || ''), user.passwordHash)) {
+      return res.status(401).json({ error: 'Email ou mot de passe incorrect', code: 'invalid_credentials' });
     }
-    res.json({ ok: true, likes: post?.likes || 0 });
+    const restriction = accountRestriction(user);
+    if (restriction) return res.status(403).json(restriction);
+    const token = createSession(email);
+    if (staffRole(user)) audit(email, 'staff_login', { type: 'user', id: email }, { ip: req.ip });
+    saveData();
+    setSessionCookie(res, token);
+    res.json({ ok: true, token, user: publicUser(user) });
   } catch(e) { res.status(500).json({ error: e.message }); }
 });
 
-app.post('/api/posts/:id/share', (req, res) => {
-  try {
-    const post = db.posts.find(p => p.id === req.params.id);
-    if (post) { post.shares = (post.shares || 0) + 1; }
-    res.json({ ok: true });
-  } catch(e) { res.status(500).json({ error: e.message }); }
+const EXPIRED_LINK = 'Ce lien de confirmation n\'est plus valide. Inscris-toi à nouveau pour en recevoir un autre.';
+
+// Clic sur le lien reçu : adresse vérifiée ; un ancien compte sans mot de passe choisit le sien
+app.get('/api/auth/verify/:token', (req, res) => {
+  const user = findVerification(req.params.token);
+  if (!user) return mailPage(res, 'Lien expiré', EXPIRED_LINK);
+  if (!user.passwordHash) {
+    return mailPage(res, 'Choisis ton mot de passe', `Compte ${escapeHtml(user.email)}`,
+      `<form method="post" style="display:flex;flex-direction:column;gap:10px;margin:0 0 20px"><input type="password" name="password" minlength="8" required placeholder="Mot de passe (8 caractères min.)" autocomplete="new-password" style="padding:10px;border-radius:8px;border:1px solid #374151;background:#0b140c;color:#f0f0ff">`
+      + `<button type="submit" style="padding:10px;border:none;border-radius:8px;background:#22c55e;font-weight:bold;cursor:pointer">Activer mon compte</button></form>`);
+  }
+  markEmailVerified(user);
+  saveData();
+  mailPage(res, 'Email confirmé ✅', 'Ton adresse est vérifiée.');
 });
 
-app.delete('/api/posts/:id', (req, res) => {
-  db.posts = db.posts.filter(p => p.id !== req.params.id);
+// Formulaire de la page précédente : mot de passe de l'ancien compte, puis connexion
+app.post('/api/auth/verify/:token', express.urlencoded({ extended: false }), (req, res) => {
+  const user = findVerification(req.params.token);
+  if (!user || user.passwordHash) return mailPage(res, 'Lien expiré', EXPIRED_LINK);
+  const password = req.body.password;
+  if (typeof password !== 'string' || password.length < 8) return mailPage(res, 'Mot de passe trop court', '8 caractères minimum.', `<p><a href="" style="color:#86efac">Réessayer</a></p>`);
+  user.passwordHash = hashPassword(password);
+  markEmailVerified(user);
+  const restriction = accountRestriction(user);
+  if (restriction) { saveData(); return mailPage(res, 'Compte restreint', escapeHtml(restriction.error)); }
+  const token = createSession(user.email);
   saveData();
-  res.json({ ok: true });
+  setSessionCookie(res, token);
+  res.redirect('/');
 });
 
-// ── PROJETS VITRINE ──
-app.get('/api/projects', (req, res) => {
-  res.json([...db.projects].sort((a, b) => (b.votes || 0) - (a.votes || 0)));
+// Renvoie le lien au compte connecté (au plus un email toutes les 10 min)
+app.post('/api/auth/verify', requireAuth, (req, res) => {
+  if (req.user.emailVerifiedAt) return res.json({ ok: true, verified: true });
+  res.json({ ok: true, verified: false, sent: requestEmailVerification(req.user) });
 });
 
-app.post('/api/projects', (req, res) => {
-  try {
-    const proj = { ...req.body, votes: 0, views: 0, createdAt: new Date().toISOString(), id: req.body.id || ('proj_' + Date.now()) };
-    db.projects.unshift(proj);
-    if (db.projects.length > 200) db.projects.pop();
-    saveData();
-    broadcastToAll({ type: 'new_project', project: proj });
-    res.json({ ok: true, project: proj });
-  } catch(e) { res.status(500).json({ error: e.message }); }
+app.post('/api/auth/logout', (req, res) => {
+  destroySession(readSessionToken(req));
+  saveData();
+  clearSessionCookie(res);
+  res.json({ ok: true });
 });
 
-app.post('/api/projects/:id/vote', (req, res) => {
-  try {
-    const { id } = req.params;
-    const { userId } = req.body;
-    if (!userId) return res.status(400).json({ error: 'userId requis' });
-    if (!db.votes.has(id)) db.votes.set(id, new Set());
-    if (db.votes.get(id).has(userId)) return res.json({ ok: false, reason: 'already_voted' });
-    db.votes.get(id).add(userId);
-    const proj = db.projects.find(p => p.id === id);
-    if (proj) { proj.votes = (proj.votes || 0) + 1; }
-    saveData();
-    broadcastToAll({ type: 'vote_update', projectId: id, votes: proj?.votes || 1 });
-    res.json({ ok: true, votes: proj?.votes || 1 });
-  } catch(e) { res.status(500).json({ error: e.message }); }
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ user: publicUser(req.user) });
 });
 
-app.delete('/api/projects/:id', (req, res) => {
-  const { key } = req.body || {};
-  if (key !== (process.env.ADMIN_KEY || 'viralboost-admin')) return res.status(403).json({ error: 'Accès refusé' });
-  db.projects = db.projects.filter(p => p.id !== req.params.id);
+app.post('/api/auth/password', requireAuth, (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  if (!verifyPassword(String(currentPassword || ''), req.user.passwordHash)) return res.status(401).json({ error: 'Mot de passe actuel incorrect', code: 'invalid_credentials' });
+  if (typeof newPassword !== 'string' || newPassword.length < 8) return res.status(400).json({ error: 'Mot de passe trop court (8 caractères min.)' });
+  req.user.passwordHash = hashPassword(newPassword);
+  // Changer de mot de passe déconnecte toutes les autres sessions
+  const current = unsignSessionToken(readSessionToken(req));
+  for (const [sid, sess] of db.sessions) if (sess.email === req.user.email && sid !== current) db.sessions.delete(sid);
   saveData();
-  broadcastToAll({ type: 'project_deleted', projectId: req.params.id });
   res.json({ ok: true });
 });
 
-// ── GROUPES ──
+// ── QUOTAS ──
+app.get('/api/quota', requireAuth, (req, res) => {
+  res.json({ plan: req.user.plan || 'free', pub: checkQuota(req.user, 'pub'), chat: checkQuota(req.user, 'chat') });
+});
+
+// ── MESSAGES PRIVÉS ──
+app.get('/api/dms', requireAuth, (req, res) => {
+  res.json(getDMInbox(req.user.email));
+});
+
+app.get('/api/dms/:withId', requireAuth, (req, res) => {
+  res.json(getDMPage(req.user.email, dmPeerId(req.params.withId), req.query));
+});
+
+app.post('/api/dms/:withId/read', requireAuth, (req, res) => {
+  res.json({ ok: true, read: markDMsRead(req.user.email, dmPeerId(req.params.withId), req.body.upTo) });
+});
+
+// ── USERS ──
+// Mise à jour du profil du compte connecté (l'email vient de la session)
+app.post('/api/register-user', requireAuth, (req, res) => {
+  try {
+    // Le plan n'est jamais pris du client : seuls les webhooks Stripe le changent
+    const { name, username, avatar, bio } = req.body;
+    const user = req.user;
+    const before = { avatar: user.avatar, bio: user.bio };
+    Object.assign(user, {
+      name: name || user.name,
+      username: username ? uniqueUsername(username, user.email) : user.username,
+      avatar: avatar || user.avatar,
+      bio: typeof bio === 'string' ? bio.slice(0, 300) : user.bio,
+      updatedAt: new Date().toISOString(),
+    });
+    if (user.avatar !== before.avatar) syncMedia('avatar', { id: user.email, avatar: user.avatar }, user.email);
+    if (before.avatar && user.avatar !== before.avatar) recordEvent(user, MEDIA_URL_RE.test(user.avatar) ? ['avatar_change', 'avatar_photo'] : 'avatar_change', 'avatar');
+    if ((user.bio || '').length > 10 && user.bio !== before.bio) recordEvent(user, 'profile_bio', 'bio');
+    saveData();
+    res.json({ ok: true, user: publicUser(user) });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// Compteurs publics (page d'accueil)
+app.get('/api/stats', (req, res) => {
+  res.json({ members: db.users.size });
+});
+
+// Compte complet : réservé à son propriétaire (et à l'admin)
+app.get('/api/user/:email', requireAuth, (req, res) => {
+  const email = normalizeEmail(req.params.email);
+  if (email !== req.user.email && !isAdminUser(req.user)) return res.status(403).json({ error: 'Accès refusé' });
+  const user = db.users.get(email);
+  if (!user) return res.status(404).json({ error: 'Utilisateur non trouvé' });
+  res.json(publicUser(user));
+});
+
+// ════════════════════════════════════════
+// ── PROFILS PUBLICS, ABONNEMENTS & NOTIFICATIONS
+// ── Un profil public est identifié par son @username et n'expose jamais l'email
+// ════════════════════════════════════════
+
+const NOTIFICATION_TYPES = ['follow', 'reaction', 'comment', 'vote', 'group_invite', 'group_request', 'admin_message', 'badge', 'collab_request', 'subscriber'];
+
+function findUserByUsername(username) {
+  const handle = String(username || '').replace(/^@/, '').toLowerCase();
+  return [...db.users.values()].find(u => (u.username || '').toLowerCase() === handle) || null;
+}
+
+// Les actions (suivre…) acceptent aussi l'email, que le client connaît déjà
+function findUserByHandle(handle) {
+  return db.users.get(normalizeEmail(handle)) || findUserByUsername(handle);
+}
+
+// @username libre : suffixe numérique si déjà pris par un autre compte
+function uniqueUsername(wanted, ownerEmail) {
+  const base = String(wanted || '').replace(/^@/, '').toLowerCase().replace(/[^a-z0-9_.]/g, '_').slice(0, 30) || 'user';
+  let candidate = base;
+  for (let n = 2; ; n++) {
+    const taken = findUserByUsername(candidate);
+    if (!taken || taken.email === ownerEmail) return candidate;
+    candidate = base + n;
+  }
+}
+
+// Carte publique d'un user (auteur d'une notification, liste d'abonnés…)
+function profileCard(user) {
+  if (!user) return null;
+  return { username: user.username, name: user.name, avatar: user.avatar || '👤', plan: user.plan || 'free' };
+}
+
+function follow(follower, target) {
+  follower.following = [...new Set([...(follower.following || []), target.email])];
+  target.followers   = [...new Set([...(target.followers || []), follower.email])];
+}
+
+function unfollow(follower, target) {
+  follower.following = (follower.following || []).filter(id => id !== target.email);
+  target.followers   = (target.followers || []).filter(id => id !== follower.email);
+}
+
+// Crée la notification, la pousse en direct et la persiste (jamais à soi-même)
+function notify(userId, type, data = {}, actorId = null) {
+  if (!NOTIFICATION_TYPES.includes(type)) throw new Error('Type de notification inconnu : ' + type);
+  if (!userId || userId === actorId || !db.users.has(userId)) return null;
+  const notification = {
+    id: 'ntf_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+    userId,
+    type,
+    actor: actorId ? profileCard(db.users.get(actorId)) : null,
+    data,
+    read: false,
+    createdAt: new Date().toISOString(),
+  };
+  db.notifications.push(notification);
+  publish('notifications:' + userId, { type: 'notification', notification });
+  saveData();
+  return notification;
+}
+
+function notificationsOf(userId) {
+  return db.notifications.filter(n => n.userId === userId);
+}
+
+app.get('/api/profiles/:username', (req, res) => {
+  const user = findUserByUsername(req.params.username);
+  if (!user || accountRestriction(user)) return res.status(404).json({ error: 'Profil introuvable' });
+  const posts = db.posts.filter(p => p.userId === user.email && isVisible(p)).sort((a, b) => compareKeys(postKey(a), postKey(b)));
+  const page = paginate(posts, { limit: req.query.limit, key: postKey });
+  res.json({
+    ...profileCard(user),
+    bio: user.bio || '',
+    createdAt: user.createdAt,
+    followersCount: (user.followers || []).length,
+    followingCount: (user.following || []).length,
+    isFollowing: !!req.user && (req.user.following || []).includes(user.email),
+    isMe: !!req.user && req.user.email === user.email,
+    posts: { ...page, items: page.items.map(p => postView(p, req.user?.email)) },
+    projects: db.projects.filter(p => p.authorId === user.email && isProjectLive(p) && isVisible(p)).map(p => projectView(p, req.user?.email)),
+  });
+});
+
+app.get('/api/profiles/:username/:list(followers|following)', (req, res) => {
+  const user = findUserByUsername(req.params.username);
+  if (!user) return res.status(404).json({ error: 'Profil introuvable' });
+  const cards = (user[req.params.list] || []).map(id => profileCard(db.users.get(id))).filter(Boolean);
+  res.json(paginate(cards, req.query));
+});
+
+app.post('/api/profiles/:username/follow', requireAuth, (req, res) => {
+  const target = findUserByHandle(req.params.username);
+  if (!target) return res.status(404).json({ error: 'Profil introuvable' });
+  if (target.email === req.user.email) return res.status(400).json({ error: 'Impossible de se suivre soi-même' });
+  const already = (req.user.following || []).includes(target.email);
+  follow(req.user, target);
+  if (!already) {
+    notify(target.email, 'follow', {}, req.user.email);
+    recordEvent(req.user, 'follow', target.email);
+    awardBadges(target); // abonnés reçus
+  }
+  saveData();
+  res.json({ ok: true, following: true, followersCount: target.followers.length });
+});
+
+app.delete('/api/profiles/:username/follow', requireAuth, (req, res) => {
+  const target = findUserByHandle(req.params.username);
+  if (!target) return res.status(404).json({ error: 'Profil introuvable' });
+  unfollow(req.user, target);
+  saveData();
+  res.json({ ok: true, following: false, followersCount: target.followers.length });
+});
+
+// ?unread=1 &cursor= &limit=
+app.get('/api/notifications', requireAuth, (req, res) => {
+  const mine = notificationsOf(req.user.email);
+  const list = (req.query.unread ? mine.filter(n => !n.read) : mine).sort((a, b) => compareKeys(postKey(a), postKey(b)));
+  res.json({ ...paginate(list, { ...req.query, key: postKey }), unreadCount: mine.filter(n => !n.read).length });
+});
+
+// Corps { ids: [...] } pour une sélection, sinon tout est marqué lu
+app.post('/api/notifications/read', requireAuth, (req, res) => {
+  const ids = Array.isArray(req.body.ids) ? new Set(req.body.ids) : null;
+  let count = 0;
+  notificationsOf(req.user.email).forEach(n => {
+    if (!n.read && (!ids || ids.has(n.id))) { n.read = true; count++; }
+  });
+  saveData();
+  res.json({ ok: true, read: count });
+});
+
+// ════════════════════════════════════════
+// ── FIL D'ACTUALITÉ — pagination par curseur, filtres, classement « pour toi »
+// ── Réponse paginée : { items, nextCursor } (nextCursor null = fin de l'historique)
+// ════════════════════════════════════════
+
+const PAGE_SIZE = 20;
+const PAGE_MAX  = 100;
+
+// Poids du mode « pour toi » : engagement amorti par l'âge, bonus si on suit l'auteur
+const FEED_WEIGHTS = { like: 1, reaction: 2, comment: 3, share: 4, followBoost: 2, paidBoost: 5, gravity: 1.5 };
+
+function encodeCursor(obj) { return Buffer.from(JSON.stringify(obj)).toString('base64url'); }
+
+function decodeCursor(str) {
+  if (!str) return null;
+  try { return JSON.parse(Buffer.from(String(str), 'base64url').toString()); } catch(e) { return null; }
+}
+
+function pageLimit(value) {
+  return Math.min(Math.max(parseInt(value) || PAGE_SIZE, 1), PAGE_MAX);
+}
+
+// Curseur par clé pour les listes triées de façon stable (date + id),
+// curseur par position pour les classements qui bougent (votes, score)
+function paginate(sorted, { cursor, limit, key } = {}) {
+  const size = pageLimit(limit);
+  const c = decodeCursor(cursor);
+  let start = 0;
+  if (c && key && c.k) {
+    const idx = sorted.findIndex(item => compareKeys(key(item), c.k) > 0);
+    start = idx === -1 ? sorted.length : idx;
+  } else if (c && Number.isInteger(c.o)) {
+    start = c.o;
+  }
+  const items = sorted.slice(start, start + size);
+  const more = start + size < sorted.length;
+  const nextCursor = !more ? null : encodeCursor(key ? { k: key(items[items.length - 1]) } : { o: start + size });
+  return { items, nextCursor };
+}
+
+// Ordre décroissant sur des clés [date ISO, id]
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) continue;
+    return a[i] < b[i] ? 1 : -1;
+  }
+  return 0;
+}
+
+function postKey(p) { return [String(p.createdAt || ''), String(p.id)]; }
+
+function hashtagsOf(post) {
+  const fromText = (post.text || '').match(/#[\p{L}\p{N}_]+/gu) || [];
+  return new Set([...fromText.map(t => t.slice(1)), ...(post.tags || [])].map(t => String(t).toLowerCase().replace(/^#/, '')));
+}
+
+function followingSetOf(userId) {
+  return new Set(db.users.get(userId)?.following || []);
+}
+
+// `author` accepte l'id (email) ou le @username
+function resolveAuthorId(author) {
+  if (!author) return null;
+  if (db.users.has(author)) return author;
+  const handle = String(author).replace(/^@/, '').toLowerCase();
+  return [...db.users.values()].find(u => (u.username || '').toLowerCase() === handle)?.email || author;
+}
+
+function filterPosts(posts, query) {
+  const authorId = resolveAuthorId(query.author);
+  const tag = query.hashtag ? String(query.hashtag).toLowerCase().replace(/^#/, '') : null;
+  const since = query.since ? new Date(query.since).getTime() : null;
+  const until = query.until ? new Date(query.until).getTime() : null;
+  return posts.filter(p => {
+    if (!isVisible(p)) return false;
+    if (authorId && p.userId !== authorId) return false;
+    if (query.plan && (p.plan || 'free') !== query.plan) return false;
+    if (tag && !hashtagsOf(p).has(tag)) return false;
+    const t = new Date(p.createdAt).getTime();
+    if (since && t < since) return false;
+    if (until && t > until) return false;
+    return true;
+  });
+}
+
+function feedScore(post, following, now = Date.now()) {
+  const reactions = Object.values(post.reactions || {}).reduce((sum, n) => sum + n, 0);
+  const engagement = (post.likes || 0) * FEED_WEIGHTS.like
+    + reactions * FEED_WEIGHTS.reaction
+    + (post.comments || 0) * FEED_WEIGHTS.comment
+    + (post.shares || 0) * FEED_WEIGHTS.share;
+  const ageHours = Math.max(0, now - new Date(post.createdAt).getTime()) / HOUR_MS;
+  const boost = (following.has(post.userId) ? FEED_WEIGHTS.followBoost : 1)
+    * (post.boostedUntil && Date.parse(post.boostedUntil) > now ? FEED_WEIGHTS.paidBoost : 1); // boost acheté en boutique
+  return (1 + Math.log1p(engagement)) * boost / Math.pow(ageHours + 2, FEED_WEIGHTS.gravity);
+}
+
+// ── POSTS (fil d'actualité) ──
+// ?mode=recent|foryou &author= &plan= &hashtag= &since= &until= &cursor= &limit=
+app.get('/api/posts', (req, res) => {
+  const posts = filterPosts(db.posts, req.query);
+  if (req.query.mode === 'foryou') {
+    const following = req.user ? followingSetOf(req.user.email) : new Set();
+    const now = Date.now();
+    const ranked = posts.map(p => ({ p, score: feedScore(p, following, now) })).sort((a, b) => b.score - a.score).map(x => x.p);
+    const page = paginate(ranked, req.query);
+    return res.json({ ...page, items: page.items.map(p => postView(p, req.user?.email)) });
+  }
+  const page = paginate([...posts].sort((a, b) => compareKeys(postKey(a), postKey(b))), { ...req.query, key: postKey });
+  res.json({ ...page, items: page.items.map(p => postView(p, req.user?.email)) });
+});
+
+// Contenu qu'un client peut fixer sur un post (longueur max.) ; le reste — id, auteur,
+// compteurs, modération, boost — est toujours posé par le serveur
+const POST_FIELDS = { text: 5000, content: 5000, emoji: 16, projName: 120, projType: 60, projEmoji: 16, projDesc: 300, projUrl: 500, postUrl: 500, mediaUrl: 200, mediaType: 60 };
+const POST_URL_FIELDS = ['projUrl', 'postUrl'];
+const POST_TAGS_MAX = 10;
+
+function httpUrl(value) {
+  return /^https?:\/\/\S+$/i.test(value) ? value : null;
+}
+
+// Champs texte listés dans `limits` ({ champ: longueur max. }), tronqués ; les autres sont ignorés
+function textFields(body, limits) {
+  const fields = {};
+  for (const [key, max] of Object.entries(limits)) {
+    if (typeof body?.[key] === 'string') fields[key] = body[key].slice(0, max);
+  }
+  return fields;
+}
+
+function postContent(body) {
+  const content = textFields(body, POST_FIELDS);
+  POST_URL_FIELDS.forEach(key => { if (content[key]) content[key] = httpUrl(content[key]); });
+  if (content.mediaUrl && !MEDIA_URL_RE.test(content.mediaUrl)) content.mediaUrl = null;
+  if (Array.isArray(body?.tags)) content.tags = body.tags.filter(t => typeof t === 'string').slice(0, POST_TAGS_MAX).map(t => t.slice(0, 40));
+  if (Number.isFinite(body?.timerEnd)) content.timerEnd = body.timerEnd;
+  return content;
+}
+
+// `id` : seulement celui d'un post programmé (déjà posé par le serveur), jamais celui du client
+function newPost(user, fields, id = 'post_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex')) {
+  return { ...postContent(fields), id, userId: user.email, author: user.name, plan: user.plan || 'free', likes: 0, shares: 0, comments: 0, reactions: {}, createdAt: new Date().toISOString() };
+}
+
+// Vue publique d'un post : l'auteur par son @username, jamais par son email (userId).
+// `followed` : le lecteur suit l'auteur (filtre « Abonnements » du fil)
+function postView(post, viewerId = null) {
+  const { userId, ...view } = post;
+  return {
+    ...view,
+    username: db.users.get(userId)?.username || null,
+    isMine: !!viewerId && viewerId === userId,
+    followed: !!viewerId && (db.users.get(viewerId)?.following || []).includes(userId),
+  };
+}
+
+// Modération, médias puis diffusion sur le fil → true si le post est retenu par la modération
+async function publishPost(user, post) {
+  const held = await autoModerate('post', post, user.email);
+  attachMedia('post', post, user.email);
+  db.posts.unshift(post);
+  saveData();
+  if (held) return true;
+  publish('feed', { type: 'new_post', post: postView(post) });
+  recordEvent(user, postCounters(post), post.id);
+  return false;
+}
+
+// { ...contenu, scheduledAt } — avec scheduledAt, le post attend son heure (voir POSTS PROGRAMMÉS)
+app.post('/api/posts', requireAuth, enforceQuota('pub'), async (req, res) => {
+  try {
+    if (req.body.scheduledAt !== undefined && req.body.scheduledAt !== null) return schedulePost(req, res);
+    const post = newPost(req.user, req.body);
+    if (!req.chargeQuota()) return;
+    if (await publishPost(req.user, post)) return res.json({ ok: true, post: postView(post, req.user.email), ...heldPayload(post) });
+    res.json({ ok: true, post: postView(post, req.user.email) });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// Un like par user : un second appel retire le like
+app.post('/api/posts/:id/like', requireAuth, (req, res) => {
+  try {
+    const post = db.posts.find(p => p.id === req.params.id);
+    if (!post) return res.status(404).json({ error: 'Publication introuvable' });
+    const liked = toggleReaction(post, 'like', req.user.email);
+    post.likes = reactorsOf(post.id, 'like').length;
+    if (liked) recordEvent(req.user, 'like', post.id);
+    publish('feed', { type: 'like_update', postId: post.id, likes: post.likes });
+    saveData();
+    res.json({ ok: true, liked, likes: post.likes });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// Un partage compté une fois par compte (db.shares : postId → { postId, sharers: { userId: date } }),
+// comme les votes des projets : c'est un signal fort du fil « pour toi »
+app.post('/api/posts/:id/share', requireAuth, (req, res) => {
+  try {
+    const post = db.posts.find(p => p.id === req.params.id && isVisible(p));
+    if (!post) return res.status(404).json({ error: 'Publication introuvable' });
+    if (!db.shares.has(post.id)) db.shares.set(post.id, { postId: post.id, sharers: {} });
+    const { sharers } = db.shares.get(post.id);
+    if (Object.prototype.hasOwnProperty.call(sharers, req.user.email)) return res.json({ ok: true, counted: false, shares: post.shares || 0 });
+    sharers[req.user.email] = new Date().toISOString();
+    post.shares = (post.shares || 0) + 1;
+    recordEvent(req.user, 'share', post.id);
+    saveData();
+    res.json({ ok: true, counted: true, shares: post.shares });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+app.delete('/api/posts/:id', requireAuth, (req, res) => {
+  const post = db.posts.find(p => p.id === req.params.id);
+  if (!post) return res.status(404).json({ error: 'Publication introuvable' });
+  if (post.userId !== req.user.email && !isAdminUser(req.user)) return res.status(403).json({ error: 'Accès refusé' });
+  removePost(post.id);
+  saveData();
+  res.json({ ok: true });
+});
+
+// Le post part avec ses commentaires, ses réactions et ses partages
+function removePost(postId) {
+  db.posts = db.posts.filter(p => p.id !== postId);
+  releaseMedia('post', postId);
+  db.comments = db.comments.filter(c => c.postId !== postId);
+  db.reactions.delete(postId);
+  db.shares.delete(postId);
+}
+
+// ════════════════════════════════════════
+// ── POSTS PROGRAMMÉS — db.scheduledPosts, publiés par le job « post.publish »
+// ── Le quota de publication est pris à la programmation, la modération passe à la
+// ── publication sur le contenu final. Modifiable ou annulable jusqu'à l'heure dite.
+// ════════════════════════════════════════
+
+const SCHEDULE_MAX_AHEAD_MS = 60 * DAY_MS;
+const SCHEDULED_POSTS_MAX = 50; // en attente, par user
+// → { at } ou { error }
+function parseScheduledAt(value) {
+  const at = Date.parse(value);
+  if (!at || at <= Date.now()) return { error: 'Date de publication invalide ou passée' };
+  if (at > Date.now() + SCHEDULE_MAX_AHEAD_MS) return { error: `Programmation limitée à ${SCHEDULE_MAX_AHEAD_MS / DAY_MS} jours` };
+  return { at };
+}
+
+function schedulePublication(scheduled) {
+  scheduler.schedule('post.publish', scheduled.scheduledAt, { postId: scheduled.id }, { key: 'post:' + scheduled.id });
+}
+
+function schedulePost(req, res) {
+  const { at, error } = parseScheduledAt(req.body.scheduledAt);
+  if (error) return res.status(400).json({ error, code: 'invalid_schedule' });
+  if (db.scheduledPosts.filter(p => p.userId === req.user.email).length >= SCHEDULED_POSTS_MAX) {
+    return res.status(429).json({ error: `Maximum ${SCHEDULED_POSTS_MAX} publications programmées`, code: 'too_many_scheduled' });
+  }
+  if (!req.chargeQuota()) return;
+  const now = new Date().toISOString();
+  const scheduled = {
+    ...postContent(req.body),
+    id: 'post_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+    userId: req.user.email,
+    scheduledAt: new Date(at).toISOString(),
+    createdAt: now,
+    updatedAt: now,
+  };
+  attachMedia('post', scheduled, req.user.email); // le média reste réservé jusqu'à la publication
+  db.scheduledPosts.push(scheduled);
+  schedulePublication(scheduled);
+  saveData();
+  res.json({ ok: true, scheduled: true, post: scheduled });
+}
+
+// Rejouable : un post déjà sorti de la file n'est pas republié
+scheduler.define('post.publish', async ({ postId }) => {
+  const scheduled = db.scheduledPosts.find(p => p.id === postId);
+  if (!scheduled) return;
+  const user = db.users.get(scheduled.userId);
+  const restriction = accountRestriction(user);
+  if (restriction?.until) {
+    // Compte suspendu : la publication attend la fin de la suspension
+    scheduled.scheduledAt = restriction.until;
+    schedulePublication(scheduled);
+    return;
+  }
+  db.scheduledPosts = db.scheduledPosts.filter(p => p !== scheduled);
+  if (!user || restriction) {
+    releaseMedia('post', postId);
+    saveData();
+    return;
+  }
+  const { scheduledAt, createdAt, ...content } = scheduled;
+  // Le compte à rebours du plan gratuit part de la publication, pas de la programmation
+  if (content.timerEnd) content.timerEnd = Date.now() + Math.max(0, content.timerEnd - Date.parse(createdAt));
+  const post = { ...newPost(user, content, scheduled.id), scheduledAt };
+  const held = await publishPost(user, post);
+  sendToUser(user.email, { type: 'scheduled_post_published', post: postView(post, user.email), held });
+});
+
+function ownScheduledPost(req, res) {
+  const scheduled = db.scheduledPosts.find(p => p.id === req.params.id && p.userId === req.user.email);
+  if (!scheduled) res.status(404).json({ error: 'Publication programmée introuvable (déjà publiée ?)', code: 'not_scheduled' });
+  return scheduled;
+}
+
+// Les prochaines d'abord
+app.get('/api/posts/scheduled', requireAuth, (req, res) => {
+  const mine = db.scheduledPosts.filter(p => p.userId === req.user.email).sort((a, b) => Date.parse(a.scheduledAt) - Date.parse(b.scheduledAt));
+  res.json(paginate(mine, req.query));
+});
+
+// { ...contenu, scheduledAt } — seuls les champs envoyés changent
+app.patch('/api/posts/scheduled/:id', requireAuth, (req, res) => {
+  const scheduled = ownScheduledPost(req, res);
+  if (!scheduled) return;
+  let at = null;
+  if (req.body.scheduledAt !== undefined) {
+    const parsed = parseScheduledAt(req.body.scheduledAt);
+    if (parsed.error) return res.status(400).json({ error: parsed.error, code: 'invalid_schedule' });
+    at = parsed.at;
+  }
+  Object.assign(scheduled, postContent(req.body), { updatedAt: new Date().toISOString() });
+  // Un média retiré du contenu reste réservé jusqu'à la publication ou l'annulation
+  attachMedia('post', scheduled, req.user.email);
+  if (at) {
+    scheduled.scheduledAt = new Date(at).toISOString();
+    schedulePublication(scheduled);
+  }
+  saveData();
+  res.json({ ok: true, post: scheduled });
+});
+
+app.delete('/api/posts/scheduled/:id', requireAuth, (req, res) => {
+  const scheduled = ownScheduledPost(req, res);
+  if (!scheduled) return;
+  scheduler.cancel('post:' + scheduled.id);
+  db.scheduledPosts = db.scheduledPosts.filter(p => p !== scheduled);
+  releaseMedia('post', scheduled.id);
+  saveData();
+  res.json({ ok: true });
+});
+
+// ════════════════════════════════════════
+// ── STORIES — visibles 24h, retirées par le job « story.expire » à l'échéance
+// ── db.stories : { id, userId, author, text, mediaUrl, bg, createdAt, expiresAt,
+// ── views: [{ userId, at }] } — qui a vu la story, seul l'auteur le sait.
+// ── En direct sur le sujet « stories » : new_story, story_deleted.
+// ════════════════════════════════════════
+
+const STORY_TTL_MS = DAY_MS;
+const STORY_TEXT_MAX = 200;
+const STORIES_PER_DAY = 20; // par user
+
+function isStoryLive(story, now = Date.now()) {
+  return Date.parse(story.expiresAt) > now && isVisible(story);
+}
+
+// Vue publique : nombre de vues, si `viewerId` l'a déjà vue et si c'est la sienne (sans l'email de l'auteur)
+function storyView(story, viewerId = null) {
+  const { views, userId, ...view } = story;
+  const mine = !!viewerId && viewerId === userId;
+  return { ...view, viewCount: views.length, seen: mine || (!!viewerId && views.some(v => v.userId === viewerId)), mine };
+}
+
+// Les plus récentes d'abord
+function liveStories() {
+  const now = Date.now();
+  return db.stories.filter(s => isStoryLive(s, now)).reverse();
+}
+
+function removeStory(story) {
+  db.stories = db.stories.filter(s => s !== story);
+  releaseMedia('story', story.id);
+  scheduler.cancel('story:' + story.id);
+  saveData();
+}
+
+scheduler.define('story.expire', ({ storyId }) => {
+  const story = db.stories.find(s => s.id === storyId);
+  if (!story) return;
+  removeStory(story);
+  publish('stories', { type: 'story_deleted', storyId, username: story.username, reason: 'expired' });
+});
+
+// ?author= (id ou @username)
+app.get('/api/stories', (req, res) => {
+  const authorId = resolveAuthorId(req.query.author);
+  const stories = liveStories().filter(s => !authorId || s.userId === authorId);
+  res.json(paginate(stories.map(s => storyView(s, req.user?.email)), req.query));
+});
+
+// { text, mediaUrl, mediaType, bg } — texte ou média requis
+app.post('/api/stories', requireAuth, async (req, res) => {
+  try {
+    const text = String(req.body.text || '').trim().slice(0, STORY_TEXT_MAX);
+    const mediaUrl = req.body.mediaUrl || null;
+    if (!text && !mediaUrl) return res.status(400).json({ error: 'Texte ou média requis' });
+    if (mediaUrl && !MEDIA_URL_RE.test(mediaUrl)) return res.status(400).json({ error: 'Média invalide' });
+    const now = Date.now();
+    const recent = db.stories.filter(s => s.userId === req.user.email && Date.parse(s.createdAt) > now - DAY_MS).length;
+    if (recent >= STORIES_PER_DAY) return res.status(429).json({ error: `Limite de ${STORIES_PER_DAY} stories par 24h atteinte`, code: 'story_limit' });
+    const story = {
+      id: 'story_' + now + '_' + crypto.randomBytes(3).toString('hex'),
+      userId: req.user.email,
+      author: req.user.name,
+      username: req.user.username || null,
+      avatar: req.user.avatar || null,
+      plan: req.user.plan || 'free',
+      text,
+      mediaUrl,
+      mediaType: mediaUrl ? String(req.body.mediaType || '').slice(0, 60) : null,
+      bg: /^#[0-9a-f]{3,8}$/i.test(req.body.bg || '') ? req.body.bg : null,
+      views: [],
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + STORY_TTL_MS).toISOString(),
+    };
+    const held = await autoModerate('story', story, req.user.email);
+    attachMedia('story', story, req.user.email);
+    db.stories.push(story);
+    scheduler.schedule('story.expire', story.expiresAt, { storyId: story.id }, { key: 'story:' + story.id });
+    saveData();
+    if (held) return res.json({ ok: true, story: storyView(story), ...heldPayload(story) });
+    publish('stories', { type: 'new_story', story: storyView(story) });
+    res.json({ ok: true, story: storyView(story, req.user.email) });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// Une vue par user ; l'auteur reçoit le compteur en direct
+app.post('/api/stories/:id/view', requireAuth, (req, res) => {
+  const story = db.stories.find(s => s.id === req.params.id && isStoryLive(s));
+  if (!story) return res.status(404).json({ error: 'Story introuvable ou expirée' });
+  if (story.userId !== req.user.email && !story.views.some(v => v.userId === req.user.email)) {
+    story.views.push({ userId: req.user.email, at: new Date().toISOString() });
+    sendToUser(story.userId, { type: 'story_view', storyId: story.id, viewCount: story.views.length });
+    saveData();
+  }
+  res.json({ ok: true, viewCount: story.views.length });
+});
+
+// Réservé à l'auteur, vues les plus récentes d'abord
+app.get('/api/stories/:id/viewers', requireAuth, (req, res) => {
+  const story = db.stories.find(s => s.id === req.params.id && s.userId === req.user.email);
+  if (!story) return res.status(404).json({ error: 'Story introuvable' });
+  const viewers = [...story.views].reverse().map(v => {
+    const u = db.users.get(v.userId);
+    return { userId: v.userId, name: u?.name || null, username: u?.username || null, avatar: u?.avatar || null, at: v.at };
+  });
+  res.json({ ...paginate(viewers, req.query), total: viewers.length });
+});
+
+app.delete('/api/stories/:id', requireAuth, (req, res) => {
+  const story = db.stories.find(s => s.id === req.params.id);
+  if (!story) return res.status(404).json({ error: 'Story introuvable' });
+  if (story.userId !== req.user.email && !isAdminUser(req.user)) return res.status(403).json({ error: 'Accès refusé' });
+  removeStory(story);
+  publish('stories', { type: 'story_deleted', storyId: story.id, username: story.username, reason: 'deleted' });
+  res.json({ ok: true });
+});
+
+// ════════════════════════════════════════
+// ── COMMENTAIRES (fils de réponses) & RÉACTIONS
+// ── Réactions : une de chaque type par user, basculables ; les compteurs
+// ── publics vivent sur post.reactions, les listes d'users dans db.reactions
+// ════════════════════════════════════════
+
+// Type → plan minimum (mêmes paliers que le client)
+const REACTION_TYPES = {
+  fire: 'free', bulb: 'free', money: 'free', clap: 'free',
+  rocket: 'starter', zap: 'starter', crown: 'pro', gem: 'pro', eyes: 'elite', star: 'elite',
+};
+const PLAN_RANK = { free: 0, starter: 1, pro: 2, elite: 3 };
+const COMMENT_MAX_LENGTH = 1000;
+
+function reactorsOf(postId, type) {
+  return db.reactions.get(postId)?.[type] || [];
+}
+
+// Ajoute ou retire la réaction ; renvoie true si elle est maintenant active
+function toggleReaction(post, type, userId) {
+  if (!db.reactions.has(post.id)) db.reactions.set(post.id, {});
+  const byType = db.reactions.get(post.id);
+  const users = byType[type] || [];
+  const active = !users.includes(userId);
+  byType[type] = active ? [...users, userId] : users.filter(u => u !== userId);
+  if (!byType[type].length) delete byType[type];
+  return active;
+}
+
+function reactionCounts(postId) {
+  const byType = db.reactions.get(postId) || {};
+  return Object.fromEntries(Object.keys(REACTION_TYPES).filter(t => byType[t]?.length).map(t => [t, byType[t].length]));
+}
+
+function publicComment(c) {
+  return c.deleted || c.hidden ? { ...c, text: '', userId: null, author: null } : c;
+}
+
+// Liste plate → arbre de réponses (ordre chronologique à chaque niveau)
+function buildCommentTree(comments) {
+  const nodes = new Map(comments.map(c => [c.id, { ...publicComment(c), replies: [] }]));
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parentId && nodes.get(node.parentId);
+    (parent ? parent.replies : roots).push(node);
+  });
+  return roots;
+}
+
+function syncCommentCount(post) {
+  post.comments = db.comments.filter(c => c.postId === post.id && !c.deleted && isVisible(c)).length;
+  ['feed', 'post:' + post.id].forEach(topic => publish(topic, { type: 'comment_update', postId: post.id, comments: post.comments }));
+}
+
+// Un commentaire masqué n'apparaît que s'il porte des réponses (texte vidé)
+function visibleCommentTree(postId) {
+  const comments = db.comments.filter(c => c.postId === postId);
+  return buildCommentTree(comments.filter(c => isVisible(c) || comments.some(r => r.parentId === c.id)));
+}
+
+app.get('/api/posts/:id/comments', (req, res) => {
+  res.json(visibleCommentTree(req.params.id));
+});
+
+app.post('/api/posts/:id/comments', requireAuth, async (req, res) => {
+  try {
+    const post = db.posts.find(p => p.id === req.params.id);
+    if (!post) return res.status(404).json({ error: 'Publication introuvable' });
+    const text = String(req.body.text || '').trim().slice(0, COMMENT_MAX_LENGTH);
+    if (!text) return res.status(400).json({ error: 'Commentaire vide' });
+    const parentId = req.body.parentId || null;
+    if (parentId && !db.comments.some(c => c.id === parentId && c.postId === post.id)) return res.status(400).json({ error: 'Commentaire parent introuvable' });
+    const comment = {
+      id: 'cmt_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+      postId: post.id,
+      parentId,
+      userId: req.user.email,
+      author: req.user.name,
+      plan: req.user.plan || 'free',
+      text,
+      createdAt: new Date().toISOString(),
+      editedAt: null,
+      deleted: false,
+    };
+    const held = await autoModerate('comment', comment, req.user.email);
+    db.comments.push(comment);
+    if (held) { saveData(); return res.json({ ok: true, comment, ...heldPayload(comment) }); }
+    syncCommentCount(post);
+    notify(post.userId, 'comment', { postId: post.id, commentId: comment.id, excerpt: text.slice(0, 80) }, req.user.email);
+    const parent = parentId && db.comments.find(c => c.id === parentId);
+    if (parent && parent.userId !== post.userId) notify(parent.userId, 'comment', { postId: post.id, commentId: comment.id, replyTo: parentId, excerpt: text.slice(0, 80) }, req.user.email);
+    publish('post:' + post.id, { type: 'comment_new', postId: post.id, comment });
+    recordEvent(req.user, 'comment', post.id);
+    saveData();
+    res.json({ ok: true, comment });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+app.put('/api/comments/:id', requireAuth, async (req, res) => {
+  try {
+    const comment = db.comments.find(c => c.id === req.params.id && !c.deleted);
+    if (!comment) return res.status(404).json({ error: 'Commentaire introuvable' });
+    if (comment.userId !== req.user.email) return res.status(403).json({ error: 'Accès refusé' });
+    const text = String(req.body.text || '').trim().slice(0, COMMENT_MAX_LENGTH);
+    if (!text) return res.status(400).json({ error: 'Commentaire vide' });
+    comment.text = text;
+    comment.editedAt = new Date().toISOString();
+    // Le texte modifié repasse par la modération automatique, comme à la création
+    const held = await autoModerate('comment', comment, req.user.email);
+    if (held) {
+      broadcastContentRemoval('comment', comment);
+      const post = db.posts.find(p => p.id === comment.postId);
+      if (post) syncCommentCount(post);
+      saveData();
+      return res.json({ ok: true, comment, ...heldPayload(comment) });
+    }
+    // Déjà masqué (retenu ou par un modérateur) : la nouvelle version reste hors du fil
+    if (!isVisible(comment)) { saveData(); return res.json({ ok: true, comment, ...(comment.moderation ? heldPayload(comment) : {}) }); }
+    publish('post:' + comment.postId, { type: 'comment_edited', postId: comment.postId, comment });
+    saveData();
+    res.json({ ok: true, comment });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// Un commentaire qui a des réponses est masqué (le fil reste lisible), sinon supprimé
+app.delete('/api/comments/:id', requireAuth, (req, res) => {
+  const comment = db.comments.find(c => c.id === req.params.id && !c.deleted);
+  if (!comment) return res.status(404).json({ error: 'Commentaire introuvable' });
+  if (comment.userId !== req.user.email && !isAdminUser(req.user)) return res.status(403).json({ error: 'Accès refusé' });
+  removeComment(comment);
+  saveData();
+  res.json({ ok: true });
+});
+
+// Suppression douce si le commentaire a des réponses (le fil reste lisible)
+function removeComment(comment) {
+  if (db.comments.some(c => c.parentId === comment.id)) {
+    comment.deleted = true;
+    comment.deletedAt = new Date().toISOString();
+  } else {
+    db.comments = db.comments.filter(c => c.id !== comment.id);
+  }
+  const post = db.posts.find(p => p.id === comment.postId);
+  if (post) syncCommentCount(post);
+  publish('post:' + comment.postId, { type: 'comment_deleted', postId: comment.postId, commentId: comment.id });
+}
+
+app.get('/api/posts/:id/reactions', (req, res) => {
+  const byType = db.reactions.get(req.params.id) || {};
+  res.json({
+    postId: req.params.id,
+    reactions: reactionCounts(req.params.id),
+    mine: req.user ? Object.keys(REACTION_TYPES).filter(t => byType[t]?.includes(req.user.email)) : [],
+  });
+});
+
+app.post('/api/posts/:id/reactions', requireAuth, (req, res) => {
+  try {
+    const { type } = req.body;
+    const minPlan = REACTION_TYPES[type];
+    if (!minPlan) return res.status(400).json({ error: 'Réaction inconnue' });
+    if ((PLAN_RANK[req.user.plan] || 0) < PLAN_RANK[minPlan] && !isAdminUser(req.user)) {
+      return res.status(403).json({ error: `Réaction réservée au plan ${minPlan.toUpperCase()}`, code: 'plan_required', plan: minPlan });
+    }
+    const post = db.posts.find(p => p.id === req.params.id);
+    if (!post) return res.status(404).json({ error: 'Publication introuvable' });
+    const active = toggleReaction(post, type, req.user.email);
+    post.reactions = reactionCounts(post.id);
+    if (active) notify(post.userId, 'reaction', { postId: post.id, reaction: type }, req.user.email);
+    if (active) {
+      recordEvent(req.user, ['reaction', 'reaction_' + type], post.id + ':' + type);
+      recordEvent(req.user, 'reaction_type', type);
+    }
+    publish('feed', { type: 'reaction_update', postId: post.id, reactions: post.reactions });
+    saveData();
+    res.json({ ok: true, type, active, reactions: post.reactions });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// ════════════════════════════════════════
+// ── PROJETS VITRINE — fiche projet, vues, clics sortants, votes et tendances
+// ── db.votes        : projectId → { projectId, voters: { userId: date du vote }, notified: { userId: date } }
+// ──                   seule source des votes, proj.votes n'en est que le total ;
+// ──                   notified : comptes dont le vote a déjà été notifié à l'auteur
+// ── db.projectStats : projectId → { projectId, days: { AAAA-MM-JJ: { views, clicks, referrers } },
+// ──                   seen: { day, views: [...], clicks: [...] } } — visiteurs du jour, hachés
+// ── Une vue (ou un clic) compte une fois par visiteur et par jour ; l'auteur ne se compte pas.
+// ════════════════════════════════════════
+
+const TRENDING_WINDOWS = { day: DAY_MS, week: 7 * DAY_MS, all: null };
+const TOP_REFERRERS = 10;
+// Contenu qu'un client peut fixer sur un projet (longueur max.) ; id, auteur, plan, votes,
+// vues, clics, expiration et boost sont posés par le serveur
+const PROJECT_FIELDS = { name: 120, cat: 40, type: 60, desc: 2000, hook: 200, emoji: 16, target: 200, stage: 40, collabNeed: 100, color: 120, url: 500, mediaUrl: 200 };
+const PROJECT_TAGS_MAX = 10;
+
+function projectContent(body) {
+  const content = textFields(body, PROJECT_FIELDS);
+  if (content.url) content.url = httpUrl(content.url);
+  if (content.mediaUrl && !MEDIA_URL_RE.test(content.mediaUrl)) content.mediaUrl = null;
+  if (content.color && !/^[#\w\s(),.%-]+$/.test(content.color)) content.color = null; // injecté dans un style côté client
+  if (Array.isArray(body?.tags)) content.tags = body.tags.filter(t => typeof t === 'string').slice(0, PROJECT_TAGS_MAX).map(t => t.slice(0, 40));
+  if (Number.isFinite(body?.timerEnd)) content.timerEnd = body.timerEnd;
+  return content;
+}
+
+function votersOf(projectId) {
+  return db.votes.get(projectId)?.voters || {};
+}
+
+function hasVoted(projectId, userId) {
+  return !!userId && Object.prototype.hasOwnProperty.call(votersOf(projectId), userId);
+}
+
+function syncVotes(proj) {
+  proj.votes = Object.keys(votersOf(proj.id)).length;
+  return proj.votes;
+}
+
+// Projet retiré (expiré, supprimé) : ses votes et statistiques partent avec lui
+function forgetProject(projectId) {
+  db.votes.delete(projectId);
+  db.projectStats.delete(projectId);
+}
+
+// Anciens votes (liste d'ids, sans date) → { voters } ; les votes orphelins disparaissent
+function backfillVotes() {
+  const ids = new Set(db.projects.map(p => p.id));
+  [...db.votes].forEach(([projectId, entry]) => {
+    if (!ids.has(projectId)) return db.votes.delete(projectId);
+    const legacy = Array.isArray(entry) ? entry : entry.items;
+    if (Array.isArray(legacy)) db.votes.set(projectId, { projectId, voters: Object.fromEntries(legacy.map(userId => [userId, null])) });
+  });
+  db.projects.forEach(syncVotes);
+}
+
+// Visiteur anonymisé, renouvelé chaque jour : compte si connecté, IP + navigateur sinon
+function visitorKey(req, day) {
+  const who = req.user?.email || req.ip + '|' + (req.get('user-agent') || '');
+  return crypto.createHash('sha256').update(day + ':' + who).digest('hex').slice(0, 16);
+}
+
+// ?ref=twitter (ou une URL), sinon l'en-tête Referer ; « direct » sans l'un ni l'autre
+function referrerSource(req) {
+  const raw = String(req.query.ref || req.get('referer') || '').trim().toLowerCase();
+  if (!raw) return 'direct';
+  let source = raw;
+  try { if (/^https?:\/\//.test(raw)) source = new URL(raw).hostname.replace(/^www\./, ''); } catch(e) { return 'direct'; }
+  if (source === String(req.get('host') || '').toLowerCase()) return 'viralboost';
+  return /^[a-z0-9][a-z0-9._-]{0,59}$/.test(source) ? source : 'direct';
+}
+
+function projectStatsOf(projectId) {
+  if (!db.projectStats.has(projectId)) db.projectStats.set(projectId, { projectId, days: {}, seen: null });
+  return db.projectStats.get(projectId);
+}
+
+// kind : views | clicks → true si le visiteur n'avait pas encore été compté aujourd'hui
+function trackProject(req, proj, kind, extra = {}) {
+  if (req.user?.email === proj.authorId) return false;
+  const day = dayKey(Date.now());
+  const stats = projectStatsOf(proj.id);
+  if (stats.seen?.day !== day) stats.seen = { day, views: [], clicks: [] };
+  const visitor = visitorKey(req, day);
+  if (stats.seen[kind].includes(visitor)) return false;
+  stats.seen[kind].push(visitor);
+  const bucket = stats.days[day] || (stats.days[day] = { views: 0, clicks: 0, referrers: {} });
+  bucket[kind]++;
+  if (extra.referrer) bucket.referrers[extra.referrer] = (bucket.referrers[extra.referrer] || 0) + 1;
+  proj[kind] = (proj[kind] || 0) + 1;
+  saveData();
+  return true;
+}
+
+// Vue publique d'un projet pour `viewerId` : a-t-il voté ?
+// Vue publique d'un projet : l'auteur par son @username, jamais par son email (authorId)
+function projectView(proj, viewerId = null) {
+  const { authorId, ...view } = proj;
+  return { ...view, username: db.users.get(authorId)?.username || null, isMine: !!viewerId && viewerId === authorId, voted: hasVoted(proj.id, viewerId) };
+}
+
+function findLiveProject(req) {
+  const proj = db.projects.find(p => p.id === req.params.id && isProjectLive(p));
+  if (!proj) return null;
+  if (isVisible(proj) || proj.authorId === req.user?.email || isAdminUser(req.user)) return proj;
+  return null;
+}
+
+// ?sort=votes|recent &author= &cursor= &limit=
+app.get('/api/projects', (req, res) => {
+  const authorId = resolveAuthorId(req.query.author);
+  const live = db.projects.filter(p => isProjectLive(p) && isVisible(p) && (!authorId || p.authorId === authorId));
+  const page = req.query.sort === 'recent'
+    ? paginate(live.sort((a, b) => compareKeys(postKey(a), postKey(b))), { ...req.query, key: postKey })
+    : paginate(live.sort((a, b) => (b.votes || 0) - (a.votes || 0)), req.query);
+  res.json({ ...page, items: page.items.map(p => projectView(p, req.user?.email)) });
+});
+
+// ?period=day|week|all — votes reçus sur la période, puis vues, puis votes au total
+app.get('/api/projects/trending', (req, res) => {
+  const period = req.query.period || 'week';
+  if (!(period in TRENDING_WINDOWS)) return res.status(400).json({ error: 'Période inconnue (day, week, all)' });
+  const windowMs = TRENDING_WINDOWS[period];
+  const since = windowMs ? Date.now() - windowMs : 0;
+  const firstDay = dayKey(since);
+  const ranked = db.projects
+    .filter(p => isProjectLive(p) && isVisible(p))
+    .map(p => {
+      if (!windowMs) return { proj: p, votes: p.votes || 0, views: p.views || 0 };
+      const votes = Object.values(votersOf(p.id)).filter(at => at && Date.parse(at) >= since).length;
+      const days = db.projectStats.get(p.id)?.days || {};
+      const views = Object.entries(days).reduce((sum, [day, d]) => (day >= firstDay ? sum + d.views : sum), 0);
+      return { proj: p, votes, views };
+    })
+    .filter(r => !windowMs || r.votes || r.views)
+    .sort((a, b) => b.votes - a.votes || b.views - a.views || (b.proj.votes || 0) - (a.proj.votes || 0) || compareKeys(postKey(a.proj), postKey(b.proj)));
+  const page = paginate(ranked, req.query);
+  res.json({
+    period,
+    items: page.items.map(r => ({ ...projectView(r.proj, req.user?.email), trending: { votes: r.votes, views: r.views } })),
+    nextCursor: page.nextCursor,
+  });
+});
+
+app.post('/api/projects', requireAuth, enforceQuota('pub'), async (req, res) => {
+  try {
+    const content = projectContent(req.body);
+    if (!content.name?.trim()) return res.status(400).json({ error: 'Nom du projet requis' });
+    if (!req.chargeQuota()) return;
+    const proj = {
+      ...content,
+      id: 'proj_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+      author: req.user.name,
+      authorId: req.user.email,
+      plan: req.user.plan || 'free',
+      votes: 0,
+      views: 0,
+      clicks: 0,
+      createdAt: new Date().toISOString(),
+      expiresAt: vitrineExpiry(req.user),
+    };
+    const held = await autoModerate('project', proj, req.user.email);
+    attachMedia('project', proj, req.user.email);
+    db.projects.unshift(proj);
+    saveData();
+    if (held) return res.json({ ok: true, project: projectView(proj, req.user.email), ...heldPayload(proj) });
+    publish('projects', { type: 'new_project', project: projectView(proj) });
+    recordEvent(req.user, projectCounters(proj), proj.id);
+    res.json({ ok: true, project: projectView(proj, req.user.email) });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// Fiche projet : compte la vue (?ref= pour la provenance)
+app.get('/api/projects/:id', (req, res) => {
+  const proj = findLiveProject(req);
+  if (!proj) return res.status(404).json({ error: 'Projet introuvable' });
+  trackProject(req, proj, 'views', { referrer: referrerSource(req) });
+  res.json({ project: projectView(proj, req.user?.email) });
+});
+
+// Clic vers le lien du projet (sendBeacon : pas de corps attendu)
+app.post('/api/projects/:id/click', (req, res) => {
+  const proj = findLiveProject(req);
+  if (!proj) return res.status(404).json({ error: 'Projet introuvable' });
+  trackProject(req, proj, 'clicks');
+  res.json({ ok: true, clicks: proj.clicks || 0 });
+});
+
+// Un vote par compte
+app.post('/api/projects/:id/vote', requireAuth, (req, res) => {
+  try {
+    const proj = findLiveProject(req);
+    if (!proj) return res.status(404).json({ error: 'Projet introuvable' });
+    const userId = req.user.email;
+    if (hasVoted(proj.id, userId)) return res.json({ ok: false, reason: 'already_voted', voted: true, votes: proj.votes });
+    if (!db.votes.has(proj.id)) db.votes.set(proj.id, { projectId: proj.id, voters: {} });
+    const entry = db.votes.get(proj.id);
+    entry.voters[userId] = new Date().toISOString();
+    syncVotes(proj);
+    trackDaily('votes');
+    // Auteur prévenu au premier vote de chaque compte seulement : retirer puis remettre son vote
+    // ne renvoie pas de notification
+    entry.notified = entry.notified || {};
+    if (!entry.notified[userId]) {
+      entry.notified[userId] = entry.voters[userId];
+      notify(proj.authorId, 'vote', { projectId: proj.id, votes: proj.votes }, userId);
+    }
+    recordEvent(req.user, 'vote', proj.id);
+    if (db.users.has(proj.authorId)) awardBadges(db.users.get(proj.authorId)); // votes reçus
+    saveData();
+    publish('projects', { type: 'vote_update', projectId: proj.id, votes: proj.votes });
+    res.json({ ok: true, voted: true, votes: proj.votes });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// Retire son vote
+app.delete('/api/projects/:id/vote', requireAuth, (req, res) => {
+  try {
+    const proj = findLiveProject(req);
+    if (!proj) return res.status(404).json({ error: 'Projet introuvable' });
+    if (!hasVoted(proj.id, req.user.email)) return res.json({ ok: false, reason: 'not_voted', voted: false, votes: proj.votes });
+    delete db.votes.get(proj.id).voters[req.user.email];
+    syncVotes(proj);
+    saveData();
+    publish('projects', { type: 'vote_update', projectId: proj.id, votes: proj.votes });
+    res.json({ ok: true, voted: false, votes: proj.votes });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// Réservé à l'auteur (et à l'équipe) : ?from=&to= comme l'analytique admin
+app.get('/api/projects/:id/analytics', requireAuth, analyticsRoute((req, res) => {
+  const proj = db.projects.find(p => p.id === req.params.id);
+  if (!proj || (proj.authorId !== req.user.email && !hasStaffPermission(req.user, 'analytics'))) {
+    return res.status(404).json({ error: 'Projet introuvable' });
+  }
+  const range = analyticsRange(req.query);
+  const days = db.projectStats.get(proj.id)?.days || {};
+  const votes = countByDay(Object.values(votersOf(proj.id)).filter(Boolean), at => at);
+  const series = range.days.map(day => ({ day, views: days[day]?.views || 0, votes: votes.get(day) || 0, clicks: days[day]?.clicks || 0 }));
+  const referrers = {};
+  range.days.forEach(day => Object.entries(days[day]?.referrers || {}).forEach(([source, n]) => { referrers[source] = (referrers[source] || 0) + n; }));
+  const totals = series.reduce((t, d) => ({ views: t.views + d.views, votes: t.votes + d.votes, clicks: t.clicks + d.clicks }), { views: 0, votes: 0, clicks: 0 });
+  res.json({
+    project: { id: proj.id, name: proj.name || proj.title || null, views: proj.views || 0, votes: proj.votes || 0, clicks: proj.clicks || 0, createdAt: proj.createdAt, expiresAt: proj.expiresAt || null },
+    from: range.from,
+    to: range.to,
+    totals,
+    series,
+    topReferrers: Object.entries(referrers).map(([source, views]) => ({ source, views })).sort((a, b) => b.views - a.views).slice(0, TOP_REFERRERS),
+  });
+}));
+
+app.delete('/api/projects/:id', requireStaff('content.moderate'), (req, res) => {
+  const project = db.projects.find(p => p.id === req.params.id);
+  if (!project) return res.status(404).json({ error: 'Projet introuvable' });
+  db.projects = db.projects.filter(p => p.id !== project.id);
+  forgetProject(project.id);
+  releaseMedia('project', project.id);
+  audit(req.user.email, 'delete_project', { type: 'project', id: project.id }, { authorId: project.authorId || null, reason: req.body?.reason || null });
+  saveData();
+  publish('projects', { type: 'project_deleted', projectId: project.id });
+  res.json({ ok: true });
+});
+
+// ════════════════════════════════════════
+// ── GROUPES — membres, rôles, invitations et demandes d'adhésion
+// ── group.members : [{ userId, role, joinedAt, mutedUntil }] — owner > moderator > member
+// ── Groupe public : on rejoint librement et tout le monde peut lire.
+// ── Groupe privé : lecture réservée aux membres, entrée sur invitation ou demande acceptée.
+// ════════════════════════════════════════
+
+const GROUP_ROLES = { member: 1, moderator: 2, owner: 3 };
+const GROUP_MAX_PINS = 5;
+
+// Rôle minimum pour chaque action
+const GROUP_PERMISSIONS = {
+  post:     'member',
+  invite:   'moderator',
+  approve:  'moderator',
+  kick:     'moderator',
+  mute:     'moderator',
+  pin:      'moderator',
+  settings: 'owner',
+  roles:    'owner',
+};
+
+// Réglages modifiables : { type, max, enum, min, pattern }
+const GROUP_SETTINGS_SCHEMA = {
+  name:        { type: 'string', min: 3, max: 60 },
+  desc:        { type: 'string', max: 500 },
+  emoji:       { type: 'string', max: 8 },
+  cat:         { type: 'string', max: 40 },
+  access:      { type: 'string', enum: ['public', 'private'] },
+  rules:       { type: 'string', max: 2000 },
+  bgUrl:       { type: 'string', max: 200, pattern: /^(\/uploads\/[\w.-]+)?$/ },
+  allowPhotos: { type: 'number', enum: [0, 1] },
+};
+
+// → { value, errors } ; seuls les champs présents sont validés (mise à jour partielle)
+function validateGroupSettings(input = {}) {
+  const value = {};
+  const errors = [];
+  for (const [field, v] of Object.entries(input)) {
+    const rule = GROUP_SETTINGS_SCHEMA[field];
+    if (!rule) { errors.push(`${field} : champ non modifiable`); continue; }
+    const val = rule.type === 'number' ? Number(v) : typeof v === 'string' ? v.trim() : v;
+    if (rule.type === 'number' ? !Number.isFinite(val) : typeof val !== 'string') { errors.push(`${field} : type invalide`); continue; }
+    if (rule.type === 'string' && rule.min && val.length < rule.min) { errors.push(`${field} : ${rule.min} caractères min.`); continue; }
+    if (rule.type === 'string' && rule.max && val.length > rule.max) { errors.push(`${field} : ${rule.max} caractères max.`); continue; }
+    if (rule.enum && !rule.enum.includes(val)) { errors.push(`${field} doit valoir ${rule.enum.join(' | ')}`); continue; }
+    if (rule.pattern && !rule.pattern.test(val)) { errors.push(`${field} : format invalide`); continue; }
+    value[field] = val;
+  }
+  return { value, errors };
+}
+
+function groupMember(group, userId) {
+  return (group.members || []).find(m => m.userId === userId) || null;
+}
+
+function groupRole(group, userId) {
+  return groupMember(group, userId)?.role || null;
+}
+
+function canInGroup(group, user, action) {
+  if (!user) return false;
+  if (isAdminUser(user)) return true;
+  const role = groupRole(group, user.email);
+  return !!role && GROUP_ROLES[role] >= GROUP_ROLES[GROUP_PERMISSIONS[action]];
+}
+
+function canReadGroup(group, user) {
+  return group.access !== 'private' || !!groupMember(group, user?.email) || isAdminUser(user);
+}
+
+function isMutedInGroup(member) {
+  return !!member?.mutedUntil && new Date(member.mutedUntil).getTime() > Date.now();
+}
+
+function addGroupMember(group, userId, role = 'member') {
+  if (groupMember(group, userId)) return;
+  group.members.push({ userId, role, joinedAt: new Date().toISOString(), mutedUntil: null });
+  group.joinRequests = group.joinRequests.filter(r => r.userId !== userId);
+  group.membersCount = group.members.length;
+}
+
+function removeGroupMember(group, userId) {
+  group.members = group.members.filter(m => m.userId !== userId);
+  group.membersCount = group.members.length;
+}
+
+// Vue publique : jamais la liste des invitations ni des demandes
+function publicGroup(group, viewer) {
+  const { members, joinRequests, invites, ...rest } = group;
+  return {
+    ...rest,
+    membersCount: members.length,
+    myRole: viewer ? groupRole(group, viewer.email) : null,
+    requested: !!viewer && joinRequests.some(r => r.userId === viewer.email),
+  };
+}
+
+function memberCard(m) {
+  return { ...profileCard(db.users.get(m.userId)), role: m.role, joinedAt: m.joinedAt, muted: isMutedInGroup(m), mutedUntil: isMutedInGroup(m) ? m.mutedUntil : null };
+}
+
+function broadcastToGroup(group, data) {
+  publish('group:' + group.id, data);
+}
+
+// Après un changement d'accès ou de membres : seuls les lecteurs autorisés restent abonnés
+function syncGroupSubscribers(group) {
+  evictFromTopic('group:' + group.id, userId => canReadGroup(group, db.users.get(userId)));
+}
+
+// Groupes créés avant les adhésions : le créateur devient owner
+function backfillGroupMembers() {
+  db.groups.forEach(group => {
+    group.access = group.access === 'private' ? 'private' : 'public';
+    group.members = group.members || (group.creatorId ? [{ userId: group.creatorId, role: 'owner', joinedAt: group.createdAt, mutedUntil: null }] : []);
+    group.joinRequests = group.joinRequests || [];
+    group.invites = group.invites || [];
+    group.pinned = group.pinned || [];
+    group.membersCount = group.members.length;
+  });
+}
+
+// Middleware : req.group ou 404
+function loadGroup(req, res, next) {
+  req.group = db.groups.get(req.params.id);
+  if (!req.group) return res.status(404).json({ error: 'Groupe introuvable' });
+  next();
+}
+
+function requireGroupPermission(action) {
+  return (req, res, next) => {
+    if (!canInGroup(req.group, req.user, action)) return res.status(403).json({ error: 'Action réservée aux ' + (GROUP_PERMISSIONS[action] === 'owner' ? 'propriétaires' : 'modérateurs') + ' du groupe', code: 'group_forbidden' });
+    next();
+  };
+}
+
+// Un modérateur n'agit que sur un rôle inférieur au sien
+function outranks(group, actor, targetId) {
+  if (isAdminUser(actor)) return true;
+  return GROUP_ROLES[groupRole(group, actor.email)] > GROUP_ROLES[groupRole(group, targetId)];
+}
+
 app.get('/api/groups', (req, res) => {
-  res.json([...db.groups.values()].sort((a,b) => new Date(b.createdAt) - new Date(a.createdAt)));
+  const groups = [...db.groups.values()].sort((a,b) => new Date(b.createdAt) - new Date(a.createdAt));
+  res.json(groups.map(g => publicGroup(g, req.user)));
+});
+
+app.post('/api/groups', requireAuth, (req, res) => {
+  try {
+    const fields = Object.keys(GROUP_SETTINGS_SCHEMA).filter(f => req.body[f] !== undefined && req.body[f] !== null);
+    const { value, errors } = validateGroupSettings(Object.fromEntries(fields.map(f => [f, req.body[f]])));
+    if (!value.name) errors.push('name requis');
+    if (errors.length) return res.status(400).json({ error: errors.join(', '), code: 'group_invalid_settings', details: errors });
+    const group = {
+      access: 'public',
+      allowPhotos: 1,
+      ...value,
+      id: 'grp_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+      creatorId: req.user.email,
+      createdAt: new Date().toISOString(),
+      members: [],
+      joinRequests: [],
+      invites: [],
+      pinned: [],
+    };
+    addGroupMember(group, req.user.email, 'owner');
+    db.groups.set(group.id, group);
+    attachMedia('group', group, req.user.email);
+    recordEvent(req.user, 'group_create', group.id);
+    saveData();
+    if (group.access === 'public') publish('groups', { type: 'new_group', group: publicGroup(group) });
+    res.json({ ok: true, group: publicGroup(group, req.user) });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get('/api/groups/:id', loadGroup, (req, res) => {
+  const group = req.group;
+  const readable = canReadGroup(group, req.user);
+  const messages = db.groupMessages.get(group.id) || [];
+  res.json({
+    ...publicGroup(group, req.user),
+    members: readable ? group.members.map(memberCard) : [],
+    pinned: readable ? group.pinned.map(id => messages.find(m => m.id === id)).filter(m => m && isVisible(m)) : [],
+    joinRequests: canInGroup(group, req.user, 'approve') ? group.joinRequests.map(r => ({ ...r, user: profileCard(db.users.get(r.userId)) })) : undefined,
+  });
+});
+
+// Du plus récent au plus ancien : chaque page est renvoyée dans l'ordre chronologique
+app.get('/api/groups/:id/messages', loadGroup, (req, res) => {
+  if (!canReadGroup(req.group, req.user)) return res.status(403).json({ error: 'Groupe privé : réservé aux membres', code: 'group_members_only' });
+  const msgKey = m => [String(m.timestamp || ''), String(m.id || '')];
+  const newestFirst = (db.groupMessages.get(req.params.id) || []).filter(isVisible).sort((a, b) => compareKeys(msgKey(a), msgKey(b)));
+  const page = paginate(newestFirst, { ...req.query, key: msgKey });
+  res.json({ items: page.items.reverse(), nextCursor: page.nextCursor });
+});
+
+app.post('/api/groups/:id/messages', requireAuth, loadGroup, requireGroupPermission('post'), async (req, res) => {
+  try {
+    const group = req.group;
+    const member = groupMember(group, req.user.email);
+    if (isMutedInGroup(member)) return res.status(403).json({ error: 'Tu es en sourdine dans ce groupe', code: 'group_muted', until: member.mutedUntil });
+    const { text, mediaUrl, mediaType } = req.body;
+    if (mediaUrl && !group.allowPhotos) return res.status(403).json({ error: 'Les médias sont désactivés dans ce groupe' });
+    if (mediaUrl && !(typeof mediaUrl === 'string' && MEDIA_URL_RE.test(mediaUrl))) return res.status(400).json({ error: 'Média invalide' });
+    const msg = {
+      id: 'gmsg_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+      groupId: group.id,
+      userId: req.user.email,
+      author: req.user.name,
+      plan: req.user.plan || 'free',
+      text: String(text || '').slice(0, 2000),
+      mediaUrl: mediaUrl || null,
+      mediaType: mediaUrl ? String(mediaType || '').slice(0, 60) : null,
+      pinned: false,
+      timestamp: new Date().toISOString(),
+    };
+    if (!msg.text && !msg.mediaUrl) return res.status(400).json({ error: 'Message vide' });
+    const held = await autoModerate('group_message', msg, req.user.email);
+    attachMedia('group_message', msg, req.user.email);
+    if (!db.groupMessages.has(group.id)) db.groupMessages.set(group.id, []);
+    db.groupMessages.get(group.id).push(msg);
+    saveData();
+    if (held) return res.json({ ok: true, ...heldPayload(msg) });
+    broadcastToGroup(group, { type: 'group_message', groupId: group.id, message: msg });
+    recordEvent(req.user, 'group_message');
+    res.json({ ok: true, message: msg });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+app.put('/api/groups/:id/settings', requireAuth, loadGroup, requireGroupPermission('settings'), (req, res) => {
+  try {
+    const { value, errors } = validateGroupSettings(req.body.settings);
+    if (errors.length) return res.status(400).json({ error: errors.join(', '), code: 'group_invalid_settings', details: errors });
+    Object.assign(req.group, value, { updatedAt: new Date().toISOString() });
+    syncMedia('group', req.group, req.user.email);
+    saveData();
+    syncGroupSubscribers(req.group);
+    broadcastToGroup(req.group, { type: 'group_update', group: publicGroup(req.group) });
+    res.json({ ok: true, group: publicGroup(req.group, req.user) });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// ── Adhésion ──
+function findGroupInvite(group, code) {
+  const invite = code && group.invites.find(i => i.code === code);
+  if (!invite) return null;
+  if (invite.expiresAt && new Date(invite.expiresAt).getTime() < Date.now()) return null;
+  if (invite.maxUses && invite.uses >= invite.maxUses) return null;
+  return invite;
+}
+
+// { inviteCode?, message? } — un groupe privé sans invitation valide crée une demande
+app.post('/api/groups/:id/join', requireAuth, loadGroup, (req, res) => {
+  const group = req.group;
+  if (groupMember(group, req.user.email)) return res.json({ ok: true, status: 'member', group: publicGroup(group, req.user) });
+  const invite = findGroupInvite(group, req.body.inviteCode);
+  if (req.body.inviteCode && !invite) return res.status(400).json({ error: 'Invitation invalide ou expirée', code: 'group_invite_invalid' });
+  if (group.access === 'private' && !invite) {
+    if (!group.joinRequests.some(r => r.userId === req.user.email)) {
+      group.joinRequests.push({ userId: req.user.email, message: String(req.body.message || '').slice(0, 300), createdAt: new Date().toISOString() });
+      group.members.filter(m => GROUP_ROLES[m.role] >= GROUP_ROLES.moderator).forEach(m => notify(m.userId, 'group_request', { groupId: group.id, groupName: group.name }, req.user.email));
+      saveData();
+    }
+    return res.status(202).json({ ok: true, status: 'requested' });
+  }
+  if (invite) invite.uses++;
+  addGroupMember(group, req.user.email);
+  recordEvent(req.user, 'group_join', group.id);
+  saveData();
+  broadcastToGroup(group, { type: 'group_member_joined', groupId: group.id, member: memberCard(groupMember(group, req.user.email)) });
+  res.json({ ok: true, status: 'member', group: publicGroup(group, req.user) });
+});
+
+app.post('/api/groups/:id/leave', requireAuth, loadGroup, (req, res) => {
+  const group = req.group;
+  if (!groupMember(group, req.user.email)) return res.status(400).json({ error: 'Tu ne fais pas partie de ce groupe' });
+  if (groupRole(group, req.user.email) === 'owner') return res.status(400).json({ error: 'Transfère d\'abord la propriété du groupe', code: 'group_owner_cannot_leave' });
+  removeGroupMember(group, req.user.email);
+  saveData();
+  syncGroupSubscribers(group);
+  broadcastToGroup(group, { type: 'group_member_left', groupId: group.id, userId: req.user.email });
+  res.json({ ok: true });
+});
+
+// ── Invitations : lien partageable ({ maxUses, expiresInHours }) ou invitation nominative ──
+function createGroupInvite(group, creatorId, { maxUses, expiresInHours } = {}) {
+  const invite = {
+    code: crypto.randomBytes(9).toString('base64url'),
+    createdBy: creatorId,
+    createdAt: new Date().toISOString(),
+    expiresAt: Number(expiresInHours) > 0 ? new Date(Date.now() + Number(expiresInHours) * HOUR_MS).toISOString() : null,
+    maxUses: Number(maxUses) > 0 ? Math.floor(Number(maxUses)) : null,
+    uses: 0,
+  };
+  group.invites.push(invite);
+  return { ...invite, url: `${PUBLIC_URL}/?group=${group.id}&invite=${invite.code}` };
+}
+
+app.get('/api/groups/:id/invites', requireAuth, loadGroup, requireGroupPermission('invite'), (req, res) => {
+  res.json(req.group.invites.map(i => ({ ...i, url: `${PUBLIC_URL}/?group=${req.group.id}&invite=${i.code}` })));
+});
+
+app.post('/api/groups/:id/invites', requireAuth, loadGroup, requireGroupPermission('invite'), (req, res) => {
+  const invite = createGroupInvite(req.group, req.user.email, req.body);
+  saveData();
+  res.json({ ok: true, invite });
+});
+
+app.delete('/api/groups/:id/invites/:code', requireAuth, loadGroup, requireGroupPermission('invite'), (req, res) => {
+  req.group.invites = req.group.invites.filter(i => i.code !== req.params.code);
+  saveData();
+  res.json({ ok: true });
+});
+
+// { user: @username ou email } → invitation à usage unique + notification group_invite
+app.post('/api/groups/:id/invites/user', requireAuth, loadGroup, requireGroupPermission('invite'), (req, res) => {
+  const target = findUserByHandle(req.body.user);
+  if (!target) return res.status(404).json({ error: 'Utilisateur non trouvé' });
+  if (groupMember(req.group, target.email)) return res.status(400).json({ error: 'Déjà membre du groupe' });
+  const invite = createGroupInvite(req.group, req.user.email, { maxUses: 1, expiresInHours: 24 * 7 });
+  notify(target.email, 'group_invite', { groupId: req.group.id, groupName: req.group.name, inviteCode: invite.code, url: invite.url }, req.user.email);
+  saveData();
+  res.json({ ok: true });
+});
+
+// ── Demandes d'adhésion (groupes privés) ──
+app.post('/api/groups/:id/requests/:userId/:decision(approve|reject)', requireAuth, loadGroup, requireGroupPermission('approve'), (req, res) => {
+  const group = req.group;
+  const request = group.joinRequests.find(r => r.userId === req.params.userId);
+  if (!request) return res.status(404).json({ error: 'Demande introuvable' });
+  if (req.params.decision === 'approve') {
+    addGroupMember(group, request.userId);
+    broadcastToGroup(group, { type: 'group_member_joined', groupId: group.id, member: memberCard(groupMember(group, request.userId)) });
+  } else {
+    group.joinRequests = group.joinRequests.filter(r => r.userId !== request.userId);
+  }
+  sendToUser(request.userId, { type: 'group_join_decision', groupId: group.id, groupName: group.name, approved: req.params.decision === 'approve' });
+  saveData();
+  res.json({ ok: true });
+});
+
+// ── Modération du groupe ──
+app.post('/api/groups/:id/members/:userId/kick', requireAuth, loadGroup, requireGroupPermission('kick'), (req, res) => {
+  const group = req.group;
+  if (!groupMember(group, req.params.userId)) return res.status(404).json({ error: 'Membre introuvable' });
+  if (!outranks(group, req.user, req.params.userId)) return res.status(403).json({ error: 'Rôle insuffisant', code: 'group_forbidden' });
+  removeGroupMember(group, req.params.userId);
+  saveData();
+  syncGroupSubscribers(group);
+  sendToUser(req.params.userId, { type: 'group_kicked', groupId: group.id, groupName: group.name });
+  broadcastToGroup(group, { type: 'group_member_left', groupId: group.id, userId: req.params.userId, kicked: true });
+  res.json({ ok: true });
+});
+
+// { minutes } — 0 ou absent = lever la sourdine
+app.post('/api/groups/:id/members/:userId/mute', requireAuth, loadGroup, requireGroupPermission('mute'), (req, res) => {
+  const group = req.group;
+  const member = groupMember(group, req.params.userId);
+  if (!member) return res.status(404).json({ error: 'Membre introuvable' });
+  if (!outranks(group, req.user, member.userId)) return res.status(403).json({ error: 'Rôle insuffisant', code: 'group_forbidden' });
+  const minutes = Math.max(0, Number(req.body.minutes) || 0);
+  member.mutedUntil = minutes ? new Date(Date.now() + minutes * 60000).toISOString() : null;
+  saveData();
+  sendToUser(member.userId, { type: 'group_muted', groupId: group.id, until: member.mutedUntil });
+  res.json({ ok: true, member: memberCard(member) });
+});
+
+// { role: member|moderator|owner } — passer owner transfère la propriété
+app.put('/api/groups/:id/members/:userId/role', requireAuth, loadGroup, requireGroupPermission('roles'), (req, res) => {
+  const group = req.group;
+  const member = groupMember(group, req.params.userId);
+  const { role } = req.body;
+  if (!member) return res.status(404).json({ error: 'Membre introuvable' });
+  if (!GROUP_ROLES[role]) return res.status(400).json({ error: 'Rôle invalide' });
+  if (member.role === 'owner') return res.status(400).json({ error: 'Le propriétaire ne peut pas être rétrogradé' });
+  if (role === 'owner') {
+    group.members.forEach(m => { if (m.role === 'owner') m.role = 'moderator'; });
+    group.creatorId = member.userId;
+  }
+  member.role = role;
+  saveData();
+  broadcastToGroup(group, { type: 'group_role_update', groupId: group.id, userId: member.userId, role });
+  res.json({ ok: true, member: memberCard(member) });
+});
+
+app.post('/api/groups/:id/pins/:messageId', requireAuth, loadGroup, requireGroupPermission('pin'), (req, res) => {
+  const group = req.group;
+  const msg = (db.groupMessages.get(group.id) || []).find(m => m.id === req.params.messageId);
+  if (!msg) return res.status(404).json({ error: 'Message introuvable' });
+  if (!group.pinned.includes(msg.id)) {
+    if (group.pinned.length >= GROUP_MAX_PINS) return res.status(400).json({ error: `${GROUP_MAX_PINS} messages épinglés maximum` });
+    group.pinned.push(msg.id);
+  }
+  msg.pinned = true;
+  saveData();
+  broadcastToGroup(group, { type: 'group_pins', groupId: group.id, pinned: group.pinned });
+  res.json({ ok: true, pinned: group.pinned });
+});
+
+app.delete('/api/groups/:id/pins/:messageId', requireAuth, loadGroup, requireGroupPermission('pin'), (req, res) => {
+  const group = req.group;
+  group.pinned = group.pinned.filter(id => id !== req.params.messageId);
+  const msg = (db.groupMessages.get(group.id) || []).find(m => m.id === req.params.messageId);
+  if (msg) msg.pinned = false;
+  saveData();
+  broadcastToGroup(group, { type: 'group_pins', groupId: group.id, pinned: group.pinned });
+  res.json({ ok: true, pinned: group.pinned });
+});
+
+// ── SIGNALEMENTS ──
+const REPORT_REASON_MAX = 200;
+const REPORT_DETAILS_MAX = 2000;
+
+// Auteur de la cible d'un signalement (le compte lui-même pour un user) ; undefined si elle n'existe pas
+function reportedAuthorOf(type, id) {
+  if (type === 'user') return findUserByHandle(id)?.email;
+  const item = findContent(type, id);
+  return item && (item.userId || item.authorId || null);
+}
+
+// { targetType, targetId, reason, details } ; l'ancien client n'envoie que reportedId (un user).
+// Le reste (signalé, signaleur) est déduit côté serveur, jamais repris du corps.
+app.post('/api/report', requireAuth, (req, res) => {
+  try {
+    const targetType = req.body.targetType || 'user';
+    const targetId = String(req.body.targetId || req.body.reportedId || '');
+    if (!REPORT_TARGETS.includes(targetType) || !targetId) return res.status(400).json({ error: 'Cible du signalement invalide' });
+    const reportedId = reportedAuthorOf(targetType, targetId);
+    if (reportedId === undefined) return res.status(404).json({ error: 'Cible du signalement introuvable' });
+    const report = {
+      id: 'rep_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+      targetType,
+      targetId: targetType === 'user' ? reportedId : targetId,
+      reportedId,
+      reportedName: db.users.get(reportedId)?.name || null,
+      reason: String(req.body.reason || '').slice(0, REPORT_REASON_MAX),
+      details: String(req.body.details || '').slice(0, REPORT_DETAILS_MAX),
+      reporterId: req.user.email,
+      reporterEmail: req.user.email,
+      reporterName: req.user.name,
+      status: 'pending',
+      notes: [],
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+    };
+    db.reports.push(report);
+    saveData();
+    console.log(`🚨 SIGNALEMENT: ${report.reporterEmail} → ${report.reportedName} | ${report.reason}`);
+    res.json({ ok: true });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// ════════════════════════════════════════
+// ── SUPPORT — tickets entre un utilisateur et l'équipe (staff, permission 'messages')
+// ── Un fil actif par utilisateur : un nouveau message rejoint le ticket ouvert, sinon en crée un.
+// ── open → en attente de l'équipe · pending → en attente de l'utilisateur · closed
+// ── Les réponses de l'équipe arrivent en direct (sendToUser) et restent dans le ticket.
+// ════════════════════════════════════════
+
+const TICKET_STATUSES = ['open', 'pending', 'closed'];
+const TICKET_SUBJECT_MAX = 120;
+const TICKET_TEXT_MAX = 4000;
+
+// Réponses types proposées par défaut (modifiables depuis le tableau de bord)
+const DEFAULT_CANNED_RESPONSES = [
+  { id: 'can_welcome', title: 'Accusé de réception', text: 'Bonjour {name}, merci pour ton message ! On regarde ça et on revient vers toi très vite.' },
+  { id: 'can_billing', title: 'Facturation', text: 'Bonjour {name}, tu retrouves tes paiements et ton plan ({plan}) dans Réglages → Abonnement. Dis-nous si quelque chose ne correspond pas.' },
+  { id: 'can_closed', title: 'Résolu', text: 'Bonjour {name}, on considère ce ticket comme résolu. Réponds ici si besoin, il sera rouvert.' },
+];
+
+function ticketId() { return 'tkt_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'); }
+
+function ticketMessage(from, author, text) {
+  return { id: 'tkm_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'), from, authorId: author.email, authorName: from === 'staff' ? author.name || 'ViralBoost' : author.name, text, createdAt: new Date().toISOString() };
+}
+
+function activeTicketOf(userId) {
+  return db.tickets.find(t => t.userId === userId && t.status !== 'closed') || null;
+}
+
+// Vue d'un ticket : `side` = user | staff (les notes et l'email de l'agent restent côté staff)
+function ticketView(ticket, side, { messages = true } = {}) {
+  const user = db.users.get(ticket.userId);
+  const view = {
+    id: ticket.id,
+    subject: ticket.subject,
+    status: ticket.status,
+    unread: ticket.unread[side],
+    lastMessageAt: ticket.lastMessageAt,
+    lastMessage: ticket.messages[ticket.messages.length - 1]?.text.slice(0, 140) || '',
+    createdAt: ticket.createdAt,
+    closedAt: ticket.closedAt || null,
+  };
+  if (side === 'staff') Object.assign(view, { userId: ticket.userId, userName: user?.name || ticket.userId, plan: user?.plan || 'free', assignee: ticket.assignee || null });
+  if (messages) view.messages = ticket.messages.map(m => side === 'staff' ? m : { ...m, authorId: m.from === 'staff' ? null : m.authorId });
+  return view;
+}
+
+// Priorité : les tickets en attente de l'équipe d'abord, puis le plan (ELITE en tête), puis le plus ancien
+function ticketPriority(a, b) {
+  const order = s => TICKET_STATUSES.indexOf(s);
+  return order(a.status) - order(b.status)
+    || (PLAN_RANK[db.users.get(b.userId)?.plan] || 0) - (PLAN_RANK[db.users.get(a.userId)?.plan] || 0)
+    || new Date(a.lastMessageAt) - new Date(b.lastMessageAt);
+}
+
+function validTicketText(text) {
+  return typeof text === 'string' && text.trim() && text.length <= TICKET_TEXT_MAX;
+}
+
+// Message de l'utilisateur : rejoint son ticket actif ou en ouvre un nouveau
+function postUserTicketMessage(user, { subject, text }) {
+  let ticket = activeTicketOf(user.email);
+  if (!ticket) {
+    ticket = {
+      id: ticketId(),
+      userId: user.email,
+      subject: String(subject || '').trim().slice(0, TICKET_SUBJECT_MAX) || text.trim().slice(0, 60),
+      status: 'open',
+      messages: [],
+      unread: { staff: 0, user: 0 },
+      assignee: null,
+      createdAt: new Date().toISOString(),
+    };
+    db.tickets.push(ticket);
+  }
+  ticket.messages.push(ticketMessage('user', user, text.trim()));
+  Object.assign(ticket, { status: 'open', lastMessageAt: new Date().toISOString(), updatedAt: new Date().toISOString() });
+  ticket.unread.staff++;
+  saveData();
+  console.log(`📩 SUPPORT ${ticket.id} de ${user.email} (${user.plan || 'free'}) : ${text.slice(0, 80)}`);
+  return ticket;
+}
+
+// Anciens messages à l'admin (db.adminDMs) → un ticket par utilisateur, une fois
+function backfillTickets() {
+  if (!db.adminDMs.length) return;
+  const byUser = new Map();
+  db.adminDMs.forEach(dm => {
+    if (!dm.fromEmail) return;
+    if (!byUser.has(dm.fromEmail)) byUser.set(dm.fromEmail, []);
+    byUser.get(dm.fromEmail).push(dm);
+  });
+  byUser.forEach((dms, userId) => {
+    dms.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    db.tickets.push({
+      id: ticketId(),
+      userId,
+      subject: dms.find(d => d.subject)?.subject || 'Message à l\'équipe',
+      status: 'open',
+      messages: dms.map(d => ({ id: d.id, from: 'user', authorId: userId, authorName: d.fromName || userId, text: String(d.text || d.message || ''), createdAt: d.createdAt })),
+      unread: { staff: dms.filter(d => !d.read).length, user: 0 },
+      assignee: null,
+      createdAt: dms[0].createdAt,
+      lastMessageAt: dms[dms.length - 1].createdAt,
+    });
+  });
+  console.log(`📩 ${db.adminDMs.length} messages admin repris en ${byUser.size} tickets`);
+  db.adminDMs = [];
+  saveData();
+}
+
+function loadTicket(side) {
+  return (req, res, next) => {
+    const ticket = db.tickets.find(t => t.id === req.params.id);
+    if (!ticket || (side === 'user' && ticket.userId !== req.user.email)) return res.status(404).json({ error: 'Ticket introuvable' });
+    req.ticket = ticket;
+    next();
+  };
+}
+
+function fillCanned(text, user) {
+  return text.replace(/\{name\}/g, user?.name || '').replace(/\{plan\}/g, (user?.plan || 'free').toUpperCase());
+}
+
+// ── Côté utilisateur ──
+// { subject?, text } : remplace /api/admin-dm et /api/contact-admin
+app.post('/api/support/tickets', requireAuth, (req, res) => {
+  try {
+    const { subject, text } = req.body;
+    if (!validTicketText(text)) return res.status(400).json({ error: `Message vide ou trop long (${TICKET_TEXT_MAX} caractères max.)` });
+    const ticket = postUserTicketMessage(req.user, { subject, text });
+    res.json({ ok: true, ticket: ticketView(ticket, 'user') });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get('/api/support/tickets', requireAuth, (req, res) => {
+  res.json(db.tickets.filter(t => t.userId === req.user.email).reverse().map(t => ticketView(t, 'user', { messages: false })));
+});
+
+// Lire un ticket le marque comme lu pour l'utilisateur
+app.get('/api/support/tickets/:id', requireAuth, loadTicket('user'), (req, res) => {
+  req.ticket.unread.user = 0;
+  saveData();
+  res.json(ticketView(req.ticket, 'user'));
+});
+
+app.post('/api/support/tickets/:id/messages', requireAuth, loadTicket('user'), (req, res) => {
+  if (!validTicketText(req.body.text)) return res.status(400).json({ error: `Message vide ou trop long (${TICKET_TEXT_MAX} caractères max.)` });
+  if (req.ticket.status === 'closed') return res.status(409).json({ error: 'Ticket fermé : écris un nouveau message', code: 'ticket_closed' });
+  const ticket = postUserTicketMessage(req.user, { text: req.body.text });
+  res.json({ ok: true, ticket: ticketView(ticket, 'user') });
+});
+
+app.post('/api/support/tickets/:id/close', requireAuth, loadTicket('user'), (req, res) => {
+  Object.assign(req.ticket, { status: 'closed', closedAt: new Date().toISOString(), updatedAt: new Date().toISOString() });
+  saveData();
+  res.json({ ok: true });
+});
+
+// ── Côté équipe ──
+// ?status=open|pending|closed &q= (email, nom, sujet) — tri par priorité
+app.get('/api/admin/tickets', requireStaff('messages'), (req, res) => {
+  const q = String(req.query.q || '').trim().toLowerCase();
+  const rows = db.tickets
+    .filter(t => !req.query.status || t.status === req.query.status)
+    .filter(t => !q || [t.userId, t.subject, db.users.get(t.userId)?.name].some(v => String(v || '').toLowerCase().includes(q)))
+    .sort(ticketPriority)
+    .map(t => ticketView(t, 'staff', { messages: false }));
+  const counts = Object.fromEntries(TICKET_STATUSES.map(s => [s, db.tickets.filter(t => t.status === s).length]));
+  sendTable(req, res, 'tickets', rows, ['id', 'status', 'plan', 'userId', 'userName', 'subject', 'unread', 'assignee', 'lastMessageAt', 'createdAt'].map(key => ({ key })), { counts, unread: db.tickets.reduce((n, t) => n + t.unread.staff, 0) });
+});
+
+app.get('/api/admin/tickets/:id', requireStaff('messages'), loadTicket('staff'), (req, res) => {
+  req.ticket.unread.staff = 0;
+  saveData();
+  res.json(ticketView(req.ticket, 'staff'));
+});
+
+// { text } ou { cannedId } ; { status } facultatif (pending par défaut, closed pour répondre et clore)
+app.post('/api/admin/tickets/:id/reply', requireStaff('messages'), loadTicket('staff'), (req, res) => {
+  const ticket = req.ticket;
+  const user = db.users.get(ticket.userId);
+  const canned = req.body.cannedId && db.cannedResponses.get(req.body.cannedId);
+  if (req.body.cannedId && !canned) return res.status(404).json({ error: 'Réponse type introuvable' });
+  const text = fillCanned(canned ? canned.text : String(req.body.text || ''), user);
+  if (!validTicketText(text)) return res.status(400).json({ error: `Message vide ou trop long (${TICKET_TEXT_MAX} caractères max.)` });
+  const status = req.body.status || 'pending';
+  if (!['pending', 'closed'].includes(status)) return res.status(400).json({ error: 'Statut invalide' });
+  const message = ticketMessage('staff', req.user, text.trim());
+  ticket.messages.push(message);
+  ticket.unread.user++;
+  ticket.unread.staff = 0;
+  Object.assign(ticket, { status, assignee: ticket.assignee || req.user.email, lastMessageAt: message.createdAt, updatedAt: message.createdAt, closedAt: status === 'closed' ? message.createdAt : null });
+  sendToUser(ticket.userId, { type: 'support_reply', ticketId: ticket.id, status, message: { ...message, authorId: null } });
+  audit(moderatorOf(req), 'ticket_reply', { type: 'ticket', id: ticket.id }, { userId: ticket.userId, cannedId: canned?.id || null, status });
+  saveData();
+  res.json({ ok: true, ticket: ticketView(ticket, 'staff') });
+});
+
+// { status, assignee } — assignee : email d'un compte staff ou null
+app.patch('/api/admin/tickets/:id', requireStaff('messages'), loadTicket('staff'), (req, res) => {
+  const ticket = req.ticket;
+  const { status, assignee } = req.body;
+  if (status !== undefined && !TICKET_STATUSES.includes(status)) return res.status(400).json({ error: 'Statut invalide', statuses: TICKET_STATUSES });
+  if (assignee && !staffRole(db.users.get(normalizeEmail(assignee)))) return res.status(400).json({ error: 'Ce compte ne fait pas partie de l\'équipe' });
+  const from = { status: ticket.status, assignee: ticket.assignee };
+  if (status !== undefined) Object.assign(ticket, { status, closedAt: status === 'closed' ? new Date().toISOString() : null });
+  if (assignee !== undefined) ticket.assignee = assignee ? normalizeEmail(assignee) : null;
+  ticket.updatedAt = new Date().toISOString();
+  if (status && status !== from.status) sendToUser(ticket.userId, { type: 'support_status', ticketId: ticket.id, status });
+  audit(moderatorOf(req), 'ticket_update', { type: 'ticket', id: ticket.id }, { from, to: { status: ticket.status, assignee: ticket.assignee } });
+  saveData();
+  res.json({ ok: true, ticket: ticketView(ticket, 'staff', { messages: false }) });
+});
+
+// ── Réponses types ── placeholders {name} et {plan}
+app.get('/api/admin/canned', requireStaff('messages'), (req, res) => {
+  res.json([...db.cannedResponses.values()]);
+});
+
+app.post('/api/admin/canned', requireStaff('messages'), (req, res) => {
+  const { title, text } = req.body;
+  if (typeof title !== 'string' || !title.trim() || title.length > 80) return res.status(400).json({ error: 'Titre requis (80 caractères max.)' });
+  if (!validTicketText(text)) return res.status(400).json({ error: 'Texte requis' });
+  const canned = { id: 'can_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'), title: title.trim(), text: text.trim(), createdBy: req.user.email, createdAt: new Date().toISOString() };
+  db.cannedResponses.set(canned.id, canned);
+  audit(moderatorOf(req), 'canned_create', { type: 'canned', id: canned.id }, { title: canned.title });
+  saveData();
+  res.json({ ok: true, canned });
+});
+
+app.delete('/api/admin/canned/:id', requireStaff('messages'), (req, res) => {
+  if (!db.cannedResponses.delete(req.params.id)) return res.status(404).json({ error: 'Réponse type introuvable' });
+  audit(moderatorOf(req), 'canned_delete', { type: 'canned', id: req.params.id });
+  saveData();
+  res.json({ ok: true });
+});
+
+function seedCannedResponses() {
+  if (db.cannedResponses.size) return;
+  DEFAULT_CANNED_RESPONSES.forEach(c => db.cannedResponses.set(c.id, { ...c, createdBy: null, createdAt: new Date().toISOString() }));
+}
+
+// ════════════════════════════════════════
+// ── OUTILS IA — gabarits côté serveur (ai/), réponse en flux (SSE ou WebSocket)
+// ── Chaque appel est inscrit dans db.aiUsage ; quota mensuel de tokens par plan
+// ════════════════════════════════════════
+
+function monthKey(t = Date.now()) { return new Date(t).toISOString().slice(0, 7); }
+
+function aiTokensUsed(userId, month = monthKey()) {
+  return db.aiUsage.filter(u => u.userId === userId && u.month === month).reduce((n, u) => n + u.inputTokens + u.outputTokens, 0);
+}
+
+function checkAIQuota(user) {
+  const now = new Date();
+  const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString();
+  const used = aiTokensUsed(user.email);
+  if (isAdminUser(user)) return { ok: true, limit: null, used, remaining: null, resetsAt };
+  const limit = planLimits(user).aiTokensPerMonth + aiBonusTokens(user.email);
+  const remaining = Math.max(0, limit - used);
+  return { ok: remaining > 0, limit, used, remaining, resetsAt };
+}
+
+function aiQuotaErrorPayload(q) {
+  return { error: `Quota IA du mois atteint (${q.limit} tokens)`, code: 'ai_quota_exceeded', limit: q.limit, used: q.used, resetsAt: q.resetsAt };
+}
+
+function recordAIUsage(user, tool, usage) {
+  const entry = {
+    id: 'aiu_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+    userId: user.email,
+    tool,
+    plan: user.plan || 'free',
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    month: monthKey(),
+    createdAt: new Date().toISOString(),
+  };
+  db.aiUsage.push(entry);
+  saveData();
+  return entry;
+}
+
+// Entrée d'une requête en tokens, estimée large (~3 caractères par token) : le prompt compte
+// dans le quota comme la réponse
+const AI_CHARS_PER_TOKEN = 3;
+
+function estimateInputTokens(params) {
+  const text = m => (typeof m.content === 'string' ? m.content : JSON.stringify(m.content || ''));
+  const chars = String(params.system || '').length + (params.messages || []).reduce((n, m) => n + text(m).length, 0);
+  return Math.ceil(chars / AI_CHARS_PER_TOKEN);
+}
+
+// Avant l'appel : quota vérifié et tokens réservés dans le même tour de boucle — l'entrée estimée
+// plus le plafond de sortie (params.max_tokens, ramené à ce qu'il reste après l'entrée) — deux
+// appels simultanés ne se partagent pas le même reste. Un reste qui ne couvre pas l'entrée → 429.
+// → entrée de consommation ; settleAIUsage / releaseAIUsage une fois l'appel terminé
+function reserveAITokens(user, tool, params) {
+  const q = checkAIQuota(user);
+  const inputTokens = estimateInputTokens(params);
+  if (!q.ok || (q.remaining !== null && q.remaining <= inputTokens)) throw aiError(429, aiQuotaErrorPayload(q));
+  if (q.remaining !== null) params.max_tokens = Math.min(params.max_tokens, q.remaining - inputTokens);
+  const entry = recordAIUsage(user, tool, { inputTokens, outputTokens: params.max_tokens });
+  entry.reserved = true;
+  return entry;
+}
+
+// Réservation → consommation réelle de l'appel
+function settleAIUsage(entry, usage) {
+  Object.assign(entry, { inputTokens: usage.inputTokens, outputTokens: usage.outputTokens, reserved: false });
+  saveData();
+}
+
+// Appel échoué : la réservation est rendue (sans effet une fois réglée)
+function releaseAIUsage(entry) {
+  if (!entry.reserved) return;
+  db.aiUsage = db.aiUsage.filter(u => u !== entry);
+  saveData();
+}
+
+// Réservations d'appels coupés par un arrêt du serveur (plus d'une heure) : rendues au démarrage
+function releaseStaleAIReservations() {
+  const cutoff = Date.now() - HOUR_MS;
+  db.aiUsage = db.aiUsage.filter(u => !u.reserved || Date.parse(u.createdAt) > cutoff);
+}
+
+// Erreur métier d'un outil IA : statut HTTP + corps JSON
+function aiError(status, payload) {
+  const err = new Error(payload.error);
+  err.status = status;
+  err.payload = payload;
+  return err;
+}
+
+// Valide l'entrée, réserve le quota, exécute en flux puis inscrit la consommation réelle.
+// Les erreurs de validation/quota sont levées avant le premier morceau de réponse.
+async function runAITool(user, toolId, body, onDelta) {
+  const tool = AI_TOOLS[toolId];
+  if (!tool) throw aiError(404, { error: 'Outil IA inconnu', code: 'ai_unknown_tool' });
+  const { value, errors } = validateInput(tool.schema, body);
+  if (errors.length) throw aiError(400, { error: 'Entrée invalide : ' + errors.join(', '), code: 'ai_invalid_input', details: errors });
+  const params = buildRequest(tool, value);
+  // Le dernier appel du mois ne peut pas consommer plus que ce qu'il reste
+  const entry = reserveAITokens(user, toolId, params);
+  let completion;
+  try {
+    completion = await streamCompletion(aiClient, params, onDelta);
+  } catch(e) {
+    releaseAIUsage(entry);
+    throw e;
+  }
+  const { text, usage } = completion;
+  settleAIUsage(entry, usage);
+  recordEvent(user, 'ai_run');
+  const after = checkAIQuota(user);
+  return { tool: toolId, content: text, usage: { ...usage, monthUsed: after.used, monthLimit: after.limit } };
+}
+
+app.get('/api/ai/tools', (req, res) => res.json(describeTools()));
+
+app.get('/api/ai/usage', requireAuth, (req, res) => {
+  const month = monthKey();
+  const byTool = {};
+  db.aiUsage.filter(u => u.userId === req.user.email && u.month === month).forEach(u => {
+    byTool[u.tool] = (byTool[u.tool] || 0) + u.inputTokens + u.outputTokens;
+  });
+  res.json({ month, ...checkAIQuota(req.user), byTool });
+});
+
+// JSON par défaut ; flux SSE avec Accept: text/event-stream ou ?stream=1
+// (événements delta → done, ou error si l'appel casse en cours de route).
+// run(onDelta) renvoie le résultat final ; ses erreurs métier portent status + payload.
+async function respondAI(req, res, run) {
+  const wantsStream = req.query.stream === '1' || (req.headers.accept || '').includes('text/event-stream');
+  let started = false;
+  const sse = (event, data) => {
+    if (!started) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive', 'X-Accel-Buffering': 'no' });
+      started = true;
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  try {
+    const result = await run(wantsStream ? text => sse('delta', { text }) : undefined);
+    if (!wantsStream) return res.json(result);
+    sse('done', result);
+    res.end();
+  } catch(e) {
+    if (!started) return res.status(e.status || 500).json(e.payload || { error: e.message });
+    sse('error', { error: e.message });
+    res.end();
+  }
+}
+
+app.post('/api/ai/tools/:tool', requireAuth, (req, res) => {
+  respondAI(req, res, onDelta => runAITool(req.user, req.params.tool, req.body, onDelta));
+});
+
+// ════════════════════════════════════════
+// ── COACH IA — conversations persistantes par user (db.coachSessions)
+// ── Le coach connaît les projets et posts du user ; au-delà de COACH_SUMMARIZE_AT
+// ── messages actifs, les plus anciens sont résumés pour tenir dans le contexte
+// ════════════════════════════════════════
+
+const COACH_MAX_TOKENS   = 800;
+const COACH_SUMMARY_MAX_TOKENS = 400;
+const COACH_KEEP_RECENT  = 12;  // messages toujours envoyés tels quels
+const COACH_SUMMARIZE_AT = 30;  // messages actifs avant résumé
+const COACH_MAX_LENGTH   = 4000;
+
+function coachSessionOf(req) {
+  const session = db.coachSessions.find(c => c.id === req.params.id);
+  return session && session.userId === req.user.email ? session : null;
+}
+
+function coachSummary(session) {
+  const last = session.messages[session.messages.length - 1];
+  return {
+    id: session.id,
+    title: session.title,
+    lang: session.lang,
+    messageCount: session.messages.length,
+    lastMessage: last ? { role: last.role, excerpt: last.content.slice(0, 120), at: last.at } : null,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+  };
+}
+
+// Ce que le coach sait du user : ses projets vitrine et ses derniers posts
+function coachContext(user) {
+  const projects = db.projects.filter(p => p.authorId === user.email).sort((a, b) => (b.votes || 0) - (a.votes || 0)).slice(0, 10);
+  const posts = db.posts.filter(p => p.userId === user.email).slice(0, 10);
+  const lines = [`Créateur : ${user.name || user.username} (@${user.username}), plan ${(user.plan || 'free').toUpperCase()}, ${(user.followers || []).length} abonnés.`];
+  lines.push(projects.length ? 'Projets en vitrine :' : 'Aucun projet en vitrine.');
+  projects.forEach(p => lines.push(`- ${p.name || p.title || 'Sans titre'} (${p.type || p.cat || 'projet'}) — ${p.votes || 0} votes, ${p.views || 0} vues, ${isProjectLive(p) ? 'en ligne' : 'expiré'}${p.desc ? ' — ' + String(p.desc).slice(0, 160) : ''}`));
+  lines.push(posts.length ? 'Derniers posts :' : 'Aucun post publié.');
+  posts.forEach(p => lines.push(`- « ${String(p.text || p.content || p.projName || '').slice(0, 120)} » — ${p.likes || 0} likes, ${p.comments || 0} commentaires, ${p.shares || 0} partages`));
+  return lines.join('\n');
+}
+
+function coachSystemPrompt(user, session) {
+  return [
+    'Tu es un expert en marketing digital, growth hacking et promotion de projets en ligne. Tu donnes des conseils CONCRETS, ACTIONNABLES et PERSONNALISÉS, en t\'appuyant sur les chiffres réels du créateur ci-dessous.',
+    `Tu réponds toujours dans cette langue : ${LANGS[session.lang] || 'English'}.`,
+    coachContext(user),
+    session.summary ? `Résumé de la conversation jusqu'ici :\n${session.summary}` : '',
+  ].filter(Boolean).join('\n\n');
+}
+
+// Premier index (≥ from) qui ouvre un échange : l'API exige un message user en tête
+function userTurnFrom(messages, from) {
+  let i = Math.max(0, from);
+  while (i < messages.length && messages[i].role !== 'user') i++;
+  return i;
+}
+
+// Résume les anciens messages dans session.summary ; en cas d'échec on garde juste les récents
+async function compactCoachSession(user, session) {
+  if (session.messages.length - session.summarizedUpTo <= COACH_SUMMARIZE_AT) return;
+  const cut = userTurnFrom(session.messages, session.messages.length - COACH_KEEP_RECENT);
+  const transcript = session.messages.slice(session.summarizedUpTo, cut).map(m => `${m.role === 'user' ? 'Créateur' : 'Coach'} : ${m.content}`).join('\n');
+  const params = {
+    max_tokens: COACH_SUMMARY_MAX_TOKENS,
+    system: 'Tu résumes des conversations de coaching marketing. Garde les faits sur le créateur, ses projets, ses objectifs, les conseils donnés et les décisions prises. 200 mots maximum.',
+    messages: [{ role: 'user', content: `${session.summary ? 'Résumé précédent :\n' + session.summary + '\n\n' : ''}Suite de la conversation :\n${transcript}\n\nRédige le résumé mis à jour.` }],
+  };
+  let entry = null;
+  try {
+    entry = reserveAITokens(user, 'coach_summary', params);
+    const { text, usage } = await streamCompletion(aiClient, params);
+    settleAIUsage(entry, usage);
+    session.summary = text;
+  } catch(e) {
+    if (entry) releaseAIUsage(entry);
+    console.log(`⚠️  Résumé coach ${session.id} impossible : ${e.message}`);
+  }
+  session.summarizedUpTo = cut;
+}
+
+// Quota épuisé : refus avant de toucher à la session ; la réservation suit le résumé éventuel,
+// une fois le prompt réel connu
+async function coachReply(user, session, text, lang, onDelta) {
+  const q = checkAIQuota(user);
+  if (!q.ok) throw aiError(429, aiQuotaErrorPayload(q));
+  if (LANGS[lang]) session.lang = lang;
+  if (!session.title) session.title = text.slice(0, 60);
+  const question = { role: 'user', content: text, at: new Date().toISOString() };
+  session.messages.push(question);
+  let entry = null;
+  try {
+    await compactCoachSession(user, session);
+    const params = {
+      max_tokens: COACH_MAX_TOKENS,
+      system: coachSystemPrompt(user, session),
+      messages: session.messages.slice(userTurnFrom(session.messages, session.summarizedUpTo)).map(({ role, content }) => ({ role, content })),
+    };
+    entry = reserveAITokens(user, 'coach', params);
+    const { text: reply, usage } = await streamCompletion(aiClient, params, onDelta);
+    settleAIUsage(entry, usage);
+    const message = { role: 'assistant', content: reply, at: new Date().toISOString() };
+    session.messages.push(message);
+    session.updatedAt = message.at;
+    saveData();
+    return { sessionId: session.id, reply, message, usage };
+  } catch(e) {
+    if (entry) releaseAIUsage(entry);
+    // La question sans réponse n'est pas conservée ; d'autres messages ont pu arriver entre-temps
+    const idx = session.messages.indexOf(question);
+    if (idx !== -1) {
+      session.messages.splice(idx, 1);
+      if (idx < session.summarizedUpTo) session.summarizedUpTo--;
+    }
+    throw e;
+  }
+}
+
+function createCoachSession(user, { title, lang } = {}) {
+  const session = {
+    id: 'coach_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+    userId: user.email,
+    title: title ? String(title).slice(0, 80) : '',
+    lang: LANGS[lang] ? lang : 'en',
+    summary: '',
+    summarizedUpTo: 0,
+    messages: [],
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  db.coachSessions.push(session);
+  saveData();
+  return session;
+}
+
+app.get('/api/coach/sessions', requireAuth, (req, res) => {
+  const mine = db.coachSessions.filter(c => c.userId === req.user.email).sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  res.json(mine.map(coachSummary));
+});
+
+app.post('/api/coach/sessions', requireAuth, (req, res) => {
+  res.json(coachSummary(createCoachSession(req.user, req.body)));
+});
+
+app.get('/api/coach/sessions/:id', requireAuth, (req, res) => {
+  const session = coachSessionOf(req);
+  if (!session) return res.status(404).json({ error: 'Conversation introuvable' });
+  res.json({ ...coachSummary(session), summary: session.summary, messages: session.messages });
+});
+
+// Renommer ou changer de langue : { title, lang }
+app.patch('/api/coach/sessions/:id', requireAuth, (req, res) => {
+  const session = coachSessionOf(req);
+  if (!session) return res.status(404).json({ error: 'Conversation introuvable' });
+  if (typeof req.body.title === 'string') session.title = req.body.title.trim().slice(0, 80);
+  if (LANGS[req.body.lang]) session.lang = req.body.lang;
+  session.updatedAt = new Date().toISOString();
+  saveData();
+  res.json(coachSummary(session));
+});
+
+app.delete('/api/coach/sessions/:id', requireAuth, (req, res) => {
+  const session = coachSessionOf(req);
+  if (!session) return res.status(404).json({ error: 'Conversation introuvable' });
+  db.coachSessions = db.coachSessions.filter(c => c.id !== session.id);
+  saveData();
+  res.json({ ok: true });
+});
+
+// { text, lang } — réponse JSON ou SSE (voir respondAI)
+app.post('/api/coach/sessions/:id/messages', requireAuth, (req, res) => {
+  const session = coachSessionOf(req);
+  if (!session) return res.status(404).json({ error: 'Conversation introuvable' });
+  const text = String(req.body.text || '').trim().slice(0, COACH_MAX_LENGTH);
+  if (!text) return res.status(400).json({ error: 'Message vide' });
+  respondAI(req, res, onDelta => coachReply(req.user, session, text, req.body.lang, onDelta));
+});
+
+// Ancienne route sans état : { messages, sessionId?, lang? }. Seul le dernier message
+// user est pris, l'historique vient désormais du serveur (nouvelle conversation si besoin).
+app.post('/api/chat-promo', requireAuth, (req, res) => {
+  const lastUser = [...(req.body.messages || [])].reverse().find(m => m.role === 'user');
+  const text = String(req.body.text || lastUser?.content || '').trim().slice(0, COACH_MAX_LENGTH);
+  if (!text) return res.status(400).json({ error: 'Message vide' });
+  const session = (req.body.sessionId && db.coachSessions.find(c => c.id === req.body.sessionId && c.userId === req.user.email))
+    || createCoachSession(req.user, { lang: req.body.lang });
+  respondAI(req, res, onDelta => coachReply(req.user, session, text, req.body.lang, onDelta));
+});
+
+// ════════════════════════════════════════
+// ── PAIEMENTS STRIPE — abonnements & webhooks
+// ── Le plan d'un user n'est modifié QUE par les événements Stripe signés
+// ════════════════════════════════════════
+
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || '';
+const PUBLIC_URL            = process.env.PUBLIC_URL || 'https://viralboost.onrender.com';
+const PLAN_GRACE_MS         = 3 * DAY_MS;   // délai avant rétrogradation si un renouvellement tarde
+const ONE_OFF_PLAN_MS       = 30 * DAY_MS;  // un paiement unique vaut un mois
+
+const stripePriceCache = new Map(); // plan -> price id
+
+// Prix mensuel récurrent du plan : STRIPE_PRICE_<PLAN> ou créé une fois via lookup_key
+async function getPlanPriceId(plan) {
+  const fromEnv = process.env['STRIPE_PRICE_' + plan.toUpperCase()];
+  if (fromEnv) return fromEnv;
+  if (stripePriceCache.has(plan)) return stripePriceCache.get(plan);
+  const lookupKey = `viralboost_${plan}_monthly`;
+  const found = await stripe.prices.list({ lookup_keys: [lookupKey], limit: 1 });
+  const price = found.data[0] || await stripe.prices.create({
+    unit_amount: PLANS[plan].price,
+    currency: 'eur',
+    recurring: { interval: 'month' },
+    lookup_key: lookupKey,
+    product_data: { name: `ViralBoost ${PLANS[plan].name}` },
+  });
+  stripePriceCache.set(plan, price.id);
+  return price.id;
+}
+
+// Plan d'un abonnement : metadata posée à la création et au changement de plan, sinon son prix
+function planOfSubscription(sub) {
+  if (PLANS[sub.metadata?.plan]) return sub.metadata.plan;
+  const price = sub.items?.data?.[0]?.price;
+  if (!price) return null;
+  return Object.keys(PLANS).find(plan => price.lookup_key === `viralboost_${plan}_monthly`
+    || price.id === process.env['STRIPE_PRICE_' + plan.toUpperCase()]
+    || price.id === stripePriceCache.get(plan)) || null;
+}
+
+async function getOrCreateCustomer(user) {
+  if (user.stripeCustomerId) return user.stripeCustomerId;
+  const customer = await stripe.customers.create({ email: user.email, name: user.name, metadata: { userId: user.email } });
+  user.stripeCustomerId = customer.id;
+  saveData();
+  return customer.id;
+}
+
+function findUserForStripe(object) {
+  const userId = object.metadata?.userId
+    || object.subscription_details?.metadata?.userId
+    || object.lines?.data?.[0]?.metadata?.userId;
+  if (userId && db.users.has(userId)) return db.users.get(userId);
+  const customerId = typeof object.customer === 'string' ? object.customer : object.customer?.id;
+  if (!customerId) return null;
+  return [...db.users.values()].find(u => u.stripeCustomerId === customerId) || null;
+}
+
+function setUserPlan(user, plan, { expiresAt = null, status = 'active' } = {}) {
+  recordPlanChange(user, user.plan || 'free', plan, status);
+  user.plan = plan;
+  user.planStatus = status;
+  user.planExpiresAt = expiresAt;
+  user.updatedAt = new Date().toISOString();
+  sendToUser(user.email, { type: 'plan_update', plan, planStatus: status, planExpiresAt: expiresAt });
+}
+
+function downgradeToFree(user, status = 'canceled') {
+  delete user.stripeSubscriptionId;
+  user.cancelAtPeriodEnd = false;
+  setUserPlan(user, 'free', { status });
+}
+
+function recordPayment(user, { eventId, stripeId, plan, amount, currency, status, kind }) {
+  // invoice.paid et invoice.payment_succeeded décrivent la même facture
+  if (db.payments.some(p => (eventId && p.eventId === eventId) || (stripeId && p.stripeId === stripeId && p.status === status))) return null;
+  const payment = {
+    id: 'pay_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+    userId: user.email,
+    eventId, stripeId, plan, kind,
+    amount: amount || 0,
+    currency: currency || 'eur',
+    status,
+    createdAt: new Date().toISOString(),
+  };
+  db.payments.push(payment);
+  return payment;
+}
+
+// Un handler par type d'événement — chacun est idempotent (Stripe peut rejouer)
+const stripeEventHandlers = {
+  'payment_intent.succeeded': (pi, event) => {
+    if (pi.invoice) return; // paiement d'abonnement : traité par invoice.paid
+    const user = findUserForStripe(pi);
+    const pack = CREDIT_PACKS[pi.metadata?.pack];
+    if (user && pack) {
+      const payment = recordPayment(user, { eventId: event.id, stripeId: pi.id, plan: pi.metadata.pack, amount: pi.amount_received ?? pi.amount, currency: pi.currency, status: 'succeeded', kind: 'credits' });
+      if (payment) grantCredits(user.email, pack.credits, 'stripe', { reason: 'pack:' + pi.metadata.pack, ref: 'stripe:' + pi.id, meta: { paymentId: payment.id } });
+      return;
+    }
+    const plan = pi.metadata?.plan;
+    if (!user || !PLANS[plan]) return;
+    const payment = recordPayment(user, { eventId: event.id, stripeId: pi.id, plan, amount: pi.amount_received ?? pi.amount, currency: pi.currency, status: 'succeeded', kind: 'one_off' });
+    if (payment) setUserPlan(user, plan, { expiresAt: new Date(Date.now() + ONE_OFF_PLAN_MS).toISOString() });
+  },
+
+  'invoice.paid': (invoice, event) => {
+    const user = findUserForStripe(invoice);
+    if (!user) return;
+    const line = invoice.lines?.data?.[0] || {};
+    const plan = invoice.subscription_details?.metadata?.plan || line.metadata?.plan || user.plan;
+    if (!PLANS[plan]) return;
+    recordPayment(user, { eventId: event.id, stripeId: invoice.id, plan, amount: invoice.amount_paid, currency: invoice.currency, status: 'succeeded', kind: invoice.billing_reason === 'subscription_create' ? 'subscription' : 'renewal' });
+    if (invoice.subscription) user.stripeSubscriptionId = typeof invoice.subscription === 'string' ? invoice.subscription : invoice.subscription.id;
+    const periodEnd = line.period?.end ? new Date(line.period.end * 1000).toISOString() : new Date(Date.now() + ONE_OFF_PLAN_MS).toISOString();
+    setUserPlan(user, plan, { expiresAt: periodEnd });
+  },
+
+  'invoice.payment_failed': (invoice, event) => {
+    const user = findUserForStripe(invoice);
+    if (!user) return;
+    recordPayment(user, { eventId: event.id, stripeId: invoice.id, plan: user.plan, amount: invoice.amount_due, currency: invoice.currency, status: 'failed', kind: 'renewal' });
+    user.planStatus = 'past_due';
+    sendToUser(user.email, { type: 'payment_failed', message: 'Ton paiement a échoué. Mets à jour ta carte pour garder ton plan.' });
+  },
+
+  'customer.subscription.updated': (sub) => {
+    const user = findUserForStripe(sub);
+    if (!user) return;
+    user.stripeSubscriptionId = sub.id;
+    user.cancelAtPeriodEnd = !!sub.cancel_at_period_end;
+    if (['canceled', 'unpaid', 'incomplete_expired'].includes(sub.status)) return downgradeToFree(user, sub.status);
+    user.planStatus = sub.status;
+    if (sub.status !== 'active') return;
+    const expiresAt = sub.current_period_end ? new Date(sub.current_period_end * 1000).toISOString() : user.planExpiresAt;
+    // Changement de plan (prorata facturé tout de suite) : les nouvelles limites aussi
+    const plan = planOfSubscription(sub);
+    if (plan && plan !== 'free' && plan !== user.plan) setUserPlan(user, plan, { expiresAt });
+    else user.planExpiresAt = expiresAt;
+  },
+
+  'customer.subscription.deleted': (sub) => {
+    const user = findUserForStripe(sub);
+    if (user && (!user.stripeSubscriptionId || user.stripeSubscriptionId === sub.id)) downgradeToFree(user);
+  },
+};
+stripeEventHandlers['invoice.payment_succeeded'] = stripeEventHandlers['invoice.paid'];
+
+// Plans expirés (paiement unique non renouvelé, webhook de renouvellement manquant…)
+function expireLapsedPlans() {
+  const now = Date.now();
+  let changed = false;
+  db.users.forEach(user => {
+    if (!user.planExpiresAt || (user.plan || 'free') === 'free') return;
+    if (new Date(user.planExpiresAt).getTime() + PLAN_GRACE_MS > now) return;
+    downgradeToFree(user, 'expired');
+    changed = true;
+  });
+  if (changed) saveData();
+}
+
+scheduler.define('plans.expire', expireLapsedPlans, { every: 10 * 60 * 1000 });
+
+app.post('/api/stripe/webhook', (req, res) => {
+  if (!STRIPE_WEBHOOK_SECRET) return res.status(503).json({ error: 'Webhook Stripe non configuré' });
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.rawBody, req.headers['stripe-signature'], STRIPE_WEBHOOK_SECRET);
+  } catch(e) {
+    return res.status(400).json({ error: 'Signature invalide : ' + e.message });
+  }
+  try {
+    const handler = stripeEventHandlers[event.type];
+    if (handler) {
+      handler(event.data.object, event);
+      saveData();
+      console.log(`💳 Stripe ${event.type} (${event.id})`);
+    }
+    res.json({ received: true });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// { plan } → un mois de plan · { pack } → pack de crédits (crédité par le webhook)
+app.post('/api/create-payment-intent', requireAuth, async (req, res) => {
+  try {
+    const { plan, pack } = req.body;
+    const creditPack = CREDIT_PACKS[pack];
+    const planData = PLANS[plan];
+    if (!creditPack && (!planData || planData.price === 0)) return res.status(400).json({ error: 'Plan invalide ou gratuit' });
+    const pi = await stripe.paymentIntents.create({
+      amount: creditPack ? creditPack.price : planData.price,
+      currency: 'eur',
+      customer: await getOrCreateCustomer(req.user),
+      automatic_payment_methods: { enabled: true },
+      metadata: creditPack ? { service: 'viralboost', pack, userId: req.user.email } : { service: 'viralboost', plan, userId: req.user.email }
+    });
+    res.json({ clientSecret: pi.client_secret });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// Abonnement mensuel récurrent — le client confirme le 1er paiement avec clientSecret
+app.post('/api/create-subscription', requireAuth, async (req, res) => {
+  try {
+    const { plan } = req.body;
+    const planData = PLANS[plan];
+    if (!planData || planData.price === 0) return res.status(400).json({ error: 'Plan invalide ou gratuit' });
+    const user = req.user;
+    const customer = await getOrCreateCustomer(user);
+    const metadata = { service: 'viralboost', plan, userId: user.email };
+    // Paiement en retard : l'abonnement existe toujours, on régularise la carte avant tout
+    if (user.stripeSubscriptionId && user.planStatus === 'past_due') {
+      const session = await stripe.billingPortal.sessions.create({ customer, return_url: PUBLIC_URL + '/' });
+      return res.status(409).json({ error: 'Paiement en retard : mets à jour ta carte depuis la facturation', code: 'subscription_past_due', url: session.url });
+    }
+    // Changement de plan : on remplace le prix de l'abonnement existant
+    if (user.stripeSubscriptionId && user.planStatus === 'active') {
+      const current = await stripe.subscriptions.retrieve(user.stripeSubscriptionId);
+      const updated = await stripe.subscriptions.update(current.id, {
+        items: [{ id: current.items.data[0].id, price: await getPlanPriceId(plan) }],
+        proration_behavior: 'create_prorations',
+        cancel_at_period_end: false,
+        metadata,
+      });
+      return res.json({ subscriptionId: updated.id, status: updated.status });
+    }
+    const sub = await stripe.subscriptions.create({
+      customer,
+      items: [{ price: await getPlanPriceId(plan) }],
+      payment_behavior: 'default_incomplete',
+      payment_settings: { save_default_payment_method: 'on_subscription' },
+      expand: ['latest_invoice.payment_intent'],
+      metadata,
+    });
+    user.stripeSubscriptionId = sub.id;
+    user.planStatus = sub.status;
+    saveData();
+    res.json({ subscriptionId: sub.id, status: sub.status, clientSecret: sub.latest_invoice?.payment_intent?.client_secret });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// Portail client Stripe : carte bancaire, factures, résiliation
+app.post('/api/billing/portal', requireAuth, async (req, res) => {
+  try {
+    if (!req.user.stripeCustomerId) return res.status(400).json({ error: 'Aucun abonnement à gérer' });
+    const session = await stripe.billingPortal.sessions.create({ customer: req.user.stripeCustomerId, return_url: PUBLIC_URL + '/' });
+    res.json({ url: session.url });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get('/api/billing', requireAuth, (req, res) => {
+  const u = req.user;
+  res.json({
+    plan: u.plan || 'free',
+    planStatus: u.planStatus || null,
+    planExpiresAt: u.planExpiresAt || null,
+    cancelAtPeriodEnd: !!u.cancelAtPeriodEnd,
+    payments: db.payments.filter(p => p.userId === u.email).reverse(),
+  });
+});
+
+// ════════════════════════════════════════
+// ── CRÉDITS, BOUTIQUE & GAMIFICATION — catalogue et règles dans gamification/
+// ── Grand livre en partie double (db.ledger) : chaque transaction porte des écritures
+// ── { account, amount } de somme nulle. Comptes : user:<email> et system:<source>
+// ── (welcome, missions, badges, shop, stripe, admin). Aucun solde n'est stocké :
+// ── ils sont recalculés depuis le grand livre au démarrage, puis tenus à jour.
+// ── Missions, XP et badges ne comptent que des événements vus par le serveur.
+// ════════════════════════════════════════
+
+const balances = new Map();      // compte → solde
+const creditsEarned = new Map(); // compte user → crédits reçus à vie (badges credits*)
+const ledgerRefs = new Map();    // ref → transaction (idempotence)
+
+const userAccount = userId => 'user:' + userId;
+
+function applyTransaction(tx) {
+  tx.entries.forEach(({ account, amount }) => {
+    balances.set(account, (balances.get(account) || 0) + amount);
+    if (tx.type === 'grant' && amount > 0 && account.startsWith('user:')) creditsEarned.set(account, (creditsEarned.get(account) || 0) + amount);
+  });
+  if (tx.ref) ledgerRefs.set(tx.ref, tx);
+}
+
+function rebuildBalances() {
+  balances.clear();
+  creditsEarned.clear();
+  ledgerRefs.clear();
+  db.ledger.forEach(applyTransaction);
+}
+
+function balanceOf(userId) {
+  return balances.get(userAccount(userId)) || 0;
+}
+
+// Ligne du relevé d'un user : montant vu depuis son compte
+function walletLine(tx, userId) {
+  const amount = tx.entries.filter(e => e.account === userAccount(userId)).reduce((n, e) => n + e.amount, 0);
+  return { id: tx.id, type: tx.type, reason: tx.reason, amount, meta: tx.meta, createdAt: tx.createdAt };
+}
+
+// Écrit une transaction équilibrée → la transaction, celle déjà passée sous la même `ref`,
+// ou null si un compte user passerait en négatif (rien n'est écrit dans ce cas)
+function postTransaction({ type, reason, ref = null, userId, entries, meta = null }) {
+  if (ref && ledgerRefs.has(ref)) return ledgerRefs.get(ref);
+  if (!entries.every(e => Number.isInteger(e.amount)) || entries.reduce((n, e) => n + e.amount, 0) !== 0) throw new Error('Transaction déséquilibrée');
+  if (entries.some(e => e.account.startsWith('user:') && (balances.get(e.account) || 0) + e.amount < 0)) return null;
+  const tx = {
+    id: 'tx_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+    type, reason, ref, userId, entries, meta,
+    createdAt: new Date().toISOString(),
+  };
+  db.ledger.push(tx);
+  applyTransaction(tx);
+  saveData();
+  sendToUser(userId, { type: 'wallet_update', balance: balanceOf(userId), transaction: walletLine(tx, userId) });
+  return tx;
+}
+
+// system:<source> → user (bienvenue, mission, badge, pack Stripe, geste de l'équipe)
+function grantCredits(userId, amount, source, { reason, ref, meta } = {}) {
+  return postTransaction({ type: 'grant', reason, ref, userId, meta, entries: [{ account: 'system:' + source, amount: -amount }, { account: userAccount(userId), amount }] });
+}
+
+// user → system:<sink> (boutique, retrait par l'équipe) ; null si solde insuffisant
+function spendCredits(userId, amount, sink, { reason, ref, meta } = {}) {
+  return postTransaction({ type: 'spend', reason, ref, userId, meta, entries: [{ account: userAccount(userId), amount: -amount }, { account: 'system:' + sink, amount }] });
+}
+
+function refundTransaction(tx) {
+  return postTransaction({ type: 'refund', reason: 'refund:' + tx.reason, ref: 'refund:' + tx.id, userId: tx.userId, meta: { refundOf: tx.id }, entries: tx.entries.map(e => ({ account: e.account, amount: -e.amount })) });
+}
+
+// ── Profil de jeu (XP, série, badges, inventaire) et progression du jour ──
+function gameProfileOf(userId) {
+  if (!db.gameProfiles.has(userId)) db.gameProfiles.set(userId, { userId, xp: 0, totals: {}, streak: 0, bestStreak: 0, lastActiveDay: null, badges: {}, inventory: [] });
+  return db.gameProfiles.get(userId);
+}
+
+function progressOf(userId, day = dayKey(Date.now())) {
+  const key = userId + '|' + day;
+  if (!db.dailyProgress.has(key)) db.dailyProgress.set(key, { userId, day, counters: {}, seen: [], xp: 0, eventXp: 0, claimed: {} });
+  return db.dailyProgress.get(key);
+}
+
+// Une série s'arrête dès qu'un jour (UTC) passe sans connexion
+function currentStreak(profile) {
+  return [dayKey(Date.now()), dayKey(Date.now() - DAY_MS)].includes(profile.lastActiveDay) ? profile.streak : 0;
+}
+
+function addXP(user, profile, progress, amount) {
+  if (amount <= 0) return;
+  const before = levelProgress(profile.xp).level;
+  profile.xp += amount;
+  progress.xp += amount;
+  const after = levelProgress(profile.xp);
+  if (after.level > before) sendToUser(user.email, { type: 'level_up', ...after });
+}
+
+// Compte un ou plusieurs événements du user. Avec `target` (post, user, groupe…), un compteur
+// ne bouge qu'une fois par cible et par jour : liker / déliker en boucle ne rapporte rien.
+function recordEvent(user, counters, target = null) {
+  if (!user?.email) return;
+  const profile = gameProfileOf(user.email);
+  const progress = progressOf(user.email);
+  let xp = 0;
+  [].concat(counters).forEach(counter => {
+    if (target !== null) {
+      const seen = counter + ':' + target;
+      if (progress.seen.includes(seen)) return;
+      progress.seen.push(seen);
+    }
+    progress.counters[counter] = (progress.counters[counter] || 0) + 1;
+    profile.totals[counter] = (profile.totals[counter] || 0) + 1;
+    xp += XP_PER_EVENT[counter] || 0;
+  });
+  const granted = Math.max(0, Math.min(xp, XP_DAILY_CAP - progress.eventXp));
+  progress.eventXp += granted;
+  addXP(user, profile, progress, granted);
+  awardBadges(user);
+  saveData();
+}
+
+// Première connexion du jour : prolonge ou relance la série, puis compte `login`
+function recordLogin(user) {
+  const profile = gameProfileOf(user.email);
+  const today = dayKey(Date.now());
+  if (profile.lastActiveDay !== today) {
+    profile.streak = currentStreak(profile) + 1;
+    profile.bestStreak = Math.max(profile.bestStreak, profile.streak);
+    profile.lastActiveDay = today;
+  }
+  recordEvent(user, 'login', today);
+}
+
+// Compteurs d'une publication : longue (100+ caractères), avec image ou vidéo de l'auteur
+function contentCounters(item, ownerId) {
+  const kinds = mediaUrlsIn(item).map(findMediaByUrl).filter(m => m && m.ownerId === ownerId).map(m => m.kind);
+  return {
+    long: String(item.text || item.description || '').length >= 100,
+    image: kinds.includes('image'),
+    video: kinds.includes('video'),
+  };
+}
+
+function postCounters(post) {
+  const c = contentCounters(post, post.userId);
+  return ['post', c.long && 'post_long', c.image && 'post_image', c.video && 'post_video'].filter(Boolean);
+}
+
+function projectCounters(project) {
+  const c = contentCounters(project, project.authorId);
+  return ['project', (c.image || c.video) && 'project_visual'].filter(Boolean);
+}
+
+// Statistiques passées aux règles de badges (gamification/)
+function gameStatsOf(user) {
+  const profile = gameProfileOf(user.email);
+  const projects = db.projects.filter(p => p.authorId === user.email);
+  return {
+    posts: db.posts.filter(p => p.userId === user.email).length,
+    projects: projects.length,
+    votesReceived: projects.reduce((n, p) => n + (p.votes || 0), 0),
+    comments: db.comments.filter(c => c.userId === user.email && !c.deleted).length,
+    following: (user.following || []).length,
+    followers: (user.followers || []).length,
+    totals: profile.totals,
+    creditsEarned: creditsEarned.get(userAccount(user.email)) || 0,
+    streak: currentStreak(profile),
+    plan: user.plan || 'free',
+    createdAt: user.createdAt || null,
+    memberDays: user.createdAt ? Math.floor((Date.now() - Date.parse(user.createdAt)) / DAY_MS) : 0,
+    bio: user.bio || '',
+  };
+}
+
+// Badges débloqués → crédits (une fois : ref par badge) et notification.
+// Les crédits reçus peuvent en débloquer d'autres (credits50…) : on recommence.
+function awardBadges(user) {
+  const profile = gameProfileOf(user.email);
+  for (let fresh = newBadges(gameStatsOf(user), profile.badges); fresh.length; fresh = newBadges(gameStatsOf(user), profile.badges)) {
+    fresh.forEach(badge => {
+      profile.badges[badge.id] = new Date().toISOString();
+      grantCredits(user.email, badge.credits, 'badges', { reason: 'badge:' + badge.id, ref: `badge:${user.email}:${badge.id}` });
+      notify(user.email, 'badge', { badge: badge.id, credits: badge.credits });
+    });
+  }
+}
+
+// Tokens IA achetés en boutique pour le mois en cours (ajoutés au quota du plan)
+function aiBonusTokens(userId, month = monthKey()) {
+  return (db.gameProfiles.get(userId)?.inventory || []).filter(g => g.kind === 'ai' && g.month === month).reduce((n, g) => n + g.tokens, 0);
+}
+
+// ── Portefeuille ──
+app.get('/api/wallet', requireAuth, (req, res) => {
+  const user = req.user;
+  awardBadges(user); // badges d'ancienneté : rien ne se passe, le temps suffit
+  const profile = gameProfileOf(user.email);
+  res.json({
+    balance: balanceOf(user.email),
+    creditsEarned: creditsEarned.get(userAccount(user.email)) || 0,
+    ...levelProgress(profile.xp),
+    streak: currentStreak(profile),
+    bestStreak: profile.bestStreak,
+    badges: Object.entries(profile.badges).map(([id, earnedAt]) => ({ id, earnedAt })),
+    inventory: profile.inventory,
+    transactions: db.ledger.filter(tx => tx.userId === user.email).slice(-20).reverse().map(tx => walletLine(tx, user.email)),
+  });
+});
+
+// ?cursor= &limit= — relevé complet, du plus récent au plus ancien
+app.get('/api/wallet/transactions', requireAuth, (req, res) => {
+  const lines = db.ledger.filter(tx => tx.userId === req.user.email).reverse().map(tx => walletLine(tx, req.user.email));
+  res.json(paginate(lines, req.query));
+});
+
+// ── Boutique ──
+app.get('/api/shop', (req, res) => {
+  const owned = new Set(req.user ? gameProfileOf(req.user.email).inventory.map(g => g.item) : []);
+  res.json({
+    items: Object.entries(SHOP_ITEMS).map(([id, item]) => ({ id, ...item, owned: item.kind === 'cosmetic' && owned.has(id) })),
+    packs: Object.entries(CREDIT_PACKS).map(([id, pack]) => ({ id, ...pack })),
+    balance: req.user ? balanceOf(req.user.email) : null,
+  });
+});
+
+// Contrôles avant débit → { status, body } si l'achat est refusé
+function purchaseBlocker(user, itemId, item, body) {
+  const profile = gameProfileOf(user.email);
+  if (item.kind === 'cosmetic' && profile.inventory.some(g => g.item === itemId)) {
+    return { status: 409, body: { error: 'Tu possèdes déjà cet article', code: 'item_owned' } };
+  }
+  if (item.kind === 'boost' && !db.posts.some(p => p.id === body.postId && p.userId === user.email)) {
+    return { status: 404, body: { error: 'Choisis une de tes publications', code: 'shop_post_required' } };
+  }
+  if (item.kind === 'plan') {
+    if ((PLAN_RANK[user.plan] || 0) >= PLAN_RANK[item.plan]) return { status: 409, body: { error: 'Tu as déjà ce plan (ou mieux)', code: 'plan_owned' } };
+    if (user.stripeSubscriptionId && ['active', 'past_due'].includes(user.planStatus)) {
+      return { status: 409, body: { error: 'Abonnement en cours : change de plan depuis la facturation', code: 'plan_subscription' } };
+    }
+  }
+  return null;
+}
+
+// Ce que l'achat accorde → ligne d'inventaire (id = transaction de débit)
+function grantItem(user, itemId, item, tx, body) {
+  const now = Date.now();
+  const grant = { id: tx.id, item: itemId, kind: item.kind, acquiredAt: new Date(now).toISOString() };
+  if (item.kind === 'boost') {
+    const post = db.posts.find(p => p.id === body.postId);
+    const from = Math.max(now, Date.parse(post.boostedUntil || '') || 0);
+    post.boostedUntil = new Date(from + item.hours * HOUR_MS).toISOString();
+    Object.assign(grant, { postId: post.id, expiresAt: post.boostedUntil });
+    publish('feed', { type: 'post_boosted', postId: post.id, boostedUntil: post.boostedUntil, push: !!item.push });
+  }
+  if (item.kind === 'ai') Object.assign(grant, { tokens: item.tokens, month: monthKey(now) });
+  if (item.kind === 'plan') {
+    const expiresAt = new Date(now + ONE_OFF_PLAN_MS).toISOString();
+    setUserPlan(user, item.plan, { expiresAt });
+    Object.assign(grant, { plan: item.plan, expiresAt });
+  }
+  gameProfileOf(user.email).inventory.push(grant);
+  return grant;
+}
+
+// Boosts recopiés du corps de la requête par d'anciennes versions : seul grantItem en pose,
+// donc un boost sans achat correspondant dans l'inventaire de l'auteur est retiré
+function backfillBoosts() {
+  db.posts.forEach(post => {
+    if (!post.boostedUntil) return;
+    const bought = (db.gameProfiles.get(post.userId)?.inventory || []).filter(g => g.kind === 'boost' && g.postId === post.id).map(g => g.expiresAt).sort().pop();
+    if (bought) post.boostedUntil = bought;
+    else delete post.boostedUntil;
+  });
+  db.projects.forEach(project => { delete project.boostedUntil; });
+}
+
+// { item, postId?, requestId? } — débit et octroi dans le même tour de boucle ; si l'octroi
+// échoue, le débit est remboursé. Un requestId déjà vu renvoie l'achat fait la première fois.
+app.post('/api/shop/purchase', requireAuth, (req, res) => {
+  try {
+    const user = req.user;
+    const itemId = String(req.body.item || '');
+    const item = SHOP_ITEMS[itemId];
+    if (!item) return res.status(404).json({ error: 'Article inconnu', code: 'shop_unknown_item' });
+    const ref = req.body.requestId ? `purchase:${user.email}:${String(req.body.requestId).slice(0, 64)}` : null;
+    const previous = ref && ledgerRefs.get(ref);
+    if (previous) {
+      const grant = gameProfileOf(user.email).inventory.find(g => g.id === previous.id) || null;
+      return res.json({ ok: true, replayed: true, item: previous.meta.item, grant, balance: balanceOf(user.email), transaction: walletLine(previous, user.email) });
+    }
+    const refused = purchaseBlocker(user, itemId, item, req.body);
+    if (refused) return res.status(refused.status).json(refused.body);
+    const tx = spendCredits(user.email, item.cost, 'shop', { reason: 'shop:' + itemId, ref, meta: { item: itemId, postId: req.body.postId || null } });
+    if (!tx) return res.status(402).json({ error: `Crédits insuffisants (${item.cost} requis)`, code: 'insufficient_credits', cost: item.cost, balance: balanceOf(user.email) });
+    let grant;
+    try {
+      grant = grantItem(user, itemId, item, tx, req.body);
+    } catch(e) {
+      refundTransaction(tx);
+      throw e;
+    }
+    recordEvent(user, item.kind === 'plan' ? ['shop_purchase', 'plan_purchase'] : 'shop_purchase');
+    res.json({ ok: true, item: itemId, grant, balance: balanceOf(user.email), transaction: walletLine(tx, user.email) });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// ── Missions du jour (UTC) ──
+function missionValues(user, progress) {
+  return { ...progress.counters, streak: currentStreak(gameProfileOf(user.email)), credits: balanceOf(user.email) };
+}
+
+function missionView(mission, user, progress, values) {
+  return {
+    id: mission.id,
+    counter: mission.counter,
+    max: mission.max,
+    reward: mission.reward,
+    premium: mission.premium || null,
+    progress: missionProgress(mission, values),
+    claimed: !!progress.claimed[mission.id],
+    locked: !!mission.premium && (PLAN_RANK[user.plan] || 0) < PLAN_RANK[mission.premium],
+  };
+}
+
+app.get('/api/missions', requireAuth, (req, res) => {
+  const progress = progressOf(req.user.email);
+  const values = missionValues(req.user, progress);
+  const resetsAt = new Date(Date.parse(progress.day) + DAY_MS).toISOString();
+  res.json({ day: progress.day, resetsAt, counters: progress.counters, xp: progress.xp, missions: MISSIONS.map(m => missionView(m, req.user, progress, values)) });
+});
+
+// La récompense vaut en crédits et en XP ; une seule réclamation par mission et par jour
+app.post('/api/missions/:id/claim', requireAuth, (req, res) => {
+  try {
+    const user = req.user;
+    const mission = MISSIONS.find(m => m.id === req.params.id);
+    if (!mission) return res.status(404).json({ error: 'Mission inconnue' });
+    const progress = progressOf(user.email);
+    const view = missionView(mission, user, progress, missionValues(user, progress));
+    if (view.locked) return res.status(403).json({ error: `Mission réservée au plan ${mission.premium.toUpperCase()}`, code: 'plan_required', plan: mission.premium });
+    if (view.claimed) return res.status(409).json({ error: 'Mission déjà réclamée', code: 'mission_claimed' });
+    if (view.progress < mission.max) return res.status(409).json({ error: 'Mission pas encore terminée', code: 'mission_incomplete', progress: view.progress, max: mission.max });
+    const tx = grantCredits(user.email, mission.reward, 'missions', { reason: 'mission:' + mission.id, ref: `mission:${user.email}:${progress.day}:${mission.id}` });
+    progress.claimed[mission.id] = tx.id;
+    addXP(user, gameProfileOf(user.email), progress, mission.reward);
+    recordEvent(user, 'mission_claim');
+    res.json({ ok: true, mission: { ...view, claimed: true }, balance: balanceOf(user.email), transaction: walletLine(tx, user.email) });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// ── Classements ── xp (à vie) · weekly (XP des 7 derniers jours) · badges · streak
+function weeklyXP(userId) {
+  let xp = 0;
+  for (let i = 0; i < 7; i++) xp += db.dailyProgress.get(userId + '|' + dayKey(Date.now() - i * DAY_MS))?.xp || 0;
+  return xp;
+}
+
+const LEADERBOARDS = {
+  xp:     profile => profile.xp,
+  weekly: profile => weeklyXP(profile.userId),
+  badges: profile => Object.keys(profile.badges).length,
+  streak: profile => currentStreak(profile),
+};
+
+// ?limit= (100 max) — comptes sanctionnés exclus ; `me` = rang du compte connecté
+app.get('/api/leaderboards/:board', (req, res) => {
+  const score = LEADERBOARDS[req.params.board];
+  if (!score) return res.status(404).json({ error: 'Classement inconnu', boards: Object.keys(LEADERBOARDS) });
+  const ranked = [...db.gameProfiles.values()]
+    .filter(p => db.users.has(p.userId) && !accountRestriction(db.users.get(p.userId)))
+    .map(p => ({ userId: p.userId, score: score(p), level: levelProgress(p.xp).level }))
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const entry = (r, i) => ({ rank: i + 1, user: profileCard(db.users.get(r.userId)), score: r.score, level: r.level });
+  const mine = req.user ? ranked.findIndex(r => r.userId === req.user.email) : -1;
+  res.json({ board: req.params.board, items: ranked.slice(0, limit).map(entry), me: mine === -1 ? null : entry(ranked[mine], mine) });
+});
+
+// ── Demandes de collab ── une demande en attente par paire ; l'envoi compte pour les missions.
+// Après un refus, pas de nouvelle demande au même destinataire avant COLLAB_RETRY_MS.
+const COLLAB_MESSAGE_MAX = 500;
+const COLLAB_RETRY_MS = 7 * DAY_MS;
+
+function collabView(c) {
+  return { id: c.id, from: profileCard(db.users.get(c.fromId)), to: profileCard(db.users.get(c.toId)), message: c.message, status: c.status, createdAt: c.createdAt, respondedAt: c.respondedAt };
+}
+
+app.get('/api/collabs', requireAuth, (req, res) => {
+  const mine = [...db.collabRequests].reverse();
+  res.json({
+    incoming: mine.filter(c => c.toId === req.user.email).map(collabView),
+    outgoing: mine.filter(c => c.fromId === req.user.email).map(collabView),
+  });
+});
+
+// { toId (email ou @username), message }
+app.post('/api/collabs', requireAuth, (req, res) => {
+  try {
+    const target = findUserByHandle(req.body.toId);
+    if (!target) return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    if (target.email === req.user.email) return res.status(400).json({ error: 'Impossible de se proposer une collab à soi-même' });
+    if (db.collabRequests.some(c => c.status === 'pending' && c.fromId === req.user.email && c.toId === target.email)) {
+      return res.status(409).json({ error: 'Demande déjà envoyée', code: 'collab_pending' });
+    }
+    const declined = db.collabRequests
+      .filter(c => c.status === 'declined' && c.fromId === req.user.email && c.toId === target.email)
+      .reduce((last, c) => Math.max(last, Date.parse(c.respondedAt) || 0), 0);
+    if (declined && declined + COLLAB_RETRY_MS > Date.now()) {
+      return res.status(429).json({ error: 'Demande refusée récemment, réessaie plus tard', code: 'collab_declined', retryAt: new Date(declined + COLLAB_RETRY_MS).toISOString() });
+    }
+    const request = {
+      id: 'clb_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+      fromId: req.user.email,
+      toId: target.email,
+      message: String(req.body.message || '').trim().slice(0, COLLAB_MESSAGE_MAX),
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      respondedAt: null,
+    };
+    db.collabRequests.push(request);
+    notify(target.email, 'collab_request', { requestId: request.id, excerpt: request.message.slice(0, 80) }, req.user.email);
+    recordEvent(req.user, 'collab_request', target.email);
+    saveData();
+    res.json({ ok: true, request: collabView(request) });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/collabs/:id/:decision(accept|decline)', requireAuth, (req, res) => {
+  const request = db.collabRequests.find(c => c.id === req.params.id && c.toId === req.user.email);
+  if (!request) return res.status(404).json({ error: 'Demande introuvable' });
+  if (request.status !== 'pending') return res.status(409).json({ error: 'Demande déjà traitée', code: 'collab_answered' });
+  request.status = req.params.decision === 'accept' ? 'accepted' : 'declined';
+  request.respondedAt = new Date().toISOString();
+  sendToUser(request.fromId, { type: 'collab_update', request: collabView(request) });
+  saveData();
+  res.json({ ok: true, request: collabView(request) });
+});
+
+// ── Côté équipe ── { amount (négatif = retrait), reason } — toujours audité
+app.post('/api/admin/users/:email/credits', requireStaff('credits'), (req, res) => {
+  const user = db.users.get(normalizeEmail(req.params.email));
+  if (!user) return res.status(404).json({ error: 'Utilisateur non trouvé' });
+  const amount = Number(req.body.amount);
+  if (!Number.isInteger(amount) || !amount || Math.abs(amount) > 100000) return res.status(400).json({ error: 'Montant invalide (entier non nul, 100 000 max)' });
+  const reason = String(req.body.reason || '').trim().slice(0, 200);
+  if (!reason) return res.status(400).json({ error: 'Motif requis' });
+  const options = { reason: 'admin:' + reason, meta: { by: req.user.email } };
+  const tx = amount > 0 ? grantCredits(user.email, amount, 'admin', options) : spendCredits(user.email, -amount, 'admin', options);
+  if (!tx) return res.status(409).json({ error: 'Solde insuffisant pour ce retrait', code: 'insufficient_credits', balance: balanceOf(user.email) });
+  audit(req.user.email, 'grant_credits', { type: 'user', id: user.email }, { amount, reason, transactionId: tx.id });
+  saveData();
+  res.json({ ok: true, balance: balanceOf(user.email), transaction: walletLine(tx, user.email) });
+});
+
+// ════════════════════════════════════════
+// ── EMAIL — CRM des créateurs, listes d'abonnés et campagnes (transport dans mail/)
+// ── db.contacts : un contact par (créateur, email) ; stage = pipeline CRM,
+// ── subscription = none → pending (double opt-in envoyé) → subscribed → unsubscribed.
+// ── Une campagne ne part qu'aux contacts « subscribed » : draft → scheduled → sending → sent.
+// ── db.mailDeliveries : un envoi par destinataire, son jeton sert au suivi (ouverture,
+// ── clics, désinscription) et les résultats remontent dans campaign.stats.
+// ════════════════════════════════════════
+
+const mailer = createTransportFromEnv(process.env);
+const MAIL_FROM = parseAddress(process.env.MAIL_FROM || DEFAULT_FROM);
+const CONTACT_STAGES = ['lead', 'contacted', 'inprogress', 'closed'];
+const CONTACT_FIELDS = { name: 100, company: 100, handle: 60, notes: 2000 };
+const CONTACT_IMPORT_MAX = 5000;
+const CAMPAIGN_MAX_RECIPIENTS = 5000;
+const CAMPAIGN_SEND_DELAY_MS = Number(process.env.MAIL_SEND_DELAY_MS) || 50; // entre deux envois
+const FORM_SIGNUPS_PER_HOUR = 20; // par IP, formulaire public
+const OPT_IN_RESEND_MS = DAY_MS;  // une demande de confirmation par contact et par jour au plus
+const OPT_INS_PER_DAY = 200;      // demandes de confirmation par créateur, sur 24 h glissantes
+const EMAIL_RE = /^[^\s@<>()",;]+@[^\s@<>()",;]+\.[^\s@<>()",;]+$/;
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+function mailToken() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+function contactView(c) {
+  const { token, ownerId, ...view } = c;
+  return view;
+}
+
+function contactsOf(ownerId) {
+  return db.contacts.filter(c => c.ownerId === ownerId);
+}
+
+function findContact(ownerId, email) {
+  return db.contacts.find(c => c.ownerId === ownerId && c.email === email) || null;
+}
+
+// Champs CRM d'un corps de requête ou d'une ligne CSV → { fields } ou { error }
+function contactFields(body, { partial = false } = {}) {
+  const fields = {};
+  if (body.email !== undefined || !partial) {
+    const email = normalizeEmail(body.email);
+    if (email && !EMAIL_RE.test(email)) return { error: `Email invalide : ${body.email}` };
+    fields.email = email || null;
+  }
+  for (const [key, max] of Object.entries(CONTACT_FIELDS)) {
+    if (body[key] !== undefined) fields[key] = String(body[key] || '').trim().slice(0, max);
+  }
+  if (body.stage !== undefined) {
+    if (!CONTACT_STAGES.includes(body.stage)) return { error: `Étape inconnue (${CONTACT_STAGES.join(', ')})` };
+    fields.stage = body.stage;
+  }
+  if (!partial && !fields.name && !fields.email) return { error: 'Nom ou email requis' };
+  return { fields };
+}
+
+function createContact(ownerId, fields, source) {
+  const now = new Date().toISOString();
+  const contact = {
+    id: 'ct_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+    ownerId,
+    name: '', email: null, company: '', handle: '', notes: '', stage: 'lead',
+    ...fields,
+    subscription: 'none',
+    source,
+    token: mailToken(),
+    createdAt: now,
+    updatedAt: now,
+  };
+  db.contacts.push(contact);
+  return contact;
+}
+
+function sendMail(to, { subject, text, html }, { replyTo, fromName, headers } = {}) {
+  const from = { name: fromName ? `${fromName} via ViralBoost` : MAIL_FROM.name, address: MAIL_FROM.address };
+  return mailer.send(buildMessage({ from, to, replyTo, subject, text, html, headers }));
+}
+
+// Demandes de confirmation envoyées par ce créateur depuis 24 h (une au plus par contact)
+function optInsSentToday(ownerId, now = Date.now()) {
+  return db.contacts.filter(c => c.ownerId === ownerId && Date.parse(c.optInRequestedAt || '') > now - OPT_IN_RESEND_MS).length;
+}
+
+// Double opt-in : le contact passe « pending » et reçoit le lien de confirmation
+// → 'sent' | 'recent' (déjà demandé depuis moins d'un jour) | 'quota' (OPT_INS_PER_DAY atteint) | 'skipped'
+async function requestOptIn(contact, source, { sentToday = optInsSentToday(contact.ownerId) } = {}) {
+  if (!contact.email || contact.subscription === 'subscribed') return 'skipped';
+  if (contact.subscription === 'pending' && Date.parse(contact.optInRequestedAt || '') > Date.now() - OPT_IN_RESEND_MS) return 'recent';
+  if (sentToday >= OPT_INS_PER_DAY) return 'quota';
+  const owner = db.users.get(contact.ownerId);
+  contact.subscription = 'pending';
+  contact.optInRequestedAt = new Date().toISOString();
+  contact.optInSource = source;
+  contact.token = mailToken(); // un ancien lien de confirmation ne sert plus
+  saveData();
+  const confirmUrl = `${PUBLIC_URL}/api/mail/confirm/${contact.token}`;
+  try {
+    await sendMail(contact.email, optInMessage({ creatorName: owner?.name || 'a creator', confirmUrl }), { replyTo: owner?.email, fromName: owner?.name });
+  } catch(e) {
+    console.error('❌ Email de confirmation :', e.message);
+  }
+  return 'sent';
+}
+
+function unsubscribeContact(contact) {
+  if (contact.subscription === 'unsubscribed') return false;
+  contact.subscription = 'unsubscribed';
+  contact.unsubscribedAt = new Date().toISOString();
+  contact.updatedAt = contact.unsubscribedAt;
+  return true;
+}
+
+// Page publique minimale (confirmation, désinscription) — le contenu est déjà échappé
+function mailPage(res, title, message, extra = '') {
+  res.type('html').send(`<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><meta name="robots" content="noindex"><title>${title} · ViralBoost</title></head>`
+    + `<body style="margin:0;min-height:100vh;display:flex;align-items:center;justify-content:center;background:#040a05;font-family:Helvetica,Arial,sans-serif;color:#f0f0ff">`
+    + `<div style="max-width:420px;padding:32px;text-align:center"><h1 style="font-size:24px;margin:0 0 12px">${title}</h1><p style="color:#9ca3af;line-height:1.6">${message}</p>${extra}`
+    + `<p><a href="/" style="color:#86efac">ViralBoost</a></p></div></body></html>`);
+}
+
+// ── Contacts (CRM) ── ?stage= &subscription= &q= &cursor= &limit= · ?format=csv pour l'export
+const CONTACT_COLUMNS = [
+  { key: 'name' }, { key: 'email' }, { key: 'company' }, { key: 'handle' }, { key: 'stage' },
+  { key: 'subscription' }, { key: 'source' }, { key: 'notes' }, { key: 'createdAt' }, { key: 'confirmedAt' }, { key: 'unsubscribedAt' },
+];
+
+app.get('/api/crm/contacts', requireAuth, (req, res) => {
+  const { stage, subscription } = req.query;
+  const q = String(req.query.q || '').trim().toLowerCase();
+  const all = contactsOf(req.user.email);
+  const rows = all
+    .filter(c => (!stage || c.stage === stage) && (!subscription || c.subscription === subscription))
+    .filter(c => !q || [c.name, c.email, c.company, c.handle].join(' ').toLowerCase().includes(q))
+    .reverse();
+  if (req.query.format === 'csv') {
+    const lines = [CONTACT_COLUMNS.map(c => csvCell(c.key)), ...rows.map(r => CONTACT_COLUMNS.map(c => csvCell(r[c.key])))];
+    return res.type('text/csv').attachment(`viralboost-contacts-${dayKey(Date.now())}.csv`).send('﻿' + lines.map(l => l.join(',')).join('\n'));
+  }
+  const counts = { stages: {}, subscription: {} };
+  all.forEach(c => {
+    counts.stages[c.stage] = (counts.stages[c.stage] || 0) + 1;
+    counts.subscription[c.subscription] = (counts.subscription[c.subscription] || 0) + 1;
+  });
+  res.json({ ...paginate(rows.map(contactView), req.query), total: all.length, counts });
+});
+
+// { name, email, company, handle, stage, notes, subscribe } — subscribe: envoie la demande de confirmation
+app.post('/api/crm/contacts', requireAuth, async (req, res) => {
+  try {
+    const { fields, error } = contactFields(req.body);
+    if (error) return res.status(400).json({ error });
+    if (fields.email && findContact(req.user.email, fields.email)) return res.status(409).json({ error: 'Contact déjà présent avec cet email', code: 'contact_exists' });
+    const contact = createContact(req.user.email, fields, 'manual');
+    const optIn = req.body.subscribe ? await requestOptIn(contact, 'manual') : undefined;
+    saveData();
+    res.json({ ...contactView(contact), optIn });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+app.patch('/api/crm/contacts/:id', requireAuth, async (req, res) => {
+  try {
+    const contact = db.contacts.find(c => c.id === req.params.id && c.ownerId === req.user.email);
+    if (!contact) return res.status(404).json({ error: 'Contact introuvable' });
+    const { fields, error } = contactFields(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+    if (fields.email !== undefined && fields.email !== contact.email) {
+      if (fields.email && findContact(req.user.email, fields.email)) return res.status(409).json({ error: 'Contact déjà présent avec cet email', code: 'contact_exists' });
+      contact.subscription = 'none'; // nouvelle adresse : le consentement est à redemander
+    }
+    Object.assign(contact, fields, { updatedAt: new Date().toISOString() });
+    const optIn = req.body.subscribe ? await requestOptIn(contact, 'manual') : undefined;
+    saveData();
+    res.json({ ...contactView(contact), optIn });
+  } catch(e) { res.status(500).json({ error: e.message }); }
 });
 
-app.post('/api/groups', (req, res) => {
-  try {
-    const group = { ...req.body, id: req.body.id || ('grp_' + Date.now()), createdAt: new Date().toISOString(), membersCount: 1 };
-    db.groups.set(group.id, group);
-    saveData();
-    broadcastToAll({ type: 'new_group', group });
-    res.json({ ok: true, group });
-  } catch(e) { res.status(500).json({ error: e.message }); }
+app.delete('/api/crm/contacts/:id', requireAuth, (req, res) => {
+  const before = db.contacts.length;
+  db.contacts = db.contacts.filter(c => !(c.id === req.params.id && c.ownerId === req.user.email));
+  if (db.contacts.length === before) return res.status(404).json({ error: 'Contact introuvable' });
+  saveData();
+  res.json({ ok: true });
+});
+
+// { csv, subscribe } — en-têtes reconnus : name, email, company, handle (ou username), stage, notes.
+// Sans en-tête : name, email, company, handle. Un email déjà présent met le contact à jour.
+const CSV_HEADERS = { name: 'name', nom: 'name', email: 'email', 'e-mail': 'email', company: 'company', entreprise: 'company', handle: 'handle', username: 'handle', stage: 'stage', notes: 'notes' };
+
+app.post('/api/crm/contacts/import', requireAuth, async (req, res) => {
+  try {
+    const rows = parseCsv(req.body.csv);
+    if (!rows.length) return res.status(400).json({ error: 'CSV vide' });
+    const header = rows[0].map(h => CSV_HEADERS[h.toLowerCase()]);
+    const hasHeader = header.some(Boolean);
+    const columns = hasHeader ? header : ['name', 'email', 'company', 'handle'];
+    const lines = hasHeader ? rows.slice(1) : rows;
+    if (lines.length > CONTACT_IMPORT_MAX) return res.status(413).json({ error: `Import limité à ${CONTACT_IMPORT_MAX} lignes` });
+    const result = { created: 0, updated: 0, skipped: 0, optIns: 0, optInsDeferred: 0, errors: [] };
+    const optIns = [];
+    lines.forEach((cells, i) => {
+      const row = {};
+      columns.forEach((key, j) => { if (key && cells[j] !== undefined && cells[j] !== '') row[key] = cells[j]; });
+      const { fields, error } = contactFields(row);
+      if (error) {
+        result.skipped++;
+        if (result.errors.length < 50) result.errors.push({ line: i + 1 + (hasHeader ? 1 : 0), error });
+        return;
+      }
+      const existing = fields.email && findContact(req.user.email, fields.email);
+      if (existing) {
+        Object.assign(existing, Object.fromEntries(Object.entries(fields).filter(([, v]) => v)), { updatedAt: new Date().toISOString() });
+        result.updated++;
+      } else {
+        result.created++;
+        optIns.push(createContact(req.user.email, fields, 'import'));
+      }
+    });
+    // Contacts importés : jamais abonnés d'office, au mieux une demande de confirmation,
+    // dans la limite du quota du jour (le reste pourra être relancé plus tard)
+    if (req.body.subscribe) {
+      let sentToday = optInsSentToday(req.user.email);
+      for (const contact of optIns.filter(c => c.email)) {
+        const status = await requestOptIn(contact, 'import', { sentToday });
+        if (status === 'sent') { result.optIns++; sentToday++; }
+        if (status === 'quota') result.optInsDeferred++;
+      }
+    }
+    saveData();
+    res.json(result);
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// ── Formulaire public ── { email, name } sur la page d'un créateur ou d'un projet vitrine.
+// Réponse identique que l'adresse soit nouvelle ou non : le formulaire ne révèle pas qui est abonné.
+const formSignups = new Map(); // ip → horodatages (dernière heure)
+
+async function formSignup(req, res, owner, project = null) {
+  try {
+    if (!owner || accountRestriction(owner)) return res.status(404).json({ error: 'Créateur introuvable' });
+    const now = Date.now();
+    const recent = (formSignups.get(req.ip) || []).filter(ts => ts > now - HOUR_MS);
+    if (recent.length >= FORM_SIGNUPS_PER_HOUR) return res.status(429).json({ error: 'Trop d\'inscriptions, réessaie plus tard', code: 'rate_limited' });
+    formSignups.set(req.ip, [...recent, now]);
+    const email = normalizeEmail(req.body.email);
+    if (!EMAIL_RE.test(email)) return res.status(400).json({ error: 'Email invalide' });
+    let contact = findContact(owner.email, email);
+    if (!contact) {
+      const { fields } = contactFields({ email, name: req.body.name });
+      contact = createContact(owner.email, fields, 'form');
+      if (project) contact.projectId = project.id;
+    }
+    if (contact.subscription !== 'subscribed') await requestOptIn(contact, project ? 'project:' + project.id : 'form');
+    res.json({ ok: true, pending: true });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+}
+
+app.post('/api/subscribe/:username', (req, res) => formSignup(req, res, findUserByUsername(req.params.username)));
+
+app.post('/api/projects/:id/subscribe', (req, res) => {
+  const project = db.projects.find(p => p.id === req.params.id && isProjectLive(p));
+  if (!project) return res.status(404).json({ error: 'Projet introuvable' });
+  formSignup(req, res, db.users.get(project.authorId), project);
+});
+
+app.get('/api/mail/confirm/:token', (req, res) => {
+  const contact = db.contacts.find(c => c.token === req.params.token);
+  if (!contact || contact.subscription === 'none') return mailPage(res.status(404), 'Link expired', 'This confirmation link is no longer valid.');
+  const owner = db.users.get(contact.ownerId);
+  const name = escapeHtml(owner?.name || 'this creator');
+  if (contact.subscription !== 'subscribed') {
+    contact.subscription = 'subscribed';
+    contact.confirmedAt = new Date().toISOString();
+    contact.updatedAt = contact.confirmedAt;
+    delete contact.unsubscribedAt;
+    notify(contact.ownerId, 'subscriber', { contactId: contact.id, name: contact.name || contact.email.split('@')[0] });
+    saveData();
+  }
+  mailPage(res, 'Subscription confirmed', `You will now receive emails from <strong>${name}</strong>. Every email has a link to unsubscribe.`);
+});
+
+// Jeton d'envoi (lien d'une campagne) ou jeton du contact
+function resolveUnsubscribe(token) {
+  const delivery = db.mailDeliveries.find(d => d.token === token);
+  const contact = delivery ? db.contacts.find(c => c.id === delivery.contactId) : db.contacts.find(c => c.token === token);
+  return { delivery, contact };
+}
+
+function unsubscribe(token) {
+  const { delivery, contact } = resolveUnsubscribe(token);
+  if (!contact) return null;
+  if (unsubscribeContact(contact) && delivery) {
+    delivery.unsubscribedAt = contact.unsubscribedAt;
+    const campaign = db.campaigns.find(c => c.id === delivery.campaignId);
+    if (campaign) campaign.stats.unsubscribes++;
+  }
+  saveData();
+  return contact;
+}
+
+// GET : page avec bouton (un antivirus qui visite le lien ne désinscrit personne)
+app.get('/api/mail/unsubscribe/:token', (req, res) => {
+  const { contact } = resolveUnsubscribe(req.params.token);
+  if (!contact) return mailPage(res.status(404), 'Link expired', 'This unsubscribe link is no longer valid.');
+  const name = escapeHtml(db.users.get(contact.ownerId)?.name || 'this creator');
+  if (contact.subscription === 'unsubscribed') return mailPage(res, 'Unsubscribed', `You no longer receive emails from <strong>${name}</strong>.`);
+  mailPage(res, 'Unsubscribe', `Stop receiving emails from <strong>${name}</strong>?`,
+    `<form method="post"><button style="padding:11px 22px;border:none;border-radius:8px;background:#ef4444;color:#fff;font-weight:bold;cursor:pointer">Unsubscribe</button></form>`);
 });
 
-app.get('/api/groups/:id/messages', (req, res) => {
-  res.json(db.groupMessages.get(req.params.id) || []);
+// POST : bouton de la page, ou désinscription en un clic du client mail (RFC 8058)
+app.post('/api/mail/unsubscribe/:token', express.urlencoded({ extended: false }), (req, res) => {
+  const contact = unsubscribe(req.params.token);
+  if (!contact) return mailPage(res.status(404), 'Link expired', 'This unsubscribe link is no longer valid.');
+  mailPage(res, 'Unsubscribed', `You no longer receive emails from <strong>${escapeHtml(db.users.get(contact.ownerId)?.name || 'this creator')}</strong>.`);
 });
 
-app.post('/api/groups/:id/messages', (req, res) => {
-  try {
-    const msg = { ...req.body, groupId: req.params.id, timestamp: new Date().toISOString() };
-    if (!db.groupMessages.has(req.params.id)) db.groupMessages.set(req.params.id, []);
-    db.groupMessages.get(req.params.id).push(msg);
+// ── Suivi ── pixel d'ouverture et redirection des liens (index dans campaign.links : jamais d'URL libre)
+function trackOpen(delivery, campaign) {
+  delivery.opens = (delivery.opens || 0) + 1;
+  campaign.stats.opens++;
+  if (!delivery.openedAt) {
+    delivery.openedAt = new Date().toISOString();
+    campaign.stats.uniqueOpens++;
+  }
+}
+
+app.get('/api/mail/o/:token.gif', (req, res) => {
+  const delivery = db.mailDeliveries.find(d => d.token === req.params.token);
+  const campaign = delivery && db.campaigns.find(c => c.id === delivery.campaignId);
+  if (campaign) {
+    trackOpen(delivery, campaign);
     saveData();
-    broadcastToAll({ type: 'group_message', groupId: req.params.id, message: msg });
-    res.json({ ok: true });
-  } catch(e) { res.status(500).json({ error: e.message }); }
+  }
+  res.set('Cache-Control', 'no-store').type('gif').send(TRACKING_PIXEL);
+});
+
+app.get('/api/mail/c/:token/:link', (req, res) => {
+  const delivery = db.mailDeliveries.find(d => d.token === req.params.token);
+  const campaign = delivery && db.campaigns.find(c => c.id === delivery.campaignId);
+  const link = campaign?.links[Number(req.params.link)];
+  if (!link) return res.redirect(302, '/');
+  // Images bloquées : un clic prouve aussi l'ouverture
+  if (!delivery.openedAt) trackOpen(delivery, campaign);
+  delivery.clicks = (delivery.clicks || 0) + 1;
+  link.clicks++;
+  campaign.stats.clicks++;
+  if (!delivery.clickedAt) {
+    delivery.clickedAt = new Date().toISOString();
+    campaign.stats.uniqueClicks++;
+  }
+  saveData();
+  res.redirect(302, link.url);
 });
 
-app.put('/api/groups/:id/settings', (req, res) => {
+// ── Campagnes ──
+const CAMPAIGN_EDITABLE = ['draft', 'scheduled'];
+const sendingCampaigns = new Set(); // campagnes en cours d'envoi dans ce processus
+
+function emptyCampaignStats() {
+  return { recipients: 0, sent: 0, failed: 0, opens: 0, uniqueOpens: 0, clicks: 0, uniqueClicks: 0, unsubscribes: 0 };
+}
+
+function campaignView(c) {
+  const { ownerId, ...view } = c;
+  const rate = n => (c.stats.sent ? Math.round(n / c.stats.sent * 1000) / 10 : 0);
+  return { ...view, stats: { ...c.stats, openRate: rate(c.stats.uniqueOpens), clickRate: rate(c.stats.uniqueClicks) } };
+}
+
+// { name, subject, fromName, body, audience: { stage, emails } } → { fields } ou { error }
+function campaignFields(body, { partial = false } = {}) {
+  const fields = {};
+  for (const [key, max] of Object.entries({ name: 120, subject: 200, fromName: 80, body: 50000 })) {
+    if (body[key] !== undefined) fields[key] = String(body[key] || '').trim().slice(0, max);
+  }
+  if (!partial && (!fields.name || !fields.subject || !fields.body)) return { error: 'Nom, objet et contenu requis' };
+  if (partial && ['name', 'subject', 'body'].some(k => fields[k] === '')) return { error: 'Nom, objet et contenu requis' };
+  if (body.audience !== undefined) {
+    const { stage = null, emails = [] } = body.audience || {};
+    if (stage && !CONTACT_STAGES.includes(stage)) return { error: `Étape inconnue (${CONTACT_STAGES.join(', ')})` };
+    fields.audience = { stage, emails: (Array.isArray(emails) ? emails : []).map(normalizeEmail).filter(Boolean).slice(0, CAMPAIGN_MAX_RECIPIENTS) };
+  }
+  return { fields };
+}
+
+// Contacts abonnés visés : toute la liste, une étape du pipeline, ou une sélection d'emails
+function campaignAudience(campaign) {
+  const { stage, emails = [] } = campaign.audience || {};
+  const picked = emails.length ? new Set(emails) : null;
+  return contactsOf(campaign.ownerId)
+    .filter(c => c.subscription === 'subscribed' && c.email)
+    .filter(c => (!stage || c.stage === stage) && (!picked || picked.has(c.email)))
+    .slice(0, CAMPAIGN_MAX_RECIPIENTS);
+}
+
+function campaignMessage(campaign, contact, delivery) {
+  const owner = db.users.get(campaign.ownerId);
+  const fromName = campaign.fromName || owner?.name || 'ViralBoost';
+  const unsubscribeUrl = `${PUBLIC_URL}/api/mail/unsubscribe/${delivery.token}`;
+  const content = renderCampaign({ subject: campaign.subject, body: campaign.body, fromName }, {
+    vars: { name: contact.name || contact.email.split('@')[0], email: contact.email },
+    links: campaign.links.map(l => l.url),
+    linkUrl: index => `${PUBLIC_URL}/api/mail/c/${delivery.token}/${index}`,
+    pixelUrl: `${PUBLIC_URL}/api/mail/o/${delivery.token}.gif`,
+    unsubscribeUrl,
+  });
+  const headers = { 'List-Unsubscribe': `<${unsubscribeUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' };
+  return sendMail(contact.email, content, { replyTo: owner?.email, fromName, headers });
+}
+
+function campaignUpdate(campaign) {
+  sendToUser(campaign.ownerId, { type: 'campaign_update', campaign: campaignView(campaign) });
+}
+
+// Envoi séquentiel ; reprend là où il s'était arrêté (un destinataire déjà servi est sauté)
+async function runCampaign(campaign) {
+  if (sendingCampaigns.has(campaign.id)) return;
+  sendingCampaigns.add(campaign.id);
   try {
-    const { settings, requesterId } = req.body;
-    const group = db.groups.get(req.params.id);
-    if (group && group.creatorId === requesterId) {
-      Object.assign(group, settings);
-      db.groups.set(req.params.id, group);
+    if (campaign.status !== 'sending') {
+      campaign.status = 'sending';
+      campaign.startedAt = new Date().toISOString();
+      campaign.links = extractLinks(campaign.body).map(url => ({ url, clicks: 0 }));
+    }
+    const served = new Set(db.mailDeliveries.filter(d => d.campaignId === campaign.id).map(d => d.contactId));
+    const pending = campaignAudience(campaign).filter(c => !served.has(c.id));
+    campaign.stats.recipients = served.size + pending.length;
+    campaignUpdate(campaign);
+    saveData();
+    for (const contact of pending) {
+      if (contact.subscription !== 'subscribed') continue; // désinscrit pendant l'envoi
+      const delivery = {
+        id: 'dlv_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+        campaignId: campaign.id,
+        ownerId: campaign.ownerId,
+        contactId: contact.id,
+        email: contact.email,
+        token: mailToken(),
+        createdAt: new Date().toISOString(),
+      };
+      try {
+        const info = await campaignMessage(campaign, contact, delivery);
+        Object.assign(delivery, { status: 'sent', messageId: info.messageId });
+        campaign.stats.sent++;
+      } catch(e) {
+        Object.assign(delivery, { status: 'failed', error: e.message.slice(0, 300) });
+        campaign.stats.failed++;
+      }
+      db.mailDeliveries.push(delivery);
       saveData();
+      await new Promise(r => setTimeout(r, CAMPAIGN_SEND_DELAY_MS));
     }
-    res.json({ ok: true });
-  } catch(e) { res.status(500).json({ error: e.message }); }
+    campaign.status = 'sent';
+    campaign.sentAt = new Date().toISOString();
+  } catch(e) {
+    console.error(`❌ Campagne ${campaign.id} :`, e.message);
+  } finally {
+    sendingCampaigns.delete(campaign.id);
+    campaignUpdate(campaign);
+    saveData();
+  }
+}
+
+// Campagne programmée : un job « campaign.send » à l'échéance (clé campaign:<id>)
+scheduler.define('campaign.send', ({ campaignId }) => {
+  const campaign = db.campaigns.find(c => c.id === campaignId);
+  if (campaign && ['scheduled', 'sending'].includes(campaign.status)) return runCampaign(campaign);
 });
 
-// ── SIGNALEMENTS ──
-app.post('/api/report', (req, res) => {
-  try {
-    const report = { ...req.body, createdAt: new Date().toISOString(), id: 'rep_' + Date.now(), status: 'pending' };
-    db.reports.push(report);
-    saveData();
-    console.log(`🚨 SIGNALEMENT: ${report.reporterEmail} → ${report.reportedName} | ${report.reason}`);
-    res.json({ ok: true });
-  } catch(e) { res.status(500).json({ error: e.message }); }
+function scheduleCampaign(campaign) {
+  scheduler.schedule('campaign.send', campaign.scheduledAt, { campaignId: campaign.id }, { key: 'campaign:' + campaign.id });
+}
+
+// Campagnes programmées sans job (avant la file de jobs), et envois interrompus par un redémarrage
+function backfillCampaignJobs() {
+  db.campaigns.forEach(c => {
+    if (scheduler.get('campaign:' + c.id)) return;
+    if (c.status === 'scheduled') scheduleCampaign(c);
+    if (c.status === 'sending') scheduler.schedule('campaign.send', Date.now(), { campaignId: c.id }, { key: 'campaign:' + c.id });
+  });
+}
+
+function ownCampaign(req, res) {
+  const campaign = db.campaigns.find(c => c.id === req.params.id && c.ownerId === req.user.email);
+  if (!campaign) res.status(404).json({ error: 'Campagne introuvable' });
+  return campaign;
+}
+
+app.get('/api/campaigns', requireAuth, (req, res) => {
+  const campaigns = db.campaigns.filter(c => c.ownerId === req.user.email).reverse();
+  const subscribers = contactsOf(req.user.email).filter(c => c.subscription === 'subscribed').length;
+  res.json({ ...paginate(campaigns.map(campaignView), req.query), subscribers });
 });
 
-// ── DM ADMIN ──
-app.post('/api/admin-dm', (req, res) => {
-  try {
-    const dm = { ...req.body, createdAt: new Date().toISOString(), id: 'adm_' + Date.now(), read: false };
-    db.adminDMs.push(dm);
-    saveData();
-    console.log(`📩 DM ADMIN de ${dm.fromEmail} (${dm.fromPlan}): ${dm.text}`);
-    res.json({ ok: true });
-  } catch(e) { res.status(500).json({ error: e.message }); }
+app.get('/api/campaigns/:id', requireAuth, (req, res) => {
+  const campaign = ownCampaign(req, res);
+  if (!campaign) return;
+  const audience = CAMPAIGN_EDITABLE.includes(campaign.status) ? campaignAudience(campaign).length : campaign.stats.recipients;
+  res.json({ ...campaignView(campaign), audienceSize: audience });
 });
 
-app.post('/api/contact-admin', (req, res) => {
-  try {
-    const dm = { ...req.body, createdAt: new Date().toISOString(), id: 'adm_' + Date.now() };
-    db.adminDMs.push(dm);
-    saveData();
-    res.json({ ok: true });
-  } catch(e) { res.status(500).json({ error: e.message }); }
+// { name, subject, fromName, body, audience, scheduledAt } — brouillon, ou programmée si scheduledAt
+app.post('/api/campaigns', requireAuth, (req, res) => {
+  const { fields, error } = campaignFields(req.body);
+  if (error) return res.status(400).json({ error });
+  const now = new Date().toISOString();
+  const campaign = {
+    id: 'cmp_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+    ownerId: req.user.email,
+    fromName: '',
+    audience: { stage: null, emails: [] },
+    ...fields,
+    status: 'draft',
+    scheduledAt: null,
+    links: [],
+    stats: emptyCampaignStats(),
+    createdAt: now,
+    updatedAt: now,
+  };
+  if (req.body.scheduledAt) {
+    const at = Date.parse(req.body.scheduledAt);
+    if (!at || at <= Date.now()) return res.status(400).json({ error: 'Date d\'envoi invalide ou passée' });
+    Object.assign(campaign, { status: 'scheduled', scheduledAt: new Date(at).toISOString() });
+    scheduleCampaign(campaign);
+  }
+  db.campaigns.push(campaign);
+  saveData();
+  res.json(campaignView(campaign));
+});
+
+app.patch('/api/campaigns/:id', requireAuth, (req, res) => {
+  const campaign = ownCampaign(req, res);
+  if (!campaign) return;
+  if (!CAMPAIGN_EDITABLE.includes(campaign.status)) return res.status(409).json({ error: 'Campagne déjà envoyée', code: 'campaign_locked' });
+  const { fields, error } = campaignFields(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+  Object.assign(campaign, fields, { updatedAt: new Date().toISOString() });
+  saveData();
+  res.json(campaignView(campaign));
+});
+
+// { scheduledAt } → programmée ; { scheduledAt: null } → retour en brouillon
+app.post('/api/campaigns/:id/schedule', requireAuth, (req, res) => {
+  const campaign = ownCampaign(req, res);
+  if (!campaign) return;
+  if (!CAMPAIGN_EDITABLE.includes(campaign.status)) return res.status(409).json({ error: 'Campagne déjà envoyée', code: 'campaign_locked' });
+  if (req.body.scheduledAt === null) {
+    Object.assign(campaign, { status: 'draft', scheduledAt: null });
+    scheduler.cancel('campaign:' + campaign.id);
+  } else {
+    const at = Date.parse(req.body.scheduledAt);
+    if (!at || at <= Date.now()) return res.status(400).json({ error: 'Date d\'envoi invalide ou passée' });
+    Object.assign(campaign, { status: 'scheduled', scheduledAt: new Date(at).toISOString() });
+    scheduleCampaign(campaign);
+  }
+  campaign.updatedAt = new Date().toISOString();
+  saveData();
+  res.json(campaignView(campaign));
+});
+
+// Envoi immédiat : la réponse part tout de suite, la progression arrive par campaign_update
+app.post('/api/campaigns/:id/send', requireAuth, (req, res) => {
+  const campaign = ownCampaign(req, res);
+  if (!campaign) return;
+  if (!CAMPAIGN_EDITABLE.includes(campaign.status)) return res.status(409).json({ error: 'Campagne déjà envoyée', code: 'campaign_locked' });
+  const audience = campaignAudience(campaign).length;
+  if (!audience) return res.status(400).json({ error: 'Aucun abonné confirmé dans cette audience', code: 'campaign_no_recipients' });
+  scheduler.cancel('campaign:' + campaign.id);
+  runCampaign(campaign);
+  res.json({ ...campaignView(campaign), audienceSize: audience });
 });
 
-// ── IA BOOST ──
-app.post('/api/generate-boost', async (req, res) => {
+// Aperçu envoyé au créateur lui-même, sans suivi ni statistiques
+app.post('/api/campaigns/:id/test', requireAuth, async (req, res) => {
   try {
-    const response = await anthropic.messages.create({
-      model: 'claude-opus-4-6',
-      max_tokens: 2000,
-      messages: [{ role: 'user', content: req.body.prompt }]
-    });
-    res.json({ content: response.content[0].text.trim() });
-  } catch(e) { res.status(500).json({ error: e.message }); }
+    const campaign = ownCampaign(req, res);
+    if (!campaign) return;
+    const fromName = campaign.fromName || req.user.name;
+    const content = renderCampaign({ subject: '[TEST] ' + campaign.subject, body: campaign.body, fromName }, { vars: { name: req.user.name, email: req.user.email } });
+    const info = await sendMail(req.user.email, content, { fromName });
+    res.json({ ok: true, to: req.user.email, messageId: info.messageId });
+  } catch(e) { res.status(502).json({ error: 'Envoi impossible : ' + e.message, code: 'mail_failed' }); }
+});
+
+app.delete('/api/campaigns/:id', requireAuth, (req, res) => {
+  const campaign = ownCampaign(req, res);
+  if (!campaign) return;
+  if (campaign.status === 'sending') return res.status(409).json({ error: 'Envoi en cours', code: 'campaign_sending' });
+  scheduler.cancel('campaign:' + campaign.id);
+  db.campaigns = db.campaigns.filter(c => c !== campaign);
+  db.mailDeliveries = db.mailDeliveries.filter(d => d.campaignId !== campaign.id);
+  saveData();
+  res.json({ ok: true });
 });
 
-app.post('/api/ia-boost', async (req, res) => {
+// ════════════════════════════════════════
+// ── MÉDIAS — upload validé et traité par media/, un enregistrement par propriétaire
+// ── db.media : { ownerId, hash, fichiers, refs: [{ type, id }] }. Quand le dernier
+// ── contenu qui utilise un média est supprimé, le média part avec ses fichiers.
+// ════════════════════════════════════════
+
+const multer = require('multer');
+const os = require('os');
+const uploadDir = path.join(__dirname, 'uploads');
+const mediaPipeline = createMediaPipeline({ dir: uploadDir });
+
+// Le fichier brut atterrit dans un dossier temporaire, jamais servi
+const upload = multer({ dest: path.join(os.tmpdir(), 'viralboost-uploads'), limits: { fileSize: 50 * 1024 * 1024 } }); // 50MB max
+
+// Noms de fichiers = empreinte du contenu : ils ne changent jamais
+app.use('/uploads', express.static(uploadDir, { maxAge: '365d', immutable: true }));
+
+const MEDIA_URL_RE = /^\/uploads\/[\w.-]+$/;
+
+function storageUsed(userId) {
+  return [...db.media.values()].filter(m => m.ownerId === userId).reduce((n, m) => n + m.bytes, 0);
+}
+
+function storageQuota(user) {
+  const limit = isAdminUser(user) ? null : planLimits(user).storageMB * 1024 * 1024;
+  const used = storageUsed(user.email);
+  return { used, limit, remaining: limit === null ? null : Math.max(0, limit - used) };
+}
+
+function publicMedia(m) {
+  return {
+    id: m.id, kind: m.kind, mime: m.mime, url: m.url, width: m.width, height: m.height, bytes: m.bytes,
+    variants: m.variants.map(({ width, url }) => ({ width, url })), poster: m.poster?.url || null,
+    refs: m.refs, createdAt: m.createdAt,
+  };
+}
+
+function findMediaByUrl(url) {
+  return [...db.media.values()].find(m => m.url === url || m.poster?.url === url || m.variants.some(v => v.url === url));
+}
+
+// URLs /uploads/… présentes dans les champs d'un contenu (mediaUrl, bg, tableaux…)
+function mediaUrlsIn(item) {
+  const urls = new Set();
+  Object.values(item || {}).forEach(v => [].concat(v).forEach(x => { if (typeof x === 'string' && MEDIA_URL_RE.test(x)) urls.add(x); }));
+  return [...urls];
+}
+
+// Relie les médias cités par un contenu à ce contenu (seulement ceux de son auteur)
+function attachMedia(type, item, ownerId) {
+  mediaUrlsIn(item).forEach(url => {
+    const media = findMediaByUrl(url);
+    if (!media || media.ownerId !== ownerId || media.refs.some(r => r.type === type && r.id === item.id)) return;
+    media.refs.push({ type, id: item.id });
+  });
+}
+
+// Le contenu disparaît : les médias qui n'ont plus aucun usage sont supprimés
+function releaseMedia(type, id) {
+  db.media.forEach(media => {
+    if (!media.refs.some(r => r.type === type && r.id === id)) return;
+    media.refs = media.refs.filter(r => !(r.type === type && r.id === id));
+    if (!media.refs.length) deleteMedia(media);
+  });
+}
+
+// Le contenu change (avatar, fond de groupe) : les médias qu'il ne cite plus sont libérés,
+// les nouveaux rattachés
+function syncMedia(type, item, ownerId) {
+  const urls = new Set(mediaUrlsIn(item));
+  db.media.forEach(media => {
+    if (!media.refs.some(r => r.type === type && r.id === item.id)) return;
+    if ([media.url, media.poster?.url, ...media.variants.map(v => v.url)].some(url => urls.has(url))) return;
+    media.refs = media.refs.filter(r => !(r.type === type && r.id === item.id));
+    if (!media.refs.length) deleteMedia(media);
+  });
+  attachMedia(type, item, ownerId);
+}
+
+// Avatars et fonds de groupe posés avant le suivi des usages : on les rattache
+function backfillMediaRefs() {
+  db.users.forEach(user => attachMedia('avatar', { id: user.email, avatar: user.avatar }, user.email));
+  db.groups.forEach(group => [group.creatorId, ...group.members.map(m => m.userId)].forEach(id => attachMedia('group', group, id)));
+}
+
+// Les fichiers sont partagés entre propriétaires d'un même contenu (même empreinte)
+function deleteMedia(media) {
+  db.media.delete(media.id);
+  const shared = [...db.media.values()].some(m => m.hash === media.hash);
+  if (!shared) mediaPipeline.remove(media.files).catch(e => console.log('❌ Suppression média :', e.message));
+  saveData();
+}
+
+app.post('/api/upload', requireAuth, upload.single('file'), async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'Aucun fichier' });
   try {
-    const response = await anthropic.messages.create({
-      model: 'claude-opus-4-6',
-      max_tokens: 1500,
-      messages: [{ role: 'user', content: req.body.description || req.body.prompt || 'Analyse' }]
+    const quota = storageQuota(req.user);
+    if (quota.limit !== null && req.file.size > quota.remaining) {
+      await fs.promises.rm(req.file.path, { force: true });
+      return res.status(413).json({ error: `Espace de stockage de ton plan plein (${planLimits(req.user).storageMB} Mo)`, code: 'storage_quota_exceeded', ...quota });
+    }
+    const processed = await mediaPipeline.ingest(req.file.path, {
+      known: hash => [...db.media.values()].find(m => m.hash === hash),
     });
-    res.json({ strategy: response.content[0].text.trim() });
-  } catch(e) { res.status(500).json({ error: e.message }); }
+    // Même contenu déjà envoyé par ce user : on renvoie son média existant
+    const mine = [...db.media.values()].find(m => m.hash === processed.hash && m.ownerId === req.user.email);
+    if (mine) return res.json({ ...publicMedia(mine), filename: path.basename(mine.url), deduplicated: true });
+    const media = {
+      id: 'med_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+      ownerId: req.user.email,
+      hash: processed.hash,
+      kind: processed.kind,
+      mime: processed.mime,
+      url: processed.url,
+      name: processed.name,
+      files: processed.files,
+      bytes: processed.bytes,
+      width: processed.width,
+      height: processed.height,
+      variants: processed.variants,
+      poster: processed.poster,
+      metadataStripped: processed.metadataStripped,
+      originalName: req.file.originalname.replace(/[^a-zA-Z0-9._-]/g, '_').slice(0, 120),
+      refs: [],
+      createdAt: new Date().toISOString(),
+    };
+    db.media.set(media.id, media);
+    saveData();
+    res.json({ ...publicMedia(media), filename: path.basename(media.url), deduplicated: processed.deduplicated });
+  } catch(e) {
+    if (e.code === 'media_type_rejected') return res.status(415).json({ error: e.message, code: e.code });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/media', requireAuth, (req, res) => {
+  const mine = [...db.media.values()].filter(m => m.ownerId === req.user.email).sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  res.json({ items: mine.map(publicMedia), quota: storageQuota(req.user) });
+});
+
+// Seul un média qui n'est plus utilisé nulle part peut être supprimé à la main
+app.delete('/api/media/:id', requireAuth, (req, res) => {
+  const media = db.media.get(req.params.id);
+  if (!media || media.ownerId !== req.user.email) return res.status(404).json({ error: 'Média introuvable' });
+  if (media.refs.length) return res.status(409).json({ error: 'Média encore utilisé', code: 'media_in_use', refs: media.refs });
+  deleteMedia(media);
+  res.json({ ok: true });
+});
+
+// ════════════════════════════════════════
+// ── ADMIN DASHBOARD — comptes staff (owner, moderator, support)
+// ── Connexion par session (/api/auth/login), aucun secret dans les URLs.
+// ── Chaque action est inscrite au journal d'audit (audit(), en ajout seul).
+// ════════════════════════════════════════
+
+if (process.env.ADMIN_KEY) console.log('⚠️  ADMIN_KEY n\'est plus utilisé — accès admin par comptes staff (voir ADMIN_EMAIL)');
+
+// Auteur d'une action de modération pour le journal
+function moderatorOf(req) { return req.user.email; }
+
+// Session staff courante : rôle et permissions (le tableau de bord s'y adapte)
+app.get('/api/admin/me', requireStaff('dashboard'), (req, res) => {
+  res.json({ user: publicUser(req.user), role: staffRole(req.user), permissions: staffPermissions(req.user) });
+});
+
+app.get('/api/admin/all-users', requireStaff('users.read'), (req, res) => {
+  res.json(Array.from(db.users.values()).map(publicUser));
+});
+
+// ── Équipe ──
+app.get('/api/admin/staff', requireStaff('staff.manage'), (req, res) => {
+  res.json([...db.users.values()].filter(staffRole).map(u => ({ email: u.email, name: u.name || '', role: u.staffRole, staffSince: u.staffSince || null })));
+});
+
+// { role: owner|moderator|support|null } — null retire le compte de l'équipe
+app.put('/api/admin/staff/:email', requireStaff('staff.manage'), (req, res) => {
+  const user = db.users.get(normalizeEmail(req.params.email));
+  if (!user) return res.status(404).json({ error: 'Utilisateur non trouvé' });
+  const role = req.body.role || null;
+  if (role && !STAFF_ROLES.includes(role)) return res.status(400).json({ error: 'Rôle invalide', roles: STAFF_ROLES });
+  const from = staffRole(user);
+  if (from === 'owner' && role !== 'owner' && [...db.users.values()].filter(u => staffRole(u) === 'owner').length === 1) {
+    return res.status(409).json({ error: 'Il faut au moins un owner', code: 'last_owner' });
+  }
+  Object.assign(user, { staffRole: role, staffSince: role ? (from ? user.staffSince : new Date().toISOString()) : null });
+  audit(moderatorOf(req), 'staff_role', { type: 'user', id: user.email }, { from, to: role });
+  saveData();
+  res.json({ ok: true, email: user.email, role });
+});
+
+// ?status=pending|reviewing|actioned|dismissed
+app.get('/api/admin/reports', requireStaff('reports.read'), (req, res) => {
+  const reports = [...(req.query.status ? db.reports.filter(r => r.status === req.query.status) : db.reports)].reverse();
+  if (req.query.format !== 'csv') return res.json(reports);
+  sendTable(req, res, 'reports', reports, ['id', 'createdAt', 'status', 'source', 'targetType', 'targetId', 'reportedId', 'reportedName', 'reporterId', 'reason'].map(key => ({ key })).concat({ key: 'notes', value: r => (r.notes || []).map(n => n.text).join(' | ') }));
+});
+
+// Changer le statut et/ou ajouter une note : { status, note }
+app.patch('/api/admin/reports/:id', requireStaff('reports.manage'), (req, res) => {
+  const report = db.reports.find(r => r.id === req.params.id);
+  if (!report) return res.status(404).json({ error: 'Signalement introuvable' });
+  const { status, note } = req.body;
+  if (status && !REPORT_STATUSES.includes(status)) return res.status(400).json({ error: 'Statut invalide' });
+  const from = report.status;
+  if (status) report.status = status;
+  if (note) report.notes = [...(report.notes || []), { by: moderatorOf(req), text: String(note).slice(0, 2000), at: new Date().toISOString() }];
+  report.updatedAt = new Date().toISOString();
+  audit(moderatorOf(req), status ? 'report_status' : 'report_note', { type: 'report', id: report.id }, { from, to: report.status, note: note || null });
+  res.json({ ok: true, report });
 });
 
-app.post('/api/chat-promo', async (req, res) => {
+// Clôture du signalement lié à une action (facultatif : { reportId })
+function closeReport(reportId, moderator, action) {
+  const report = reportId && db.reports.find(r => r.id === reportId);
+  if (!report) return;
+  report.status = 'actioned';
+  report.action = action;
+  report.updatedAt = new Date().toISOString();
+  report.notes = [...(report.notes || []), { by: moderator, text: 'Action : ' + action, at: report.updatedAt }];
+}
+
+// { action: suspend|ban|unban, hours, reason, reportId }
+app.post('/api/admin/users/:email/sanction', requireStaff('users.sanction'), (req, res) => {
   try {
-    const response = await anthropic.messages.create({
-      model: 'claude-opus-4-6',
-      max_tokens: 800,
-      system: `Tu es un expert en marketing digital, growth hacking et promotion de projets en ligne. Tu donnes des conseils CONCRETS, ACTIONNABLES et PERSONNALISÉS. Tu réponds en français.`,
-      messages: req.body.messages.slice(-10)
-    });
-    res.json({ reply: response.content[0].text.trim() });
+    const user = db.users.get(normalizeEmail(req.params.email));
+    if (!user) return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    const { action, hours, reason, reportId } = req.body;
+    if (!['suspend', 'ban', 'unban'].includes(action)) return res.status(400).json({ error: 'Action invalide' });
+    const blocked = sanctionBlocker(req.user, user, action);
+    if (blocked) return res.status(blocked.status).json(blocked.body);
+    const restriction = sanctionUser(user, action, { hours, reason });
+    closeReport(reportId, moderatorOf(req), action);
+    audit(moderatorOf(req), action, { type: 'user', id: user.email }, { reason, hours: action === 'suspend' ? hours || 24 : undefined, until: restriction?.until, reportId });
+    res.json({ ok: true, user: publicUser(user), restriction });
   } catch(e) { res.status(500).json({ error: e.message }); }
 });
 
-// ── PAYMENT STRIPE ──
-app.post('/api/create-payment-intent', async (req, res) => {
+// { action: hide|unhide|delete, reason, reportId }
+app.post('/api/admin/content/:type/:id', requireStaff('content.moderate'), (req, res) => {
   try {
-    const { plan } = req.body;
-    const planData = PLANS[plan];
-    if (!planData || planData.price === 0) return res.status(400).json({ error: 'Plan invalide ou gratuit' });
-    const pi = await stripe.paymentIntents.create({
-      amount: planData.price,
-      currency: 'eur',
-      automatic_payment_methods: { enabled: true },
-      metadata: { service: 'viralboost', plan }
-    });
-    res.json({ clientSecret: pi.client_secret });
+    const { type, id } = req.params;
+    const { action, reason, reportId } = req.body;
+    if (!REPORT_TARGETS.includes(type) || type === 'user') return res.status(400).json({ error: 'Type de contenu invalide' });
+    if (!['hide', 'unhide', 'delete'].includes(action)) return res.status(400).json({ error: 'Action invalide' });
+    const item = findContent(type, id);
+    if (!item) return res.status(404).json({ error: 'Contenu introuvable' });
+    moderateContent(type, item, action, reason);
+    closeReport(reportId, moderatorOf(req), action + '_' + type);
+    audit(moderatorOf(req), action + '_' + type, { type, id }, { reason, authorId: item.userId || item.authorId || null, reportId });
+    res.json({ ok: true });
   } catch(e) { res.status(500).json({ error: e.message }); }
 });
 
-// ── UPLOAD FICHIERS (images/vidéos) ──
-const multer = require('multer');
-const uploadDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
+// Journal de modération, du plus récent au plus ancien (?cursor &limit)
+app.get('/api/admin/audit', requireStaff('audit.read'), (req, res) => {
+  const log = [...db.moderationLog].reverse();
+  if (req.query.format !== 'csv') return res.json({ ...paginate(log, req.query), chain: verifyAuditChain() });
+  sendTable(req, res, 'audit', log, ['createdAt', 'moderator', 'role', 'action', 'targetType', 'targetId', 'reportId', 'reason'].map(key => ({ key })).concat({ key: 'details', value: e => JSON.stringify(e.details || {}) }, { key: 'hash' }));
+});
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadDir),
-  filename: (req, file, cb) => cb(null, Date.now() + '_' + file.originalname.replace(/[^a-zA-Z0-9._-]/g, '_'))
+// Raccourci historique du panneau admin : bannissement définitif
+app.post('/api/admin/ban', requireStaff('users.sanction'), (req, res) => {
+  const user = db.users.get(normalizeEmail(req.body.email));
+  if (!user) return res.status(404).json({ error: 'Utilisateur non trouvé' });
+  const blocked = sanctionBlocker(req.user, user, 'ban');
+  if (blocked) return res.status(blocked.status).json(blocked.body);
+  sanctionUser(user, 'ban', { reason: req.body.reason });
+  audit(moderatorOf(req), 'ban', { type: 'user', id: user.email }, { reason: req.body.reason || null });
+  res.json({ ok: true });
 });
-const upload = multer({ storage, limits: { fileSize: 50 * 1024 * 1024 } }); // 50MB max
 
-app.use('/uploads', express.static(uploadDir));
+// Message de l'équipe : à un user ({ email }) ou à tous ({ all: true })
+app.post('/api/admin/notify', requireStaff('messages'), (req, res) => {
+  const { email, all, title, message } = req.body || {};
+  if (!message) return res.status(400).json({ error: 'Message vide' });
+  const targets = all ? [...db.users.keys()] : [normalizeEmail(email)];
+  const sent = targets.filter(id => notify(id, 'admin_message', { title: title || 'ViralBoost', message: String(message).slice(0, 1000) })).length;
+  audit(moderatorOf(req), 'notify', { type: 'user', id: all ? '*' : normalizeEmail(email) }, { title: title || null, sent });
+  res.json({ ok: true, sent });
+});
 
-app.post('/api/upload', upload.single('file'), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: 'Aucun fichier' });
-  const url = '/uploads/' + req.file.filename;
-  res.json({ url, filename: req.file.filename });
+// ════════════════════════════════════════
+// ── ANALYTIQUE ADMIN — séries par jour (UTC), conversions, revenu réel, export CSV
+// ── Dérivé des données quand elles sont datées (inscriptions, posts, paiements…) ;
+// ── compté au fil de l'eau sinon (db.dailyStats : actifs, votes, messages du chat).
+// ════════════════════════════════════════
+
+const PAID_PLANS = ['starter', 'pro', 'elite'];
+const ANALYTICS_MAX_DAYS = 366;
+const REVENUE_METRICS = ['conversions', 'churn', 'revenue']; // permission 'revenue'
+
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function dailyStatsOf(day = dayKey(Date.now())) {
+  if (!db.dailyStats.has(day)) db.dailyStats.set(day, { day, active: [], joins: 0, votes: 0, chatMessages: 0 });
+  return db.dailyStats.get(day);
+}
+
+// Connexion WebSocket (join) : compte l'utilisateur parmi les actifs du jour
+function trackActivity(user) {
+  const stats = dailyStatsOf();
+  stats.joins++;
+  if (!stats.active.includes(user.email)) stats.active.push(user.email);
+  user.lastSeenAt = new Date().toISOString();
+  saveData();
+}
+
+function trackDaily(counter) {
+  dailyStatsOf()[counter]++;
+}
+
+// Historique des changements de plan : conversions (free → payant) et churn (payant → free)
+function recordPlanChange(user, from, to, status) {
+  if (from === to) return;
+  db.planChanges.push({ id: 'plc_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'), userId: user.email, from, to, status, createdAt: new Date().toISOString() });
+}
+
+function rangeError(error) {
+  const err = new Error(error);
+  err.status = 400;
+  err.payload = { error, code: 'invalid_range' };
+  return err;
+}
+
+// ?from=AAAA-MM-JJ&to=AAAA-MM-JJ (inclus) → 30 derniers jours par défaut
+function analyticsRange(query) {
+  const re = /^\d{4}-\d{2}-\d{2}$/;
+  if ((query.from && !re.test(query.from)) || (query.to && !re.test(query.to))) throw rangeError('Dates au format AAAA-MM-JJ');
+  const to = query.to || dayKey(Date.now());
+  const from = query.from || dayKey(new Date(to).getTime() - 29 * DAY_MS);
+  const days = [];
+  for (let t = new Date(from).getTime(); t <= new Date(to).getTime(); t += DAY_MS) days.push(dayKey(t));
+  if (!days.length || days.length > ANALYTICS_MAX_DAYS) throw rangeError(`Période de 1 à ${ANALYTICS_MAX_DAYS} jours`);
+  return { from, to, days, inRange: date => { const d = date && dayKey(date); return !!d && d >= from && d <= to; } };
+}
+
+function countByDay(items, dateOf, valueOf = () => 1) {
+  const counts = new Map();
+  items.forEach(item => {
+    const date = dateOf(item);
+    if (!date) return;
+    const day = dayKey(date);
+    counts.set(day, (counts.get(day) || 0) + valueOf(item));
+  });
+  return counts;
+}
+
+const isPaid = plan => PAID_PLANS.includes(plan);
+const isConversion = c => !isPaid(c.from) && isPaid(c.to);
+const isChurn = c => isPaid(c.from) && !isPaid(c.to);
+const succeededPayments = () => db.payments.filter(p => p.status === 'succeeded');
+
+// Une série = Map<jour, valeur>
+const ANALYTICS_METRICS = {
+  signups:     () => countByDay([...db.users.values()], u => u.createdAt),
+  dau:         () => new Map([...db.dailyStats.values()].map(s => [s.day, s.active.length])),
+  posts:       () => countByDay(db.posts, p => p.createdAt),
+  comments:    () => countByDay(db.comments, c => c.createdAt),
+  votes:       () => new Map([...db.dailyStats.values()].map(s => [s.day, s.votes])),
+  messages:    () => {
+    const counts = new Map([...db.dailyStats.values()].map(s => [s.day, s.chatMessages]));
+    [...db.groupMessages.values(), ...db.dmThreads.values()].forEach(list => list.forEach(m => {
+      if (m.timestamp) counts.set(dayKey(m.timestamp), (counts.get(dayKey(m.timestamp)) || 0) + 1);
+    }));
+    return counts;
+  },
+  conversions: () => countByDay(db.planChanges.filter(isConversion), c => c.createdAt),
+  churn:       () => countByDay(db.planChanges.filter(isChurn), c => c.createdAt),
+  revenue:     () => countByDay(succeededPayments(), p => p.createdAt, p => (p.amount || 0) / 100),
+};
+
+// ── Export : ?format=csv sur chaque tableau admin ──
+function csvCell(value) {
+  let s = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(s)) s = "'" + s; // pas de formule exécutée par le tableur
+  return /[",\n;]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+// columns : [{ key, label, value(row) }]
+function sendTable(req, res, name, rows, columns, extra = {}) {
+  if (req.query.format !== 'csv') return res.json({ ...extra, items: rows });
+  audit(req.user.email, 'export_csv', { type: 'table', id: name }, { rows: rows.length, query: { ...req.query, format: undefined } });
+  const lines = [columns.map(c => csvCell(c.label || c.key)), ...rows.map(r => columns.map(c => csvCell(c.value ? c.value(r) : r[c.key])))];
+  res.type('text/csv').attachment(`viralboost-${name}-${dayKey(Date.now())}.csv`).send('﻿' + lines.map(l => l.join(',')).join('\n'));
+}
+
+function userStatus(user) {
+  const restriction = accountRestriction(user);
+  return restriction ? (restriction.code === 'account_banned' ? 'banned' : 'suspended') : 'active';
+}
+
+function adminUserRow(u) {
+  return { email: u.email, name: u.name || '', username: u.username || '', plan: u.plan || 'free', planStatus: u.planStatus || null, status: userStatus(u), createdAt: u.createdAt || null, lastSeenAt: u.lastSeenAt || null, followers: (u.followers || []).length, credits: balanceOf(u.email) };
+}
+
+const USER_COLUMNS = ['email', 'name', 'username', 'plan', 'planStatus', 'status', 'createdAt', 'lastSeenAt', 'followers', 'credits'].map(key => ({ key }));
+
+function analyticsRoute(handler) {
+  return (req, res) => {
+    try { handler(req, res); } catch(e) { res.status(e.status || 500).json(e.payload || { error: e.message }); }
+  };
+}
+
+app.get('/api/admin/analytics/summary', requireStaff('analytics'), analyticsRoute((req, res) => {
+  const range = analyticsRange(req.query);
+  const users = [...db.users.values()];
+  const byPlan = { free: 0, starter: 0, pro: 0, elite: 0 };
+  users.forEach(u => { byPlan[byPlan[u.plan] === undefined ? 'free' : u.plan]++; });
+  const payments = succeededPayments().filter(p => range.inRange(p.createdAt));
+  const revenueBy = (key) => payments.reduce((acc, p) => ({ ...acc, [p[key] || '?']: (acc[p[key] || '?'] || 0) + p.amount / 100 }), {});
+  const changes = db.planChanges.filter(c => range.inRange(c.createdAt));
+  const conversions = changes.filter(isConversion).length;
+  const churned = changes.filter(isChurn).length;
+  const paying = byPlan.starter + byPlan.pro + byPlan.elite;
+  // Payants au début de la période ≈ payants aujourd'hui − entrées + sorties
+  const payingAtStart = Math.max(0, paying - conversions + churned);
+  const dau = range.days.map(d => db.dailyStats.get(d)?.active.length || 0);
+  const series = Object.fromEntries(['posts', 'comments', 'votes', 'messages'].map(m => {
+    const counts = ANALYTICS_METRICS[m]();
+    return [m, range.days.reduce((n, d) => n + (counts.get(d) || 0), 0)];
+  }));
+  const summary = {
+    range: { from: range.from, to: range.to, days: range.days.length },
+    users: { total: users.length, new: users.filter(u => range.inRange(u.createdAt)).length, byPlan, paying },
+    revenue: { total: payments.reduce((n, p) => n + p.amount / 100, 0), payments: payments.length, byCurrency: revenueBy('currency'), byPlan: revenueBy('plan'), failed: db.payments.filter(p => p.status === 'failed' && range.inRange(p.createdAt)).length },
+    conversions: { count: conversions, rate: users.length ? conversions / users.length : 0 },
+    churn: { count: churned, rate: payingAtStart ? churned / payingAtStart : 0 },
+    dau: { average: dau.reduce((a, b) => a + b, 0) / dau.length, max: Math.max(...dau), today: db.dailyStats.get(dayKey(Date.now()))?.active.length || 0 },
+    online: onlineUsers.size,
+    storage: dataStore.describe(),
+    content: series,
+    reports: { pending: db.reports.filter(r => r.status === 'pending').length },
+  };
+  if (!hasStaffPermission(req.user, 'revenue')) REVENUE_METRICS.forEach(m => { delete summary[m]; });
+  res.json(summary);
+}));
+
+// ?metrics=signups,dau,… (toutes par défaut) → une ligne par jour
+app.get('/api/admin/analytics/timeseries', requireStaff('analytics'), analyticsRoute((req, res) => {
+  const range = analyticsRange(req.query);
+  const allowed = Object.keys(ANALYTICS_METRICS).filter(m => !REVENUE_METRICS.includes(m) || hasStaffPermission(req.user, 'revenue'));
+  const wanted = req.query.metrics ? String(req.query.metrics).split(',') : allowed;
+  const unknown = wanted.filter(m => !allowed.includes(m));
+  if (unknown.length) return res.status(400).json({ error: 'Métriques inconnues ou non autorisées : ' + unknown.join(', '), metrics: allowed });
+  const series = Object.fromEntries(wanted.map(m => [m, ANALYTICS_METRICS[m]()]));
+  const rows = range.days.map(day => ({ day, ...Object.fromEntries(wanted.map(m => [m, +(series[m].get(day) || 0).toFixed(2)])) }));
+  sendTable(req, res, 'timeseries', rows, [{ key: 'day' }, ...wanted.map(key => ({ key }))], { from: range.from, to: range.to, metrics: wanted });
+}));
+
+// Créateurs classés sur la période : likes + votes + commentaires reçus
+app.get('/api/admin/analytics/top-creators', requireStaff('analytics'), analyticsRoute((req, res) => {
+  const range = analyticsRange(req.query);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const creators = new Map();
+  const entry = id => {
+    if (!creators.has(id)) creators.set(id, { email: id, posts: 0, projects: 0, likes: 0, votes: 0, comments: 0 });
+    return creators.get(id);
+  };
+  db.posts.filter(p => range.inRange(p.createdAt)).forEach(p => { const e = entry(p.userId); e.posts++; e.likes += p.likes || 0; e.comments += p.comments || 0; });
+  db.projects.filter(p => range.inRange(p.createdAt)).forEach(p => { const e = entry(p.authorId); e.projects++; e.votes += p.votes || 0; });
+  const rows = [...creators.values()]
+    .filter(c => db.users.has(c.email))
+    .map(c => { const u = db.users.get(c.email); return { ...c, name: u.name || '', username: u.username || '', plan: u.plan || 'free', followers: (u.followers || []).length, score: c.likes + c.votes + c.comments }; })
+    .sort((a, b) => b.score - a.score || b.posts - a.posts)
+    .slice(0, limit);
+  sendTable(req, res, 'top-creators', rows, ['email', 'name', 'username', 'plan', 'posts', 'projects', 'likes', 'votes', 'comments', 'followers', 'score'].map(key => ({ key })));
+}));
+
+// Recherche : ?q= (email, nom, @username) &plan= &status=active|suspended|banned &cursor &limit
+app.get('/api/admin/users', requireStaff('users.read'), (req, res) => {
+  const q = String(req.query.q || '').trim().toLowerCase().replace(/^@/, '');
+  const rows = [...db.users.values()]
+    .filter(u => !q || [u.email, u.name, u.username].some(v => String(v || '').toLowerCase().includes(q)))
+    .filter(u => !req.query.plan || (u.plan || 'free') === req.query.plan)
+    .map(adminUserRow)
+    .filter(u => !req.query.status || u.status === req.query.status)
+    .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+  if (req.query.format === 'csv') return sendTable(req, res, 'users', rows, USER_COLUMNS);
+  res.json({ ...paginate(rows, req.query), total: rows.length });
 });
 
+app.get('/api/admin/payments', requireStaff('revenue'), analyticsRoute((req, res) => {
+  const range = analyticsRange(req.query);
+  const rows = db.payments.filter(p => range.inRange(p.createdAt) && (!req.query.status || p.status === req.query.status)).reverse()
+    .map(p => ({ ...p, amount: p.amount / 100 }));
+  sendTable(req, res, 'payments', rows, ['createdAt', 'userId', 'plan', 'kind', 'status', 'amount', 'currency', 'stripeId'].map(key => ({ key })));
+}));
+
 // ════════════════════════════════════════
-// ── ADMIN DASHBOARD (soug759@gmail.com)
+// ── PAGES SEO & BLOG — HTML rendu côté serveur (seo/) pour les robots et les aperçus de liens
+// ── /project/:id · /u/:username · /blog · /blog/:slug · /sitemap.xml · /robots.txt
+// ── db.blogPosts : { id, slug, title, excerpt, body (markdown), tags, emoji, coverUrl,
+// ──                 authorId, authorName, publishAt, createdAt, updatedAt }
+// ── publishAt null → brouillon ; dans le futur → en ligne à l'heure dite, sans job :
+// ── chaque lecture compare simplement la date. Écriture : CMS staff (/api/admin/blog).
 // ════════════════════════════════════════
 
-const ADMIN_KEY = process.env.ADMIN_KEY || 'viralboost-admin';
+const seoPages = createSeoPages({ publicUrl: PUBLIC_URL });
+const BLOG_TITLE_MAX = 140;
+const BLOG_EXCERPT_MAX = 300;
+const BLOG_BODY_MAX = 100000;
+const BLOG_TAGS_MAX = 8;
+const BLOG_RELATED = 3;
+const PROFILE_PAGE_POSTS = 10;
+const SITEMAP_MAX_URLS = 50000;
+// Robots et générateurs d'aperçus : la page leur est servie, la vue n'est pas comptée
+const CRAWLER_RE = /bot|crawl|spider|slurp|preview|facebookexternalhit|embedly|whatsapp|telegram|discord|skype/i;
+
+function isPublished(post, now = Date.now()) {
+  return !!post.publishAt && Date.parse(post.publishAt) <= now;
+}
+
+// Les plus récents d'abord
+function publishedPosts() {
+  const now = Date.now();
+  return db.blogPosts.filter(p => isPublished(p, now)).sort((a, b) => Date.parse(b.publishAt) - Date.parse(a.publishAt));
+}
+
+function blogStatus(post) {
+  if (!post.publishAt) return 'draft';
+  return isPublished(post) ? 'published' : 'scheduled';
+}
+
+function slugify(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80).replace(/-+$/, '');
+}
+
+// Slug libre : suffixe numérique si déjà pris par un autre article
+function uniqueSlug(wanted, ownId = null) {
+  const base = slugify(wanted) || 'article';
+  let candidate = base;
+  for (let n = 2; ; n++) {
+    const taken = db.blogPosts.find(p => p.slug === candidate);
+    if (!taken || taken.id === ownId) return candidate;
+    candidate = base + '-' + n;
+  }
+}
+
+// Tableau ou « a, b, c » → tags en minuscules, sans doublon
+function blogTags(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(t => slugify(String(t).replace(/^#/, ''))).filter(Boolean))].slice(0, BLOG_TAGS_MAX);
+}
+
+// Corps de la requête → { fields } ou { error } ; `partial` (PATCH) : seuls les champs envoyés
+function blogFields(body, partial = false) {
+  const fields = {};
+  const has = key => body[key] !== undefined;
+  if (!partial || has('title')) {
+    const title = String(body.title || '').trim();
+    if (!title || title.length > BLOG_TITLE_MAX) return { error: `Titre requis (${BLOG_TITLE_MAX} caractères max.)` };
+    fields.title = title;
+  }
+  if (!partial || has('body')) {
+    const text = String(body.body || '');
+    if (!text.trim() || text.length > BLOG_BODY_MAX) return { error: 'Contenu requis (markdown, 100 000 caractères max.)' };
+    fields.body = text;
+  }
+  if (!partial || has('excerpt')) fields.excerpt = String(body.excerpt || '').trim().slice(0, BLOG_EXCERPT_MAX);
+  if (!partial || has('emoji')) fields.emoji = String(body.emoji || '').trim().slice(0, 8) || null;
+  if (!partial || has('tags')) fields.tags = blogTags(body.tags);
+  if (!partial || has('coverUrl')) {
+    const cover = String(body.coverUrl || '').trim() || null;
+    if (cover && !MEDIA_URL_RE.test(cover) && !/^https:\/\/\S+$/.test(cover)) return { error: 'Image de couverture invalide (média du site ou URL https)' };
+    fields.coverUrl = cover;
+  }
+  if (!partial || has('publishAt')) {
+    const at = body.publishAt ? Date.parse(body.publishAt) : null;
+    if (body.publishAt && !at) return { error: 'Date de publication invalide' };
+    fields.publishAt = at ? new Date(at).toISOString() : null;
+  }
+  if (has('slug') && body.slug && !slugify(body.slug)) return { error: 'Slug invalide' };
+  return { fields };
+}
+
+function blogPostRow(post) {
+  return { ...post, status: blogStatus(post), url: `${PUBLIC_URL}/blog/${post.slug}` };
+}
+
+// Articles de l'ancien blog.html, une seule fois : publiés à la date du premier démarrage
+function seedBlogPosts() {
+  if (db.blogPosts.length) return;
+  const now = Date.now();
+  BLOG_SEED.forEach((article, i) => {
+    const at = new Date(now - i * 1000).toISOString(); // garde l'ordre de l'ancienne page
+    db.blogPosts.push({ ...article, id: 'blog_' + (now - i) + '_' + crypto.randomBytes(3).toString('hex'), coverUrl: null, authorId: null, authorName: 'ViralBoost Team', publishAt: at, createdAt: at, updatedAt: at });
+  });
+}
+
+// ── CMS (staff) ──
+app.get('/api/admin/blog', requireStaff('blog'), (req, res) => {
+  const rows = db.blogPosts
+    .map(blogPostRow)
+    .filter(p => !req.query.status || p.status === req.query.status)
+    .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+  res.json({ ...paginate(rows, req.query), total: rows.length });
+});
 
-app.get('/api/admin/all-users', (req, res) => {
-  if (req.query.key !== ADMIN_KEY) return res.status(403).json({ error: 'Accès refusé' });
-  res.json(Array.from(db.users.values()));
+// Aperçu du markdown tel qu'il sera publié
+app.post('/api/admin/blog/preview', requireStaff('blog'), (req, res) => {
+  res.json({ html: renderMarkdown(String(req.body.body || '').slice(0, BLOG_BODY_MAX)) });
 });
 
-app.get('/api/admin/reports', (req, res) => {
-  if (req.query.key !== ADMIN_KEY) return res.status(403).json({ error: 'Accès refusé' });
-  res.json([...db.reports].reverse());
+// { title, slug?, body, excerpt, emoji, tags, coverUrl, publishAt } — sans publishAt : brouillon
+app.post('/api/admin/blog', requireStaff('blog'), (req, res) => {
+  const { fields, error } = blogFields(req.body);
+  if (error) return res.status(400).json({ error });
+  const now = new Date().toISOString();
+  const post = {
+    id: 'blog_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+    ...fields,
+    slug: uniqueSlug(req.body.slug || fields.title),
+    authorId: req.user.email,
+    authorName: req.user.name || null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  db.blogPosts.push(post);
+  audit(moderatorOf(req), 'blog_create', { type: 'blog', id: post.id }, { slug: post.slug, status: blogStatus(post) });
+  saveData();
+  res.json({ ok: true, post: blogPostRow(post) });
 });
 
-app.get('/api/admin/dms', (req, res) => {
-  if (req.query.key !== ADMIN_KEY) return res.status(403).json({ error: 'Accès refusé' });
-  res.json([...db.adminDMs].reverse());
+// Seuls les champs envoyés changent ; changer le slug change l'URL publique
+app.patch('/api/admin/blog/:id', requireStaff('blog'), (req, res) => {
+  const post = db.blogPosts.find(p => p.id === req.params.id);
+  if (!post) return res.status(404).json({ error: 'Article introuvable' });
+  const { fields, error } = blogFields(req.body, true);
+  if (error) return res.status(400).json({ error });
+  const from = { slug: post.slug, status: blogStatus(post) };
+  Object.assign(post, fields, { updatedAt: new Date().toISOString() });
+  if (req.body.slug) post.slug = uniqueSlug(req.body.slug, post.id);
+  audit(moderatorOf(req), 'blog_update', { type: 'blog', id: post.id }, { from, to: { slug: post.slug, status: blogStatus(post) } });
+  saveData();
+  res.json({ ok: true, post: blogPostRow(post) });
 });
 
-app.post('/api/admin/ban', (req, res) => {
-  if (req.body.key !== ADMIN_KEY) return res.status(403).json({ error: 'Accès refusé' });
-  const user = db.users.get(req.body.email);
-  if (user) { user.banned = true; user.bannedAt = new Date().toISOString(); saveData(); }
-  sendToUser(req.body.email, { type: 'banned', message: 'Ton compte a été suspendu.' });
+app.delete('/api/admin/blog/:id', requireStaff('blog'), (req, res) => {
+  const post = db.blogPosts.find(p => p.id === req.params.id);
+  if (!post) return res.status(404).json({ error: 'Article introuvable' });
+  db.blogPosts = db.blogPosts.filter(p => p !== post);
+  audit(moderatorOf(req), 'blog_delete', { type: 'blog', id: post.id }, { slug: post.slug, title: post.title });
+  saveData();
   res.json({ ok: true });
 });
 
-app.get('/admin', (req, res) => {
-  if (req.query.key !== ADMIN_KEY) return res.status(403).send('<h1>🚫 Accès refusé</h1>');
-
-  const users    = Array.from(db.users.values()).sort((a,b) => new Date(b.createdAt) - new Date(a.createdAt));
-  const reports  = [...db.reports].reverse().slice(0, 50);
-  const adminDMs = [...db.adminDMs].reverse();
-  const posts    = db.posts.slice(0, 30);
-  const projects = db.projects.slice(0, 30);
-
-  const total = users.length;
-  const plans = { free: 0, starter: 0, pro: 0, elite: 0 };
-  users.forEach(u => { const p = u.plan || 'free'; if (plans[p] !== undefined) plans[p]++; else plans.free++; });
-  const revenue = (plans.starter * 3 + plans.pro * 14.99 + plans.elite * 39.99).toFixed(2);
-  const payants = plans.starter + plans.pro + plans.elite;
-  const today = new Date(); today.setHours(0,0,0,0);
-  const newToday = users.filter(u => u.createdAt && new Date(u.createdAt) >= today).length;
-  const now = new Date().toLocaleString('fr-FR');
-
-  res.send(`<!DOCTYPE html>
-<html lang="fr"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1">
-<title>ViralBoost — Admin</title>
-<style>
-*{box-sizing:border-box;margin:0;padding:0;}
-body{font-family:'Segoe UI',system-ui,sans-serif;background:#030a04;color:#e8fef0;min-height:100vh;}
-.topbar{background:#071009;border-bottom:1px solid rgba(34,197,94,.2);padding:16px 32px;display:flex;align-items:center;justify-content:space-between;position:sticky;top:0;z-index:99;}
-.logo{font-size:20px;font-weight:900;background:linear-gradient(135deg,#22c55e,#86efac);-webkit-background-clip:text;-webkit-text-fill-color:transparent;}
-.live{display:inline-flex;align-items:center;gap:6px;background:rgba(34,197,94,.1);border:1px solid rgba(34,197,94,.2);color:#4ade80;padding:5px 13px;border-radius:20px;font-size:11px;font-weight:700;}
-.dot{width:7px;height:7px;background:#22c55e;border-radius:50%;animation:blink 1.5s infinite;}
-@keyframes blink{0%,100%{opacity:1}50%{opacity:.3}}
-.wrap{max-width:1250px;margin:0 auto;padding:28px 24px;}
-.meta{color:#2d5a38;font-size:11px;margin-bottom:24px;}
-.grid{display:grid;grid-template-columns:repeat(auto-fit,minmax(170px,1fr));gap:14px;margin-bottom:36px;}
-.card{background:#0a1609;border:1px solid rgba(34,197,94,.12);border-radius:14px;padding:20px;position:relative;overflow:hidden;}
-.card::after{content:'';position:absolute;top:0;left:0;right:0;height:3px;background:var(--c,linear-gradient(90deg,#22c55e,#4ade80));}
-.card.orange{--c:linear-gradient(90deg,#f97316,#fdba74);}
-.card.blue{--c:linear-gradient(90deg,#3b82f6,#93c5fd);}
-.card.purple{--c:linear-gradient(90deg,#a855f7,#d8b4fe);}
-.card.gold{--c:linear-gradient(90deg,#eab308,#fde047);}
-.card.red{--c:linear-gradient(90deg,#ef4444,#fca5a5);}
-.card.teal{--c:linear-gradient(90deg,#14b8a6,#5eead4);}
-.ico{font-size:26px;margin-bottom:8px;}
-.num{font-size:34px;font-weight:900;color:#f0fdf4;line-height:1;}
-.lbl{font-size:10px;color:#4a7a58;margin-top:5px;font-weight:700;text-transform:uppercase;letter-spacing:.5px;}
-.sub{font-size:10px;color:#1a3a1e;margin-top:3px;}
-.rev{font-size:28px;font-weight:900;color:#fbbf24;}
-.sec{margin-bottom:36px;}
-.sec-title{font-size:15px;font-weight:800;color:#22c55e;margin-bottom:12px;}
-.tbl-wrap{background:#080f09;border:1px solid rgba(34,197,94,.1);border-radius:14px;overflow:auto;}
-table{width:100%;border-collapse:collapse;min-width:600px;}
-th{padding:11px 15px;text-align:left;font-size:10px;color:#4a7a58;letter-spacing:1.5px;text-transform:uppercase;font-weight:700;border-bottom:1px solid rgba(34,197,94,.08);}
-td{padding:11px 15px;border-bottom:1px solid rgba(34,197,94,.04);font-size:13px;vertical-align:middle;}
-tbody tr:last-child td{border-bottom:none;}
-.bp{display:inline-flex;align-items:center;gap:3px;padding:3px 9px;border-radius:20px;font-size:10px;font-weight:800;}
-.bp.free{background:rgba(74,122,88,.18);color:#6b9e7a;border:1px solid rgba(74,122,88,.3);}
-.bp.starter{background:rgba(34,197,94,.1);color:#4ade80;border:1px solid rgba(34,197,94,.25);}
-.bp.pro{background:rgba(59,130,246,.15);color:#93c5fd;border:1px solid rgba(59,130,246,.3);}
-.bp.elite{background:rgba(234,179,8,.12);color:#fbbf24;border:1px solid rgba(234,179,8,.3);}
-.em{background:rgba(34,197,94,.06);border:1px solid rgba(34,197,94,.15);color:#4ade80;padding:2px 9px;border-radius:6px;font-size:11px;font-family:monospace;}
-.btn{background:rgba(34,197,94,.1);border:1px solid rgba(34,197,94,.25);color:#4ade80;padding:7px 16px;border-radius:8px;font-size:11px;font-weight:700;cursor:pointer;text-decoration:none;display:inline-block;}
-.empty{padding:32px;text-align:center;color:#1a3a1e;font-size:13px;}
-.storage-info{background:rgba(34,197,94,.04);border:1px solid rgba(34,197,94,.12);border-radius:10px;padding:14px 18px;margin-bottom:24px;font-size:12px;color:#4a7a58;display:flex;align-items:center;gap:10px;}
-</style></head><body>
-
-<div class="topbar">
-  <div style="display:flex;align-items:center;gap:12px;">
-    <div class="logo">⚡ ViralBoost</div>
-    <span style="background:rgba(34,197,94,.1);border:1px solid rgba(34,197,94,.2);color:#4ade80;padding:3px 10px;border-radius:4px;font-size:10px;font-weight:800">👑 ADMIN</span>
-  </div>
-  <div style="display:flex;align-items:center;gap:12px;">
-    <div class="live"><span class="dot"></span>${onlineUsers.size} en ligne</div>
-    <a href="/admin?key=${ADMIN_KEY}" class="btn">🔄 Actualiser</a>
-  </div>
-</div>
-
-<div class="wrap">
-  <div class="meta">🕐 ${now}</div>
-
-  <div class="storage-info">
-    💾 <strong>Mode fichier JSON</strong> — Toutes les données sont sauvegardées dans <code>data.json</code> sur le serveur Render. Aucune base de données requise. Sauvegarde automatique toutes les 30 secondes.
-  </div>
-
-  <div class="grid">
-    <div class="card"><div class="ico">👥</div><div class="num">${total}</div><div class="lbl">Inscrits</div><div class="sub">+${newToday} aujourd'hui</div></div>
-    <div class="card orange"><div class="ico">🆓</div><div class="num">${plans.free}</div><div class="lbl">FREE</div></div>
-    <div class="card blue"><div class="ico">🚀</div><div class="num">${plans.starter}</div><div class="lbl">STARTER 3€</div><div class="sub">${(plans.starter*3).toFixed(0)}€</div></div>
-    <div class="card purple"><div class="ico">💎</div><div class="num">${plans.pro}</div><div class="lbl">PRO 14,99€</div><div class="sub">${(plans.pro*14.99).toFixed(0)}€</div></div>
-    <div class="card gold"><div class="ico">👑</div><div class="num">${plans.elite}</div><div class="lbl">ELITE 39,99€</div><div class="sub">${(plans.elite*39.99).toFixed(0)}€</div></div>
-    <div class="card gold"><div class="ico">💰</div><div class="rev">${revenue}€</div><div class="lbl">Revenu mensuel</div><div class="sub">${payants} payant${payants>1?'s':''}</div></div>
-    <div class="card teal"><div class="ico">💬</div><div class="num">${db.chatMessages.length}</div><div class="lbl">Msgs chat</div></div>
-    <div class="card red"><div class="ico">🚨</div><div class="num">${reports.length}</div><div class="lbl">Signalements</div></div>
-    <div class="card"><div class="ico">📢</div><div class="num">${db.posts.length}</div><div class="lbl">Publications</div></div>
-    <div class="card"><div class="ico">✨</div><div class="num">${db.projects.length}</div><div class="lbl">Projets vitrine</div></div>
-  </div>
-
-  <!-- USERS -->
-  <div class="sec">
-    <div class="sec-title">👥 Utilisateurs — ${total}</div>
-    <div class="tbl-wrap">
-      ${!users.length ? '<div class="empty">Aucun utilisateur inscrit</div>' : `
-      <table>
-        <thead><tr><th>#</th><th>Nom</th><th>Email</th><th>Plan</th><th>Inscrit le</th><th>Statut</th></tr></thead>
-        <tbody>${users.map((u,i) => `<tr>
-          <td style="color:#2d5a38;font-size:11px">${i+1}</td>
-          <td><strong>${u.name||'—'}</strong>${u.username?` <span style="color:#2d5a38;font-size:11px">@${u.username}</span>`:''}</td>
-          <td><span class="em">${u.email}</span></td>
-          <td><span class="bp ${u.plan||'free'}">${(u.plan||'free').toUpperCase()}</span></td>
-          <td style="color:#4a7a58;font-size:12px">${u.createdAt?new Date(u.createdAt).toLocaleString('fr-FR'):'—'}</td>
-          <td>${u.banned?'<span style="color:#f87171;font-weight:700">🚫 Banni</span>':'<span style="color:#22c55e;font-weight:700">✅ Actif</span>'}</td>
-        </tr>`).join('')}</tbody>
-      </table>`}
-    </div>
-  </div>
-
-  <!-- SIGNALEMENTS -->
-  ${reports.length ? `<div class="sec">
-    <div class="sec-title">🚨 Signalements — ${reports.length}</div>
-    <div class="tbl-wrap"><table>
-      <thead><tr><th>#</th><th>Reporter</th><th>Signalé</th><th>Raison</th><th>Date</th></tr></thead>
-      <tbody>${reports.map((r,i) => `<tr>
-        <td style="color:#2d5a38;font-size:11px">${i+1}</td>
-        <td><span class="em">${r.reporterEmail||r.reporterName||'?'}</span></td>
-        <td style="color:#f87171;font-weight:700">${r.reportedName||r.reportedId||'?'}</td>
-        <td><span class="bp free">${r.reason||'?'}</span></td>
-        <td style="font-size:11px;color:#4a7a58">${r.createdAt?new Date(r.createdAt).toLocaleString('fr-FR'):'—'}</td>
-      </tr>`).join('')}</tbody>
-    </table></div>
-  </div>` : ''}
-
-  <!-- DMs ADMIN -->
-  ${adminDMs.length ? `<div class="sec">
-    <div class="sec-title">📩 DMs Admin — ${adminDMs.length}</div>
-    <div class="tbl-wrap"><table>
-      <thead><tr><th>#</th><th>De</th><th>Plan</th><th>Message</th><th>Date</th></tr></thead>
-      <tbody>${adminDMs.map((d,i) => `<tr>
-        <td style="color:#2d5a38;font-size:11px">${i+1}</td>
-        <td><strong>${d.fromName||'?'}</strong><br><span class="em" style="font-size:10px">${d.fromEmail||''}</span></td>
-        <td><span class="bp ${d.fromPlan||'free'}">${(d.fromPlan||'free').toUpperCase()}</span></td>
-        <td style="max-width:300px;font-size:12px">${d.text||d.message||'—'}</td>
-        <td style="font-size:11px;color:#4a7a58">${d.createdAt?new Date(d.createdAt).toLocaleString('fr-FR'):'—'}</td>
-      </tr>`).join('')}</tbody>
-    </table></div>
-  </div>` : ''}
-
-  <!-- PUBLICATIONS RÉCENTES -->
-  ${posts.length ? `<div class="sec">
-    <div class="sec-title">📢 Publications récentes — ${db.posts.length} total</div>
-    <div class="tbl-wrap"><table>
-      <thead><tr><th>#</th><th>Auteur</th><th>Plan</th><th>Contenu</th><th>Likes</th><th>Date</th></tr></thead>
-      <tbody>${posts.map((p,i) => `<tr>
-        <td style="color:#2d5a38;font-size:11px">${i+1}</td>
-        <td><strong>${p.author||'?'}</strong></td>
-        <td><span class="bp ${p.plan||'free'}">${(p.plan||'free').toUpperCase()}</span></td>
-        <td style="max-width:300px;font-size:12px;color:#6b9e7a">${(p.text||'').slice(0,100)}${(p.text||'').length>100?'...':''}</td>
-        <td style="color:#4ade80;font-weight:700">❤️ ${p.likes||0}</td>
-        <td style="font-size:11px;color:#4a7a58">${p.createdAt?new Date(p.createdAt).toLocaleString('fr-FR'):'—'}</td>
-      </tr>`).join('')}</tbody>
-    </table></div>
-  </div>` : ''}
-
-  <div style="margin-top:24px;padding:14px;background:rgba(255,215,0,.04);border:1px solid rgba(255,215,0,.1);border-radius:8px;font-size:11px;color:#4a7a58;text-align:center">
-    👑 Admin réservé à soug759@gmail.com · ViralBoost v2 · Fichier data.json · Aucune base de données requise
-  </div>
-</div>
-</body></html>`);
-});
-
-// ── ROBOTS.TXT — SEO ──
+// Articles publiés, sans le corps : ?tag= &cursor &limit
+app.get('/api/blog', (req, res) => {
+  const tag = slugify(req.query.tag);
+  const posts = publishedPosts().filter(p => !tag || (p.tags || []).includes(tag)).map(({ body, ...post }) => post);
+  res.json(paginate(posts, req.query));
+});
+
+// ── Pages rendues côté serveur ──
+function sendPage(res, html, status = 200) {
+  res.status(status).type('html').set('Cache-Control', status === 200 ? 'public, max-age=300' : 'no-cache').send(html);
+}
+
+// Même visibilité que la vitrine publique : ni masqué, ni expiré, quel que soit le visiteur
+app.get('/project/:id', (req, res) => {
+  const proj = db.projects.find(p => p.id === req.params.id && isProjectLive(p) && isVisible(p));
+  if (!proj) return sendPage(res, seoPages.notFoundPage('This project does not exist or is no longer in the showcase.'), 404);
+  if (!CRAWLER_RE.test(req.get('user-agent') || '')) trackProject(req, proj, 'views', { referrer: referrerSource(req) });
+  const author = db.users.get(proj.authorId);
+  sendPage(res, seoPages.projectPage(proj, author && !accountRestriction(author) && author.username ? profileCard(author) : null));
+});
+
+app.get('/u/:username', (req, res) => {
+  const user = findUserByUsername(req.params.username);
+  if (!user || accountRestriction(user)) return sendPage(res, seoPages.notFoundPage('This profile does not exist.'), 404);
+  const posts = db.posts.filter(p => p.userId === user.email && isVisible(p)).sort((a, b) => compareKeys(postKey(a), postKey(b)));
+  sendPage(res, seoPages.profilePage(profileCard(user), {
+    bio: user.bio || '',
+    followersCount: (user.followers || []).length,
+    projects: db.projects.filter(p => p.authorId === user.email && isProjectLive(p) && isVisible(p)),
+    posts: posts.slice(0, PROFILE_PAGE_POSTS),
+  }));
+});
+
+// ?tag= — la page filtrée n'est pas indexée (doublon de /blog)
+app.get('/blog', (req, res) => {
+  const posts = publishedPosts();
+  const tags = [...new Set(posts.flatMap(p => p.tags || []))].sort();
+  const tag = req.query.tag ? slugify(req.query.tag) : null;
+  sendPage(res, seoPages.blogIndexPage(tag ? posts.filter(p => (p.tags || []).includes(tag)) : posts, { tag, tags }));
+});
+
+// Ancienne page statique
+app.get('/blog.html', (req, res) => res.redirect(301, '/blog'));
+
+app.get('/blog/:slug', (req, res) => {
+  const post = db.blogPosts.find(p => p.slug === req.params.slug && isPublished(p));
+  if (!post) return sendPage(res, seoPages.notFoundPage('This article does not exist or is not published yet.'), 404);
+  // Mêmes tags d'abord, puis les plus récents
+  const shared = p => (p.tags || []).filter(t => (post.tags || []).includes(t)).length;
+  const related = publishedPosts().filter(p => p !== post).sort((a, b) => shared(b) - shared(a)).slice(0, BLOG_RELATED);
+  sendPage(res, seoPages.blogPostPage(post, { related }));
+});
+
+// Accueil, blog, projets en vitrine et profils publics (comptes non bannis avec @username)
+app.get('/sitemap.xml', (req, res) => {
+  const posts = publishedPosts();
+  const projects = db.projects.filter(p => isProjectLive(p) && isVisible(p));
+  const entries = [
+    { path: '/', changefreq: 'daily', priority: 1, lastmod: projects.reduce((max, p) => (p.createdAt > max ? p.createdAt : max), '') || null },
+    { path: '/blog', changefreq: 'weekly', priority: 0.8, lastmod: posts[0]?.publishAt || null },
+    ...posts.map(p => ({ path: '/blog/' + encodeURIComponent(p.slug), lastmod: p.updatedAt > p.publishAt ? p.updatedAt : p.publishAt, changefreq: 'monthly', priority: 0.7 })),
+    ...projects.map(p => ({ path: '/project/' + encodeURIComponent(p.id), lastmod: p.createdAt, changefreq: 'daily', priority: 0.6 })),
+    ...[...db.users.values()].filter(u => u.username && !accountRestriction(u)).map(u => ({ path: '/u/' + encodeURIComponent(u.username), changefreq: 'weekly', priority: 0.4 })),
+  ];
+  res.type('application/xml').set('Cache-Control', 'public, max-age=3600').send(seoPages.sitemap(entries.slice(0, SITEMAP_MAX_URLS)));
+});
+
 app.get('/robots.txt', (req, res) => {
-  res.type('text/plain');
-  res.send('User-agent: *\nAllow: /\nSitemap: https://viralboost.onrender.com/sitemap.xml');
+  res.type('text/plain').send(seoPages.robots());
 });
 
+// Page statique : connexion puis données via /api/admin/* selon le rôle de la session
+app.get('/admin', (req, res) => res.sendFile(path.join(__dirname, 'admin.html')));
+
 // ── HEALTH CHECK (obligatoire pour Render + monitoring) ──
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', uptime: Math.floor(process.uptime()), users: db.users.size, posts: db.posts.length, ts: Date.now() });
+  res.json({ status: 'ok', uptime: Math.floor(process.uptime()), users: db.users.size, posts: db.posts.length, instance: cluster.instanceId, realtime: hub.stats(), jobs: scheduler.stats(), ts: Date.now() });
 });
 
 // ── FALLBACK SPA ──
@@ -678,9 +5342,44 @@ app.get('*', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
 const PORT = process.env.PORT || 3000;
 const HOST = '0.0.0.0'; // Render exige 0.0.0.0, jamais localhost
 
-server.listen(PORT, HOST, () => {
-  console.log(`✅ ViralBoost démarré sur http://${HOST}:${PORT}`);
-  console.log(`📊 Admin : /admin?key=${process.env.ADMIN_KEY || 'viralboost-admin'}`);
-  console.log(`💾 Persistance : data.json`);
-  console.log(`🌐 Health : /health`);
+async function start() {
+  if (realtimeBus.name !== 'memory' && !dataStore.shared) {
+    throw new Error(`REALTIME_BUS=${realtimeBus.name} : plusieurs instances exigent un stockage partagé (STORAGE_DRIVER=mongo), ${dataStore.describe()} n'accepte qu'une instance`);
+  }
+  Object.assign(db, hydrate(await dataStore.load()));
+  rebuildBalances();
+  releaseStaleAIReservations();
+  backfillVitrineExpiry();
+  backfillVotes();
+  backfillBoosts();
+  backfillMediaRefs();
+  backfillGroupMembers();
+  bootstrapStaffOwner(db.users.get(ADMIN_EMAIL));
+  backfillTickets();
+  seedCannedResponses();
+  seedBlogPosts();
+  backfillCampaignJobs();
+  await renewJobsLease();
+  setInterval(renewJobsLease, JOBS_LEASE_MS / 3).unref();
+  scheduler.start();
+  await mediaPipeline.hasFfmpeg();
+  await realtimeBus.start();
+  console.log(`✅ Données chargées : ${db.users.size} users · ${db.posts.length} posts · ${db.projects.length} projets · ${db.chatMessages.length} msgs chat`);
+
+  server.listen(PORT, HOST, () => {
+    console.log(`✅ ViralBoost démarré sur http://${HOST}:${PORT}`);
+    console.log(`📊 Admin : /admin (comptes staff · owner initial : ${ADMIN_EMAIL})`);
+    console.log(`💾 Persistance : ${dataStore.describe()}`);
+    console.log(`🛡️ Modération auto : ${moderator.describe()}`);
+    console.log(`🖼️ Médias : ${mediaPipeline.describe()}`);
+    console.log(`📡 Temps réel : ${realtimeBus.describe()} · instance ${cluster.instanceId}`);
+    console.log(`📧 Emails : ${mailer.describe()}`);
+    console.log(`⏱️ Jobs : ${scheduler.describe()}`);
+    console.log(`🌐 Health : /health`);
+  });
+}
+
+start().catch(e => {
+  console.error('❌ Démarrage impossible :', e.message);
+  process.exit(1);
 });
@@ -0,0 +1,122 @@
+// ════════════════════════════════════════
+// ── COUCHE DE STOCKAGE — collections de `db` + choix du driver
+// ── STORAGE_DRIVER=json  (défaut) → fichier data.json écrit atomiquement
+// ── STORAGE_DRIVER=mongo          → MongoDB (MONGODB_URI, MONGODB_DB), partageable
+// ──                                   entre plusieurs instances
+// ── Forme commune : { load, save(raw), reload(changes), acquireLease, close, shared }
+// ════════════════════════════════════════
+
+const path = require('path');
+const { createJsonDriver } = require('./json');
+const { createMongoDriver } = require('./mongo');
+
+// Forme de chaque collection en mémoire :
+//   map     → Map<clé, objet>           (users, groups…)
+//   mapList → Map<clé, tableau>          (groupMessages, dmThreads)
+//   list    → tableau d'objets avec `id` (posts, projects…)
+// `order` sert au driver Mongo pour reconstruire l'ordre des listes au chargement.
+const COLLECTIONS = {
+  users:         { kind: 'map' },
+  sessions:      { kind: 'map', keep: s => s.expiresAt > Date.now() },
+  usage:         { kind: 'map' },
+  payments:      { kind: 'list', order: ['createdAt', 1] },
+  aiUsage:       { kind: 'list', order: ['createdAt', 1] },
+  coachSessions: { kind: 'list', order: ['createdAt', 1] },
+  posts:         { kind: 'list', order: ['createdAt', -1] },
+  comments:      { kind: 'list', order: ['createdAt', 1] },
+  reactions:     { kind: 'map' },
+  shares:        { kind: 'map' },
+  projects:      { kind: 'list', order: ['createdAt', -1] },
+  groups:        { kind: 'map' },
+  media:         { kind: 'map' },
+  groupMessages: { kind: 'mapList' },
+  dmThreads:     { kind: 'mapList' },
+  reports:       { kind: 'list', order: ['createdAt', 1] },
+  notifications: { kind: 'list', order: ['createdAt', 1] },
+  moderationLog: { kind: 'list', order: ['createdAt', 1] },
+  adminDMs:      { kind: 'list', order: ['createdAt', 1] }, // ancien format, repris en tickets au démarrage
+  tickets:       { kind: 'list', order: ['createdAt', 1] },
+  cannedResponses: { kind: 'map' },
+  chatMessages:  { kind: 'list', order: ['timestamp', 1], keepLast: 200 },
+  votes:         { kind: 'map' },
+  projectStats:  { kind: 'map' },
+  dailyStats:    { kind: 'map' },
+  planChanges:   { kind: 'list', order: ['createdAt', 1] },
+  ledger:        { kind: 'list', order: ['createdAt', 1] },
+  gameProfiles:  { kind: 'map' },
+  dailyProgress: { kind: 'map', keep: p => Date.parse(p.day) > Date.now() - 35 * 86400000 },
+  collabRequests: { kind: 'list', order: ['createdAt', 1] },
+  contacts:      { kind: 'list', order: ['createdAt', 1] },
+  campaigns:     { kind: 'list', order: ['createdAt', 1] },
+  mailDeliveries: { kind: 'list', order: ['createdAt', 1] },
+  jobs:          { kind: 'list', order: ['createdAt', 1] },
+  scheduledPosts: { kind: 'list', order: ['createdAt', 1] },
+  stories:       { kind: 'list', order: ['createdAt', 1] },
+  blogPosts:     { kind: 'list', order: ['createdAt', 1] },
+};
+
+// Données brutes (JSON) → objets de travail en mémoire
+function hydrate(raw = {}) {
+  const db = {};
+  for (const [name, def] of Object.entries(COLLECTIONS)) {
+    const value = raw[name];
+    if (def.kind === 'list') db[name] = Array.isArray(value) ? value : [];
+    else db[name] = new Map(Object.entries(value || {}));
+  }
+  return db;
+}
+
+// Objets en mémoire → données brutes sérialisables
+function snapshot(db) {
+  const raw = {};
+  for (const [name, def] of Object.entries(COLLECTIONS)) {
+    const value = db[name];
+    if (def.kind === 'list') raw[name] = def.keepLast ? value.slice(-def.keepLast) : value;
+    else raw[name] = Object.fromEntries(def.keep ? [...value].filter(([, v]) => def.keep(v)) : value);
+  }
+  return raw;
+}
+
+// Remplace un objet sur place : les références déjà tenues ailleurs restent valables
+function replaceInPlace(target, value) {
+  Object.keys(target).forEach(key => delete target[key]);
+  return Object.assign(target, value);
+}
+
+// Élément d'une liste : remplacé, retiré, ou inséré à sa place selon `order`
+function applyListEntry(list, def, id, value) {
+  const idx = list.findIndex(item => String(item.id) === id);
+  if (!value) return idx !== -1 && list.splice(idx, 1);
+  if (idx !== -1) return replaceInPlace(list[idx], value);
+  const [field, dir] = def.order || ['createdAt', 1];
+  const at = list.findIndex(item => (new Date(item[field]) - new Date(value[field])) * dir > 0);
+  list.splice(at === -1 ? list.length : at, 0, value);
+}
+
+// Entrées relues du stockage ({ collection: { id: entrée brute | null } }, null = supprimée)
+// → appliquées à `db` en mémoire ; renvoie les noms des collections touchées
+function applyEntries(db, entries) {
+  for (const [name, docs] of Object.entries(entries)) {
+    const def = COLLECTIONS[name];
+    for (const [id, value] of Object.entries(docs)) {
+      if (def.kind === 'list') applyListEntry(db[name], def, id, value);
+      else if (!value) db[name].delete(id);
+      else if (!db[name].has(id)) db[name].set(id, value);
+      else if (def.kind === 'map') replaceInPlace(db[name].get(id), value);
+      else db[name].get(id).splice(0, Infinity, ...value);
+    }
+  }
+  return Object.keys(entries);
+}
+
+function createStorage(env = process.env) {
+  const driver = (env.STORAGE_DRIVER || 'json').toLowerCase();
+  if (driver === 'mongo' || driver === 'mongodb') {
+    if (!env.MONGODB_URI) throw new Error('MONGODB_URI requis avec STORAGE_DRIVER=mongo');
+    return createMongoDriver({ uri: env.MONGODB_URI, dbName: env.MONGODB_DB || 'viralboost', collections: COLLECTIONS });
+  }
+  if (driver !== 'json') throw new Error(`STORAGE_DRIVER inconnu : ${driver}`);
+  return createJsonDriver({ file: env.DATA_FILE || path.join(__dirname, '..', 'data.json') });
+}
+
+module.exports = { COLLECTIONS, hydrate, snapshot, applyEntries, createStorage, createJsonDriver, createMongoDriver };
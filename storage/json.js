@@ -0,0 +1,45 @@
+// ── Driver fichier JSON : un seul fichier, réécrit de façon atomique
+// ── (fichier temporaire + fsync + rename) pour qu'un crash ne laisse
+// ── jamais un data.json à moitié écrit.
+// ── Une seule instance par fichier (shared: false) : rien ne relit les écritures d'un
+// ── autre processus, le serveur refuse donc ce driver en mode multi-instances.
+
+const fs = require('fs');
+const path = require('path');
+
+function createJsonDriver({ file }) {
+  const tmpFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+
+  async function load() {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch(e) {
+      if (e.code !== 'ENOENT') console.log(`⚠️  ${path.basename(file)} illisible, on repart de zéro`);
+      return {};
+    }
+  }
+
+  async function save(raw) {
+    const handle = await fs.promises.open(tmpFile, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(raw, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tmpFile, file);
+  }
+
+  return {
+    name: 'json',
+    shared: false,
+    describe: () => path.basename(file),
+    load,
+    save,
+    reload: async () => ({}),
+    acquireLease: async () => true, // seule instance : tous les baux lui reviennent
+    close: async () => {},
+  };
+}
+
+module.exports = { createJsonDriver };
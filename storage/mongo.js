@@ -0,0 +1,190 @@
+// ── Driver MongoDB : une collection Mongo par collection de `db`.
+// ── Chaque sauvegarde compare l'état courant au dernier état écrit et
+// ── n'envoie que les documents ajoutés, modifiés ou supprimés.
+// ── Base partagée entre instances : chaque document porte une révision (`_rev`) et n'est
+// ── remplacé ou supprimé que s'il n'a pas changé depuis notre dernière lecture. Sinon la
+// ── version de la base l'emporte : save() la renvoie dans `conflicts`, à remettre en mémoire.
+
+const { MongoClient } = require('mongodb');
+
+const LEASES = '_leases';
+
+// Entrées en mémoire → documents Mongo { …, _id }
+function toDocs(def, value) {
+  const docs = new Map();
+  if (def.kind === 'list') {
+    value.forEach((item, i) => {
+      let id = String(item.id ?? i);
+      // ids horodatés en double (même milliseconde) : on les distingue
+      for (let n = 2; docs.has(id); n++) id = `${item.id}#${n}`;
+      docs.set(id, { ...item, _id: id });
+    });
+  } else if (def.kind === 'map') {
+    for (const [key, doc] of Object.entries(value)) docs.set(key, { ...doc, _id: key });
+  } else {
+    for (const [key, items] of Object.entries(value)) docs.set(key, { items, _id: key });
+  }
+  return docs;
+}
+
+// Document lu en base → entrée brute (objet, ou tableau pour mapList)
+function fromDoc(def, doc) {
+  const { _id, _rev, ...item } = doc;
+  return def.kind === 'mapList' ? item.items : item;
+}
+
+// Documents Mongo → forme brute attendue par hydrate()
+function fromDocs(def, docs) {
+  if (def.kind === 'list') {
+    const [field, dir] = def.order || ['createdAt', 1];
+    return docs
+      .map(doc => fromDoc(def, doc))
+      .sort((a, b) => (new Date(a[field]) - new Date(b[field])) * dir);
+  }
+  return Object.fromEntries(docs.map(doc => [doc._id, fromDoc(def, doc)]));
+}
+
+// Même sérialisation que toDocs() : un document relu tel quel n'est pas réécrit
+function docJson(doc) {
+  const { _id, _rev, ...item } = doc;
+  return JSON.stringify({ ...item, _id });
+}
+
+// Documents écrits avant les révisions : pas de `_rev`, comptés comme révision 0
+function revFilter(id, rev) {
+  return { _id: id, _rev: rev || { $in: [0, null] } };
+}
+
+function createMongoDriver({ uri, dbName, collections }) {
+  const client = new MongoClient(uri);
+  let mdb = null;
+  const written = new Map(); // collection -> Map<_id, { json, rev }> du dernier état connu
+  const leases = new Set();  // [nom, titulaire] des baux tenus, rendus par close()
+
+  async function connect() {
+    if (!mdb) { await client.connect(); mdb = client.db(dbName); }
+    return mdb;
+  }
+
+  function remember(known, id, doc) {
+    if (doc) known.set(id, { json: docJson(doc), rev: doc._rev || 0 });
+    else known.delete(id);
+  }
+
+  async function load() {
+    const database = await connect();
+    const raw = {};
+    for (const [name, def] of Object.entries(collections)) {
+      const docs = await database.collection(name).find({}).toArray();
+      raw[name] = fromDocs(def, docs);
+      const known = new Map();
+      docs.forEach(doc => remember(known, doc._id, doc));
+      written.set(name, known);
+    }
+    return raw;
+  }
+
+  // → { changed: { collection: [_id écrits] }, conflicts: { collection: { _id: entrée | null } } }
+  async function save(raw) {
+    const database = await connect();
+    const changed = {};
+    const conflicts = {};
+    for (const [name, def] of Object.entries(collections)) {
+      if (!written.has(name)) written.set(name, new Map());
+      const known = written.get(name);
+      const seen = new Set();
+      const ops = [];
+      const expected = new Map(); // _id → { json, rev } après écriture (null = supprimé)
+      for (const [id, doc] of toDocs(def, raw[name] || (def.kind === 'list' ? [] : {}))) {
+        seen.add(id);
+        const json = JSON.stringify(doc);
+        const prev = known.get(id);
+        if (prev?.json === json) continue;
+        const rev = (prev?.rev || 0) + 1;
+        if (prev) ops.push({ replaceOne: { filter: revFilter(id, prev.rev), replacement: { ...doc, _rev: rev } } });
+        else ops.push({ updateOne: { filter: { _id: id }, update: { $setOnInsert: { ...doc, _rev: rev } }, upsert: true } });
+        expected.set(id, { json, rev });
+      }
+      for (const [id, prev] of known) {
+        if (seen.has(id)) continue;
+        ops.push({ deleteOne: { filter: revFilter(id, prev.rev) } });
+        expected.set(id, null);
+      }
+      if (!ops.length) continue;
+      const coll = database.collection(name);
+      const result = await coll.bulkWrite(ops, { ordered: false });
+      const applied = result.upsertedCount + result.modifiedCount + result.deletedCount;
+      // Une écriture manquée : le document a bougé entre-temps → on relit ceux de ce lot
+      const current = applied === ops.length ? null
+        : new Map((await coll.find({ _id: { $in: [...expected.keys()] } }).toArray()).map(doc => [doc._id, doc]));
+      changed[name] = [];
+      expected.forEach((next, id) => {
+        const doc = current && (current.get(id) || null);
+        const ok = !current || (next ? doc?._rev === next.rev && docJson(doc) === next.json : !doc);
+        if (ok) {
+          if (next) known.set(id, next);
+          else known.delete(id);
+          changed[name].push(id);
+        } else {
+          remember(known, id, doc);
+          conflicts[name] = { ...conflicts[name], [id]: doc && fromDoc(def, doc) };
+        }
+      });
+    }
+    return { changed, conflicts };
+  }
+
+  // Documents écrits par une autre instance ({ collection: [_id] }) → entrées à jour
+  // ({ collection: { _id: entrée | null } }) ; ce qu'on connaît déjà est ignoré
+  async function reload(changes) {
+    const database = await connect();
+    const entries = {};
+    for (const [name, ids] of Object.entries(changes)) {
+      const def = collections[name];
+      const known = written.get(name);
+      if (!def || !known || !ids.length) continue;
+      const docs = new Map((await database.collection(name).find({ _id: { $in: ids } }).toArray()).map(doc => [doc._id, doc]));
+      ids.forEach(id => {
+        const doc = docs.get(id) || null;
+        if (doc ? (doc._rev || 0) <= (known.get(id)?.rev ?? -1) : !known.has(id)) return;
+        remember(known, id, doc);
+        entries[name] = { ...entries[name], [id]: doc && fromDoc(def, doc) };
+      });
+    }
+    return entries;
+  }
+
+  // Bail exclusif (ex. exécution des jobs) → true si `holder` le tient, pris ou prolongé pour
+  // ttlMs ; un bail non renouvelé à temps (instance arrêtée) est repris par une autre
+  async function acquireLease(name, holder, ttlMs) {
+    const database = await connect();
+    const now = new Date();
+    try {
+      await database.collection(LEASES).updateOne(
+        { _id: name, $or: [{ holder }, { expiresAt: { $lt: now } }] },
+        { $set: { holder, expiresAt: new Date(now.getTime() + ttlMs) } },
+        { upsert: true });
+    } catch(e) {
+      if (e.code === 11000) return false; // tenu par une autre instance
+      throw e;
+    }
+    leases.add(JSON.stringify([name, holder]));
+    return true;
+  }
+
+  async function close() {
+    if (mdb) {
+      for (const lease of leases) {
+        const [name, holder] = JSON.parse(lease);
+        await mdb.collection(LEASES).deleteOne({ _id: name, holder }).catch(() => {});
+      }
+    }
+    leases.clear();
+    await client.close();
+    mdb = null;
+  }
+
+  return { name: 'mongo', shared: true, describe: () => `MongoDB (${dbName})`, load, save, reload, acquireLease, close };
+}
+
+module.exports = { createMongoDriver };